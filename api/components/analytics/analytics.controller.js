@@ -0,0 +1,57 @@
+const moment = require('moment-timezone');
+const {
+  getTopProducts,
+  getUnmetSearches,
+  getActionFunnel,
+  getDailyVolume,
+} = require('./analytics.service');
+
+/**
+ * Lee los filtros de la query string (`domain`, `from`, `to`, `limit` y `timezone`).
+ * @returns {{filters?: Object, error?: string}}
+ */
+const parseFilters = (query) => {
+  const { domain, timezone } = query;
+  if (timezone && !moment.tz.zone(timezone)) return { error: `Zona horaria desconocida: ${timezone}` };
+
+  const filters = { domain, timezone, limit: Number.parseInt(query.limit, 10) || undefined };
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Fecha inválida en ${key}` };
+    }
+    filters[key] = date;
+  }
+
+  return { filters };
+};
+
+/**
+ * Crea el handler de un informe del comercio (merchandId del token).
+ * @param {function(string, Object): Promise<Object>} report
+ * @param {string} failure - Mensaje de error para el cliente.
+ */
+const handleReport = (report, failure) => async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.json(await report(req.user.merchandId, filters));
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: failure });
+  }
+};
+
+const handleTopProducts = handleReport(getTopProducts, 'Error obteniendo los productos más pedidos.');
+const handleUnmetSearches = handleReport(getUnmetSearches, 'Error obteniendo las búsquedas sin resultado.');
+const handleActionFunnel = handleReport(getActionFunnel, 'Error obteniendo el embudo de acciones.');
+const handleDailyVolume = handleReport(getDailyVolume, 'Error obteniendo el volumen diario.');
+
+module.exports = {
+  handleTopProducts,
+  handleUnmetSearches,
+  handleActionFunnel,
+  handleDailyVolume,
+};
@@ -0,0 +1,11 @@
+const { ChatEvent } = require('../../../config/database');
+
+const createChatEvent = async (event) => {
+  return await ChatEvent.create(event);
+};
+
+const aggregateChatEvents = async (pipeline) => {
+  return await ChatEvent.aggregate(pipeline);
+};
+
+module.exports = { createChatEvent, aggregateChatEvents };
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  handleTopProducts,
+  handleUnmetSearches,
+  handleActionFunnel,
+  handleDailyVolume,
+} = require('./analytics.controller');
+const authMiddleware = require('../../../middleware/auth');
+const requireRole = require('../../../middleware/role');
+
+// Informes de las conversaciones de los clientes del comercio (merchandId del token).
+// Filtros opcionales: `domain`, `from` y `to`; los rankings admiten `limit` y el volumen diario `timezone`.
+router.get('/products/top', authMiddleware, requireRole('merchant'), handleTopProducts);
+router.get('/searches/unmet', authMiddleware, requireRole('merchant'), handleUnmetSearches);
+router.get('/funnel', authMiddleware, requireRole('merchant'), handleActionFunnel);
+router.get('/volume/daily', authMiddleware, requireRole('merchant'), handleDailyVolume);
+
+module.exports = router;
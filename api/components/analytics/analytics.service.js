@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Analítica de las conversaciones del bot.
+ *
+ * Cada turno respondido por el bot deja un `ChatEvent` con los productos que vio el modelo, la acción,
+ * la latencia y los tokens. Los informes del comercio se calculan con pipelines de agregación de
+ * MongoDB sobre esos eventos: productos más pedidos, búsquedas sin resultado, embudo de acciones
+ * y volumen diario.
+ */
+
+const { redactPII } = require('../guardrails/guardrails.patterns');
+const { getProductsByIds } = require('../chatgtp/chatgtp.dao');
+const { createChatEvent, aggregateChatEvents } = require('./analytics.dao');
+
+const MAX_QUERY_LENGTH = 300; // Caracteres de la pregunta que se guardan.
+const DEFAULT_REPORT_SIZE = 10;
+const MAX_REPORT_SIZE = 100;
+
+/**
+ * Registra el turno de un cliente. Los errores se registran sin interrumpir la respuesta del chat.
+ * @param {Object} event - Campos de `ChatEvent`; `query` es la pregunta tal cual la escribió el cliente.
+ * @returns {Promise<void>}
+ */
+const recordChatEvent = async ({ query, ...event }) => {
+  try {
+    await createChatEvent({ ...event, query: query && redactPII(query).trim().slice(0, MAX_QUERY_LENGTH) });
+  } catch (err) {
+    console.error('Error registrando el evento de analítica:', err.message);
+  }
+};
+
+/**
+ * Filtro `$match` común a los informes de un comercio.
+ * @param {string} merchandId
+ * @param {{domain?: string, from?: Date, to?: Date}} filters
+ * @returns {Object}
+ */
+const buildMatch = (merchandId, { domain, from, to }) => ({
+  merchandId,
+  ...(domain && { domain }),
+  ...((from || to) && { createdAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) } }),
+});
+
+const reportSize = limit => Math.min(Math.max(limit || DEFAULT_REPORT_SIZE, 1), MAX_REPORT_SIZE);
+
+// 1 si el evento cumple la condición, 0 si no (para `$sum` y `$max`).
+const countIf = condition => ({ $cond: [condition, 1, 0] });
+const isAction = type => ({ $eq: ['$actionType', type] });
+// El bot mostró un producto del catálogo (un `go_to_url` puede ser a una página externa).
+const showsProduct = {
+  $and: [
+    { $in: ['$actionType', ['show_product', 'go_to_url']] },
+    { $ne: [{ $ifNull: ['$actionProductId', null] }, null] },
+  ],
+};
+
+/**
+ * Productos más pedidos: los que más veces se pasaron al modelo o se agregaron al carrito, con
+ * cuántas de esas veces terminaron en `add_to_cart`.
+ * @param {string} merchandId
+ * @param {Object} [options]
+ * @param {string} [options.domain]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<{data: Array<{productId: string, title: string|null, slug: string|null, requests: number, addedToCart: number}>}>}
+ */
+const getTopProducts = async (merchandId, { limit, ...filters } = {}) => {
+  const rows = await aggregateChatEvents([
+    { $match: buildMatch(merchandId, filters) },
+    {
+      $project: {
+        actionType: 1,
+        actionProductId: 1,
+        // El producto agregado cuenta aunque el modelo lo encontrara con las herramientas.
+        products: {
+          $setUnion: [
+            { $ifNull: ['$productIds', []] },
+            { $cond: [isAction('add_to_cart'), ['$actionProductId'], []] },
+          ],
+        },
+      },
+    },
+    { $unwind: '$products' },
+    {
+      $group: {
+        _id: '$products',
+        requests: { $sum: 1 },
+        addedToCart: { $sum: countIf({ $and: [isAction('add_to_cart'), { $eq: ['$actionProductId', '$products'] }] }) },
+      },
+    },
+    { $sort: { requests: -1, addedToCart: -1, _id: 1 } },
+    { $limit: reportSize(limit) },
+  ]);
+
+  // El catálogo vive en otra base de datos: los nombres se completan después de agregar.
+  const products = rows.length ? await getProductsByIds(rows.map(row => row._id)) : [];
+  return {
+    data: rows.map(({ _id, requests, addedToCart }) => {
+      const product = products.find(p => p._id.toString() === _id);
+      return { productId: _id, title: product?.title || null, slug: product?.slug || null, requests, addedToCart };
+    }),
+  };
+};
+
+/**
+ * Búsquedas sin resultado: preguntas a las que el bot respondió que no tiene lo pedido (el modelo
+ * lo indica con `outcome: 'not_found'`, ver `chatgtp.validator`). La búsqueda casi siempre
+ * devuelve algún producto, así que no basta con que no recupere nada. Se agrupan sin distinguir
+ * mayúsculas.
+ * @param {string} merchandId
+ * @param {Object} [options] - Mismos filtros que `getTopProducts`.
+ * @returns {Promise<{data: Array<{query: string, count: number, lastAskedAt: Date}>}>}
+ */
+const getUnmetSearches = async (merchandId, { limit, ...filters } = {}) => {
+  const rows = await aggregateChatEvents([
+    {
+      $match: {
+        ...buildMatch(merchandId, filters),
+        query: { $nin: [null, ''] },
+        outcome: 'not_found',
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$query' } } },
+        query: { $first: '$query' },
+        count: { $sum: 1 },
+        lastAskedAt: { $first: '$createdAt' },
+      },
+    },
+    { $sort: { count: -1, lastAskedAt: -1 } },
+    { $limit: reportSize(limit) },
+  ]);
+
+  return { data: rows.map(({ query, count, lastAskedAt }) => ({ query, count, lastAskedAt })) };
+};
+
+/**
+ * Embudo de acciones por sesión: sesiones, sesiones en las que el bot mostró un producto
+ * (`show_product` o `go_to_url` a un producto), en las que se agregó algo al carrito, se vio el
+ * carrito o se pidió una persona; y el total de cada acción.
+ * @param {string} merchandId
+ * @param {Object} [options]
+ * @param {string} [options.domain]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @returns {Promise<{sessions: number, productsShown: number, addedToCart: number, viewedCart: number, handedOff: number, conversionRate: number, actions: Object<string, number>}>}
+ */
+const getActionFunnel = async (merchandId, filters = {}) => {
+  const [{ sessions: [totals], actions }] = await aggregateChatEvents([
+    { $match: buildMatch(merchandId, filters) },
+    {
+      $facet: {
+        sessions: [
+          {
+            $group: {
+              _id: { domain: '$domain', userId: '$userId', sessionId: '$sessionId' },
+              productsShown: { $max: countIf(showsProduct) },
+              addedToCart: { $max: countIf(isAction('add_to_cart')) },
+              viewedCart: { $max: countIf(isAction('view_cart')) },
+              handedOff: { $max: countIf(isAction('handoff')) },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              sessions: { $sum: 1 },
+              productsShown: { $sum: '$productsShown' },
+              addedToCart: { $sum: '$addedToCart' },
+              viewedCart: { $sum: '$viewedCart' },
+              handedOff: { $sum: '$handedOff' },
+            },
+          },
+        ],
+        actions: [{ $group: { _id: '$actionType', count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+
+  const { sessions = 0, productsShown = 0, addedToCart = 0, viewedCart = 0, handedOff = 0 } = totals || {};
+  return {
+    sessions,
+    productsShown,
+    addedToCart,
+    viewedCart,
+    handedOff,
+    conversionRate: sessions ? Math.round((addedToCart / sessions) * 10000) / 10000 : 0,
+    actions: Object.fromEntries(actions.map(({ _id, count }) => [_id, count])),
+  };
+};
+
+/**
+ * Volumen diario: turnos, sesiones, respuestas sin producto o fijas, agregados al carrito,
+ * latencia media y tokens de cada día.
+ * @param {string} merchandId
+ * @param {Object} [options]
+ * @param {string} [options.domain]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {string} [options.timezone='UTC'] - Zona horaria IANA en la que se cortan los días.
+ * @returns {Promise<{timezone: string, data: Array<Object>}>}
+ */
+const getDailyVolume = async (merchandId, { timezone, ...filters } = {}) => {
+  const zone = timezone || 'UTC';
+  const rows = await aggregateChatEvents([
+    { $match: buildMatch(merchandId, filters) },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: zone } },
+        turns: { $sum: 1 },
+        sessions: { $addToSet: '$sessionId' },
+        notFound: { $sum: countIf({ $eq: ['$outcome', 'not_found'] }) },
+        fallbacks: { $sum: countIf({ $eq: ['$outcome', 'fallback'] }) },
+        addedToCart: { $sum: countIf(isAction('add_to_cart')) },
+        avgLatencyMs: { $avg: '$latencyMs' },
+        tokens: { $sum: '$tokens.total' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return {
+    timezone: zone,
+    data: rows.map(({ _id, sessions, avgLatencyMs, ...day }) => ({
+      date: _id,
+      ...day,
+      sessions: sessions.length,
+      avgLatencyMs: avgLatencyMs == null ? null : Math.round(avgLatencyMs),
+    })),
+  };
+};
+
+module.exports = {
+  recordChatEvent,
+  getTopProducts,
+  getUnmetSearches,
+  getActionFunnel,
+  getDailyVolume,
+};
@@ -0,0 +1,16 @@
+const { invalidateDomain } = require('./cache.service');
+
+const handleInvalidateDomain = async (req, res) => {
+  const { domain } = req.params;
+  const rebuildVectors = req.query.rebuildVectors === 'true';
+
+  try {
+    const result = await invalidateDomain(domain, { rebuildVectors });
+    res.json({ invalidated: true, ...result });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error invalidando la caché.' });
+  }
+};
+
+module.exports = { handleInvalidateDomain };
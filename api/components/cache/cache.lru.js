@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Caché en memoria con límite de entradas (LRU) y caducidad por entrada (TTL).
+ *
+ * Sustituye a los `Map` sin límite que se usaban para productos, configuración y vector stores:
+ * cada inquilino ocupa una entrada, de modo que `max` acota cuántos inquilinos se mantienen
+ * en memoria, y `ttlMs` obliga a refrescar los datos de forma periódica.
+ */
+
+/**
+ * Crea una caché LRU con TTL.
+ * @param {Object} [options]
+ * @param {number} [options.max=100] - Número máximo de entradas; al superarlo se descarta la menos usada.
+ * @param {number} [options.ttlMs=0] - Vida de cada entrada en milisegundos (0 = sin caducidad).
+ * @param {function(string, *): void} [options.onEvict] - Se invoca al descartar o invalidar una entrada.
+ * @returns {Object} Caché con la interfaz de un `Map` reducido.
+ */
+const createLRUCache = ({ max = 100, ttlMs = 0, onEvict } = {}) => {
+  // Un Map conserva el orden de inserción: la primera clave es siempre la menos usada.
+  const entries = new Map();
+
+  const isExpired = entry => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    if (onEvict) onEvict(key, entry.value);
+    return true;
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (isExpired(entry)) {
+        remove(key);
+        return undefined;
+      }
+
+      // Marca la entrada como la más reciente.
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    has(key) {
+      return this.get(key) !== undefined;
+    },
+
+    set(key, value, { ttlMs: entryTtl = ttlMs } = {}) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: entryTtl > 0 ? Date.now() + entryTtl : null });
+
+      while (entries.size > max) {
+        remove(entries.keys().next().value);
+      }
+      return this;
+    },
+
+    delete(key) {
+      return remove(key);
+    },
+
+    clear() {
+      [...entries.keys()].forEach(remove);
+    },
+
+    /**
+     * Recorre las entradas vigentes sin alterar su orden de uso.
+     * @returns {Array<[string, *]>}
+     */
+    entries() {
+      return [...entries.entries()]
+        .filter(([, entry]) => !isExpired(entry))
+        .map(([key, entry]) => [key, entry.value]);
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+};
+
+/**
+ * Lee un número entero de una variable de entorno, con valor por defecto.
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+const envNumber = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = { createLRUCache, envNumber };
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { handleInvalidateDomain } = require('./cache.controller');
+const authMiddleware = require('../../../middleware/auth');
+const requireRole = require('../../../middleware/role');
+
+router.delete('/:domain', authMiddleware, requireRole('admin'), handleInvalidateDomain);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Invalidación de las cachés por inquilino.
+ *
+ * - `invalidateDomain` vacía las cachés de productos/configuración de un dominio (y opcionalmente
+ *   sus embeddings persistidos). El índice vectorial que se conserva se sincroniza de forma
+ *   incremental en la siguiente búsqueda, así que solo se re-embeben los productos modificados.
+ * - `watchCatalogChanges` escucha un change stream de MongoDB sobre la colección `Product`
+ *   e invalida automáticamente el dominio afectado. Requiere un replica set.
+ */
+
+const { Product } = require('../../../config/database');
+const { invalidateTenantCache, findCachedProductDomain } = require('../chatgtp/chatgtp.service');
+const { invalidateVectorStores } = require('../vector-search/vector.service');
+
+/**
+ * Invalida las cachés de un dominio.
+ * @param {string} domain
+ * @param {Object} [options]
+ * @param {boolean} [options.rebuildVectors=false] - Borra también los embeddings persistidos (re-embebe todo el catálogo).
+ * @returns {Promise<{domain: string, vectorStoresDropped: number}>}
+ */
+const invalidateDomain = async (domain, { rebuildVectors = false } = {}) => {
+  invalidateTenantCache(domain);
+  const vectorStoresDropped = rebuildVectors ? await invalidateVectorStores(domain, { purge: true }) : 0;
+  return { domain, vectorStoresDropped };
+};
+
+/**
+ * Procesa un evento del change stream del catálogo.
+ * @param {Object} change - Evento de MongoDB (`insert`, `update`, `replace` o `delete`).
+ * @returns {string|null} El dominio invalidado, si se pudo determinar.
+ */
+const handleCatalogChange = (change) => {
+  const domain = change.fullDocument?.domain
+    || (change.documentKey?._id && findCachedProductDomain(change.documentKey._id.toString()));
+
+  if (!domain) return null;
+
+  // Solo se refresca la lista de productos; el índice vectorial se sincroniza de forma incremental.
+  invalidateTenantCache(domain, { config: false });
+  return domain;
+};
+
+/**
+ * Abre un change stream sobre la colección de productos para invalidar las cachés automáticamente.
+ * @returns {import('mongodb').ChangeStream}
+ */
+const watchCatalogChanges = () => {
+  const changeStream = Product.watch([], { fullDocument: 'updateLookup' });
+
+  changeStream.on('change', (change) => {
+    const domain = handleCatalogChange(change);
+    if (domain) {
+      console.log(`Catálogo de ${domain} modificado (${change.operationType}), caché invalidada.`);
+    }
+  });
+
+  changeStream.on('error', (err) => {
+    console.error('Error en el change stream del catálogo:', err.message);
+  });
+
+  return changeStream;
+};
+
+module.exports = { invalidateDomain, handleCatalogChange, watchCatalogChanges };
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const {
+  MAX_ITEM_QUANTITY,
+  getCart,
+  addToCart,
+  removeFromCart,
+  setItemQuantity,
+  clearCart,
+  resolveCartItem,
+} = require('./cart.service');
+
+const RESOLVE_ERROR_STATUS = { NOT_FOUND: 404, VARIATION_REQUIRED: 400, OUT_OF_STOCK: 409 };
+
+/**
+ * Lee una cantidad de unidades (entero entre `min` y `MAX_ITEM_QUANTITY`).
+ * @param {*} value
+ * @param {number} min
+ * @returns {number|null}
+ */
+const parseQuantity = (value, min) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= min && quantity <= MAX_ITEM_QUANTITY ? quantity : null;
+};
+
+const handleGetCart = async (req, res) => {
+  const { domain } = req.query;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+
+  try {
+    res.json({ cart: await getCart(domain, req.user.id) });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error obteniendo el carrito.' });
+  }
+};
+
+const handleAddItem = async (req, res) => {
+  const { domain, productId, variationId, attributes, quantity = 1 } = req.body;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+  if (!mongoose.isValidObjectId(productId)) return res.status(400).json({ error: 'productId inválido' });
+  if (parseQuantity(quantity, 1) === null) {
+    return res.status(400).json({ error: `quantity debe ser un entero entre 1 y ${MAX_ITEM_QUANTITY}` });
+  }
+
+  try {
+    const { item, error, code } = await resolveCartItem(domain, { productId, variationId, attributes, quantity });
+    if (error) return res.status(RESOLVE_ERROR_STATUS[code]).json({ error });
+
+    const result = await addToCart(domain, req.user.id, item, { merchandId: req.user.merchandId });
+    if (result.error) return res.status(409).json({ error: result.error });
+    res.status(201).json({ cart: result.cart });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error agregando al carrito.' });
+  }
+};
+
+const handleUpdateItem = async (req, res) => {
+  const { productId } = req.params;
+  const { domain, variationId, quantity } = req.body;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+  if (parseQuantity(quantity, 0) === null) {
+    return res.status(400).json({ error: `quantity debe ser un entero entre 0 y ${MAX_ITEM_QUANTITY}` });
+  }
+
+  try {
+    const cart = await setItemQuantity(domain, req.user.id, { productId, variationId }, quantity);
+    if (!cart) return res.status(404).json({ error: 'El producto no está en el carrito' });
+    res.json({ cart });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error actualizando el carrito.' });
+  }
+};
+
+const handleRemoveItem = async (req, res) => {
+  const { productId } = req.params;
+  const { domain, variationId } = req.query;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+
+  try {
+    const { cart, removed } = await removeFromCart(domain, req.user.id, { productId, variationId });
+    if (!removed) return res.status(404).json({ error: 'El producto no está en el carrito' });
+    res.json({ cart });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error quitando el producto del carrito.' });
+  }
+};
+
+const handleClearCart = async (req, res) => {
+  const { domain } = req.query;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+
+  try {
+    const cleared = await clearCart(domain, req.user.id);
+    res.json({ cleared });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error vaciando el carrito.' });
+  }
+};
+
+module.exports = {
+  handleGetCart,
+  handleAddItem,
+  handleUpdateItem,
+  handleRemoveItem,
+  handleClearCart,
+};
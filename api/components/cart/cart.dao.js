@@ -0,0 +1,32 @@
+const { Cart } = require('../../../config/database');
+
+const findCart = async (domain, userId) => {
+  return await Cart.findOne({ domain, userId }).lean();
+};
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Guarda las líneas solo si el carrito sigue en la revisión con la que se leyó (0 si no existía).
+ * @returns {Promise<Object|null>} El carrito guardado, o `null` si otra petición lo cambió antes.
+ */
+const saveCartItems = async (domain, userId, items, { revision = 0, merchandId } = {}) => {
+  try {
+    return await Cart.findOneAndUpdate(
+      // Los carritos anteriores a `revision` no tienen el campo.
+      { domain, userId, revision: revision || { $in: [0, null] } },
+      { $set: { items }, $inc: { revision: 1 }, ...(merchandId && { $setOnInsert: { merchandId } }) },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+  } catch (err) {
+    // El carrito existe con otra revisión: el upsert choca con el índice único.
+    if (err.code === DUPLICATE_KEY) return null;
+    throw err;
+  }
+};
+
+const deleteCart = async (domain, userId) => {
+  return await Cart.deleteOne({ domain, userId });
+};
+
+module.exports = { findCart, saveCartItems, deleteCart };
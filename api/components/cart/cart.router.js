@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  handleGetCart,
+  handleAddItem,
+  handleUpdateItem,
+  handleRemoveItem,
+  handleClearCart,
+} = require('./cart.controller');
+const authMiddleware = require('../../../middleware/auth');
+
+// Carrito del usuario autenticado en un dominio (el mismo que modifica el asistente).
+router.get('/', authMiddleware, handleGetCart);
+router.delete('/', authMiddleware, handleClearCart);
+router.post('/items', authMiddleware, handleAddItem);
+router.patch('/items/:productId', authMiddleware, handleUpdateItem);
+router.delete('/items/:productId', authMiddleware, handleRemoveItem);
+
+module.exports = router;
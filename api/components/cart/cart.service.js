@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Carrito de cada usuario por dominio, compartido entre la API REST y el asistente.
+ *
+ * Las líneas se identifican por producto y variación: agregar de nuevo el mismo producto suma
+ * unidades a su línea. Los precios son los del catálogo en el momento de agregarlo.
+ *
+ * Los cambios usan concurrencia optimista (ver `updateCartItems`), así dos peticiones simultáneas
+ * del mismo usuario (el chat y la API REST, por ejemplo) no se pisan.
+ */
+
+const { getProductsByIds } = require('../chatgtp/chatgtp.dao');
+const { validateAction } = require('../chatgtp/chatgtp.validator');
+const { isProductPurchasable } = require('../chatgtp/chatgtp.availability');
+const { findCart, saveCartItems, deleteCart } = require('./cart.dao');
+
+const MAX_ITEM_QUANTITY = 99;
+const MAX_CART_ITEMS = 50;
+const MAX_PROMPT_ITEMS = 10; // Líneas del carrito que se describen al modelo.
+const MAX_UPDATE_ATTEMPTS = 5; // Relecturas si otra petición cambió el carrito a la vez.
+const ITEM_FIELDS = ['productId', 'variationId', 'title', 'slug', 'image', 'attributes', 'quantity', 'price_sale', 'price_regular'];
+
+const roundPrice = value => Math.round(value * 100) / 100;
+const unitPrice = item => item.price_sale ?? item.price_regular ?? 0;
+
+/**
+ * Indica si una línea corresponde al producto y la variación indicados.
+ * @param {Object} item
+ * @param {{productId: string, variationId?: string|null}} target
+ * @returns {boolean}
+ */
+const isSameItem = (item, { productId, variationId }) => item.productId === String(productId)
+  && (item.variationId || null) === (variationId || null);
+
+/**
+ * Carrito con el total de cada línea, las unidades y el subtotal.
+ * @param {Array<Object>} [items]
+ * @returns {{items: Array<Object>, totalItems: number, subtotal: number}}
+ */
+const summarizeCart = (items = []) => {
+  const lines = items.map(item => ({
+    ...Object.fromEntries(ITEM_FIELDS.map(field => [field, item[field] ?? null])),
+    lineTotal: roundPrice(unitPrice(item) * item.quantity),
+  }));
+
+  return {
+    items: lines,
+    totalItems: lines.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundPrice(lines.reduce((sum, item) => sum + item.lineTotal, 0)),
+  };
+};
+
+/**
+ * Línea de carrito a partir de una acción `add_to_cart` ya validada contra el catálogo.
+ * @param {Object} action
+ * @returns {Object}
+ */
+const itemFromAction = action => Object.fromEntries(ITEM_FIELDS.map(field => [field, action[field] ?? null]));
+
+/**
+ * Carrito de un usuario (vacío si aún no tiene).
+ * @param {string} domain
+ * @param {string} userId
+ * @returns {Promise<{items: Array<Object>, totalItems: number, subtotal: number}>}
+ */
+const getCart = async (domain, userId) => summarizeCart((await findCart(domain, userId))?.items);
+
+/**
+ * Aplica un cambio a las líneas del carrito y lo guarda solo si nadie lo modificó desde que se
+ * leyó; si lo modificaron, se vuelve a leer y a aplicar el cambio.
+ * @param {string} domain
+ * @param {string} userId
+ * @param {function(Array<Object>): (Array<Object>|null)} change - Recibe una copia de las líneas
+ *   y devuelve las nuevas, o `null` si no hay nada que guardar.
+ * @param {Object} [options]
+ * @param {string} [options.merchandId] - Comercio del dominio, guardado al crear el carrito.
+ * @returns {Promise<{items: Array<Object>, saved: boolean}>} Las líneas guardadas (o las leídas si no se guardó nada).
+ */
+const updateCartItems = async (domain, userId, change, { merchandId } = {}) => {
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt += 1) {
+    const current = await findCart(domain, userId);
+    const items = change((current?.items || []).map(item => ({ ...item })));
+    if (!items) return { items: current?.items || [], saved: false };
+
+    const cart = await saveCartItems(domain, userId, items, { revision: current?.revision, merchandId });
+    if (cart) return { items: cart.items, saved: true };
+  }
+  throw new Error(`El carrito de ${userId} en ${domain} cambió demasiadas veces mientras se actualizaba`);
+};
+
+/**
+ * Agrega unidades de un producto; si ya está en el carrito se suman a su línea y se actualizan
+ * sus datos con los del catálogo.
+ * @param {string} domain
+ * @param {string} userId
+ * @param {Object} item - Ver `itemFromAction`.
+ * @param {Object} [options]
+ * @param {string} [options.merchandId] - Comercio del dominio, guardado al crear el carrito.
+ * @returns {Promise<{cart?: Object, error?: string}>}
+ */
+const addToCart = async (domain, userId, item, { merchandId } = {}) => {
+  let error;
+  const { items } = await updateCartItems(domain, userId, (lines) => {
+    const index = lines.findIndex(existing => isSameItem(existing, item));
+    error = undefined;
+
+    if (index >= 0) {
+      lines[index] = { ...item, quantity: Math.min(lines[index].quantity + item.quantity, MAX_ITEM_QUANTITY) };
+    } else if (lines.length >= MAX_CART_ITEMS) {
+      error = `El carrito admite como máximo ${MAX_CART_ITEMS} productos distintos`;
+      return null;
+    } else {
+      lines.push({ ...item, quantity: Math.min(item.quantity, MAX_ITEM_QUANTITY) });
+    }
+    return lines;
+  }, { merchandId });
+
+  return error ? { error } : { cart: summarizeCart(items) };
+};
+
+/**
+ * Quita unidades de un producto. Sin `variationId` afecta a todas sus variaciones.
+ * @param {string} domain
+ * @param {string} userId
+ * @param {Object} target
+ * @param {string} target.productId
+ * @param {string|null} [target.variationId]
+ * @param {number|null} [target.quantity] - Unidades a quitar; sin indicar se quita la línea completa.
+ * @returns {Promise<{cart: Object, removed: boolean}>} `removed` es `false` si el producto no estaba en el carrito.
+ */
+const removeFromCart = async (domain, userId, { productId, variationId, quantity }) => {
+  const matches = item => (variationId ? isSameItem(item, { productId, variationId }) : item.productId === String(productId));
+  const { items, saved } = await updateCartItems(domain, userId, (lines) => {
+    if (!lines.some(matches)) return null;
+    return lines
+      .map(item => (matches(item) ? { ...item, quantity: quantity ? item.quantity - quantity : 0 } : item))
+      .filter(item => item.quantity > 0);
+  });
+
+  return { cart: summarizeCart(items), removed: saved };
+};
+
+/**
+ * Fija las unidades de una línea del carrito (0 la quita).
+ * @param {string} domain
+ * @param {string} userId
+ * @param {{productId: string, variationId?: string|null}} target
+ * @param {number} quantity
+ * @returns {Promise<Object|null>} El carrito, o `null` si la línea no existe.
+ */
+const setItemQuantity = async (domain, userId, target, quantity) => {
+  const { items, saved } = await updateCartItems(domain, userId, (lines) => {
+    const index = lines.findIndex(item => isSameItem(item, target));
+    if (index < 0) return null;
+
+    if (quantity > 0) lines[index] = { ...lines[index], quantity: Math.min(quantity, MAX_ITEM_QUANTITY) };
+    else lines.splice(index, 1);
+    return lines;
+  });
+
+  return saved ? summarizeCart(items) : null;
+};
+
+/**
+ * Vacía el carrito de un usuario.
+ * @param {string} domain
+ * @param {string} userId
+ * @returns {Promise<boolean>} `true` si había un carrito.
+ */
+const clearCart = async (domain, userId) => {
+  const { deletedCount } = await deleteCart(domain, userId);
+  return deletedCount > 0;
+};
+
+/**
+ * Valida contra el catálogo un producto que se quiere agregar desde la API REST, con las
+ * mismas reglas que las acciones del asistente (variación obligatoria, stock, precios reales).
+ * @param {string} domain
+ * @param {{productId: string, variationId?: string, attributes?: Object, quantity?: number}} input
+ * @returns {Promise<{item?: Object, error?: string, code?: 'NOT_FOUND'|'VARIATION_REQUIRED'|'OUT_OF_STOCK'}>}
+ */
+const resolveCartItem = async (domain, { productId, variationId, attributes, quantity }) => {
+  const products = await getProductsByIds([productId], domain);
+  const { action, variationRequiredFor } = validateAction(
+    { type: 'add_to_cart', productId, variationId, attributes, quantity },
+    products
+  );
+
+  if (variationRequiredFor) {
+    return { error: `Elige una variación de "${variationRequiredFor.title}"`, code: 'VARIATION_REQUIRED' };
+  }
+  if (action.type !== 'add_to_cart') return { error: 'Producto no encontrado', code: 'NOT_FOUND' };
+
+  const product = products.find(p => p._id.toString() === action.productId);
+  if (!isProductPurchasable(product)) return { error: `"${product.title}" está agotado`, code: 'OUT_OF_STOCK' };
+
+  return { item: itemFromAction(action) };
+};
+
+/**
+ * Resumen breve del carrito para el contexto del modelo.
+ * @param {{items: Array<Object>, totalItems: number, subtotal: number}} cart
+ * @param {{currency?: string}} [options] - Símbolo de moneda de la plantilla del inquilino.
+ * @returns {string}
+ */
+const describeCart = (cart, { currency = 'S/' } = {}) => {
+  if (!cart.items.length) return 'El carrito está vacío.';
+
+  const lines = cart.items.slice(0, MAX_PROMPT_ITEMS).map((item) => {
+    const attributes = item.attributes ? ` (${Object.entries(item.attributes).map(([name, value]) => `${name}: ${value}`).join(', ')})` : '';
+    const variation = item.variationId ? `, variationId: ${item.variationId}` : '';
+    return `- ${item.quantity} x "${item.title}"${attributes} [ID: ${item.productId}${variation}] a ${currency}${unitPrice(item)} c/u`;
+  });
+  const hidden = cart.items.length - lines.length;
+
+  return [
+    ...lines,
+    ...(hidden > 0 ? [`- ... y ${hidden} productos más`] : []),
+    `Total: ${cart.totalItems} unidades, ${currency}${cart.subtotal}`,
+  ].join('\n');
+};
+
+module.exports = {
+  MAX_ITEM_QUANTITY,
+  summarizeCart,
+  itemFromAction,
+  getCart,
+  addToCart,
+  removeFromCart,
+  setItemQuantity,
+  clearCart,
+  resolveCartItem,
+  describeCart,
+};
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Forma de la acción que reciben los clientes del chat.
+ *
+ * Toda respuesta lleva una acción con todas estas claves; las que no aplican van a `null`. Las
+ * respuestas construidas por el servidor (producto agotado, elegir variación...) parten de
+ * `EMPTY_ACTION` igual que las validadas.
+ */
+
+const EMPTY_ACTION = Object.freeze({
+  type: 'none',
+  productId: null,
+  quantity: null,
+  url: null,
+  price_sale: null,
+  title: null,
+  price_regular: null,
+  image: null,
+  slug: null,
+  variationId: null,
+  attributes: null,
+});
+
+module.exports = { EMPTY_ACTION };
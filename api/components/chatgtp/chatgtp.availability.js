@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Reglas de disponibilidad de productos para el asistente.
+ *
+ * Los productos en papelera nunca llegan al asistente (se filtran en el DAO). Los productos
+ * no disponibles o sin stock se excluyen del contexto o se marcan como agotados según el
+ * ajuste `unavailableProducts` del inquilino ('exclude' | 'mark').
+ */
+
+const { EMPTY_ACTION } = require('./chatgtp.actions');
+
+const UNAVAILABLE_MODES = ['exclude', 'mark'];
+const DEFAULT_UNAVAILABLE_MODE = 'mark';
+const MAX_ALTERNATIVES = 3;
+
+/**
+ * Indica si un producto se puede comprar: está disponible y, si controla stock, le queda alguno.
+ * @param {Object} product
+ * @returns {boolean}
+ */
+const isProductPurchasable = (product) => {
+  if (product.is_available === false) return false;
+  return product.stock === undefined || product.stock === null || product.stock > 0;
+};
+
+/**
+ * Modo de tratamiento de productos no disponibles para un inquilino.
+ * @param {Object} config - Configuración de negocio del inquilino.
+ * @returns {'exclude'|'mark'}
+ */
+const getUnavailableMode = (config) => {
+  const mode = config?.unavailableProducts || process.env.UNAVAILABLE_PRODUCTS_MODE;
+  return UNAVAILABLE_MODES.includes(mode) ? mode : DEFAULT_UNAVAILABLE_MODE;
+};
+
+/**
+ * Texto de disponibilidad que se añade a cada producto en el contexto del prompt.
+ * @param {Object} product
+ * @returns {string}
+ */
+const describeAvailability = product => (isProductPurchasable(product)
+  ? 'Disponible'
+  : 'AGOTADO (no se puede agregar al carrito)');
+
+/**
+ * Respuesta que sustituye a un `add_to_cart` sobre un producto agotado, sugiriendo alternativas.
+ * @param {Object} product - El producto agotado.
+ * @param {Array<Object>} alternatives - Productos similares con stock.
+ * @returns {{message: string, audio_description: string, action: Object}}
+ */
+const buildOutOfStockReply = (product, alternatives) => {
+  const names = alternatives.slice(0, MAX_ALTERNATIVES).map(p => `"${p.title}"`);
+
+  if (!names.length) {
+    return {
+      message: `Lo siento, "${product.title}" está agotado en este momento y no encontré productos similares disponibles. ¿Te ayudo a buscar otra cosa?`,
+      audio_description: `Lo siento, ${product.title} está agotado. ¿Buscamos otra cosa?`,
+      action: { ...EMPTY_ACTION },
+    };
+  }
+
+  return {
+    message: `Lo siento, "${product.title}" está agotado en este momento. Te puedo sugerir estas alternativas disponibles: ${names.join(', ')}. ¿Quieres ver alguna?`,
+    audio_description: `${product.title} está agotado, pero tengo alternativas parecidas. ¿Quieres que te las muestre?`,
+    action: { ...EMPTY_ACTION },
+  };
+};
+
+module.exports = {
+  MAX_ALTERNATIVES,
+  isProductPurchasable,
+  getUnavailableMode,
+  describeAvailability,
+  buildOutOfStockReply,
+};
@@ -1,24 +1,194 @@
-const { processChatWithGPT } = require('./chatgtp.service');
+const { processChatWithGPT, streamChatWithGPT, isValidSessionId, resolveSessionId, fetchConfig } = require('./chatgtp.service');
+const { getVoiceSettings, getReplyAudio } = require('../convertTextToVoice/awsdolly.service');
+const { getAudioExtension, transcribeAudio } = require('../stt/stt.service');
+const { getTenantKey } = require('../usage/usage.service');
+
+const AUDIO_DELIVERIES = ['base64', 'url'];
+
+/**
+ * Valida el cuerpo de la petición y los datos del token comunes a las rutas de chat.
+ * @returns {string|null} El mensaje de error o `null` si la petición es válida.
+ */
+const validateChatRequest = (req) => {
+  const { domain, userMessage, sessionId } = req.body;
+  const { id, email, merchandId } = req.user;
+
+  if (!domain || !userMessage ) {
+    return 'Faltan domain o userMessage';
+  }
+
+  if (sessionId !== undefined && sessionId !== null && !isValidSessionId(sessionId)) {
+    return 'sessionId inválido';
+  }
+
+  if (!id || !email || !merchandId) {
+    return 'Falta información del usuario en el token';
+  }
+
+  return null;
+};
+
+/**
+ * Escribe un evento Server-Sent Events en la respuesta.
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 const handleChatRequest = async (req, res) => {
+  const validationError = validateChatRequest(req);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
   const { domain, userMessage } = req.body;
   const { id, email, merchandId } = req.user;
 
-  if (!domain || !userMessage ) {
-    return res.status(400).json({ error: 'Faltan domain o userMessage' });
+  try {
+    const sessionId = await resolveSessionId(domain, id, req.body.sessionId);
+    const assistantMessage = await processChatWithGPT(domain, userMessage, process.env.OPENAI_API_KEY, id, email, merchandId, { sessionId });
+    res.json({ assistantMessage, sessionId });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error procesando el mensaje.' });
+  }
+};
+
+/**
+ * Igual que `handleChatRequest`, pero también sintetiza `audio_description` en la misma petición
+ * (una sola llamada contra el límite de peticiones). Acepta las opciones de voz de `/textvoice/speak`
+ * y `audioDelivery`: 'base64' (por defecto) o 'url' (URL firmada y de corta duración al clip cacheado).
+ * Si la síntesis falla se devuelve la respuesta con `audio: null`: el turno ya quedó guardado.
+ */
+const handleVoiceChatRequest = async (req, res) => {
+  const validationError = validateChatRequest(req);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { domain, userMessage, audioDelivery = 'base64', voice, language, engine, format, rate, ssml } = req.body;
+  const { id, email, merchandId } = req.user;
+  if (!AUDIO_DELIVERIES.includes(audioDelivery)) {
+    return res.status(400).json({ error: `audioDelivery debe ser uno de: ${AUDIO_DELIVERIES.join(', ')}` });
+  }
+
+  try {
+    // Las opciones de voz se validan antes de gastar una llamada al LLM.
+    const { settings, error } = await getVoiceSettings(domain, { voice, language, engine, format, rate, ssml });
+    if (error) return res.status(400).json({ error });
+
+    const sessionId = await resolveSessionId(domain, id, req.body.sessionId);
+    const assistantMessage = await processChatWithGPT(domain, userMessage, process.env.OPENAI_API_KEY, id, email, merchandId, { sessionId });
+
+    let audio = null;
+    try {
+      // Sin respuesta del bot (la conversación la atiende una persona) no hay nada que sintetizar.
+      if (assistantMessage) {
+        audio = await getReplyAudio(assistantMessage, settings, {
+          delivery: audioDelivery,
+          tenant: getTenantKey({ merchandId }),
+        });
+      }
+    } catch (err) {
+      console.error('Error generando el audio de la respuesta:', err.message);
+    }
+
+    res.json({ assistantMessage, sessionId, audio });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error procesando el mensaje.' });
   }
+};
+
+/**
+ * Recibe un audio grabado por el cliente (cuerpo binario webm/ogg/wav; `domain` y `sessionId` en la
+ * query string), lo transcribe y procesa la transcripción como un mensaje normal, que queda
+ * guardado con `voiceInput: true`.
+ */
+const handleAudioChatRequest = async (req, res) => {
+  const { domain, sessionId: requestedSessionId } = req.query;
+  const { id, email, merchandId } = req.user;
 
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+  if (requestedSessionId !== undefined && !isValidSessionId(requestedSessionId)) {
+    return res.status(400).json({ error: 'sessionId inválido' });
+  }
   if (!id || !email || !merchandId) {
     return res.status(400).json({ error: 'Falta información del usuario en el token' });
   }
+  if (!getAudioExtension(req.get('Content-Type'))) {
+    return res.status(415).json({ error: 'Formato de audio no soportado. Usa webm, ogg o wav' });
+  }
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return res.status(400).json({ error: 'Audio requerido' });
+  }
 
   try {
-    const assistantMessage = await processChatWithGPT(domain, userMessage, process.env.OPENAI_API_KEY, id, email, merchandId);
-    res.json({ assistantMessage });
+    const config = await fetchConfig(domain);
+    const transcript = await transcribeAudio(req.body, req.get('Content-Type'), {
+      config,
+      apiKey: process.env.OPENAI_API_KEY,
+      tenant: getTenantKey({ merchandId }),
+    });
+    if (!transcript) return res.status(422).json({ error: 'No se pudo entender el audio' });
+
+    const sessionId = await resolveSessionId(domain, id, requestedSessionId);
+    const assistantMessage = await processChatWithGPT(domain, transcript, process.env.OPENAI_API_KEY, id, email, merchandId, {
+      sessionId,
+      voiceInput: true,
+    });
+    res.json({ transcript, assistantMessage, sessionId });
+  } catch (err) {
+    console.error('Error:', err?.response?.data || err.message);
+    res.status(500).json({ error: 'Error procesando el audio.' });
+  }
+};
+
+/**
+ * Igual que `handleChatRequest`, pero responde con SSE: eventos `token` con el texto de `message`
+ * a medida que se genera (frase a frase, una vez superados los guardarraíles de salida) y un
+ * evento `done` final con la respuesta validada completa. Un evento `reset` indica que el texto
+ * recibido hasta entonces no es el de la respuesta final y se descarta.
+ */
+const handleChatStreamRequest = async (req, res) => {
+  const validationError = validateChatRequest(req);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { domain, userMessage } = req.body;
+  const { id, email, merchandId } = req.user;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Evita que proxies como nginx acumulen la respuesta.
+  });
+  res.flushHeaders();
+
+  // Si el cliente se desconecta se deja de escribir, pero el turno se completa y se guarda igualmente.
+  let clientClosed = false;
+  res.on('close', () => { clientClosed = true; });
+
+  try {
+    const sessionId = await resolveSessionId(domain, id, req.body.sessionId);
+    const assistantMessage = await streamChatWithGPT(domain, userMessage, process.env.OPENAI_API_KEY, id, email, merchandId, {
+      sessionId,
+      onToken: (text) => {
+        if (!clientClosed) writeEvent(res, 'token', { text });
+      },
+      onReset: () => {
+        if (!clientClosed) writeEvent(res, 'reset', {});
+      },
+    });
+    if (!clientClosed) writeEvent(res, 'done', { assistantMessage, sessionId });
   } catch (err) {
     console.error('Error:', err.message);
-    res.status(500).json({ error: 'Error procesando el mensaje.' });
+    if (!clientClosed) writeEvent(res, 'error', { error: 'Error procesando el mensaje.' });
   }
+
+  res.end();
 };
 
-module.exports = { handleChatRequest };
+module.exports = { handleChatRequest, handleVoiceChatRequest, handleAudioChatRequest, handleChatStreamRequest };
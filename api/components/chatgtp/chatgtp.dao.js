@@ -1,11 +1,15 @@
 const { Product } = require('../../../config/database');
 
+// Los productos en la papelera nunca se ofrecen al asistente.
+const NOT_TRASHED = { 'is_trash.status': { $ne: true } };
+
 const getProductsByDomain = async (domain) => {
-  return await Product.find({ domain });
+  return await Product.find({ domain, ...NOT_TRASHED });
 };
 
-const getProductsByIds = async (ids) => {
-  return await Product.find({ _id: { $in: ids } });
+// Con `domain` solo se devuelven productos de ese inquilino (las herramientas reciben IDs del modelo).
+const getProductsByIds = async (ids, domain) => {
+  return await Product.find({ _id: { $in: ids }, ...(domain && { domain }), ...NOT_TRASHED });
 };
 
 module.exports = { getProductsByDomain, getProductsByIds };
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Reglas de traspaso de una conversación a una persona del comercio.
+ *
+ * Una conversación pasa de 'bot' a 'pending_human' cuando el modelo responde con la acción
+ * `handoff` o cuando el mensaje del cliente contiene una palabra clave; pasa a 'human' cuando un
+ * agente responde y vuelve a 'bot' cuando el agente la devuelve. Mientras no está en 'bot', los
+ * mensajes del cliente solo se guardan para el agente. Cada inquilino lo ajusta con
+ * `config.handoff`: `{ enabled, keywords }` (las palabras clave se suman a las de por defecto).
+ * El traspaso solo funciona con `enabled: true`: un comercio sin agentes dejaría al cliente sin
+ * respuesta hasta que alguien devolviera la conversación al bot.
+ */
+
+const { normalizeText } = require('../guardrails/guardrails.patterns');
+
+const HANDOFF_STATES = ['bot', 'pending_human', 'human'];
+const DEFAULT_HANDOFF_KEYWORDS = [
+  'hablar con una persona',
+  'hablar con un humano',
+  'hablar con un agente',
+  'hablar con un asesor',
+  'hablar con alguien',
+  'atencion al cliente',
+  'libro de reclamaciones',
+  'hacer un reclamo',
+  'poner una queja',
+  'pedido personalizado',
+];
+
+/**
+ * Ajustes de traspaso de un inquilino.
+ * @param {Object} [config] - Configuración de negocio del inquilino.
+ * @returns {{enabled: boolean, keywords: Array<string>}}
+ */
+const getHandoffSettings = (config) => {
+  const settings = config?.handoff || {};
+  const custom = Array.isArray(settings.keywords) ? settings.keywords.filter(keyword => typeof keyword === 'string') : [];
+  return {
+    enabled: settings.enabled === true,
+    keywords: [...DEFAULT_HANDOFF_KEYWORDS, ...custom].map(keyword => normalizeText(keyword).trim()).filter(Boolean),
+  };
+};
+
+/**
+ * Busca en el mensaje del cliente una palabra clave que pide hablar con una persona.
+ * @param {string} userMessage
+ * @param {Object} [config]
+ * @returns {string|null} La palabra clave encontrada, o `null` (también si el traspaso está desactivado).
+ */
+const matchHandoffKeyword = (userMessage, config) => {
+  const { enabled, keywords } = getHandoffSettings(config);
+  if (!enabled) return null;
+
+  const normalized = normalizeText(userMessage);
+  return keywords.find(keyword => normalized.includes(keyword)) || null;
+};
+
+/**
+ * Indica si la conversación la atiende (o espera a) una persona en lugar del bot.
+ * @param {string} [state]
+ * @returns {boolean}
+ */
+const isHeldForHuman = state => Boolean(state) && state !== 'bot';
+
+module.exports = {
+  HANDOFF_STATES,
+  getHandoffSettings,
+  matchHandoffKeyword,
+  isHeldForHuman,
+};
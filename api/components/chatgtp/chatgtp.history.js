@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Presupuesto de tokens del historial y resumen acumulado.
+ *
+ * El historial que se envía al LLM se recorta por tokens (no por cantidad de mensajes), así
+ * las respuestas JSON largas no desbordan el contexto. Los mensajes que salen del presupuesto
+ * no se pierden: se condensan en un mensaje de resumen (`kind: 'summary'`) que permanece en la
+ * conversación con las preferencias del cliente y los productos ya comentados.
+ */
+
+const { envNumber } = require('../cache/cache.lru');
+const { countMessageTokens } = require('./chatgtp.tokens');
+
+const DEFAULT_HISTORY_TOKEN_BUDGET = 2000;
+const TRIM_TARGET_RATIO = 0.6; // Al superar el presupuesto se recorta hasta este margen para no resumir en cada turno.
+const SUMMARY_OPTIONS = { temperature: 0, maxTokens: 300, json: false };
+const SUMMARY_HEADER = '### RESUMEN DE LA CONVERSACIÓN ANTERIOR';
+const FALLBACK_LINE_LENGTH = 150;
+
+/**
+ * Presupuesto de tokens del historial: `config.history.tokenBudget` del inquilino o `HISTORY_TOKEN_BUDGET`.
+ * @param {Object} [config] - Configuración de negocio del inquilino.
+ * @returns {number}
+ */
+const getHistoryTokenBudget = config => config?.history?.tokenBudget || envNumber('HISTORY_TOKEN_BUDGET', DEFAULT_HISTORY_TOKEN_BUDGET);
+
+/**
+ * Indica si se archiva la transcripción completa: `config.history.archive` del inquilino o `ARCHIVE_CONVERSATIONS`.
+ * @param {Object} [config] - Configuración de negocio del inquilino.
+ * @returns {boolean}
+ */
+const isArchiveEnabled = config => config?.history?.archive ?? process.env.ARCHIVE_CONVERSATIONS === 'true';
+
+/**
+ * Separa los mensajes que entran en el presupuesto de los que hay que resumir. Siempre se
+ * conserva al menos el último intercambio y el historial conservado nunca empieza con una
+ * respuesta del asistente huérfana.
+ * @param {Array<Object>} messages - Mensajes de usuario y asistente, del más antiguo al más reciente.
+ * @param {number} budget - Tokens permitidos.
+ * @param {string} [model] - Modelo cuyo tokenizador se usa.
+ * @returns {{kept: Array<Object>, dropped: Array<Object>}}
+ */
+const splitByTokenBudget = (messages, budget, model) => {
+  const costs = messages.map(message => countMessageTokens(message, model));
+  const total = costs.reduce((sum, cost) => sum + cost, 0);
+  if (total <= budget) {
+    return { kept: messages, dropped: [] };
+  }
+
+  const target = Math.floor(budget * TRIM_TARGET_RATIO);
+  let start = messages.length;
+  let used = 0;
+  while (start > 0 && (messages.length - start < 2 || used + costs[start - 1] <= target)) {
+    start -= 1;
+    used += costs[start];
+  }
+  while (start < messages.length - 1 && messages[start].role === 'assistant') {
+    start += 1;
+  }
+
+  return { kept: messages.slice(start), dropped: messages.slice(0, start) };
+};
+
+/**
+ * Texto legible de un mensaje guardado (las respuestas del asistente se guardan como JSON).
+ * @param {Object} message
+ * @returns {string}
+ */
+const describeMessage = (message) => {
+  if (message.role !== 'assistant') return `Cliente: ${message.content}`;
+
+  try {
+    const { message: text, action } = JSON.parse(message.content);
+    const product = action?.title ? ` [acción ${action.type}: ${action.title}]` : '';
+    return `Asistente: ${text}${product}`;
+  } catch (parseError) {
+    return `Asistente: ${message.content}`;
+  }
+};
+
+/**
+ * Resumen de respaldo, sin LLM: conserva el resumen previo y lo esencial de cada mensaje descartado.
+ * @param {string} previousSummary
+ * @param {Array<Object>} dropped
+ * @returns {string}
+ */
+const buildFallbackSummary = (previousSummary, dropped) => [
+  previousSummary,
+  ...dropped.map(message => `- ${describeMessage(message).slice(0, FALLBACK_LINE_LENGTH)}`),
+].filter(Boolean).join('\n');
+
+/**
+ * Condensa los mensajes descartados junto con el resumen anterior. Si no hay proveedor o falla,
+ * se usa el resumen de respaldo.
+ * @param {import('../llm/llm.service').LLMProvider} [provider]
+ * @param {string} previousSummary - Resumen acumulado hasta ahora (puede estar vacío).
+ * @param {Array<Object>} dropped - Mensajes que salen del historial.
+ * @returns {Promise<string>}
+ */
+const summarizeMessages = async (provider, previousSummary, dropped) => {
+  if (!provider) return buildFallbackSummary(previousSummary, dropped);
+  const transcript = dropped.map(describeMessage).join('\n');
+
+  try {
+    const summary = await provider.complete([
+      {
+        role: 'system',
+        content: 'Resume en español, en viñetas breves, la conversación entre un cliente y el asistente de una tienda en línea. Conserva las preferencias del cliente (tallas, colores, presupuesto, usos), los productos ya comentados o agregados al carrito y las preguntas pendientes. Integra el resumen anterior si existe. No inventes datos.',
+      },
+      {
+        role: 'user',
+        content: `Resumen anterior:\n${previousSummary || '(ninguno)'}\n\nMensajes nuevos:\n${transcript}`,
+      },
+    ], SUMMARY_OPTIONS);
+
+    if (summary?.trim()) return summary.trim();
+  } catch (err) {
+    console.error('Error al resumir el historial:', err?.response?.data || err.message);
+  }
+
+  return buildFallbackSummary(previousSummary, dropped);
+};
+
+/**
+ * Mensaje de sistema con el que el resumen guardado se envía al LLM.
+ * @param {Object} summaryMessage - Mensaje del historial con `kind: 'summary'`.
+ * @returns {{role: string, content: string}}
+ */
+const buildSummaryPromptMessage = summaryMessage => ({
+  role: 'system',
+  content: `${SUMMARY_HEADER}\n${summaryMessage.content}`,
+});
+
+module.exports = {
+  SUMMARY_HEADER,
+  getHistoryTokenBudget,
+  isArchiveEnabled,
+  splitByTokenBudget,
+  summarizeMessages,
+  buildSummaryPromptMessage,
+};
@@ -1,9 +1,37 @@
 // src/api/chatgtp/chatgtp.router.js
 const express = require('express');
 const router = express.Router();
-const { handleChatRequest } = require('./chatgtp.controller');
+const {
+  handleChatRequest,
+  handleVoiceChatRequest,
+  handleAudioChatRequest,
+  handleChatStreamRequest,
+} = require('./chatgtp.controller');
 const authMiddleware = require('../../../middleware/auth');
+const requireQuota = require('../../../middleware/quota');
+const { AUDIO_TYPES } = require('../stt/stt.service');
 
-router.post('/question', authMiddleware, handleChatRequest);
+// El audio llega como cuerpo binario; `STT_MAX_UPLOAD_MB` limita su tamaño.
+const readAudio = express.raw({
+  type: Object.keys(AUDIO_TYPES),
+  limit: `${Number(process.env.STT_MAX_UPLOAD_MB) || 10}mb`,
+});
+
+/**
+ * Responde en JSON si el audio supera el límite o no se puede leer.
+ */
+const handleAudioUploadError = (err, req, res, next) => {
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'El audio es demasiado grande' });
+  if (err.status === 400 || err.type === 'request.aborted') return res.status(400).json({ error: 'No se pudo leer el audio' });
+  next(err);
+};
+
+const tokenQuota = requireQuota('openai_tokens');
+
+router.post('/question', authMiddleware, tokenQuota, handleChatRequest);
+router.post('/question/stream', authMiddleware, tokenQuota, handleChatStreamRequest);
+router.post('/question/voice', authMiddleware, tokenQuota, requireQuota('polly_characters'), handleVoiceChatRequest);
+// La cuota de audio se comprueba antes de leer la subida.
+router.post('/question/audio', authMiddleware, tokenQuota, requireQuota('stt_bytes'), readAudio, handleAudioUploadError, handleAudioChatRequest);
 
 module.exports = router;
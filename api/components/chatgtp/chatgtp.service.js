@@ -1,5 +1,5 @@
 /**
- * @fileoverview Servicio de chat optimizado para interactuar con la API de OpenAI.
+ * @fileoverview Servicio de chat optimizado para interactuar con un LLM (OpenAI por defecto).
  *
  * Mejoras clave:
  * - Abstracción del historial de chat para escalabilidad (preparado para Redis/DB).
@@ -9,20 +9,72 @@
  * - Código más limpio, modular y comentado.
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const moment = require('moment-timezone');
 require('dotenv').config();
 const { getProductsByDomain, getProductsByIds } = require('./chatgtp.dao');
-const { searchProducts } = require('../vector-search/vector.service');
-const { Conversation } = require('../../../config/database');
+const { searchProducts, hybridSearchProducts } = require('../vector-search/vector.service');
+const { validateAssistantReply, buildRepairPrompt } = require('./chatgtp.validator');
+const { createMessageExtractor, createGuardedStream } = require('./chatgtp.stream');
+const { TOOL_DEFINITIONS, executeToolCall } = require('./chatgtp.tools');
+const {
+  getHistoryTokenBudget,
+  isArchiveEnabled,
+  splitByTokenBudget,
+  summarizeMessages,
+  buildSummaryPromptMessage,
+} = require('./chatgtp.history');
+const {
+  MAX_ALTERNATIVES,
+  isProductPurchasable,
+  getUnavailableMode,
+  describeAvailability,
+  buildOutOfStockReply,
+} = require('./chatgtp.availability');
+const { describeAttributes, describeVariations } = require('./chatgtp.variations');
+const { EMPTY_ACTION } = require('./chatgtp.actions');
+const { getHandoffSettings, matchHandoffKeyword, isHeldForHuman } = require('./chatgtp.handoff');
+const { getLLMProvider } = require('../llm/llm.service');
+const { trackProviderUsage, observeProviderUsage, getTenantKey } = require('../usage/usage.service');
+const { getTenantTemplate, renderTemplate, invalidateTemplateCache } = require('../prompt-templates/template.service');
+const { getCart, addToCart, removeFromCart, itemFromAction, describeCart } = require('../cart/cart.service');
+const { checkUserMessage, checkAssistantReply, redactReply, recordGuardrailEvent } = require('../guardrails/guardrails.service');
+const { emitWebhookEvent } = require('../webhooks/webhooks.service');
+const { recordChatEvent } = require('../analytics/analytics.service');
+const { redactPII } = require('../guardrails/guardrails.patterns');
+const { DEFAULT_TEMPLATE, getBusinessInfo } = require('../prompt-templates/template.defaults');
+const { createLRUCache, envNumber } = require('../cache/cache.lru');
+const { Conversation, ConversationArchive } = require('../../../config/database');
 
 // --- Configuración Centralizada ---
 // Mover constantes a un solo lugar facilita su modificación y mantenimiento.
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-const OPENAI_MODEL = 'gpt-4o';
-const MAX_HISTORY_LENGTH = 10; // Mantiene el sistema (prompt) + los últimos 9 intercambios.
-const CONFIG_CACHE = new Map(); // Caché para la configuración de negocio.
-const PRODUCT_CACHE = new Map(); // Caché para los productos por dominio.
+const CHAT_OPTIONS = { temperature: 0.2, maxTokens: 500, json: true }; // Pide al proveedor una salida JSON.
+const MAX_TOOL_ROUNDS = envNumber('LLM_MAX_TOOL_ROUNDS', 3); // Rondas de herramientas por turno antes de exigir la respuesta.
+const CACHE_MAX_TENANTS = envNumber('CACHE_MAX_TENANTS', 100); // Inquilinos que se mantienen en memoria.
+// Caché para la configuración de negocio.
+const CONFIG_CACHE = createLRUCache({ max: CACHE_MAX_TENANTS, ttlMs: envNumber('CONFIG_CACHE_TTL_MS', 10 * 60 * 1000) });
+// Caché para los productos por dominio.
+const PRODUCT_CACHE = createLRUCache({ max: CACHE_MAX_TENANTS, ttlMs: envNumber('PRODUCT_CACHE_TTL_MS', 5 * 60 * 1000) });
+const CATALOG_SECTION_HEADER = '### CATÁLOGO DISPONIBLE'; // Encabezado del bloque de recuperación.
+const CART_SECTION_HEADER = '### CARRITO ACTUAL';
+
+// Respuestas fijas por defecto que se devuelven sin consultar a la IA (cada plantilla puede cambiarlas).
+const FALLBACK_REPLIES = DEFAULT_TEMPLATE.fallbackReplies;
+// Los `sessionId` que envía el cliente van a filtros y upserts de Mongo: solo cadenas cortas (p. ej. UUID).
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Indica si un `sessionId` recibido del cliente es válido.
+ * @param {*} sessionId
+ * @returns {boolean}
+ */
+const isValidSessionId = sessionId => typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+
+// Resúmenes del historial en curso por sesión. Se calculan después de responder y se encadenan
+// para que cada uno parta del anterior.
+const pendingSummaries = new Map();
+const summaryKey = (domain, userId, sessionId) => JSON.stringify([domain, userId, sessionId]);
 
 /**
  * --- Gestión de Historial (Abstracción para Escalabilidad) ---
@@ -34,43 +86,190 @@ const PRODUCT_CACHE = new Map(); // Caché para los productos por dominio.
  */
 const chatHistoryManager = {
   /**
-   * Obtiene el historial de una conversación por dominio y usuario desde MongoDB.
+   * Devuelve el `sessionId` de la conversación a usar: el indicado por el cliente o, si no se
+   * indica, el de la sesión más reciente del usuario en el dominio. Si no hay ninguna, genera uno nuevo.
+   * @param {string} domain - El identificador del inquilino (tenant).
+   * @param {string} userId - El ID del usuario.
+   * @param {string} [sessionId] - La sesión solicitada por el cliente (ver `isValidSessionId`).
+   * @returns {Promise<string>}
+   */
+  async resolveSessionId(domain, userId, sessionId) {
+    if (sessionId !== undefined && sessionId !== null && !isValidSessionId(sessionId)) {
+      throw new Error('sessionId inválido');
+    }
+    if (sessionId) return sessionId;
+
+    const latest = await Conversation.findOne({ domain, userId }, { sessionId: 1 }).sort({ updatedAt: -1 });
+    return latest?.sessionId || crypto.randomUUID();
+  },
+
+  /**
+   * Obtiene el historial de una sesión de conversación desde MongoDB.
    * @param {string} domain - El identificador del inquilino (tenant).
    * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
    * @returns {Promise<Array<Object>|null>} El historial de mensajes.
    */
-  async getHistory(domain, userId) {
-    const conversation = await Conversation.findOne({ domain, userId });
+  async getHistory(domain, userId, sessionId) {
+    // Un resumen pendiente reescribe el historial: se espera a que termine antes de leerlo.
+    await this.waitForSummary(domain, userId, sessionId);
+    const conversation = await Conversation.findOne({ domain, userId, sessionId });
     return conversation ? conversation.messages : null;
   },
 
   /**
-   * Actualiza o crea el historial de una conversación en MongoDB.
+   * Obtiene quién atiende una sesión de conversación.
    * @param {string} domain - El identificador del inquilino.
    * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
+   * @returns {Promise<'bot'|'pending_human'|'human'>} 'bot' si la sesión no existe o nunca se traspasó.
+   */
+  async getHandoffState(domain, userId, sessionId) {
+    const conversation = await Conversation.findOne({ domain, userId, sessionId }, { handoff: 1 }).lean();
+    return conversation?.handoff?.state || 'bot';
+  },
+
+  /**
+   * Deja una sesión de conversación esperando a un agente del comercio.
+   * @param {string} domain - El identificador del inquilino.
+   * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
+   * @param {'action'|'keyword'} reason - Qué pidió el traspaso: el modelo o una palabra clave.
+   * @returns {Promise<string|null>} El ID de la conversación.
+   */
+  async requestHandoff(domain, userId, sessionId, reason) {
+    const conversation = await Conversation.findOneAndUpdate(
+      { domain, userId, sessionId },
+      { $set: { handoff: { state: 'pending_human', reason, requestedAt: new Date() } } },
+      { projection: { _id: 1 } }
+    ).lean();
+    return conversation ? conversation._id.toString() : null;
+  },
+
+  /**
+   * Actualiza o crea el historial de una sesión de conversación en MongoDB.
+   * @param {string} domain - El identificador del inquilino.
+   * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
    * @param {string} userEmail - El email del usuario.
    * @param {Array<Object>} messages - El array completo de nuevos mensajes.
+   * @param {string} [merchandId] - El ID del comercio (necesario al crear la conversación).
    */
-  async setHistory(domain, userId, userEmail, messages, merchandId) {
+  async setHistory(domain, userId, sessionId, userEmail, messages, merchandId) {
+    const update = { userEmail, messages };
+    if (merchandId) update.merchandId = merchandId;
+
     await Conversation.findOneAndUpdate(
-      { domain, userId },
-      { userEmail, messages, merchandId },
+      { domain, userId, sessionId },
+      update,
       { new: true, upsert: true }
     );
   },
 
   /**
-   * Añade mensajes al historial existente en MongoDB, manteniendo el tamaño máximo.
+   * Guarda mensajes en la transcripción completa de la sesión (colección de archivo), un
+   * documento por mensaje.
+   * @param {string} domain - El identificador del inquilino.
+   * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
+   * @param {string} userEmail - El email del usuario.
+   * @param {string} [merchandId] - El ID del comercio.
+   * @param {Array<Object>} messages - Mensajes de usuario y asistente con su `timestamp`.
+   */
+  async archiveMessages(domain, userId, sessionId, userEmail, merchandId, messages) {
+    await ConversationArchive.insertMany(messages.map(({ role, content, voiceInput, agentId, timestamp }) => ({
+      domain, merchandId, userId, sessionId, userEmail, role, content, voiceInput, agentId, timestamp,
+    })));
+  },
+
+  /**
+   * Espera a que termine el resumen pendiente de una sesión, si lo hay.
+   * @param {string} domain - El identificador del inquilino.
+   * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
+   * @returns {Promise<void>}
+   */
+  async waitForSummary(domain, userId, sessionId) {
+    await pendingSummaries.get(summaryKey(domain, userId, sessionId));
+  },
+
+  /**
+   * Programa, fuera de la petición en curso, la condensación de los mensajes que salieron del
+   * historial en el mensaje de resumen.
+   * @param {string} domain - El identificador del inquilino.
+   * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
+   * @param {import('../llm/llm.service').LLMProvider} [provider] - Proveedor que resume.
+   * @param {Array<Object>} dropped - Mensajes que salieron del historial.
+   */
+  scheduleSummary(domain, userId, sessionId, provider, dropped) {
+    const key = summaryKey(domain, userId, sessionId);
+    const task = (pendingSummaries.get(key) || Promise.resolve())
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(() => this.updateSummary(domain, userId, sessionId, provider, dropped))
+      .catch(err => console.error('Error al guardar el resumen del historial:', err.message))
+      .finally(() => {
+        if (pendingSummaries.get(key) === task) pendingSummaries.delete(key);
+      });
+    pendingSummaries.set(key, task);
+  },
+
+  /**
+   * Condensa los mensajes descartados con el resumen guardado y reemplaza (o inserta tras el
+   * prompt del sistema) el mensaje de resumen, sin tocar el resto del historial.
+   * @param {string} domain - El identificador del inquilino.
+   * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
+   * @param {import('../llm/llm.service').LLMProvider} [provider] - Proveedor que resume.
+   * @param {Array<Object>} dropped - Mensajes que salieron del historial.
+   */
+  async updateSummary(domain, userId, sessionId, provider, dropped) {
+    const conversation = await Conversation.findOne({ domain, userId, sessionId }, { messages: 1 }).lean();
+    if (!conversation) return;
+
+    const previous = conversation.messages.find(m => m.kind === 'summary');
+    const summaryMessage = {
+      role: 'system',
+      kind: 'summary',
+      content: await summarizeMessages(provider, previous?.content, dropped),
+      timestamp: moment().tz(process.env.TIMEZONE || 'UTC').toDate(),
+    };
+
+    if (previous) {
+      await Conversation.updateOne(
+        { domain, userId, sessionId, 'messages.kind': 'summary' },
+        { $set: { 'messages.$': summaryMessage } }
+      );
+      return;
+    }
+
+    const hasSystemPrompt = conversation.messages[0]?.role === 'system';
+    await Conversation.updateOne(
+      { domain, userId, sessionId },
+      { $push: { messages: { $each: [summaryMessage], $position: hasSystemPrompt ? 1 : 0 } } }
+    );
+  },
+
+  /**
+   * Añade mensajes al historial existente en MongoDB, manteniéndolo dentro del presupuesto de
+   * tokens. Los mensajes que salen del presupuesto se condensan en el mensaje de resumen después
+   * de responder (ver `scheduleSummary`).
    * @param {string} domain - El identificador del inquilino.
    * @param {string} userId - El ID del usuario.
+   * @param {string} sessionId - El ID de la sesión.
    * @param {string} userEmail - El email del usuario.
    * @param {Array<Object>} newMessages - Array de nuevos mensajes a añadir (usuario y/o asistente).
+   * @param {Object} [options]
+   * @param {import('../llm/llm.service').LLMProvider} [options.provider] - Proveedor que resume y cuyo modelo
+   *   determina el tokenizador; sin él se usa un resumen extractivo.
+   * @param {Object} [options.config] - Configuración del inquilino (presupuesto y archivo).
+   * @param {string} [options.merchandId] - El ID del comercio, para el archivo.
    * @returns {Promise<Array<Object>>} El historial actualizado.
    */
-  async appendToHistory(domain, userId, userEmail, newMessages) {
-    const currentHistory = (await this.getHistory(domain, userId)) || [];
+  async appendToHistory(domain, userId, sessionId, userEmail, newMessages, { provider, config, merchandId } = {}) {
+    const currentHistory = (await this.getHistory(domain, userId, sessionId)) || [];
     if (currentHistory.length === 0) {
-      console.warn(`Historial para ${domain} y usuario ${userId} se está añadiendo sin haber sido inicializado.`);
+      console.warn(`Historial para ${domain}, usuario ${userId} y sesión ${sessionId} se está añadiendo sin haber sido inicializado.`);
     }
 
     const timezone = process.env.TIMEZONE || 'UTC';
@@ -79,20 +278,23 @@ const chatHistoryManager = {
       timestamp: moment().tz(timezone).toDate(),
     }));
 
-    const updatedHistory = [...currentHistory, ...messagesWithTimestamp];
-
-    // Poda el historial si excede el límite, pero siempre conserva el mensaje del sistema.
-    if (updatedHistory.length > MAX_HISTORY_LENGTH) {
-      const systemMessage = updatedHistory.find(m => m.role === 'system');
-      const conversation = updatedHistory.filter(m => m.role !== 'system');
-      const prunedConversation = conversation.slice(-MAX_HISTORY_LENGTH + 1);
-      const finalHistory = [systemMessage, ...prunedConversation];
-      await this.setHistory(domain, userId, userEmail, finalHistory);
-      return finalHistory;
+    if (isArchiveEnabled(config)) {
+      await this.archiveMessages(domain, userId, sessionId, userEmail, merchandId, messagesWithTimestamp);
     }
 
-    await this.setHistory(domain, userId, userEmail, updatedHistory);
-    return updatedHistory;
+    // El prompt del sistema y el resumen se conservan siempre; solo se recorta la conversación.
+    const systemMessage = currentHistory.find(m => m.role === 'system' && m.kind !== 'summary');
+    const summaryMessage = currentHistory.find(m => m.kind === 'summary');
+    const conversation = [...currentHistory.filter(m => m.role !== 'system'), ...messagesWithTimestamp];
+
+    const { kept, dropped } = splitByTokenBudget(conversation, getHistoryTokenBudget(config), provider?.chatModel);
+    const finalHistory = [systemMessage, summaryMessage, ...kept].filter(Boolean);
+    await this.setHistory(domain, userId, sessionId, userEmail, finalHistory);
+
+    if (dropped.length) {
+      this.scheduleSummary(domain, userId, sessionId, provider, dropped);
+    }
+    return finalHistory;
   },
 };
 
@@ -121,108 +323,232 @@ const fetchConfig = async (domain) => {
 };
 
 /**
- * Construye el mensaje del sistema para el asistente IA usando plantillas literales para mayor legibilidad.
+ * Construye la parte estática del mensaje del sistema (persona y reglas) a partir de la plantilla del inquilino.
+ * No incluye el catálogo: los productos relevantes se inyectan en cada turno con `buildCatalogMessage`.
  * @param {string} domain
- * @param {string} productDescriptions
  * @param {Object} infoBusiness
+ * @param {Object} [template] - Plantilla efectiva del inquilino (ver `getTenantTemplate`).
  * @returns {string}
  */
-const buildSystemMessage = (domain, productDescriptions, infoBusiness) => {
-  // Sanitiza la información para evitar conflictos de formato en el string.
-  const safeBusinessInfo = JSON.stringify(infoBusiness, null, 2);
-  const safeProductDescriptions = JSON.stringify(productDescriptions, null, 2);
-
-  // El uso de plantillas literales (`) mejora drásticamente la legibilidad y mantenimiento del prompt.
-  return `Eres un asistente de ventas experto, amable y consultivo para la tienda "${domain}", que se especializa en comercio electrónico. Usa únicamente la siguiente información de la empresa: ${safeBusinessInfo}. Tu propósito es ayudar a los usuarios de manera clara, segura y personalizada, siguiendo estrictamente las reglas y formatos establecidos.
-
----
-
-### REGLA DE ORO: PREGUNTA ANTES DE ACTUAR
-NUNCA ejecutes una acción final como "go_to_url" o "add_to_cart" o "show_product" en tu primera respuesta. Primero informa y luego pregunta al usuario si desea continuar. Solo si el usuario responde de forma afirmativa y explícita, podrás ejecutar la acción en el siguiente turno. Prohibido inventar productos, descripciones o enlaces. Solo responde usando los productos proporcionados. Si un producto no está, informa amablemente que no lo tienes.
-
----
-
-### RESPUESTAS ANTE PRODUCTOS NO ENCONTRADOS
-- message: "No encontré ese producto en nuestro catálogo actual. ¿Quizás tienes otro en mente o te gustaría explorar nuestras categorías?"
-- audio_description: "No tengo ese producto por ahora. ¿Quieres que busquemos otro parecido?"
-- action.type: "none"
-
----
-
-### CANALES DE RESPUESTA DISPONIBLES
-1. "message": Texto visual mostrado al usuario. No links, no botones, no html
-2. "audio_description": Frase hablada. No menciones botones, links ni elementos visuales.
----
-### FORMATO DE RESPUESTA (JSON plano OBLIGATORIO)
-\`\`\`json
-{
-  "message": "Texto para el chat visual. No links, no botones, no html",
-  "audio_description": "Frase hablada. No menciones botones, links ni elementos visuales.",
-  "action": {
-    "type": "add_to_cart | go_to_url | show_product | none",
-    "productId": "ID del producto o null",
-    "quantity": "número o null",
-    "url": "URL completa o null",
-    "price_sale": Precio de oferta o null,
-    "title": Titulo del producto o null,
-    "price_regular":Precio normal o null,
-    "image": Imagen del producto o null,
-    "slug": Slug del producto o null
-  }
-}
-\`\`\`
----
-
-IMPORTANTE: 
-Devuelve únicamente JSON plano válido. 
-No uses comillas simples, no uses comentarios, no uses.
+const buildSystemMessage = (domain, infoBusiness, template = DEFAULT_TEMPLATE) => {
+  return renderTemplate(template.systemPrompt, {
+    domain,
+    businessInfo: JSON.stringify(getBusinessInfo(infoBusiness), null, 2),
+    tone: template.tone,
+    language: template.language,
+    currency: template.currency,
+    greeting: template.greeting,
+    actionTypes: template.allowedActions.join(' | '),
+    notFoundMessage: template.phrases.notFound.message,
+    notFoundAudio: template.phrases.notFound.audio_description,
+    catalogOverviewMessage: template.phrases.catalogOverview.message,
+    catalogOverviewAudio: template.phrases.catalogOverview.audio_description,
+  });
+};
 
+/**
+ * Construye el mensaje de recuperación con los productos relevantes para la pregunta actual.
+ * Se genera en cada turno y nunca se guarda en el historial.
+ * @param {string} productDescriptions
+ * @param {Object} [options]
+ * @param {boolean} [options.tools] - Si el modelo puede consultar el catálogo con herramientas.
+ * @param {Object} [options.template] - Plantilla efectiva del inquilino.
+ * @returns {string}
+ */
+const buildCatalogMessage = (productDescriptions, { tools = false, template = DEFAULT_TEMPLATE } = {}) => {
+  const toolsHint = tools
+    ? '\nSi necesitas otros productos, más detalles, comparar o conocer las categorías, usa las herramientas del catálogo en lugar de suponer.'
+    : '';
+
+  // El encabezado es fijo: la migración 001 lo usa para reconocer el bloque del catálogo.
+  return `${CATALOG_SECTION_HEADER}
+${renderTemplate(template.catalogPrompt, {
+    catalog: JSON.stringify(productDescriptions, null, 2),
+    currency: template.currency,
+    toolsHint,
+  })}`;
+};
 
-### COMPORTAMIENTO INTELIGENTE
+/**
+ * Construye el mensaje con el carrito actual del cliente y cómo usar las acciones de carrito
+ * que permite la plantilla. Como el catálogo, se genera en cada turno y no se guarda.
+ * @param {Object} cart - Carrito devuelto por `getCart`.
+ * @param {Object} [template] - Plantilla efectiva del inquilino.
+ * @returns {string}
+ */
+const buildCartMessage = (cart, template = DEFAULT_TEMPLATE) => {
+  const allowed = type => template.allowedActions.includes(type);
+  const hints = [
+    'Usa este carrito para responder qué tiene el cliente, cuántas unidades y cuánto suma; no lo inventes.',
+    allowed('add_to_cart') && 'Si el cliente pide un producto que ya está en el carrito, avísale y pregunta si quiere más unidades antes de usar "add_to_cart": las unidades se suman a las que ya tiene.',
+    allowed('view_cart') && 'Si el cliente quiere ver su carrito, resume su contenido y usa action.type "view_cart" (no requiere confirmación).',
+    allowed('remove_from_cart') && 'Para quitar un producto usa "remove_from_cart" con su "productId" (y "variationId" si corresponde) y en "quantity" las unidades a quitar, o null para quitarlo por completo.',
+  ].filter(Boolean);
+
+  return `${CART_SECTION_HEADER}
+${describeCart(cart, { currency: template.currency })}
+${hints.join('\n')}`;
+};
 
-**Consultas generales sobre el catálogo:**
-- message: "Tenemos una gran variedad. Te recomiendo explorar nuestras categorías. ¿Hay algo específico que te interese?"
-- audio_description: "Hay muchos productos. ¿Qué te interesa en particular?"
-- action.type: "none"
+/**
+ * Envía los mensajes al proveedor de LLM y devuelve el contenido crudo de la respuesta.
+ * @param {Array<Object>} messages
+ * @param {import('../llm/llm.service').LLMProvider} provider
+ * @returns {Promise<string>}
+ */
+const requestCompletion = (messages, provider) => provider.complete(messages, CHAT_OPTIONS);
 
----
+/**
+ * Obtiene la respuesta final del modelo dejándole consultar el catálogo con herramientas.
+ * Tras `MAX_TOOL_ROUNDS` rondas se le pide que responda sin más herramientas.
+ * @param {Object} turn - Contexto devuelto por `prepareChatTurn`.
+ * @param {function(Array<Object>, Object): Promise<import('../llm/llm.service').ToolCompletion>} complete -
+ *   `completeWithTools` del proveedor o su variante en streaming.
+ * @returns {Promise<string>} El contenido crudo de la respuesta final.
+ */
+const runToolLoop = async (turn, complete) => {
+  const messages = [...turn.messagesForAPI];
+  const options = { ...CHAT_OPTIONS, tools: TOOL_DEFINITIONS };
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round += 1) {
+    const { content, toolCalls } = await complete(messages, { ...options, toolChoice: 'auto' });
+    if (!toolCalls.length) return content;
+
+    messages.push({
+      role: 'assistant',
+      content: content || null,
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments },
+      })),
+    });
+    for (const call of toolCalls) {
+      const result = await executeToolCall(turn, call);
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
 
-### FLUJO PARA PRODUCTOS
+  const { content } = await complete(messages, { ...options, toolChoice: 'none' });
+  return content;
+};
 
-**Producto EXISTENTE:**
-1. Menciona detalles del producto.
-2. Si te pregunta por un producto en especifico o te pide recomendaciones de productos usa este tipo de respuesta o dice que quiere ver el producto - ### FORMATO DE RESPUESTA PARA MOSTRAR PRODUCTOS 
-3. Pregunta si desea verlo o agregarlo al carrito.
-3.1 Si responde que si desea verlo usa: ### FORMATO DE RESPUESTA PARA MOSTRAR PRODUCTOS con la URL del producto
-4. No ejecutes ninguna acción aún.
-Ejemplo:
-- message: "El Reloj Smart XY tiene monitor de ritmo cardíaco y batería de larga duración. ¿Deseas verlo?"
-- audio_description: "Este reloj tiene monitor de ritmo y buena batería. ¿Quieres verlo?"
+/**
+ * Construye una respuesta fija con acción `none`.
+ * @param {keyof FALLBACK_REPLIES} kind
+ * @param {Object} [template] - Plantilla efectiva del inquilino.
+ * @returns {Object}
+ */
+const buildFallbackReply = (kind, template = DEFAULT_TEMPLATE) => ({
+  ...template.fallbackReplies[kind],
+  action: { ...EMPTY_ACTION },
+});
 
-**Producto NO EXISTENTE:**
-- message: "No tengo información sobre ese producto. ¿Quieres que busquemos otro parecido o te muestro nuestras categorías?"
-- audio_description: "No encontré ese producto. ¿Buscamos otro similar?"
-- action.type: "none"
+/**
+ * Respuesta fija con la que el bot pasa la conversación a una persona.
+ * @param {Object} [template] - Plantilla efectiva del inquilino.
+ * @returns {Object}
+ */
+const buildHandoffReply = (template = DEFAULT_TEMPLATE) => ({
+  ...buildFallbackReply('handoff', template),
+  action: { ...EMPTY_ACTION, type: 'handoff' },
+});
 
----
+/**
+ * Pasa la sesión de un turno a una persona y avisa a los webhooks del comercio.
+ * @param {{domain: string, userId: string, merchandId: string, sessionId: string}} turn
+ * @param {'action'|'keyword'} reason
+ */
+const startHandoff = async ({ domain, userId, merchandId, sessionId }, reason) => {
+  const conversationId = await chatHistoryManager.requestHandoff(domain, userId, sessionId, reason);
+  await emitWebhookEvent('handoff.requested', { domain, merchandId }, { conversationId, sessionId, userId, reason });
+};
 
-### CATÁLOGO DISPONIBLE
-Usa solo esta información para responder. No inventes productos, características ni URL:
-${safeProductDescriptions}`;
+/**
+ * Registra el turno para la analítica del comercio.
+ * @param {Object} turn - Contexto del turno; si terminó sin consultar a la IA, solo sus datos básicos.
+ * @param {Object} reply - Respuesta entregada al cliente.
+ * @param {Object} [result]
+ * @param {boolean} [result.notFound] - El bot respondió que no encontró el producto.
+ * @param {string} [result.fallback] - Clave de `fallbackReplies` si la respuesta es fija.
+ */
+const recordTurn = (turn, reply, { notFound = false, fallback } = {}) => {
+  const { domain, merchandId, userId, sessionId, userMessage, voiceInput, startedAt, productIds, tokens } = turn;
+  let outcome = notFound ? 'not_found' : 'answered';
+  if (fallback) outcome = 'fallback';
+
+  return recordChatEvent({
+    domain,
+    merchandId,
+    userId,
+    sessionId,
+    query: userMessage,
+    productIds,
+    actionType: reply.action.type,
+    actionProductId: reply.action.productId,
+    outcome,
+    fallback,
+    latencyMs: Date.now() - startedAt,
+    tokens,
+    voiceInput,
+  });
 };
 
+/**
+ * Intenta parsear la respuesta del asistente como un objeto JSON.
+ * @param {string} rawResponse
+ * @returns {Object|null} El objeto parseado o `null` si no es JSON válido.
+ */
+const parseAssistantResponse = (rawResponse) => {
+  try {
+    const parsed = JSON.parse(rawResponse);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (parseError) {
+    return null;
+  }
+};
 
 /**
- * Procesa un mensaje del usuario con contexto multitenant.
+ * Prepara un turno de conversación: carga el catálogo, busca los productos relevantes
+ * y construye los mensajes que se enviarán al LLM.
  * @param {string} domain
  * @param {string} userMessage
  * @param {string} apiKey
  * @param {string} userId
  * @param {string} userEmail
- * @returns {Promise<Object>}
+ * @param {string} merchandId
+ * @param {Object} options
+ * @param {string} options.sessionId - Sesión ya resuelta con `resolveSessionId`.
+ * @param {boolean} [options.voiceInput] - El mensaje es la transcripción de un audio del cliente.
+ * @returns {Promise<Object>} El contexto del turno o `{ reply }` si no es necesario llamar a la IA
+ *   (`reply` es `null` si la conversación la atiende una persona: el mensaje solo se guarda).
  */
-const processChatWithGPT = async (domain, userMessage, apiKey, userId, userEmail, merchandId) => {
-  // 1. Carga de productos desde el caché o la base de datos.
+const prepareChatTurn = async (domain, userMessage, apiKey, userId, userEmail, merchandId, options) => {
+  const startedAt = Date.now();
+  const { sessionId } = options;
+  // Sin sesión válida los upserts del historial crearían conversaciones sin `sessionId`.
+  if (!isValidSessionId(sessionId)) throw new Error('sessionId inválido');
+
+  // 1. Configuración del negocio y plantilla del asistente (pueden variar por inquilino).
+  const config = await fetchConfig(domain);
+  const tenantTemplate = await getTenantTemplate(domain, config);
+  // Sin traspaso activado el modelo no puede pedir una persona.
+  const template = getHandoffSettings(config).enabled
+    ? tenantTemplate
+    : { ...tenantTemplate, allowedActions: tenantTemplate.allowedActions.filter(type => type !== 'handoff') };
+
+  const voiceInput = Boolean(options.voiceInput);
+  const userEntry = { role: 'user', content: redactPII(userMessage), ...(voiceInput ? { voiceInput } : {}) };
+  // Datos del turno para la analítica si termina antes de consultar a la IA.
+  const baseTurn = { domain, merchandId, userId, sessionId, userMessage, voiceInput, startedAt };
+
+  // Mientras una persona atiende la conversación (o se la espera), el mensaje solo se guarda para ella.
+  if (isHeldForHuman(await chatHistoryManager.getHandoffState(domain, userId, sessionId))) {
+    await chatHistoryManager.appendToHistory(domain, userId, sessionId, userEmail, [userEntry], { config, merchandId });
+    return { reply: null };
+  }
+
+  // 2. Carga de productos desde el caché o la base de datos.
   let allProducts = PRODUCT_CACHE.get(domain);
   if (!allProducts) {
     allProducts = await getProductsByDomain(domain);
@@ -230,109 +556,447 @@ const processChatWithGPT = async (domain, userMessage, apiKey, userId, userEmail
   }
 
   if (!allProducts?.length) {
-    return {
-      message: 'No hay productos disponibles para esta tienda en este momento.',
-      audio_description: 'El catálogo de esta tienda está vacío.',
-      action: { type: 'none' },
-    };
+    const reply = buildFallbackReply('emptyCatalog', template);
+    await recordTurn(baseTurn, reply, { fallback: 'emptyCatalog' });
+    return { reply };
+  }
+
+  // Los intentos de inyección y los mensajes inapropiados no llegan al modelo.
+  const inputCheck = await checkUserMessage(userMessage, { config, apiKey });
+  if (inputCheck.blocked) {
+    await recordGuardrailEvent({
+      domain, merchandId, userId, sessionId, stage: 'input', reason: inputCheck.reason, detail: inputCheck.detail, text: userMessage,
+    });
+    const reply = buildFallbackReply('blocked', template);
+    await recordTurn(baseTurn, reply, { fallback: 'blocked' });
+    return { reply };
+  }
+
+  const systemMessage = buildSystemMessage(domain, config, template);
+  let conversation = await chatHistoryManager.getHistory(domain, userId, sessionId);
+
+  // Si no hay historial, se crea solo con la parte estática del prompt; el catálogo nunca se persiste.
+  if (!conversation?.length) {
+    conversation = [{ role: 'system', content: systemMessage }];
+    await chatHistoryManager.setHistory(domain, userId, sessionId, userEmail, conversation, merchandId);
+    await emitWebhookEvent('conversation.started', { domain, merchandId }, { sessionId, userId, userEmail });
+  }
+
+  // Las palabras clave de traspaso (reclamos, pedir una persona...) no pasan por la IA.
+  if (matchHandoffKeyword(userMessage, config)) {
+    const reply = buildHandoffReply(template);
+    await chatHistoryManager.appendToHistory(domain, userId, sessionId, userEmail, [
+      userEntry,
+      { role: 'assistant', content: JSON.stringify(reply) },
+    ], { config, merchandId });
+    await startHandoff({ domain, userId, merchandId, sessionId }, 'keyword');
+    await recordTurn(baseTurn, reply, { fallback: 'handoff' });
+    return { reply };
   }
 
-  // 2. Búsqueda vectorial para encontrar los productos más relevantes.
-  const relevantProductIds = await searchProducts(domain, allProducts, userMessage, apiKey);
+  // Los tokens de cada llamada se imputan a la cuota mensual del comercio y se suman a los del turno.
+  const tokens = { prompt: 0, completion: 0, total: 0 };
+  const provider = observeProviderUsage(
+    trackProviderUsage(getLLMProvider({ config, apiKey }), getTenantKey({ merchandId })),
+    (usage) => {
+      tokens.prompt += usage?.prompt_tokens || 0;
+      tokens.completion += usage?.completion_tokens || 0;
+      tokens.total += usage?.total_tokens || 0;
+    }
+  );
+
+  // 3. Búsqueda híbrida (filtros de precio/categoría, palabras clave y similitud vectorial).
+  // La búsqueda devuelve candidatos de sobra para compensar los productos agotados que se excluyan.
+  const unavailableMode = getUnavailableMode(config);
+  const { productIds: relevantProductIds, query } = await hybridSearchProducts(domain, allProducts, userMessage, provider);
 
-  // 3. Recupera solo la información de los productos relevantes.
+  // 4. Recupera solo la información de los productos relevantes.
   // Nos aseguramos de que los productos recuperados mantengan el orden de relevancia de la búsqueda.
-  const relevantProducts = await getProductsByIds(relevantProductIds).then(products =>
-    products.sort((a, b) => relevantProductIds.indexOf(a._id.toString()) - relevantProductIds.indexOf(b._id.toString()))
+  const relevantProducts = await getProductsByIds(relevantProductIds, domain).then(products => products
+    .sort((a, b) => relevantProductIds.indexOf(a._id.toString()) - relevantProductIds.indexOf(b._id.toString()))
+    .filter(p => unavailableMode === 'mark' || isProductPurchasable(p))
+    .slice(0, query.k)
   );
 
-  // 4. Construye la descripción de los productos para el prompt.
+  // 5. Construye la descripción de los productos para el prompt.
   const productDescriptions = relevantProducts.map((p) => {
     const clean = (str) => (str || '').replace(/\r?\n|\r/g, ' ').replace(/"/g, "'");
-    return `ID: ${p._id}, Nombre: "${clean(p.title)}", Precio: S/${p.price?.regular ?? 'N/A'}, Oferta: S/${p.price?.sale ?? 'N/A'}, Descripción: ${clean(p.description_short)}, URL: /product/${p.slug}, IMAGEN: ${p.image_default[0]}, SLUG: ${p.slug}`;
+    const attributes = describeAttributes(p);
+    const variations = describeVariations(p, { currency: template.currency });
+    return `ID: ${p._id}, Nombre: "${clean(p.title)}", Precio: ${template.currency}${p.price?.regular ?? 'N/A'}, Oferta: ${template.currency}${p.price?.sale ?? 'N/A'}, Descripción: ${clean(p.description_short)}, URL: /product/${p.slug}, IMAGEN: ${p.image_default?.[0]}, SLUG: ${p.slug}, Disponibilidad: ${describeAvailability(p)}`
+      + (attributes ? `, Atributos: ${clean(attributes)}` : '')
+      + (variations ? `, Variaciones: ${clean(variations)}` : '');
   }).join(' | ');
 
-  const config = await fetchConfig(domain);
-
-  let conversation = await chatHistoryManager.getHistory(domain, userId);
-
-  // Si no hay historial, se crea con el prompt del sistema.
-  if (!conversation) {
-    const systemMessage = buildSystemMessage(domain, productDescriptions, config);
-    conversation = [{ role: 'system', content: systemMessage }];
-    await chatHistoryManager.setHistory(domain, userId, userEmail, conversation, merchandId);
-  }
+  // El prompt se reconstruye en cada turno: persona y reglas + catálogo relevante para esta pregunta.
+  const catalogMessage = buildCatalogMessage(productDescriptions, { tools: provider.supportsTools, template });
+
+  const cart = await getCart(domain, userId);
+  const cartMessage = buildCartMessage(cart, template);
+
+  // El mensaje de sistema guardado se ignora a favor del recién construido (puede venir de una versión anterior).
+  const summaryMessage = conversation.find(m => m.kind === 'summary');
+  const messagesForAPI = [
+    { role: 'system', content: systemMessage },
+    { role: 'system', content: catalogMessage },
+    { role: 'system', content: cartMessage },
+    ...(summaryMessage ? [buildSummaryPromptMessage(summaryMessage)] : []),
+    ...conversation.filter(m => m.role !== 'system').map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: userMessage },
+  ];
+
+  return {
+    domain,
+    userMessage,
+    config,
+    template,
+    provider,
+    unavailableMode,
+    userId,
+    userEmail,
+    merchandId,
+    sessionId,
+    voiceInput,
+    startedAt,
+    // Para la analítica cuentan los productos que el modelo vio, no todos los candidatos de la búsqueda.
+    productIds: relevantProducts.map(p => p._id.toString()),
+    tokens,
+    allProducts,
+    cart,
+    messagesForAPI,
+  };
+};
 
-  // Añade el mensaje del usuario al historial para la llamada a la API.
-  const messagesForAPI = [...conversation.map(({ role, content }) => ({ role, content })), { role: 'user', content: userMessage }];
+/**
+ * Busca productos similares con stock para sugerirlos en lugar de uno agotado.
+ * @param {Object} turn - Contexto devuelto por `prepareChatTurn`.
+ * @param {Object} product - El producto agotado.
+ * @returns {Promise<Array<Object>>}
+ */
+const findAvailableAlternatives = async ({ domain, allProducts, provider }, product) => {
+  const query = `${product.title} ${product.description_short || ''}`;
+  const ids = await searchProducts(domain, allProducts, query, provider, MAX_ALTERNATIVES * 3);
+
+  return ids
+    .filter(id => id !== product._id.toString())
+    .map(id => allProducts.find(p => p._id.toString() === id))
+    .filter(p => p && isProductPurchasable(p))
+    .slice(0, MAX_ALTERNATIVES);
+};
 
+/**
+ * Aplica al carrito guardado la acción de carrito de una respuesta ya validada.
+ * @param {Object} turn - Contexto devuelto por `prepareChatTurn`.
+ * @param {Object} action - Acción validada.
+ * @returns {Promise<{cart: Object|null, cartFull?: boolean}>} El carrito resultante (`null` si la
+ *   acción no es de carrito o no se pudo actualizar: la respuesta se entrega igualmente) y si el
+ *   producto no se agregó porque el carrito está lleno.
+ */
+const applyCartAction = async ({ domain, userId, merchandId, sessionId }, action) => {
   try {
-    const { data } = await axios.post(
-      OPENAI_API_URL,
-      {
-        model: OPENAI_MODEL,
-        messages: messagesForAPI,
-        temperature: 0.2,
-        max_tokens: 500,
-        response_format: { type: "json_object" }, // Pide a los modelos compatibles que la salida sea JSON.
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
+    if (action.type === 'add_to_cart') {
+      const item = itemFromAction(action);
+      const { cart, error } = await addToCart(domain, userId, item, { merchandId });
+      if (error) {
+        console.warn(`No se pudo agregar al carrito en ${domain}:`, error);
+        return { cart: await getCart(domain, userId), cartFull: true };
       }
+      await emitWebhookEvent('cart.item_added', { domain, merchandId }, { sessionId, userId, item, cart });
+      return { cart };
+    }
+    if (action.type === 'remove_from_cart') {
+      const { productId, variationId, quantity } = action;
+      return { cart: (await removeFromCart(domain, userId, { productId, variationId, quantity })).cart };
+    }
+    if (action.type === 'view_cart') {
+      return { cart: await getCart(domain, userId) };
+    }
+  } catch (err) {
+    console.error('Error actualizando el carrito:', err.message);
+  }
+  return { cart: null };
+};
+
+/**
+ * Completa un turno a partir de la respuesta cruda de la IA: repara el JSON si es necesario,
+ * valida la acción y guarda el intercambio en el historial.
+ * @param {Object} turn - Contexto devuelto por `prepareChatTurn`.
+ * @param {string} rawAssistantResponse - Contenido devuelto por el LLM.
+ * @returns {Promise<Object>} La respuesta validada.
+ */
+const completeChatTurn = async (turn, rawAssistantResponse) => {
+  const { domain, userMessage, config, template, provider, userId, userEmail, merchandId, sessionId, voiceInput, allProducts, cart: currentCart, messagesForAPI } = turn;
+  let assistantReply = parseAssistantResponse(rawAssistantResponse);
+
+  // --- REPARACIÓN DE JSON ---
+  // Si la IA no devolvió un JSON válido, se le pide una única vez que lo corrija antes de rendirse.
+  if (!assistantReply) {
+    console.warn('Respuesta JSON inválida del LLM, solicitando reparación:', rawAssistantResponse);
+    rawAssistantResponse = await requestCompletion(
+      [...messagesForAPI, { role: 'user', content: buildRepairPrompt(rawAssistantResponse) }],
+      provider
     );
+    assistantReply = parseAssistantResponse(rawAssistantResponse);
+  }
 
-    const rawAssistantResponse = data.choices[0].message.content;
-    let assistantReply;
+  if (!assistantReply) {
+    console.error("Error al parsear la respuesta JSON del LLM:", rawAssistantResponse);
+    throw new Error("La respuesta de la IA no tenía un formato JSON válido.");
+  }
 
-    // --- MANEJO DE ERRORES DE PARSING ---
-    // La IA puede fallar y no devolver un JSON válido. Este bloque previene que el servidor crashee.
-    try {
-      assistantReply = JSON.parse(rawAssistantResponse);
-    } catch (parseError) {
-      console.error("Error al parsear la respuesta JSON de OpenAI:", rawAssistantResponse);
-      throw new Error("La respuesta de la IA no tenía un formato JSON válido.");
-    }
+  // --- Validación de la Acción ---
+  // Verifica el contrato y sustituye los datos del producto por los valores reales del catálogo.
+  let validatedReply = validateAssistantReply(assistantReply, allProducts, { allowedActions: template.allowedActions });
 
-    // Almacena el turno del usuario y la respuesta del asistente en el historial.
-    await chatHistoryManager.appendToHistory(domain, userId, userEmail, [
-      { role: 'user', content: userMessage },
-      { role: 'assistant', content: rawAssistantResponse },
-    ]);
-
-    // --- Enriquecimiento de la Acción ---
-    // Si la IA decide añadir al carrito, nos aseguramos de que todos los detalles del producto se incluyan.
-    if (assistantReply.action?.type === 'add_to_cart' && assistantReply.action.productId) {
-      const product = allProducts.find(p => p._id.toString() === assistantReply.action.productId);
-      if (product) {
-        assistantReply.action = {
-          ...assistantReply.action,
-          url: `/product/${product.slug}`,
-          price_sale: product.price?.sale,
-          title: product.title,
-          price_regular: product.price?.regular,
-          image: product.image_default?.[0],
-          slug: product.slug,
-        };
-      }
+  // --- Control de Stock ---
+  // Un add_to_cart sobre un producto agotado se convierte en una sugerencia de alternativas.
+  if (validatedReply.action.type === 'add_to_cart') {
+    const product = allProducts.find(p => p._id.toString() === validatedReply.action.productId);
+    if (!isProductPurchasable(product)) {
+      validatedReply = buildOutOfStockReply(product, await findAvailableAlternatives(turn, product));
     }
+  }
 
-    return {
-      message: assistantReply.message ?? 'Respuesta vacía.',
-      audio_description: assistantReply.audio_description ?? '',
-      action: assistantReply.action ?? { type: 'none' },
-    };
+  // --- Guardarraíles de salida ---
+  // Una respuesta que filtra el prompt o cita precios fuera del catálogo se sustituye por una fija.
+  // En streaming el texto ya enviado queda reemplazado por el de la respuesta final.
+  let fallback;
+  const outputCheck = checkAssistantReply(validatedReply, { config, template, products: allProducts, cart: currentCart });
+  if (outputCheck.blocked) {
+    await recordGuardrailEvent({
+      domain, merchandId, userId, sessionId, stage: 'output', reason: outputCheck.reason, detail: outputCheck.detail, text: validatedReply.message,
+    });
+    validatedReply = buildFallbackReply('unverified', template);
+    fallback = 'unverified';
+  }
+
+  // --- Carrito ---
+  // Las acciones de carrito se aplican al carrito guardado; el cliente recibe el carrito resultante.
+  const { cart, cartFull } = await applyCartAction(turn, validatedReply.action);
+  // El modelo ya anunció que agregó el producto: si no entró, la respuesta se sustituye.
+  if (cartFull) {
+    validatedReply = buildFallbackReply('cartFull', template);
+    fallback = 'cartFull';
+  }
+
+  // Almacena el turno del usuario y la respuesta validada en el historial (sin el carrito y sin
+  // datos personales).
+  await chatHistoryManager.appendToHistory(domain, userId, sessionId, userEmail, [
+    { role: 'user', content: redactPII(userMessage), ...(voiceInput ? { voiceInput } : {}) },
+    { role: 'assistant', content: JSON.stringify(redactReply(validatedReply)) },
+  ], { provider, config, merchandId });
+
+  // El modelo pasó la conversación a una persona: los siguientes mensajes esperan al agente.
+  if (validatedReply.action.type === 'handoff') {
+    await startHandoff(turn, 'action');
+  }
+
+  // El modelo indica en `outcome` que no tiene lo pedido; una respuesta fija nunca lo es.
+  const notFound = !fallback && validatedReply.outcome === 'not_found';
+  if (notFound) {
+    await emitWebhookEvent('product.not_found', { domain, merchandId }, { sessionId, userId, query: redactPII(userMessage) });
+  }
+
+  await recordTurn(turn, validatedReply, { notFound, fallback });
+
+  return cart ? { ...validatedReply, cart } : validatedReply;
+};
+
+/**
+ * Avisa a los webhooks del comercio de un turno que terminó con la respuesta de error.
+ * @param {Object} turn - Contexto devuelto por `prepareChatTurn`.
+ * @param {Error} err
+ */
+const emitChatError = ({ domain, merchandId, sessionId, userId }, err) => emitWebhookEvent(
+  'chat.error',
+  { domain, merchandId },
+  { sessionId, userId, error: err.message }
+);
+
+/**
+ * Procesa un mensaje del usuario con contexto multitenant.
+ * @param {string} domain
+ * @param {string} userMessage
+ * @param {string} apiKey
+ * @param {string} userId
+ * @param {string} userEmail
+ * @param {string} merchandId
+ * @param {Object} options
+ * @param {string} options.sessionId - Sesión ya resuelta con `resolveSessionId`.
+ * @param {boolean} [options.voiceInput] - El mensaje es la transcripción de un audio del cliente.
+ * @returns {Promise<Object|null>} `null` si la conversación la atiende una persona: el mensaje solo se guarda.
+ */
+const processChatWithGPT = async (domain, userMessage, apiKey, userId, userEmail, merchandId, options) => {
+  const turn = await prepareChatTurn(domain, userMessage, apiKey, userId, userEmail, merchandId, options);
+  if ('reply' in turn) return turn.reply;
 
+  try {
+    const { provider } = turn;
+    const rawAssistantResponse = provider.supportsTools
+      ? await runToolLoop(turn, (messages, chatOptions) => provider.completeWithTools(messages, chatOptions))
+      : await requestCompletion(turn.messagesForAPI, provider);
+    return await completeChatTurn(turn, rawAssistantResponse);
   } catch (err) {
-    console.error('Error en la comunicación con OpenAI:', err?.response?.data || err.message);
-    return {
-      message: 'Hubo un problema al procesar tu solicitud. Por favor, intenta de nuevo.',
-      audio_description: 'Lo siento, ocurrió un error.',
-      action: { type: 'none' },
+    console.error('Error en la comunicación con el LLM:', err?.response?.data || err.message);
+    await emitChatError(turn, err);
+    const reply = buildFallbackReply('error', turn.template);
+    await recordTurn(turn, reply, { fallback: 'error' });
+    return reply;
+  }
+};
+
+/**
+ * Variante en streaming de `processChatWithGPT`. Reenvía el texto de `message` a medida que
+ * llega desde el LLM y, al terminar, valida y persiste la respuesta completa.
+ * @param {string} domain
+ * @param {string} userMessage
+ * @param {string} apiKey
+ * @param {string} userId
+ * @param {string} userEmail
+ * @param {string} merchandId
+ * @param {Object} options
+ * @param {string} options.sessionId - Sesión ya resuelta con `resolveSessionId`.
+ * @param {function(string): void} options.onToken - Recibe cada fragmento nuevo del texto de `message`.
+ * @param {function(): void} [options.onReset] - Avisa de que el texto enviado no es el de la
+ *   respuesta final y debe descartarse.
+ * @returns {Promise<Object|null>} La respuesta validada, igual que `processChatWithGPT`.
+ */
+const streamChatWithGPT = async (domain, userMessage, apiKey, userId, userEmail, merchandId, options) => {
+  const { onToken, onReset = () => {} } = options;
+  const turn = await prepareChatTurn(domain, userMessage, apiKey, userId, userEmail, merchandId, options);
+  if ('reply' in turn) return turn.reply;
+
+  let streamed = '';
+  // Si la respuesta final continúa el texto enviado, se envía lo que falta (ya comprobado); si no
+  // (JSON reparado, respuesta sustituida o de error), el texto enviado se anula antes de entregarla.
+  const finish = (reply) => {
+    const message = reply.message || '';
+    if (!message.startsWith(streamed)) {
+      onReset();
+    } else if (message.length > streamed.length) {
+      onToken(message.slice(streamed.length));
+    }
+    return reply;
+  };
+
+  try {
+    const { provider, config, template, allProducts, cart } = turn;
+    const extractor = createMessageExtractor();
+    // Cada frase pasa por los guardarraíles de salida antes de enviarse; la acción aún no se
+    // conoce, así que un precio que solo cuadra con ella retiene el texto hasta la respuesta final.
+    const guarded = createGuardedStream({
+      isSafe: message => !checkAssistantReply({ message, action: null }, { config, template, products: allProducts, cart }).blocked,
+      onText: (text) => {
+        streamed += text;
+        onToken(text);
+      },
+    });
+    const onDelta = (delta) => {
+      const text = extractor.push(delta);
+      if (text) guarded.push(text);
     };
+    // Las rondas de herramientas no emiten texto: solo se reenvía la respuesta final.
+    const rawAssistantResponse = provider.supportsTools
+      ? await runToolLoop(turn, (messages, chatOptions) => provider.completeStreamWithTools(messages, chatOptions, onDelta))
+      : await provider.completeStream(turn.messagesForAPI, CHAT_OPTIONS, onDelta);
+    return finish(await completeChatTurn(turn, rawAssistantResponse));
+  } catch (err) {
+    console.error('Error en el streaming con el LLM:', err?.response?.data || err.message);
+    await emitChatError(turn, err);
+    const reply = buildFallbackReply('error', turn.template);
+    await recordTurn(turn, reply, { fallback: 'error' });
+    return finish(reply);
   }
 };
 
-module.exports = { processChatWithGPT };
\ No newline at end of file
+/**
+ * Guarda en el historial la respuesta de un agente del comercio, con el mismo formato que las del
+ * bot para que el modelo la tenga en cuenta cuando la conversación vuelva a él.
+ * @param {Object} conversation - Conversación guardada del cliente.
+ * @param {{agentId: string, message: string}} reply
+ * @returns {Promise<Object>} El mensaje guardado.
+ */
+const appendAgentReply = async ({ domain, userId, sessionId, userEmail, merchandId }, { agentId, message }) => {
+  const config = await fetchConfig(domain).catch(() => null);
+  const reply = { message, audio_description: message, action: { ...EMPTY_ACTION } };
+  const history = await chatHistoryManager.appendToHistory(domain, userId, sessionId, userEmail, [
+    { role: 'assistant', content: JSON.stringify(reply), agentId },
+  ], { config, merchandId });
+  return history[history.length - 1];
+};
+
+/**
+ * Resuelve la sesión que usará un turno (ver `chatHistoryManager.resolveSessionId`).
+ * @param {string} domain
+ * @param {string} userId
+ * @param {string} [sessionId]
+ * @returns {Promise<string>}
+ */
+const resolveSessionId = (domain, userId, sessionId) => chatHistoryManager.resolveSessionId(domain, userId, sessionId);
+
+/**
+ * Espera a que se guarde el resumen del historial que quedó pendiente tras responder en una
+ * sesión (ver `chatHistoryManager.scheduleSummary`).
+ * @param {string} domain
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+const waitForHistorySummary = (domain, userId, sessionId) => chatHistoryManager.waitForSummary(domain, userId, sessionId);
+
+/**
+ * Invalida las cachés de productos y/o configuración de un dominio.
+ * @param {string} domain
+ * @param {{products?: boolean, config?: boolean}} [scope]
+ */
+const invalidateTenantCache = (domain, { products = true, config = true } = {}) => {
+  if (products) PRODUCT_CACHE.delete(domain);
+  if (config) {
+    CONFIG_CACHE.delete(domain);
+    invalidateTemplateCache(domain);
+  }
+};
+
+/**
+ * Mensaje de sistema que vería el modelo con la plantilla activa o con una versión concreta.
+ * @param {string} domain
+ * @param {Object} [options]
+ * @param {number} [options.version] - Versión guardada a previsualizar; por defecto la efectiva.
+ * @returns {Promise<{version: number, systemPrompt: string, catalogPrompt: string}|null>} `null` si la versión no existe.
+ */
+const previewSystemPrompt = async (domain, { version } = {}) => {
+  const config = await fetchConfig(domain);
+  const template = await getTenantTemplate(domain, config, { version });
+  if (!template) return null;
+
+  return {
+    version: template.version,
+    systemPrompt: buildSystemMessage(domain, config, template),
+    catalogPrompt: buildCatalogMessage('(productos relevantes para la pregunta)', { template }),
+  };
+};
+
+/**
+ * Busca qué dominio en caché contiene un producto (útil cuando solo se conoce su ID, p. ej. al borrarlo).
+ * @param {string} productId
+ * @returns {string|null}
+ */
+const findCachedProductDomain = (productId) => {
+  const match = PRODUCT_CACHE.entries().find(([, products]) => products.some(p => p._id.toString() === productId));
+  return match ? match[0] : null;
+};
+
+module.exports = {
+  processChatWithGPT,
+  streamChatWithGPT,
+  isValidSessionId,
+  resolveSessionId,
+  waitForHistorySummary,
+  appendAgentReply,
+  fetchConfig,
+  previewSystemPrompt,
+  invalidateTenantCache,
+  findCachedProductDomain,
+  CATALOG_SECTION_HEADER,
+  FALLBACK_REPLIES,
+};
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Utilidades para el streaming de respuestas del LLM.
+ *
+ * `createMessageExtractor` extrae de forma incremental el valor del campo `message` del JSON
+ * que va generando el modelo, para poder reenviarlo al cliente token a token. Si la respuesta
+ * final no coincide con el texto enviado (JSON reparado, respuesta sustituida...), el servicio
+ * avisa con `onReset` para que el cliente lo descarte antes del evento `done`.
+ *
+ * `createGuardedStream` retiene ese texto por frases y solo deja pasar las que superan los
+ * guardarraíles de salida, así un prompt filtrado o un precio inventado nunca llega al cliente
+ * antes de la comprobación de la respuesta completa.
+ */
+
+const JSON_ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+};
+
+/**
+ * Busca en un JSON parcial el inicio del valor de la clave `message` del objeto raíz; las claves
+ * `message` de objetos anidados (p. ej. dentro de `action`) se ignoran.
+ * @param {string} buffer - Respuesta cruda recibida hasta ahora.
+ * @returns {number} Posición del primer carácter del valor, o -1 si aún no ha llegado.
+ */
+const findTopLevelMessage = (buffer) => {
+  let depth = 0;
+  let expectingKey = false;
+
+  for (let i = 0; i < buffer.length; i += 1) {
+    const char = buffer[i];
+
+    if (char === '"') {
+      // Recorre la cadena completa; si aún no terminó de llegar, hay que esperar.
+      let end = i + 1;
+      while (end < buffer.length && buffer[end] !== '"') end += buffer[end] === '\\' ? 2 : 1;
+      if (end >= buffer.length) return -1;
+
+      if (depth === 1 && expectingKey) {
+        expectingKey = false;
+        if (buffer.slice(i + 1, end) === 'message') {
+          const separator = buffer.slice(end + 1).match(/^\s*(?::\s*)?/)[0];
+          const valueStart = end + 1 + separator.length;
+          if (valueStart >= buffer.length) return -1; // Aún no llegó el valor.
+          if (separator.includes(':') && buffer[valueStart] === '"') return valueStart + 1;
+        }
+      }
+      i = end;
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      depth += 1;
+      expectingKey = char === '{' && depth === 1;
+    } else if (char === '}' || char === ']') {
+      depth -= 1;
+    } else if (char === ',' && depth === 1) {
+      expectingKey = true;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Crea un extractor incremental del campo `message` de una respuesta JSON parcial.
+ * Cada llamada a `push` recibe el siguiente fragmento crudo y devuelve solo el texto nuevo
+ * (ya decodificado) de `message`, o una cadena vacía si aún no hay nada que emitir.
+ * @returns {{push: function(string): string}}
+ */
+const createMessageExtractor = () => {
+  let buffer = '';
+  let cursor = -1; // Posición dentro de `buffer` del siguiente carácter del valor de `message`.
+  let finished = false;
+
+  const push = (chunk) => {
+    buffer += chunk;
+    if (finished) return '';
+
+    if (cursor === -1) {
+      cursor = findTopLevelMessage(buffer);
+      if (cursor === -1) return '';
+    }
+
+    let text = '';
+    while (cursor < buffer.length) {
+      const char = buffer[cursor];
+
+      if (char === '"') {
+        finished = true;
+        break;
+      }
+
+      if (char !== '\\') {
+        text += char;
+        cursor += 1;
+        continue;
+      }
+
+      // Secuencia de escape: se espera a tenerla completa antes de decodificarla.
+      const next = buffer[cursor + 1];
+      if (next === undefined) break;
+
+      if (next === 'u') {
+        const hex = buffer.slice(cursor + 2, cursor + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(Number.parseInt(hex, 16));
+        cursor += 6;
+        continue;
+      }
+
+      text += JSON_ESCAPES[next] ?? next;
+      cursor += 2;
+    }
+
+    return text;
+  };
+
+  return { push };
+};
+
+// Fin de frase: signo de cierre o salto de línea seguido de espacio ("S/ 9.90" no corta).
+const SENTENCE_END_PATTERN = /[.!?…\n]+["')\]]*\s/g;
+
+/**
+ * Crea un filtro que retiene el texto del stream hasta completar una frase y la envía solo si
+ * todo el texto acumulado supera `isSafe`. Tras el primer bloqueo no se envía nada más: la
+ * respuesta final, ya comprobada, decide qué ve el cliente. El final sin cerrar de la última
+ * frase nunca se envía desde aquí.
+ * @param {Object} options
+ * @param {function(string): boolean} options.isSafe - Recibe el texto del mensaje hasta la frase a enviar.
+ * @param {function(string): void} options.onText - Recibe el texto aprobado.
+ * @returns {{push: function(string): void}}
+ */
+const createGuardedStream = ({ isSafe, onText }) => {
+  let text = '';
+  let sent = 0; // Caracteres de `text` ya enviados.
+  let blocked = false;
+
+  const push = (chunk) => {
+    text += chunk;
+    if (blocked) return;
+
+    let end = sent;
+    for (const match of text.slice(sent).matchAll(SENTENCE_END_PATTERN)) {
+      end = sent + match.index + match[0].length;
+    }
+    if (end === sent) return;
+
+    if (!isSafe(text.slice(0, end))) {
+      blocked = true;
+      return;
+    }
+    onText(text.slice(sent, end));
+    sent = end;
+  };
+
+  return { push };
+};
+
+module.exports = { createMessageExtractor, createGuardedStream };
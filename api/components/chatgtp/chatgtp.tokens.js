@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Conteo de tokens por modelo para presupuestar el historial.
+ *
+ * Usa el tokenizador de OpenAI (`js-tiktoken`) que corresponde al modelo de chat. Para modelos
+ * que no son de OpenAI (servidores compatibles, proveedor simulado) se usa `cl100k_base`, que da
+ * una estimación suficiente para decidir qué mensajes entran en el presupuesto.
+ */
+
+const { encodingForModel, getEncoding } = require('js-tiktoken');
+
+const FALLBACK_ENCODING = 'cl100k_base';
+const TOKENS_PER_MESSAGE = 4; // Rol y separadores que añade el formato de chat a cada mensaje.
+
+const ENCODERS = new Map(); // Tokenizadores ya cargados, por modelo.
+
+/**
+ * Devuelve el tokenizador de un modelo.
+ * @param {string} [model]
+ * @returns {import('js-tiktoken').Tiktoken}
+ */
+const getEncoder = (model) => {
+  const key = model || FALLBACK_ENCODING;
+  if (!ENCODERS.has(key)) {
+    let encoder;
+    try {
+      encoder = encodingForModel(key);
+    } catch (err) {
+      encoder = getEncoding(FALLBACK_ENCODING); // Modelo desconocido para tiktoken.
+    }
+    ENCODERS.set(key, encoder);
+  }
+  return ENCODERS.get(key);
+};
+
+/**
+ * Cuenta los tokens de un texto.
+ * @param {string} text
+ * @param {string} [model]
+ * @returns {number}
+ */
+const countTokens = (text, model) => getEncoder(model).encode(text || '').length;
+
+/**
+ * Cuenta los tokens de un mensaje de chat, incluido el coste fijo del formato.
+ * @param {{content: string}} message
+ * @param {string} [model]
+ * @returns {number}
+ */
+const countMessageTokens = (message, model) => TOKENS_PER_MESSAGE + countTokens(message.content, model);
+
+module.exports = { countTokens, countMessageTokens };
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Herramientas del catálogo que el modelo puede invocar durante un turno.
+ *
+ * El prompt solo incluye los productos más relevantes para el mensaje; con estas herramientas
+ * el modelo consulta el resto del catálogo cuando lo necesita (detalles de un producto,
+ * comparaciones, "muéstrame más", categorías). Todas se limitan al dominio del turno.
+ */
+
+const mongoose = require('mongoose');
+const { getProductsByIds } = require('./chatgtp.dao');
+const { hybridSearchProducts } = require('../vector-search/vector.service');
+const { collectCategories, MAX_K } = require('../vector-search/vector.query');
+const { describeAvailability, isProductPurchasable } = require('./chatgtp.availability');
+const { describeAttributes, describeVariations } = require('./chatgtp.variations');
+
+const MAX_COMPARED_PRODUCTS = 4;
+
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_products',
+      description: 'Busca productos del catálogo de la tienda. Úsala para encontrar más opciones que las del contexto o aplicar filtros de precio y categoría.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Qué busca el cliente, en lenguaje natural.' },
+          min_price: { type: 'number', description: 'Precio mínimo en soles.' },
+          max_price: { type: 'number', description: 'Precio máximo en soles.' },
+          category: { type: 'string', description: 'Slug de la categoría (ver list_categories).' },
+          on_sale: { type: 'boolean', description: 'Solo productos en oferta.' },
+          limit: { type: 'integer', description: `Cantidad de resultados (máximo ${MAX_K}).` },
+        },
+        required: ['query'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_product',
+      description: 'Devuelve todos los detalles de un producto: descripción completa, atributos, variaciones, precios y disponibilidad.',
+      parameters: {
+        type: 'object',
+        properties: {
+          productId: { type: 'string', description: 'ID del producto.' },
+        },
+        required: ['productId'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'compare_products',
+      description: `Compara entre 2 y ${MAX_COMPARED_PRODUCTS} productos lado a lado.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          productIds: { type: 'array', items: { type: 'string' }, description: 'IDs de los productos a comparar.' },
+        },
+        required: ['productIds'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_categories',
+      description: 'Lista las categorías de la tienda con la cantidad de productos de cada una.',
+      parameters: { type: 'object', properties: {} },
+    },
+  },
+];
+
+/**
+ * Resumen de un producto para los resultados de búsqueda.
+ * @param {Object} product
+ * @returns {Object}
+ */
+const summarizeProduct = product => ({
+  id: product._id.toString(),
+  title: product.title,
+  price_regular: product.price?.regular ?? null,
+  price_sale: product.price?.sale ?? null,
+  slug: product.slug ?? null,
+  url: `/product/${product.slug}`,
+  availability: describeAvailability(product),
+  description: product.description_short || '',
+});
+
+/**
+ * Ficha completa de un producto.
+ * @param {Object} product
+ * @returns {Object}
+ */
+const detailProduct = product => ({
+  ...summarizeProduct(product),
+  description_long: product.description_long || '',
+  image: product.image_default?.[0] ?? null,
+  categories: (product.category || []).map(c => c.slug).filter(Boolean),
+  attributes: describeAttributes(product) || null,
+  variations: describeVariations(product) || null,
+});
+
+/**
+ * Carga productos del dominio por ID, ignorando los IDs mal formados y respetando el orden pedido.
+ * @param {string} domain
+ * @param {Array<string>} ids
+ * @returns {Promise<Array<Object>>}
+ */
+const loadProducts = async (domain, ids) => {
+  const validIds = ids.map(String).filter(id => mongoose.isValidObjectId(id));
+  if (!validIds.length) return [];
+
+  const products = await getProductsByIds(validIds, domain);
+  return validIds
+    .map(id => products.find(p => p._id.toString() === id))
+    .filter(Boolean);
+};
+
+const TOOL_HANDLERS = {
+  async search_products(turn, args) {
+    const { domain, allProducts, provider, unavailableMode } = turn;
+    const limit = Math.min(Math.max(Number.parseInt(args.limit, 10) || 5, 1), MAX_K);
+    const { productIds } = await hybridSearchProducts(domain, allProducts, String(args.query || ''), provider, {
+      filters: {
+        minPrice: typeof args.min_price === 'number' ? args.min_price : null,
+        maxPrice: typeof args.max_price === 'number' ? args.max_price : null,
+        categories: args.category ? [String(args.category)] : null,
+        onSale: args.on_sale === true ? true : null,
+        k: limit,
+      },
+    });
+
+    const products = (await loadProducts(domain, productIds))
+      .filter(p => unavailableMode === 'mark' || isProductPurchasable(p))
+      .slice(0, limit);
+    return { products: products.map(summarizeProduct) };
+  },
+
+  async get_product(turn, args) {
+    const [product] = await loadProducts(turn.domain, [args.productId]);
+    if (!product) return { error: 'Producto no encontrado en esta tienda.' };
+    return { product: detailProduct(product) };
+  },
+
+  async compare_products(turn, args) {
+    const ids = Array.isArray(args.productIds) ? args.productIds.slice(0, MAX_COMPARED_PRODUCTS) : [];
+    const products = await loadProducts(turn.domain, ids);
+    if (products.length < 2) return { error: 'Se necesitan al menos dos productos válidos de esta tienda para comparar.' };
+    return { products: products.map(detailProduct) };
+  },
+
+  async list_categories(turn) {
+    const counts = turn.allProducts
+      .flatMap(p => [...new Set((p.category || []).map(c => c.slug).filter(Boolean))])
+      .reduce((acc, slug) => acc.set(slug, (acc.get(slug) || 0) + 1), new Map());
+    return {
+      categories: collectCategories(turn.allProducts).map(slug => ({ slug, products: counts.get(slug) })),
+    };
+  },
+};
+
+/**
+ * Ejecuta una herramienta solicitada por el modelo. Los errores se devuelven como resultado
+ * (`{ error }`) para que el modelo pueda corregirse o responder al cliente.
+ * @param {Object} turn - Contexto devuelto por `prepareChatTurn`.
+ * @param {{name: string, arguments: string}} toolCall
+ * @returns {Promise<Object>}
+ */
+const executeToolCall = async (turn, { name, arguments: rawArguments }) => {
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) return { error: `Herramienta desconocida: ${name}` };
+
+  let args;
+  try {
+    args = JSON.parse(rawArguments || '{}');
+  } catch (parseError) {
+    return { error: 'Los argumentos no son un JSON válido.' };
+  }
+
+  try {
+    return await handler(turn, args && typeof args === 'object' ? args : {});
+  } catch (err) {
+    console.error(`Error ejecutando la herramienta ${name}:`, err.message);
+    return { error: 'No se pudo consultar el catálogo.' };
+  }
+};
+
+module.exports = { TOOL_DEFINITIONS, executeToolCall };
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Validación y reparación de la respuesta JSON del asistente.
+ *
+ * El modelo debe responder con el contrato `{ message, audio_description, action, outcome }`.
+ * Antes de devolverlo al cliente se comprueba el tipo de acción, se verifica que el
+ * producto exista en el catálogo del inquilino, se sobrescriben los datos del producto
+ * con los valores reales del catálogo (incluida la variación elegida) y se descartan URLs
+ * no permitidas. `outcome` es 'not_found' cuando el modelo indica que no tiene lo que se
+ * pidió; cualquier otro valor se normaliza a 'answered'.
+ */
+
+const {
+  findVariation,
+  findDefaultVariation,
+  getVariationAttributes,
+  getVariationPrice,
+  buildVariationRequiredReply,
+} = require('./chatgtp.variations');
+const { EMPTY_ACTION } = require('./chatgtp.actions');
+
+const ACTION_TYPES = ['add_to_cart', 'remove_from_cart', 'view_cart', 'go_to_url', 'show_product', 'handoff', 'none'];
+const PRODUCT_ACTION_TYPES = ['add_to_cart', 'remove_from_cart', 'show_product', 'go_to_url'];
+const PRODUCT_URL_PATTERN = /^\/product\/([^/?#\s]+)\/?$/;
+
+/**
+ * Lee la lista blanca de prefijos de URL externas permitidas (`ALLOWED_ACTION_URLS`, separadas por comas).
+ * @returns {Array<string>}
+ */
+const getAllowedUrlPrefixes = () => (process.env.ALLOWED_ACTION_URLS || '')
+  .split(',')
+  .map(prefix => prefix.trim())
+  .filter(Boolean);
+
+/**
+ * Devuelve la acción de producto con los datos tomados del catálogo.
+ * Si hay variación, el precio es el de la variación (completado con el del producto).
+ * @param {Object} action - Acción original del modelo.
+ * @param {Object} product - Documento del catálogo.
+ * @param {Object|null} variation - Variación elegida del producto.
+ * @returns {Object}
+ */
+const buildProductAction = (action, product, variation) => {
+  const price = getVariationPrice(product, variation);
+
+  return {
+    ...EMPTY_ACTION,
+    type: action.type,
+    productId: product._id.toString(),
+    quantity: buildActionQuantity(action),
+    url: `/product/${product.slug}`,
+    price_sale: price.sale,
+    title: product.title,
+    price_regular: price.regular,
+    image: product.image_default?.[0] ?? null,
+    slug: product.slug ?? null,
+    variationId: variation ? variation._id.toString() : null,
+    attributes: variation ? getVariationAttributes(product, variation) : null,
+  };
+};
+
+/**
+ * Convierte la cantidad del modelo en un entero positivo (1 por defecto).
+ * @param {*} quantity
+ * @returns {number}
+ */
+const normalizeQuantity = (quantity) => {
+  const value = Number.parseInt(quantity, 10);
+  return Number.isInteger(value) && value > 0 ? value : 1;
+};
+
+/**
+ * Cantidad de una acción de carrito: las unidades a agregar (1 por defecto) o a quitar
+ * (`null` quita el producto por completo).
+ * @param {Object} action
+ * @returns {number|null}
+ */
+const buildActionQuantity = (action) => {
+  if (action.type === 'add_to_cart') return normalizeQuantity(action.quantity);
+  if (action.type === 'remove_from_cart' && action.quantity !== null && action.quantity !== undefined) {
+    return normalizeQuantity(action.quantity);
+  }
+  return null;
+};
+
+/**
+ * Parsea una URL absoluta http(s).
+ * @param {string} value
+ * @returns {URL|null}
+ */
+const parseHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Segmentos de una ruta sin vacíos: '/ofertas/' y '/ofertas' son equivalentes.
+const pathSegments = pathname => pathname.split('/').filter(Boolean);
+
+/**
+ * Indica si una URL es una ruta interna de producto o está bajo una entrada de la lista blanca:
+ * mismo origen exacto y ruta que empieza por los segmentos de la entrada (`https://shop.com`
+ * no admite `https://shop.com.evil.com` ni `https://shop.com/ofertasfalsas` bajo `/ofertas`).
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isAllowedUrl = (url) => {
+  if (PRODUCT_URL_PATTERN.test(url)) return true;
+
+  const target = parseHttpUrl(url);
+  if (!target || target.username || target.password) return false;
+  const targetSegments = pathSegments(target.pathname);
+
+  return getAllowedUrlPrefixes().some((prefix) => {
+    const allowed = parseHttpUrl(prefix);
+    if (!allowed || allowed.origin !== target.origin) return false;
+    return pathSegments(allowed.pathname).every((segment, i) => targetSegments[i] === segment);
+  });
+};
+
+/**
+ * Valida y normaliza la acción propuesta por el modelo.
+ * @param {Object} action - Acción devuelta por el modelo.
+ * @param {Array<Object>} products - Catálogo completo del inquilino.
+ * @param {Array<string>} [allowedActions] - Tipos de acción que permite la plantilla del inquilino.
+ * @returns {{action: Object, variationRequiredFor?: Object}} Acción segura para enviar al cliente y,
+ *   si el modelo quiso agregar al carrito un producto sin indicar una variación válida, el producto.
+ */
+const validateAction = (action, products, allowedActions = ACTION_TYPES) => {
+  if (!action || typeof action !== 'object' || !ACTION_TYPES.includes(action.type)) {
+    return { action: { ...EMPTY_ACTION } };
+  }
+
+  if (!allowedActions.includes(action.type)) {
+    console.warn('Acción no permitida por la plantilla del inquilino:', action.type);
+    return { action: { ...EMPTY_ACTION } };
+  }
+
+  if (action.type === 'none') {
+    return { action: { ...EMPTY_ACTION } };
+  }
+
+  // Acciones sin producto: ver el carrito o pasar la conversación a una persona.
+  if (action.type === 'view_cart' || action.type === 'handoff') {
+    return { action: { ...EMPTY_ACTION, type: action.type } };
+  }
+
+  const findById = id => products.find(p => p._id.toString() === String(id));
+  const findBySlug = slug => products.find(p => p.slug === slug);
+
+  let product = action.productId ? findById(action.productId) : null;
+
+  // Un go_to_url hacia /product/<slug> también es una acción de producto.
+  const slugFromUrl = typeof action.url === 'string' ? action.url.match(PRODUCT_URL_PATTERN)?.[1] : null;
+  if (!product && action.type === 'go_to_url' && slugFromUrl) {
+    product = findBySlug(slugFromUrl);
+  }
+
+  if (product && PRODUCT_ACTION_TYPES.includes(action.type)) {
+    const variations = product.variations || [];
+    // Al quitar del carrito sin variación se quitan todas las del producto. Al mostrarlo sin
+    // variación se usa la que la tienda muestra por defecto.
+    const variation = findVariation(product, { variationId: action.variationId, attributes: action.attributes })
+      || (variations.length === 1 && action.type !== 'remove_from_cart' ? variations[0] : null)
+      || (['show_product', 'go_to_url'].includes(action.type) ? findDefaultVariation(product) : null);
+
+    // Con varias variaciones no se puede adivinar cuál quiere el cliente.
+    if (action.type === 'add_to_cart' && !variation && variations.length > 1) {
+      return { action: { ...EMPTY_ACTION }, variationRequiredFor: product };
+    }
+
+    return { action: buildProductAction(action, product, variation) };
+  }
+
+  if (action.type === 'go_to_url' && !action.productId && !slugFromUrl
+    && typeof action.url === 'string' && isAllowedUrl(action.url)) {
+    return { action: { ...EMPTY_ACTION, type: 'go_to_url', url: action.url } };
+  }
+
+  console.warn('Acción descartada por no superar la validación:', JSON.stringify(action));
+  return { action: { ...EMPTY_ACTION } };
+};
+
+/**
+ * Valida el contrato `{ message, audio_description, action, outcome }` de la respuesta del asistente.
+ * Una respuesta con acción no se da por 'not_found' aunque el modelo lo indique.
+ * @param {Object} reply - Respuesta ya parseada del modelo.
+ * @param {Array<Object>} products - Catálogo completo del inquilino.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allowedActions] - Tipos de acción permitidos (por defecto, todos).
+ * @returns {{message: string, audio_description: string, action: Object, outcome: string}}
+ */
+const validateAssistantReply = (reply, products, { allowedActions } = {}) => {
+  const safeReply = reply && typeof reply === 'object' ? reply : {};
+  const { action, variationRequiredFor } = validateAction(safeReply.action, products || [], allowedActions);
+
+  if (variationRequiredFor) {
+    return { ...buildVariationRequiredReply(variationRequiredFor), action, outcome: 'answered' };
+  }
+
+  return {
+    message: typeof safeReply.message === 'string' && safeReply.message.trim() ? safeReply.message : 'Respuesta vacía.',
+    audio_description: typeof safeReply.audio_description === 'string' ? safeReply.audio_description : '',
+    action,
+    outcome: safeReply.outcome === 'not_found' && action.type === 'none' ? 'not_found' : 'answered',
+  };
+};
+
+/**
+ * Construye el mensaje que se envía al modelo para que corrija un JSON inválido.
+ * @param {string} rawResponse - Respuesta que no se pudo parsear.
+ * @returns {string}
+ */
+const buildRepairPrompt = (rawResponse) => `Tu respuesta anterior no era un JSON válido:
+${rawResponse}
+
+Devuelve exactamente la misma respuesta corregida como JSON plano válido con las claves "message", "audio_description", "action" y "outcome". No agregues texto fuera del JSON.`;
+
+module.exports = {
+  ACTION_TYPES,
+  validateAction,
+  validateAssistantReply,
+  buildRepairPrompt,
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Atributos y variaciones de producto.
+ *
+ * Cada variación guarda en `chill_attr` los valores de atributo que la definen (por `Id`,
+ * `_id` o texto del valor) y tiene su propio precio. Aquí se traducen esos valores a texto
+ * legible para el prompt y los embeddings, y se resuelve la variación que eligió el cliente.
+ * `default_variations` indica la variación que la tienda muestra por defecto (por su ID o por
+ * sus valores de atributo).
+ */
+
+const { EMPTY_ACTION } = require('./chatgtp.actions');
+
+/**
+ * Normaliza un texto para comparar sin distinguir mayúsculas ni tildes.
+ * @param {*} value
+ * @returns {string}
+ */
+const normalize = value => String(value ?? '')
+  .trim()
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Traduce un valor de `chill_attr` al nombre del atributo y su valor legible.
+ * @param {Object} product
+ * @param {string} token
+ * @returns {{name: string|null, value: string}}
+ */
+const resolveAttributeValue = (product, token) => {
+  for (const attribute of product.atributos || []) {
+    const match = (attribute.values || []).find(v =>
+      v.Id === token || v._id?.toString() === token || v.valor === token
+    );
+    if (match) return { name: attribute.name_attr, value: match.valor };
+  }
+  return { name: null, value: token };
+};
+
+/**
+ * Atributos de una variación como `{ Color: 'Rojo', Talla: 'M' }`.
+ * @param {Object} product
+ * @param {Object} variation
+ * @returns {Object<string, string>}
+ */
+const getVariationAttributes = (product, variation) => Object.fromEntries(
+  (variation.chill_attr || []).map((token, index) => {
+    const { name, value } = resolveAttributeValue(product, token);
+    return [name || `Opción ${index + 1}`, value];
+  })
+);
+
+/**
+ * Lista de atributos del producto con sus valores, p. ej. "Color: Rojo, Azul; Talla: S, M".
+ * @param {Object} product
+ * @returns {string}
+ */
+const describeAttributes = product => (product.atributos || [])
+  .filter(attribute => attribute.values?.length)
+  .map(attribute => `${attribute.name_attr}: ${attribute.values.map(v => v.valor).join(', ')}`)
+  .join('; ');
+
+/**
+ * Precio de una variación completado con el del producto: sin precio regular propio se usa el
+ * del producto, y la oferta del producto solo si la variación no define ningún precio.
+ * @param {Object} product
+ * @param {Object|null} variation
+ * @returns {{regular: number|null, sale: number|null}}
+ */
+const getVariationPrice = (product, variation) => {
+  const own = variation?.price || {};
+  const hasOwnPrice = own.regular != null || own.sale != null;
+  return {
+    regular: own.regular ?? product.price?.regular ?? null,
+    sale: hasOwnPrice ? own.sale ?? null : product.price?.sale ?? null,
+  };
+};
+
+/**
+ * Variación que la tienda muestra por defecto según `default_variations`.
+ * @param {Object} product
+ * @returns {Object|null}
+ */
+const findDefaultVariation = (product) => {
+  const defaults = (product.default_variations || []).map(String);
+  if (!defaults.length) return null;
+
+  return (product.variations || []).find(variation => defaults.includes(variation._id?.toString())
+    || (variation.chill_attr?.length === defaults.length && variation.chill_attr.every(token => defaults.includes(token))))
+    || null;
+};
+
+/**
+ * Variaciones del producto con su ID, atributos y precio para el contexto del prompt.
+ * @param {Object} product
+ * @param {{currency?: string}} [options] - Símbolo de moneda de la plantilla del inquilino.
+ * @returns {string}
+ */
+const describeVariations = (product, { currency = 'S/' } = {}) => {
+  const defaultVariation = findDefaultVariation(product);
+
+  return (product.variations || [])
+    .map((variation) => {
+      const attributes = Object.entries(getVariationAttributes(product, variation))
+        .map(([name, value]) => `${name}: ${value}`)
+        .join(', ');
+      const price = getVariationPrice(product, variation);
+      const marker = variation === defaultVariation ? ', Por defecto' : '';
+      return `[ID: ${variation._id}, ${attributes}, Precio: ${currency}${price.regular ?? 'N/A'}, Oferta: ${currency}${price.sale ?? 'N/A'}${marker}]`;
+    })
+    .join(' ');
+};
+
+/**
+ * Busca la variación elegida por ID o por atributos seleccionados.
+ * @param {Object} product
+ * @param {Object} selection
+ * @param {string} [selection.variationId]
+ * @param {Object<string, string>|Array<string>} [selection.attributes] - Por nombre de atributo o lista de valores.
+ * @returns {Object|null} La variación encontrada o `null`.
+ */
+const findVariation = (product, { variationId, attributes } = {}) => {
+  const variations = product.variations || [];
+
+  if (variationId) {
+    const byId = variations.find(v => v._id?.toString() === String(variationId));
+    if (byId) return byId;
+  }
+
+  const selected = Array.isArray(attributes)
+    ? attributes.map(value => [null, value])
+    : Object.entries(attributes && typeof attributes === 'object' ? attributes : {});
+  if (!selected.length) return null;
+
+  return variations.find((variation) => {
+    const own = Object.entries(getVariationAttributes(product, variation));
+    return selected.every(([name, value]) => own.some(([ownName, ownValue]) =>
+      normalize(ownValue) === normalize(value) && (!name || normalize(ownName) === normalize(name))
+    ));
+  }) || null;
+};
+
+/**
+ * Respuesta que pide al cliente elegir una variación antes de agregar el producto al carrito.
+ * @param {Object} product
+ * @returns {{message: string, audio_description: string, action: Object}}
+ */
+const buildVariationRequiredReply = product => ({
+  message: `Para agregar "${product.title}" necesito que elijas una opción (${describeAttributes(product)}). ¿Cuál prefieres?`,
+  audio_description: `¿Qué opción de ${product.title} prefieres?`,
+  action: { ...EMPTY_ACTION },
+});
+
+module.exports = {
+  describeAttributes,
+  describeVariations,
+  getVariationAttributes,
+  getVariationPrice,
+  findVariation,
+  findDefaultVariation,
+  buildVariationRequiredReply,
+};
@@ -0,0 +1,231 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const {
+  getUserConversation,
+  listUserSessions,
+  startUserSession,
+  resetUserConversation,
+  listMerchantConversations,
+  getMerchantConversation,
+  deleteMerchantConversation,
+  exportMerchantConversations,
+  listHandoffs,
+  replyToConversation,
+  releaseConversation,
+} = require('./conversation.service');
+const { HANDOFF_STATES } = require('../chatgtp/chatgtp.handoff');
+const { isValidSessionId } = require('../chatgtp/chatgtp.service');
+
+const EXPORT_FORMATS = ['json', 'csv'];
+const LISTED_HANDOFF_STATES = HANDOFF_STATES.filter(state => state !== 'bot');
+const MAX_AGENT_MESSAGE_LENGTH = 2000;
+
+/**
+ * Lee los filtros `domain`, `from` y `to` de la query string.
+ * @returns {{filters?: Object, error?: string}}
+ */
+const parseFilters = (query) => {
+  const filters = { domain: query.domain };
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Fecha inválida en ${key}` };
+    }
+    filters[key] = date;
+  }
+
+  return { filters };
+};
+
+const handleGetMyConversation = async (req, res) => {
+  const { domain, sessionId } = req.query;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+  if (sessionId !== undefined && !isValidSessionId(sessionId)) return res.status(400).json({ error: 'sessionId inválido' });
+
+  try {
+    const conversation = await getUserConversation(domain, req.user.id, sessionId);
+    if (!conversation) return res.status(404).json({ error: 'Conversación no encontrada' });
+    res.json({ conversation });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error obteniendo la conversación.' });
+  }
+};
+
+const handleResetMyConversation = async (req, res) => {
+  const { domain, sessionId } = req.query;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+  if (sessionId !== undefined && !isValidSessionId(sessionId)) return res.status(400).json({ error: 'sessionId inválido' });
+
+  try {
+    const reset = await resetUserConversation(domain, req.user.id, sessionId);
+    res.json({ reset });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error reiniciando la conversación.' });
+  }
+};
+
+const handleListMySessions = async (req, res) => {
+  const { domain } = req.query;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+
+  try {
+    const sessions = await listUserSessions(domain, req.user.id);
+    res.json({ sessions });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error listando las sesiones.' });
+  }
+};
+
+const handleStartMySession = async (req, res) => {
+  const { domain } = req.body;
+  const { id, email, merchandId } = req.user;
+  if (!domain) return res.status(400).json({ error: 'Falta domain' });
+  if (!id || !email || !merchandId) {
+    return res.status(400).json({ error: 'Falta información del usuario en el token' });
+  }
+
+  try {
+    const sessionId = await startUserSession({ domain, userId: id, userEmail: email, merchandId });
+    res.status(201).json({ sessionId });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error creando la sesión.' });
+  }
+};
+
+const handleListConversations = async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const page = Number.parseInt(req.query.page, 10) || 1;
+  const limit = Number.parseInt(req.query.limit, 10) || undefined;
+
+  try {
+    const result = await listMerchantConversations(req.user.merchandId, { ...filters, page, limit });
+    res.json(result);
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error listando las conversaciones.' });
+  }
+};
+
+const handleExportConversations = async (req, res) => {
+  const format = (req.query.format || 'json').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Formato no soportado, usa ${EXPORT_FORMATS.join(' o ')}` });
+  }
+
+  const { filters, error } = parseFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    res.set(format === 'csv'
+      ? { 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': 'attachment; filename=conversaciones.csv' }
+      : { 'Content-Type': 'application/json; charset=utf-8' });
+    await pipeline(Readable.from(exportMerchantConversations(req.user.merchandId, format, filters)), res);
+  } catch (err) {
+    console.error('Error:', err.message);
+    // Si el export ya empezó, `pipeline` cortó la respuesta y el cliente recibe un archivo incompleto.
+    if (!res.headersSent) res.status(500).json({ error: 'Error exportando las conversaciones.' });
+  }
+};
+
+const handleGetConversation = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'ID de conversación inválido' });
+
+  try {
+    const conversation = await getMerchantConversation(req.user.merchandId, id);
+    if (!conversation) return res.status(404).json({ error: 'Conversación no encontrada' });
+    res.json({ conversation });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error obteniendo la conversación.' });
+  }
+};
+
+const handleDeleteConversation = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'ID de conversación inválido' });
+
+  try {
+    const deleted = await deleteMerchantConversation(req.user.merchandId, id);
+    if (!deleted) return res.status(404).json({ error: 'Conversación no encontrada' });
+    res.json({ deleted });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error eliminando la conversación.' });
+  }
+};
+
+const handleListHandoffs = async (req, res) => {
+  const { domain, state = 'pending_human' } = req.query;
+  if (!LISTED_HANDOFF_STATES.includes(state)) {
+    return res.status(400).json({ error: `state debe ser ${LISTED_HANDOFF_STATES.join(' o ')}` });
+  }
+
+  const page = Number.parseInt(req.query.page, 10) || 1;
+  const limit = Number.parseInt(req.query.limit, 10) || undefined;
+
+  try {
+    const result = await listHandoffs(req.user.merchandId, { state, domain, page, limit });
+    res.json(result);
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error listando las conversaciones traspasadas.' });
+  }
+};
+
+const handleReplyToConversation = async (req, res) => {
+  const { id } = req.params;
+  const { message } = req.body;
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'ID de conversación inválido' });
+  if (typeof message !== 'string' || !message.trim()) return res.status(400).json({ error: 'Falta message' });
+  if (message.length > MAX_AGENT_MESSAGE_LENGTH) {
+    return res.status(400).json({ error: `message admite como máximo ${MAX_AGENT_MESSAGE_LENGTH} caracteres` });
+  }
+  if (!req.user.id) return res.status(400).json({ error: 'Falta información del usuario en el token' });
+
+  try {
+    const reply = await replyToConversation(req.user.merchandId, id, { agentId: req.user.id, message: message.trim() });
+    if (!reply) return res.status(404).json({ error: 'Conversación no encontrada' });
+    res.status(201).json(reply);
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error enviando la respuesta.' });
+  }
+};
+
+const handleReleaseConversation = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'ID de conversación inválido' });
+
+  try {
+    const handoff = await releaseConversation(req.user.merchandId, id);
+    if (!handoff) return res.status(404).json({ error: 'Conversación no encontrada' });
+    res.json({ handoff });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error devolviendo la conversación al bot.' });
+  }
+};
+
+module.exports = {
+  handleGetMyConversation,
+  handleResetMyConversation,
+  handleListMySessions,
+  handleStartMySession,
+  handleListConversations,
+  handleExportConversations,
+  handleGetConversation,
+  handleDeleteConversation,
+  handleListHandoffs,
+  handleReplyToConversation,
+  handleReleaseConversation,
+};
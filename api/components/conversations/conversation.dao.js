@@ -0,0 +1,67 @@
+const { Conversation } = require('../../../config/database');
+
+/**
+ * Busca una sesión concreta del usuario o, si no se indica `sessionId`, la más reciente.
+ */
+const findUserConversation = async (domain, userId, sessionId) => {
+  const filter = sessionId ? { domain, userId, sessionId } : { domain, userId };
+  return await Conversation.findOne(filter).sort({ updatedAt: -1 }).lean();
+};
+
+const findUserSessions = async (domain, userId) => {
+  return await Conversation.find({ domain, userId }).sort({ updatedAt: -1 }).lean();
+};
+
+const createUserConversation = async ({ domain, userId, sessionId, userEmail, merchandId }) => {
+  return await Conversation.create({ domain, userId, sessionId, userEmail, merchandId, messages: [] });
+};
+
+const deleteUserConversation = async (domain, userId, sessionId) => {
+  return await Conversation.deleteOne({ domain, userId, sessionId });
+};
+
+const findConversations = async (filter, { skip = 0, limit = 0 } = {}) => {
+  return await Conversation.find(filter).sort({ _id: -1 }).skip(skip).limit(limit).lean();
+};
+
+// Cursor para recorrer muchas conversaciones sin cargarlas todas en memoria.
+const streamConversations = (filter) => {
+  return Conversation.find(filter).sort({ _id: -1 }).lean().cursor();
+};
+
+const countConversations = async (filter) => {
+  return await Conversation.countDocuments(filter);
+};
+
+const findMerchantConversationById = async (merchandId, id) => {
+  return await Conversation.findOne({ _id: id, merchandId }).lean();
+};
+
+const deleteMerchantConversationById = async (merchandId, id) => {
+  return await Conversation.deleteOne({ _id: id, merchandId });
+};
+
+/**
+ * Conversaciones traspasadas a una persona, primero las que llevan más tiempo esperando.
+ */
+const findHandoffConversations = async (filter, { skip = 0, limit = 0 } = {}) => {
+  return await Conversation.find(filter).sort({ 'handoff.requestedAt': 1, _id: 1 }).skip(skip).limit(limit).lean();
+};
+
+const updateMerchantConversationHandoff = async (merchandId, id, handoff) => {
+  return await Conversation.findOneAndUpdate({ _id: id, merchandId }, { $set: { handoff } }, { new: true }).lean();
+};
+
+module.exports = {
+  findUserConversation,
+  findUserSessions,
+  createUserConversation,
+  deleteUserConversation,
+  findConversations,
+  streamConversations,
+  countConversations,
+  findMerchantConversationById,
+  deleteMerchantConversationById,
+  findHandoffConversations,
+  updateMerchantConversationHandoff,
+};
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  handleGetMyConversation,
+  handleResetMyConversation,
+  handleListMySessions,
+  handleStartMySession,
+  handleListConversations,
+  handleExportConversations,
+  handleGetConversation,
+  handleDeleteConversation,
+  handleListHandoffs,
+  handleReplyToConversation,
+  handleReleaseConversation,
+} = require('./conversation.controller');
+const authMiddleware = require('../../../middleware/auth');
+const requireRole = require('../../../middleware/role');
+
+// Sesiones de conversación del usuario autenticado (`sessionId` opcional: por defecto la más reciente).
+router.get('/me', authMiddleware, handleGetMyConversation);
+router.delete('/me', authMiddleware, handleResetMyConversation);
+router.get('/me/sessions', authMiddleware, handleListMySessions);
+router.post('/me/sessions', authMiddleware, handleStartMySession);
+
+// Conversaciones de los clientes del comercio (merchandId del token).
+router.get('/', authMiddleware, requireRole('merchant'), handleListConversations);
+router.get('/export', authMiddleware, requireRole('merchant'), handleExportConversations);
+// Conversaciones traspasadas a una persona: el agente responde en el hilo y luego la devuelve al bot.
+router.get('/handoffs', authMiddleware, requireRole('merchant'), handleListHandoffs);
+router.post('/:id/messages', authMiddleware, requireRole('merchant'), handleReplyToConversation);
+router.post('/:id/release', authMiddleware, requireRole('merchant'), handleReleaseConversation);
+router.get('/:id', authMiddleware, requireRole('merchant'), handleGetConversation);
+router.delete('/:id', authMiddleware, requireRole('merchant'), handleDeleteConversation);
+
+module.exports = router;
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Servicio de gestión de conversaciones.
+ *
+ * Permite a un usuario gestionar sus sesiones de conversación y a un comercio listar,
+ * leer, eliminar y exportar las conversaciones de sus clientes, además de atender las que
+ * el bot traspasó a una persona. Los mensajes del asistente se guardan como JSON crudo;
+ * aquí se devuelven ya parseados.
+ */
+
+const crypto = require('crypto');
+const {
+  findUserConversation,
+  findUserSessions,
+  createUserConversation,
+  deleteUserConversation,
+  findConversations,
+  streamConversations,
+  countConversations,
+  findMerchantConversationById,
+  deleteMerchantConversationById,
+  findHandoffConversations,
+  updateMerchantConversationHandoff,
+} = require('./conversation.dao');
+const { appendAgentReply } = require('../chatgtp/chatgtp.service');
+const { isHeldForHuman } = require('../chatgtp/chatgtp.handoff');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const CSV_COLUMNS = ['conversationId', 'sessionId', 'domain', 'userId', 'userEmail', 'role', 'message', 'actionType', 'timestamp'];
+// Inicios de celda que las hojas de cálculo interpretan como fórmula.
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Convierte un mensaje guardado en su forma pública. Para el asistente extrae `message`
+ * y `action` del JSON guardado; si no se puede parsear, se devuelve el texto tal cual.
+ * @param {Object} message - Subdocumento de `Conversation.messages`.
+ * @returns {{role: string, message: string, action: Object|null, timestamp: Date, voiceInput?: boolean, agentId?: string}}
+ */
+const formatMessage = ({ role, content, voiceInput, agentId, timestamp }) => {
+  if (role !== 'assistant') {
+    return { role, message: content, action: null, timestamp, ...(voiceInput ? { voiceInput } : {}) };
+  }
+
+  // Las respuestas de un agente del comercio indican quién las escribió.
+  const author = agentId ? { agentId } : {};
+  try {
+    const parsed = JSON.parse(content);
+    return { role, message: parsed.message ?? '', action: parsed.action ?? null, timestamp, ...author };
+  } catch (err) {
+    return { role, message: content, action: null, timestamp, ...author };
+  }
+};
+
+/**
+ * Estado de traspaso de una conversación ('bot' en las que nunca se traspasaron).
+ * @param {Object} [handoff] - Subdocumento `Conversation.handoff`.
+ * @returns {{state: string, reason: string|null, requestedAt: Date|null, agentId: string|null}}
+ */
+const formatHandoff = ({ state, reason, requestedAt, agentId } = {}) => ({
+  state: state || 'bot',
+  reason: reason ?? null,
+  requestedAt: requestedAt ?? null,
+  agentId: agentId ?? null,
+});
+
+/**
+ * Devuelve los mensajes visibles de una conversación (sin el prompt del sistema),
+ * opcionalmente limitados a un rango de fechas.
+ * @param {Array<Object>} messages
+ * @param {{from?: Date, to?: Date}} [range]
+ * @returns {Array<Object>}
+ */
+const formatMessages = (messages, { from, to } = {}) => (messages || [])
+  .filter(m => m.role !== 'system')
+  .filter(m => (!from || m.timestamp >= from) && (!to || m.timestamp <= to))
+  .map(formatMessage);
+
+/**
+ * Construye el filtro de MongoDB para las conversaciones de un comercio.
+ * @param {string} merchandId
+ * @param {{domain?: string, from?: Date, to?: Date}} filters
+ * @returns {Object}
+ */
+const buildMerchantFilter = (merchandId, { domain, from, to } = {}) => {
+  const filter = { merchandId };
+  if (domain) filter.domain = domain;
+
+  if (from || to) {
+    const timestamp = {};
+    if (from) timestamp.$gte = from;
+    if (to) timestamp.$lte = to;
+    filter.messages = { $elemMatch: { timestamp } };
+  }
+
+  return filter;
+};
+
+/**
+ * Resumen de una conversación para los listados.
+ * @param {Object} conversation
+ * @returns {Object}
+ */
+const summarizeConversation = (conversation) => {
+  const visible = (conversation.messages || []).filter(m => m.role !== 'system');
+  return {
+    id: conversation._id.toString(),
+    sessionId: conversation.sessionId,
+    domain: conversation.domain,
+    userId: conversation.userId,
+    userEmail: conversation.userEmail,
+    messageCount: visible.length,
+    lastMessageAt: visible.length ? visible[visible.length - 1].timestamp : null,
+    handoff: formatHandoff(conversation.handoff),
+    createdAt: conversation.createdAt ?? null,
+    updatedAt: conversation.updatedAt ?? null,
+  };
+};
+
+/**
+ * Conversación completa con los mensajes ya formateados.
+ * @param {Object} conversation
+ * @param {{from?: Date, to?: Date}} [range]
+ * @returns {Object}
+ */
+const serializeConversation = (conversation, range) => ({
+  ...summarizeConversation(conversation),
+  messages: formatMessages(conversation.messages, range),
+});
+
+/**
+ * Devuelve una sesión del usuario; sin `sessionId`, la más reciente.
+ */
+const getUserConversation = async (domain, userId, sessionId) => {
+  const conversation = await findUserConversation(domain, userId, sessionId);
+  return conversation ? serializeConversation(conversation) : null;
+};
+
+const listUserSessions = async (domain, userId) => {
+  const conversations = await findUserSessions(domain, userId);
+  return conversations.map(summarizeConversation);
+};
+
+/**
+ * Crea una sesión vacía que pasa a ser la más reciente del usuario. Las anteriores se conservan.
+ * @returns {Promise<string>} El `sessionId` de la nueva sesión.
+ */
+const startUserSession = async ({ domain, userId, userEmail, merchandId }) => {
+  const sessionId = crypto.randomUUID();
+  await createUserConversation({ domain, userId, sessionId, userEmail, merchandId });
+  return sessionId;
+};
+
+/**
+ * Elimina una sesión del usuario (la más reciente si no se indica). El siguiente mensaje en esa
+ * sesión crea una conversación nueva con un prompt del sistema recién construido.
+ * @returns {Promise<boolean>} `true` si existía la sesión.
+ */
+const resetUserConversation = async (domain, userId, sessionId) => {
+  const conversation = await findUserConversation(domain, userId, sessionId);
+  if (!conversation) return false;
+
+  const { deletedCount } = await deleteUserConversation(domain, userId, conversation.sessionId);
+  return deletedCount > 0;
+};
+
+/**
+ * Lista paginada de las conversaciones de un comercio.
+ * @param {string} merchandId
+ * @param {{domain?: string, from?: Date, to?: Date, page?: number, limit?: number}} options
+ * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+ */
+const listMerchantConversations = async (merchandId, { page = 1, limit = DEFAULT_PAGE_SIZE, ...filters } = {}) => {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const currentPage = Math.max(page, 1);
+  const filter = buildMerchantFilter(merchandId, filters);
+
+  const [conversations, total] = await Promise.all([
+    findConversations(filter, { skip: (currentPage - 1) * pageSize, limit: pageSize }),
+    countConversations(filter),
+  ]);
+
+  return {
+    data: conversations.map(summarizeConversation),
+    pagination: {
+      page: currentPage,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+const getMerchantConversation = async (merchandId, id) => {
+  const conversation = await findMerchantConversationById(merchandId, id);
+  return conversation ? serializeConversation(conversation) : null;
+};
+
+const deleteMerchantConversation = async (merchandId, id) => {
+  const { deletedCount } = await deleteMerchantConversationById(merchandId, id);
+  return deletedCount > 0;
+};
+
+/**
+ * Escapa un valor para una celda CSV (RFC 4180). Los textos que empiezan como una fórmula se
+ * prefijan con `'`: los escriben los clientes y se abren en hojas de cálculo.
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (CSV_FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Lista paginada de las conversaciones de un comercio traspasadas a una persona, primero las
+ * que llevan más tiempo esperando.
+ * @param {string} merchandId
+ * @param {{state?: 'pending_human'|'human', domain?: string, page?: number, limit?: number}} options
+ * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+ */
+const listHandoffs = async (merchandId, { state = 'pending_human', domain, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const currentPage = Math.max(page, 1);
+  const filter = { merchandId, 'handoff.state': state, ...(domain && { domain }) };
+
+  const [conversations, total] = await Promise.all([
+    findHandoffConversations(filter, { skip: (currentPage - 1) * pageSize, limit: pageSize }),
+    countConversations(filter),
+  ]);
+
+  return {
+    data: conversations.map(summarizeConversation),
+    pagination: {
+      page: currentPage,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+/**
+ * Guarda la respuesta de un agente en la conversación de un cliente. El agente que responde toma
+ * la conversación: el bot deja de contestar hasta que se la devuelva con `releaseConversation`.
+ * @param {string} merchandId
+ * @param {string} id
+ * @param {{agentId: string, message: string}} reply
+ * @returns {Promise<{message: Object, handoff: Object}|null>} `null` si la conversación no existe.
+ */
+const replyToConversation = async (merchandId, id, { agentId, message }) => {
+  const conversation = await findMerchantConversationById(merchandId, id);
+  if (!conversation) return null;
+
+  // El estado cambia antes de guardar el mensaje para que el bot no conteste mientras tanto.
+  const current = conversation.handoff || {};
+  const updated = await updateMerchantConversationHandoff(merchandId, id, {
+    state: 'human',
+    reason: isHeldForHuman(current.state) ? current.reason : 'agent',
+    requestedAt: current.requestedAt || new Date(),
+    agentId,
+  });
+  const saved = await appendAgentReply(conversation, { agentId, message });
+
+  return { message: formatMessage(saved), handoff: formatHandoff(updated.handoff) };
+};
+
+/**
+ * Devuelve al bot una conversación traspasada a una persona.
+ * @param {string} merchandId
+ * @param {string} id
+ * @returns {Promise<Object|null>} El nuevo estado de traspaso, o `null` si la conversación no existe.
+ */
+const releaseConversation = async (merchandId, id) => {
+  const updated = await updateMerchantConversationHandoff(merchandId, id, { state: 'bot' });
+  return updated ? formatHandoff(updated.handoff) : null;
+};
+
+const toCsvRow = row => row.map(toCsvCell).join(',');
+
+/**
+ * Filas CSV de una conversación serializada, una por mensaje.
+ * @param {Object} conversation
+ * @returns {Array<string>}
+ */
+const toCsvRows = conversation => conversation.messages.map(message => toCsvRow([
+  conversation.id,
+  conversation.sessionId,
+  conversation.domain,
+  conversation.userId,
+  conversation.userEmail,
+  message.role,
+  message.message,
+  message.action?.type ?? '',
+  message.timestamp,
+]));
+
+/**
+ * Exporta las conversaciones de un comercio en JSON (`{ conversations: [...] }`) o CSV. Se
+ * recorren con un cursor y se entregan por partes, así el export de un comercio grande no se
+ * construye entero en memoria.
+ * @param {string} merchandId
+ * @param {'json'|'csv'} format
+ * @param {{domain?: string, from?: Date, to?: Date}} filters
+ * @returns {AsyncGenerator<string>} Fragmentos del documento, en orden.
+ */
+const exportMerchantConversations = async function* (merchandId, format, filters = {}) {
+  const csv = format === 'csv';
+  yield csv ? toCsvRow(CSV_COLUMNS) : '{"conversations":[';
+
+  let first = true;
+  for await (const conversation of streamConversations(buildMerchantFilter(merchandId, filters))) {
+    const serialized = serializeConversation(conversation, filters);
+    if (csv) {
+      const rows = toCsvRows(serialized);
+      if (rows.length) yield `\r\n${rows.join('\r\n')}`;
+    } else {
+      yield `${first ? '' : ','}${JSON.stringify(serialized)}`;
+    }
+    first = false;
+  }
+
+  if (!csv) yield ']}';
+};
+
+module.exports = {
+  getUserConversation,
+  listUserSessions,
+  startUserSession,
+  resetUserConversation,
+  listMerchantConversations,
+  getMerchantConversation,
+  deleteMerchantConversation,
+  exportMerchantConversations,
+  listHandoffs,
+  replyToConversation,
+  releaseConversation,
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Caché de audio sintetizado.
+ *
+ * Las frases fijas del bot ("Lo siento, ocurrió un error.", "No encontré ese producto...") se
+ * repiten todo el día: el audio se guarda por un hash del texto normalizado y los ajustes de voz,
+ * así Polly solo se llama la primera vez. El almacén se elige con `TTS_CACHE_STORE`:
+ * 'disk' (por defecto, en `TTS_CACHE_DIR`), 'gridfs' o 'none'. `TTS_CACHE_MAX_MB` limita el tamaño.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { envNumber } = require('../cache/cache.lru');
+const { createDiskStore } = require('./stores/disk.store');
+const { createGridFSStore } = require('./stores/gridfs.store');
+
+const DEFAULT_MAX_MB = 100;
+
+const STORE_FACTORIES = {
+  disk: ({ maxBytes }) => createDiskStore({
+    dir: process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), 'chatopenia-tts'),
+    maxBytes,
+  }),
+  gridfs: ({ maxBytes }) => createGridFSStore({
+    connection: require('../../../config/database').clientsConnection,
+    maxBytes,
+  }),
+  none: () => null,
+};
+
+let audioStore;
+
+/**
+ * Almacén configurado (se crea en el primer uso); `null` si la caché está desactivada.
+ * @returns {Object|null}
+ */
+const getAudioStore = () => {
+  if (audioStore === undefined) {
+    const name = process.env.TTS_CACHE_STORE || 'disk';
+    const factory = STORE_FACTORIES[name];
+    if (!factory) throw new Error(`Almacén de audio desconocido: ${name}`);
+    audioStore = factory({ maxBytes: envNumber('TTS_CACHE_MAX_MB', DEFAULT_MAX_MB) * 1024 * 1024 });
+  }
+  return audioStore;
+};
+
+/**
+ * Normaliza el texto para que variaciones de espacios no generen clips distintos. Los saltos de
+ * línea se conservan porque en SSML marcan pausas.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeSpeechText = text => String(text)
+  .normalize('NFC')
+  .replace(/[^\S\n]+/g, ' ')
+  .replace(/ *\n\s*/g, '\n')
+  .trim();
+
+/**
+ * Clave del clip: hash del texto normalizado y de los ajustes de voz. También se usa como ETag.
+ * @param {string} text - Texto ya normalizado.
+ * @param {Object} settings - Ajustes resueltos con `getVoiceSettings`.
+ * @returns {string}
+ */
+const buildSpeechCacheKey = (text, { voice, language, engine, format, rate, ssml }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([text, voice, language, engine, format, rate, ssml]))
+  .digest('hex');
+
+/**
+ * Indica si hay un almacén de audio configurado.
+ * @returns {boolean}
+ */
+const isAudioCacheEnabled = () => getAudioStore() !== null;
+
+/**
+ * Audio guardado con una clave, si sigue en el almacén.
+ * @param {string} key
+ * @returns {Promise<Buffer|null>}
+ */
+const getCachedAudio = async (key) => {
+  const store = getAudioStore();
+  return store ? store.get(key) : null;
+};
+
+/**
+ * Devuelve el audio cacheado o lo genera con `synthesize` y lo guarda. Los fallos del almacén
+ * no impiden responder: se registran y se sintetiza igualmente.
+ * @param {string} key
+ * @param {function(): Promise<Buffer>} synthesize
+ * @returns {Promise<{audio: Buffer, cached: boolean}>}
+ */
+const getOrSynthesize = async (key, synthesize) => {
+  const store = getAudioStore();
+
+  if (store) {
+    try {
+      const audio = await store.get(key);
+      if (audio) return { audio, cached: true };
+    } catch (err) {
+      console.error('Error leyendo la caché de audio:', err.message);
+    }
+  }
+
+  const audio = await synthesize();
+
+  if (store) {
+    try {
+      await store.set(key, Buffer.from(audio));
+    } catch (err) {
+      console.error('Error guardando en la caché de audio:', err.message);
+    }
+  }
+
+  return { audio, cached: false };
+};
+
+module.exports = {
+  normalizeSpeechText,
+  buildSpeechCacheKey,
+  isAudioCacheEnabled,
+  getCachedAudio,
+  getOrSynthesize,
+};
@@ -1,20 +1,106 @@
-const { synthesizeSpeech } = require('./awsdolly.service');
+const { getSpeech, getSpeechKey, getVoiceSettings, readClip } = require('./awsdolly.service');
+const {
+  MAX_SPEECH_TEXT_LENGTH,
+  OUTPUT_FORMATS,
+  LANGUAGES,
+  ENGINES,
+  RATE_KEYWORDS,
+  listVoices,
+} = require('./awsdolly.voices');
+const { envNumber } = require('../cache/cache.lru');
+const { getTenantKey } = require('../usage/usage.service');
+const { readTokenClaims } = require('../../../middleware/rateLimit');
+
+/**
+ * Lee los parámetros de síntesis del cuerpo (POST) o de la query string (GET, para usar la URL
+ * directamente en un `<audio>` y aprovechar la caché del navegador).
+ * @returns {Object}
+ */
+const readSpeechInput = (req) => {
+  if (req.method !== 'GET') return req.body || {};
+
+  const { ssml, ...query } = req.query;
+  return { ...query, ssml: ssml === undefined ? undefined : ssml === 'true' };
+};
 
 const convertTextToSpeech = async (req, res) => {
-  const { text } = req.body;
+  const { text, domain, voice, language, engine, format, rate, ssml } = readSpeechInput(req);
   if (!text) return res.status(400).json({ error: 'Texto requerido' });
+  if (typeof text !== 'string' || text.length > MAX_SPEECH_TEXT_LENGTH) {
+    return res.status(400).json({ error: `El texto debe tener como máximo ${MAX_SPEECH_TEXT_LENGTH} caracteres` });
+  }
 
   try {
-    const audioStream = await synthesizeSpeech(text);
+    const { settings, error } = await getVoiceSettings(domain, { voice, language, engine, format, rate, ssml });
+    if (error) return res.status(400).json({ error });
+
+    // El mismo texto con los mismos ajustes produce siempre el mismo audio: el ETag es la clave de caché.
+    const etag = `"${getSpeechKey(text, settings)}"`;
+    const cacheHeaders = {
+      ETag: etag,
+      'Cache-Control': `public, max-age=${envNumber('TTS_CACHE_MAX_AGE', 86400)}`,
+    };
+    if (req.get('If-None-Match') === etag) {
+      return res.set(cacheHeaders).status(304).end();
+    }
+
+    // La ruta es pública, pero solo se sintetiza audio nuevo para un comercio con token, que es a
+    // quien se imputan los caracteres. Sin token solo se sirve audio ya cacheado.
+    const tenant = getTenantKey({ merchandId: readTokenClaims(req)?.merchandId });
+    const { audio, cached } = await getSpeech(text, settings, { tenant, cachedOnly: !tenant });
+    if (!audio) {
+      return res.status(401).json({ error: 'Se requiere autenticación para generar audio nuevo' });
+    }
+    const { contentType, extension } = OUTPUT_FORMATS[settings.format];
     res.set({
-      'Content-Type': 'audio/mpeg',
-      'Content-Disposition': 'inline; filename=voz.mp3'
+      ...cacheHeaders,
+      'Content-Type': contentType,
+      'Content-Disposition': `inline; filename=voz.${extension}`,
+      'X-Cache': cached ? 'HIT' : 'MISS',
     });
-    res.send(audioStream);
+    res.send(audio);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Error generando audio' });
   }
 };
 
-module.exports = { convertTextToSpeech };
+const handleGetClip = async (req, res) => {
+  try {
+    const clip = await readClip(req.params.token);
+    if (!clip) return res.status(404).json({ error: 'Audio no encontrado o caducado' });
+
+    const { contentType, extension } = OUTPUT_FORMATS[clip.format];
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `inline; filename=voz.${extension}`,
+      ETag: `"${clip.key}"`,
+      'Cache-Control': `private, max-age=${clip.expiresIn}`,
+    });
+    res.send(clip.audio);
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error obteniendo el audio.' });
+  }
+};
+
+const handleListVoices = async (req, res) => {
+  const { domain, language, engine } = req.query;
+  if (language && !LANGUAGES.includes(language)) return res.status(400).json({ error: `Idioma no soportado: ${language}` });
+  if (engine && !ENGINES.includes(engine)) return res.status(400).json({ error: `Motor no soportado: ${engine}` });
+
+  try {
+    const { settings } = await getVoiceSettings(domain);
+    res.json({
+      voices: listVoices({ language, engine }),
+      formats: Object.keys(OUTPUT_FORMATS),
+      rates: RATE_KEYWORDS,
+      defaults: settings,
+    });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error listando las voces.' });
+  }
+};
+
+module.exports = { convertTextToSpeech, handleGetClip, handleListVoices };
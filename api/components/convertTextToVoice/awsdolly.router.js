@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { convertTextToSpeech } = require('./awsdolly.controller');
+const { convertTextToSpeech, handleGetClip, handleListVoices } = require('./awsdolly.controller');
+const requireQuota = require('../../../middleware/quota');
 
-router.post('/speak', convertTextToSpeech);
+const speechQuota = requireQuota('polly_characters');
+
+router.post('/speak', speechQuota, convertTextToSpeech);
+router.get('/speak', speechQuota, convertTextToSpeech);
+router.get('/voices', handleListVoices);
+router.get('/clips/:token', handleGetClip); // URLs firmadas y de corta duración (ver `createClipUrl`).
 
 module.exports = router;
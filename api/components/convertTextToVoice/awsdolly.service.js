@@ -1,20 +1,202 @@
+const crypto = require('crypto');
 const AWS = require('aws-sdk');
+const { fetchConfig, FALLBACK_REPLIES } = require('../chatgtp/chatgtp.service');
+const { DEFAULT_TEMPLATE } = require('../prompt-templates/template.defaults');
+const { envNumber } = require('../cache/cache.lru');
+const { recordUsage } = require('../usage/usage.service');
+const {
+  MAX_SPEECH_TEXT_LENGTH,
+  OUTPUT_FORMATS,
+  DEFAULT_VOICE_SETTINGS,
+  resolveVoiceSettings,
+  buildSsml,
+} = require('./awsdolly.voices');
+const {
+  normalizeSpeechText,
+  buildSpeechCacheKey,
+  isAudioCacheEnabled,
+  getCachedAudio,
+  getOrSynthesize,
+} = require('./awsdolly.cache');
 
-AWS.config.update({ region: 'us-east-1' });
+AWS.config.update({ region: process.env.AWS_REGION || 'us-east-1' });
 
 const polly = new AWS.Polly();
 
-const synthesizeSpeech = async (text) => {
+/**
+ * Sintetiza un texto con Polly.
+ * @param {string} text - Texto plano; se convierte a SSML si se pide o si la velocidad no es la normal.
+ * @param {Object} [settings] - Ajustes resueltos con `getVoiceSettings`.
+ * @param {Object} [options]
+ * @param {function(number): void} [options.onUsage] - Recibe los caracteres facturados (`RequestCharacters`).
+ * @returns {Promise<Buffer>}
+ */
+const synthesizeSpeech = async (text, settings = DEFAULT_VOICE_SETTINGS, { onUsage } = {}) => {
+  const useSsml = settings.ssml || settings.rate !== 'medium';
+  const { sampleRate } = OUTPUT_FORMATS[settings.format];
+
   const params = {
-    Text: text,
-    OutputFormat: 'mp3',
-    Engine: 'neural',
-    VoiceId: 'Mia',
-    LanguageCode: "es-MX",
+    Text: useSsml ? buildSsml(text, { rate: settings.rate }) : text,
+    TextType: useSsml ? 'ssml' : 'text',
+    OutputFormat: settings.format,
+    Engine: settings.engine,
+    VoiceId: settings.voice,
+    LanguageCode: settings.language,
+    ...(sampleRate ? { SampleRate: sampleRate } : {}),
   };
 
   const data = await polly.synthesizeSpeech(params).promise();
-  return data.AudioStream; 
+  if (onUsage && data.RequestCharacters) onUsage(Number(data.RequestCharacters));
+  return data.AudioStream;
+};
+
+/**
+ * Clave de caché (y ETag) del audio de un texto con unos ajustes de voz.
+ * @param {string} text
+ * @param {Object} settings
+ * @returns {string}
+ */
+const getSpeechKey = (text, settings) => buildSpeechCacheKey(normalizeSpeechText(text), settings);
+
+/**
+ * Audio de un texto, desde la caché o sintetizado con Polly.
+ * @param {string} text
+ * @param {Object} [settings] - Ajustes resueltos con `getVoiceSettings`.
+ * @param {Object} [options]
+ * @param {string} [options.tenant] - Comercio al que se imputan los caracteres sintetizados
+ *   (ver `getTenantKey`); el audio servido desde la caché no consume cuota.
+ * @param {boolean} [options.cachedOnly=false] - No sintetiza: si el audio no está en caché,
+ *   `audio` es `null`.
+ * @returns {Promise<{audio: Buffer|null, key: string, cached: boolean}>}
+ */
+const getSpeech = async (text, settings = DEFAULT_VOICE_SETTINGS, { tenant, cachedOnly = false } = {}) => {
+  const normalized = normalizeSpeechText(text);
+  const key = buildSpeechCacheKey(normalized, settings);
+  if (cachedOnly) {
+    const audio = await getCachedAudio(key);
+    return { audio: audio || null, key, cached: Boolean(audio) };
+  }
+
+  const onUsage = characters => recordUsage(tenant, 'polly_characters', characters);
+  const { audio, cached } = await getOrSynthesize(key, () => synthesizeSpeech(normalized, settings, { onUsage }));
+  return { audio, key, cached };
+};
+
+/**
+ * Genera de antemano el audio de las respuestas fijas del bot con la voz por defecto.
+ * @returns {Promise<number>} Cantidad de clips disponibles en la caché.
+ */
+const prewarmSpeechCache = async () => {
+  const replies = [...Object.values(FALLBACK_REPLIES), ...Object.values(DEFAULT_TEMPLATE.phrases)];
+  const texts = [...new Set(replies.map(reply => reply.audio_description).filter(Boolean))];
+  let ready = 0;
+
+  // En serie, para no disparar varias llamadas a Polly a la vez al arrancar.
+  for (const text of texts) {
+    try {
+      await getSpeech(text);
+      ready += 1;
+    } catch (err) {
+      console.error(`Error precalentando el audio de "${text}":`, err.message);
+    }
+  }
+  return ready;
+};
+
+/**
+ * Firma el contenido de una URL de clip con `JWT_SECRET` (con un prefijo propio, para que no
+ * sirva como firma de otra cosa).
+ * @param {string} payload
+ * @returns {string}
+ */
+const signClip = payload => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || '')
+  .update(`voice-clip:${payload}`)
+  .digest('base64url');
+
+/**
+ * URL firmada y de corta duración (`TTS_CLIP_URL_TTL` segundos) para descargar un clip cacheado.
+ * @param {string} key
+ * @param {string} format
+ * @returns {{url: string, expiresAt: Date}}
+ */
+const createClipUrl = (key, format) => {
+  const expires = Math.floor(Date.now() / 1000) + envNumber('TTS_CLIP_URL_TTL', 300);
+  const payload = `${key}.${format}.${expires}`;
+  return { url: `/textvoice/clips/${payload}.${signClip(payload)}`, expiresAt: new Date(expires * 1000) };
+};
+
+/**
+ * Comprueba el token de una URL de clip y devuelve su audio.
+ * @param {string} token
+ * @returns {Promise<{audio: Buffer, key: string, format: string, expiresIn: number}|null>}
+ *   `null` si la firma no es válida, caducó o el clip ya no está en caché.
+ */
+const readClip = async (token) => {
+  const [key, format, expires, signature] = String(token).split('.');
+  if (!signature || !OUTPUT_FORMATS[format]) return null;
+
+  const expected = Buffer.from(signClip(`${key}.${format}.${expires}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  const expiresIn = Number(expires) - Math.floor(Date.now() / 1000);
+  if (!(expiresIn > 0)) return null;
+
+  const audio = await getCachedAudio(key);
+  return audio ? { audio, key, format, expiresIn } : null;
+};
+
+/**
+ * Audio de una respuesta del asistente (su `audio_description`, o el `message` si no tiene).
+ * @param {{message: string, audio_description?: string}} reply
+ * @param {Object} settings - Ajustes resueltos con `getVoiceSettings`.
+ * @param {Object} [options]
+ * @param {'base64'|'url'} [options.delivery='base64'] - Audio incrustado o URL firmada a un clip
+ *   cacheado (si la caché de audio está desactivada se incrusta igualmente).
+ * @param {string} [options.tenant] - Comercio al que se imputan los caracteres (ver `getSpeech`).
+ * @returns {Promise<Object|null>} `null` si no hay texto que leer.
+ */
+const getReplyAudio = async (reply, settings, { delivery = 'base64', tenant } = {}) => {
+  const text = (reply.audio_description || reply.message || '').slice(0, MAX_SPEECH_TEXT_LENGTH);
+  if (!text.trim()) return null;
+
+  const { audio, key } = await getSpeech(text, settings, { tenant });
+  const { format } = settings;
+  const { contentType } = OUTPUT_FORMATS[format];
+
+  if (delivery === 'url' && isAudioCacheEnabled()) {
+    return { format, contentType, ...createClipUrl(key, format) };
+  }
+  return { format, contentType, base64: Buffer.from(audio).toString('base64') };
+};
+
+/**
+ * Ajustes de voz de una petición sobre los valores por defecto del inquilino (`config.voice`).
+ * Si la configuración no está disponible se usan los valores por defecto.
+ * @param {string} [domain]
+ * @param {Object} [requested] - voice, language, engine, format, rate y ssml enviados por el cliente.
+ * @returns {Promise<{settings?: Object, error?: string}>}
+ */
+const getVoiceSettings = async (domain, requested) => {
+  let tenantVoice = null;
+  if (domain) {
+    try {
+      tenantVoice = (await fetchConfig(domain)).voice;
+    } catch (err) {
+      console.warn(`Usando la voz por defecto para ${domain}:`, err.message);
+    }
+  }
+
+  return resolveVoiceSettings(tenantVoice, requested);
 };
 
-module.exports = { synthesizeSpeech };
+module.exports = {
+  synthesizeSpeech,
+  getSpeech,
+  getSpeechKey,
+  getReplyAudio,
+  readClip,
+  getVoiceSettings,
+  prewarmSpeechCache,
+};
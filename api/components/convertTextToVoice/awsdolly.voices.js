@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Voces, formatos y SSML de Amazon Polly.
+ *
+ * Solo se aceptan las voces, idiomas, motores, formatos y velocidades de esta lista blanca.
+ * Los ajustes de voz se resuelven por capas: valores por defecto, `config.voice` del inquilino
+ * y, por último, los que envía el cliente en la petición.
+ */
+
+const VOICES = [
+  { id: 'Mia', language: 'es-MX', gender: 'Female', engines: ['neural', 'standard'] },
+  { id: 'Andres', language: 'es-MX', gender: 'Male', engines: ['neural'] },
+  { id: 'Lupe', language: 'es-US', gender: 'Female', engines: ['neural', 'standard'] },
+  { id: 'Pedro', language: 'es-US', gender: 'Male', engines: ['neural'] },
+  { id: 'Penelope', language: 'es-US', gender: 'Female', engines: ['standard'] },
+  { id: 'Miguel', language: 'es-US', gender: 'Male', engines: ['standard'] },
+  { id: 'Lucia', language: 'es-ES', gender: 'Female', engines: ['neural', 'standard'] },
+  { id: 'Sergio', language: 'es-ES', gender: 'Male', engines: ['neural'] },
+  { id: 'Conchita', language: 'es-ES', gender: 'Female', engines: ['standard'] },
+  { id: 'Enrique', language: 'es-ES', gender: 'Male', engines: ['standard'] },
+  { id: 'Joanna', language: 'en-US', gender: 'Female', engines: ['neural', 'standard'] },
+  { id: 'Matthew', language: 'en-US', gender: 'Male', engines: ['neural', 'standard'] },
+  { id: 'Camila', language: 'pt-BR', gender: 'Female', engines: ['neural', 'standard'] },
+  { id: 'Thiago', language: 'pt-BR', gender: 'Male', engines: ['neural'] },
+];
+
+const LANGUAGES = [...new Set(VOICES.map(voice => voice.language))];
+const ENGINES = ['neural', 'standard'];
+
+// PCM de Polly es lineal de 16 bits, mono, little-endian.
+const OUTPUT_FORMATS = {
+  mp3: { contentType: 'audio/mpeg', extension: 'mp3' },
+  ogg_vorbis: { contentType: 'audio/ogg', extension: 'ogg' },
+  pcm: { contentType: 'audio/pcm', extension: 'pcm', sampleRate: '16000' },
+};
+
+const MAX_SPEECH_TEXT_LENGTH = 3000; // Límite de caracteres facturables de Polly por petición.
+const RATE_KEYWORDS = ['x-slow', 'slow', 'medium', 'fast', 'x-fast'];
+const MIN_RATE_PERCENT = 20;
+const MAX_RATE_PERCENT = 200;
+const PARAGRAPH_PAUSE = '<break time="500ms"/>';
+
+const DEFAULT_VOICE_SETTINGS = Object.freeze({
+  voice: 'Mia',
+  language: 'es-MX',
+  engine: 'neural',
+  format: 'mp3',
+  rate: 'medium',
+  ssml: false,
+});
+
+const VOICE_OPTION_KEYS = ['voice', 'language', 'engine', 'format', 'rate', 'ssml'];
+
+/**
+ * Busca una voz de la lista blanca sin distinguir mayúsculas.
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+const findVoice = id => VOICES.find(voice => voice.id.toLowerCase() === String(id).toLowerCase());
+
+/**
+ * Normaliza una velocidad de habla: palabra clave de SSML o porcentaje (número o texto "120%" / "120").
+ * @param {string|number} rate
+ * @returns {string|null} La velocidad para `<prosody rate>`, o `null` si no es válida.
+ */
+const normalizeRate = (rate) => {
+  if (RATE_KEYWORDS.includes(rate)) return rate;
+
+  const percent = typeof rate === 'number' ? rate : Number(String(rate).match(/^(\d+)%?$/)?.[1]);
+  return Number.isInteger(percent) && percent >= MIN_RATE_PERCENT && percent <= MAX_RATE_PERCENT ? `${percent}%` : null;
+};
+
+/**
+ * Valida las opciones de voz indicadas (todas opcionales).
+ * @param {Object} [input]
+ * @returns {{options?: Object, error?: string}} Solo las opciones presentes, ya normalizadas.
+ */
+const validateVoiceOptions = (input = {}) => {
+  const options = {};
+
+  for (const key of VOICE_OPTION_KEYS) {
+    const value = input[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (key === 'voice') {
+      const voice = findVoice(value);
+      if (!voice) return { error: `Voz no soportada: ${value}` };
+      options.voice = voice.id;
+    } else if (key === 'language') {
+      if (!LANGUAGES.includes(value)) return { error: `Idioma no soportado: ${value}. Usa uno de: ${LANGUAGES.join(', ')}` };
+      options.language = value;
+    } else if (key === 'engine') {
+      if (!ENGINES.includes(value)) return { error: `Motor no soportado: ${value}. Usa uno de: ${ENGINES.join(', ')}` };
+      options.engine = value;
+    } else if (key === 'format') {
+      if (!OUTPUT_FORMATS[value]) return { error: `Formato no soportado: ${value}. Usa uno de: ${Object.keys(OUTPUT_FORMATS).join(', ')}` };
+      options.format = value;
+    } else if (key === 'rate') {
+      const rate = normalizeRate(value);
+      if (!rate) return { error: `Velocidad inválida: ${value}. Usa ${RATE_KEYWORDS.join(', ')} o un porcentaje entre ${MIN_RATE_PERCENT}% y ${MAX_RATE_PERCENT}%` };
+      options.rate = rate;
+    } else if (key === 'ssml') {
+      if (typeof value !== 'boolean') return { error: 'ssml debe ser true o false' };
+      options.ssml = value;
+    }
+  }
+
+  return { options };
+};
+
+/**
+ * Aplica una capa de opciones ya validadas manteniendo coherentes voz, idioma y motor: una voz
+ * fija su idioma, un idioma sin voz elige la primera voz de ese idioma y un motor que la voz no
+ * admite es un error (si viene de una capa anterior se usa el motor de la voz).
+ * @param {Object} settings
+ * @param {Object} layer
+ * @returns {{settings?: Object, error?: string}}
+ */
+const applyVoiceLayer = (settings, layer) => {
+  const next = { ...settings, ...layer };
+  const engine = layer.engine || settings.engine;
+
+  if (layer.voice) {
+    const voice = findVoice(layer.voice);
+    if (layer.language && layer.language !== voice.language) {
+      return { error: `La voz ${voice.id} no habla ${layer.language}` };
+    }
+    next.language = voice.language;
+  } else if (layer.language && findVoice(settings.voice).language !== layer.language) {
+    const candidates = VOICES.filter(voice => voice.language === layer.language);
+    next.voice = (candidates.find(voice => voice.engines.includes(engine)) || candidates[0]).id;
+  }
+
+  const { engines } = findVoice(next.voice);
+  if (layer.engine && !engines.includes(layer.engine)) {
+    return { error: `La voz ${next.voice} no admite el motor ${layer.engine}` };
+  }
+  if (!engines.includes(next.engine)) next.engine = engines[0];
+
+  return { settings: next };
+};
+
+/**
+ * Ajustes de voz efectivos. Las opciones inválidas del inquilino se ignoran con un aviso; las del
+ * cliente devuelven error.
+ * @param {Object} [tenantVoice] - `config.voice` del inquilino.
+ * @param {Object} [requested] - Opciones enviadas en la petición.
+ * @returns {{settings?: Object, error?: string}}
+ */
+const resolveVoiceSettings = (tenantVoice, requested) => {
+  let settings = { ...DEFAULT_VOICE_SETTINGS };
+
+  if (tenantVoice) {
+    const { options, error } = validateVoiceOptions(tenantVoice);
+    const applied = error ? { error } : applyVoiceLayer(settings, options);
+    if (applied.error) console.warn('Ajustes de voz inválidos en la configuración del inquilino:', applied.error);
+    else settings = applied.settings;
+  }
+
+  const { options, error } = validateVoiceOptions(requested);
+  if (error) return { error };
+  return applyVoiceLayer(settings, options);
+};
+
+/**
+ * Escapa un texto para incluirlo dentro de SSML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeSsml = text => String(text)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Envuelve texto plano (p. ej. `audio_description`) en SSML: lo escapa, añade pausas entre
+ * párrafos y aplica la velocidad de habla.
+ * @param {string} text
+ * @param {{rate?: string}} [options]
+ * @returns {string}
+ */
+const buildSsml = (text, { rate = 'medium' } = {}) => {
+  const body = String(text)
+    .split(/\s*\n+\s*/)
+    .filter(Boolean)
+    .map(escapeSsml)
+    .join(` ${PARAGRAPH_PAUSE} `);
+
+  return rate === 'medium'
+    ? `<speak>${body}</speak>`
+    : `<speak><prosody rate="${rate}">${body}</prosody></speak>`;
+};
+
+/**
+ * Lista las voces de la lista blanca, opcionalmente filtradas por idioma y motor.
+ * @param {{language?: string, engine?: string}} [filters]
+ * @returns {Array<Object>}
+ */
+const listVoices = ({ language, engine } = {}) => VOICES
+  .filter(voice => !language || voice.language === language)
+  .filter(voice => !engine || voice.engines.includes(engine));
+
+module.exports = {
+  MAX_SPEECH_TEXT_LENGTH,
+  OUTPUT_FORMATS,
+  LANGUAGES,
+  ENGINES,
+  RATE_KEYWORDS,
+  DEFAULT_VOICE_SETTINGS,
+  resolveVoiceSettings,
+  buildSsml,
+  listVoices,
+};
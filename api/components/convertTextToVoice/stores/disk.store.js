@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Almacén de audio en disco local.
+ *
+ * Cada clip es un archivo `<clave>.bin` dentro de `dir`. El orden de uso se mantiene en memoria
+ * (y en la fecha de modificación de cada archivo, para reconstruirlo al reiniciar); al superar
+ * `maxBytes` se borran los clips menos usados.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const FILE_PATTERN = /^([a-f0-9]{64})\.bin$/;
+
+/**
+ * Crea un almacén de audio en disco.
+ * @param {Object} options
+ * @param {string} options.dir - Directorio de los clips (se crea si no existe).
+ * @param {number} options.maxBytes - Tamaño máximo total.
+ * @returns {{get: function(string): Promise<Buffer|null>, set: function(string, Buffer): Promise<void>}}
+ */
+const createDiskStore = ({ dir, maxBytes }) => {
+  const sizes = new Map(); // Clave -> bytes; la primera clave es la menos usada.
+  let totalBytes = 0;
+  let loading = null;
+
+  const filePath = key => path.join(dir, `${key}.bin`);
+
+  const load = () => {
+    loading = loading || (async () => {
+      await fs.mkdir(dir, { recursive: true });
+      const names = (await fs.readdir(dir)).filter(name => FILE_PATTERN.test(name));
+      const files = await Promise.all(names.map(async name => ({ name, stat: await fs.stat(path.join(dir, name)) })));
+
+      files
+        .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+        .forEach(({ name, stat }) => {
+          sizes.set(name.match(FILE_PATTERN)[1], stat.size);
+          totalBytes += stat.size;
+        });
+    })();
+    return loading;
+  };
+
+  const forget = (key) => {
+    totalBytes -= sizes.get(key) || 0;
+    sizes.delete(key);
+  };
+
+  const evict = async () => {
+    while (totalBytes > maxBytes && sizes.size) {
+      const oldest = sizes.keys().next().value;
+      forget(oldest);
+      await fs.rm(filePath(oldest), { force: true });
+    }
+  };
+
+  return {
+    async get(key) {
+      await load();
+      if (!sizes.has(key)) return null;
+
+      try {
+        const audio = await fs.readFile(filePath(key));
+        // Marca el clip como el más reciente (también en disco, para el próximo arranque).
+        const size = sizes.get(key);
+        sizes.delete(key);
+        sizes.set(key, size);
+        const now = new Date();
+        await fs.utimes(filePath(key), now, now);
+        return audio;
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        forget(key); // Borrado desde fuera.
+        return null;
+      }
+    },
+
+    async set(key, audio) {
+      await load();
+      if (audio.length > maxBytes) return;
+
+      // Se escribe a un temporal y se renombra para no dejar clips a medias.
+      const tmpPath = `${filePath(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, audio);
+      await fs.rename(tmpPath, filePath(key));
+
+      forget(key);
+      sizes.set(key, audio.length);
+      totalBytes += audio.length;
+      await evict();
+    },
+  };
+};
+
+module.exports = { createDiskStore };
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Almacén de audio en GridFS (base de datos de clientes).
+ *
+ * Cada clip es un archivo con `filename` = clave y `metadata.lastAccessedAt`; al superar
+ * `maxBytes` se borran los clips con el acceso más antiguo. Útil cuando hay varias instancias
+ * del servicio y el disco local no es compartido.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Crea un almacén de audio en GridFS.
+ * @param {Object} options
+ * @param {import('mongoose').Connection} options.connection
+ * @param {number} options.maxBytes - Tamaño máximo total.
+ * @param {string} [options.bucketName='ttsAudio']
+ * @returns {{get: function(string): Promise<Buffer|null>, set: function(string, Buffer): Promise<void>}}
+ */
+const createGridFSStore = ({ connection, maxBytes, bucketName = 'ttsAudio' }) => {
+  const open = async () => {
+    await connection.asPromise();
+    return {
+      bucket: new mongoose.mongo.GridFSBucket(connection.db, { bucketName }),
+      files: connection.db.collection(`${bucketName}.files`),
+    };
+  };
+
+  const evict = async ({ bucket, files }) => {
+    const [usage] = await files.aggregate([{ $group: { _id: null, totalBytes: { $sum: '$length' } } }]).toArray();
+    let excess = (usage?.totalBytes || 0) - maxBytes;
+
+    while (excess > 0) {
+      const oldest = await files.find({}).sort({ 'metadata.lastAccessedAt': 1 }).limit(1).next();
+      if (!oldest) break;
+      await bucket.delete(oldest._id);
+      excess -= oldest.length;
+    }
+  };
+
+  return {
+    async get(key) {
+      const { bucket, files } = await open();
+      const file = await files.findOneAndUpdate(
+        { filename: key },
+        { $set: { 'metadata.lastAccessedAt': new Date() } }
+      );
+      if (!file) return null;
+
+      const chunks = [];
+      for await (const chunk of bucket.openDownloadStream(file._id)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+
+    async set(key, audio) {
+      if (audio.length > maxBytes) return;
+
+      const store = await open();
+      if (await store.files.findOne({ filename: key }, { projection: { _id: 1 } })) return;
+
+      await new Promise((resolve, reject) => {
+        store.bucket.openUploadStream(key, { metadata: { lastAccessedAt: new Date() } })
+          .on('error', reject)
+          .on('finish', resolve)
+          .end(audio);
+      });
+      await evict(store);
+    },
+  };
+};
+
+module.exports = { createGridFSStore };
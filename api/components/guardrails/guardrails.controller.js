@@ -0,0 +1,44 @@
+const { listGuardrailEvents } = require('./guardrails.service');
+
+const STAGES = ['input', 'output'];
+const REASONS = ['injection', 'moderation', 'prompt_leak', 'unknown_price'];
+
+/**
+ * Lee los filtros de la query string (`domain`, `stage`, `reason`, `from` y `to`).
+ * @returns {{filters?: Object, error?: string}}
+ */
+const parseFilters = (query) => {
+  const { domain, stage, reason } = query;
+  if (stage && !STAGES.includes(stage)) return { error: `stage debe ser ${STAGES.join(' o ')}` };
+  if (reason && !REASONS.includes(reason)) return { error: `reason debe ser uno de: ${REASONS.join(', ')}` };
+
+  const filters = { domain, stage, reason };
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Fecha inválida en ${key}` };
+    }
+    filters[key] = date;
+  }
+
+  return { filters };
+};
+
+const handleListGuardrailEvents = async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const page = Number.parseInt(req.query.page, 10) || 1;
+  const limit = Number.parseInt(req.query.limit, 10) || undefined;
+
+  try {
+    const result = await listGuardrailEvents(req.user.merchandId, { ...filters, page, limit });
+    res.json(result);
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error listando los turnos bloqueados.' });
+  }
+};
+
+module.exports = { handleListGuardrailEvents };
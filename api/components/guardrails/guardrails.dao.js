@@ -0,0 +1,15 @@
+const { GuardrailEvent } = require('../../../config/database');
+
+const createGuardrailEvent = async (event) => {
+  return await GuardrailEvent.create(event);
+};
+
+const findGuardrailEvents = async (filter, { skip = 0, limit = 0 } = {}) => {
+  return await GuardrailEvent.find(filter).sort({ _id: -1 }).skip(skip).limit(limit).lean();
+};
+
+const countGuardrailEvents = async (filter) => {
+  return await GuardrailEvent.countDocuments(filter);
+};
+
+module.exports = { createGuardrailEvent, findGuardrailEvents, countGuardrailEvents };
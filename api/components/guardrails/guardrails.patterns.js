@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Detección local de intentos de inyección de instrucciones y redacción de datos
+ * personales (correos, teléfonos y tarjetas).
+ *
+ * Las reglas trabajan sobre texto normalizado (minúsculas y sin tildes) para no depender de
+ * cómo escriba el cliente.
+ */
+
+// Cada regla tiene un nombre que se guarda en el registro de turnos bloqueados.
+const INJECTION_PATTERNS = [
+  { name: 'ignore_instructions', pattern: /\b(ignora|olvida|omite|descarta|saltate|salta)\b.{0,40}\b(instrucciones|reglas|indicaciones|directrices|prompt)\b/ },
+  { name: 'ignore_instructions', pattern: /\b(ignore|disregard|forget|bypass|override)\b.{0,40}\b(instructions|rules|guidelines|prompt)\b/ },
+  { name: 'reveal_prompt', pattern: /\b(revela|revelame|muestra|muestrame|dime|ensename|repite|imprime|copia|escribe)\b.{0,40}\b(prompt|mensaje (de|del) sistema|instrucciones (del sistema|iniciales|internas|originales|ocultas)|configuracion interna)\b/ },
+  { name: 'reveal_prompt', pattern: /\b(reveal|show|print|repeat|output|tell me)\b.{0,40}\b(system prompt|system message|initial prompt|your (instructions|prompt|rules))\b/ },
+  { name: 'role_override', pattern: /\b(a partir de ahora|desde ahora|from now on)\b.{0,40}\b(eres|seras|actua|actuaras|you are|act as)\b/ },
+  { name: 'role_override', pattern: /\b(modo (desarrollador|dios|sin restricciones|sin filtros)|developer mode|jailbreak|do anything now)\b/ },
+  { name: 'fake_role_marker', pattern: /(^|\n)\s*(system|sistema|assistant|asistente)\s*:|<\/?(system|im_start|im_end)\b|\[\/?inst\]|###\s*(sistema|system|instrucciones)/ },
+];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const CARD_PATTERN = /\b(?:\d[ -]?){12,18}\d\b/g;
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d(?:[\s.-]?\d){6,14}(?!\w)/g;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const REDACTIONS = {
+  email: '[email]',
+  phone: '[teléfono]',
+  card: '[tarjeta]',
+};
+
+/**
+ * Minúsculas, sin tildes y con los espacios colapsados.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = text => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[ \t]+/g, ' ');
+
+/**
+ * Busca un intento de inyección de instrucciones en el mensaje del cliente.
+ * @param {string} text
+ * @returns {string|null} El nombre de la regla que coincide, o `null`.
+ */
+const detectInjection = (text) => {
+  const normalized = normalizeText(text);
+  return INJECTION_PATTERNS.find(({ pattern }) => pattern.test(normalized))?.name || null;
+};
+
+/**
+ * Algoritmo de Luhn: descarta secuencias de dígitos que no pueden ser una tarjeta.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Sustituye correos, números de tarjeta y teléfonos por marcadores.
+ * @param {string} text
+ * @returns {string}
+ */
+const redactPII = text => String(text ?? '')
+  .replace(EMAIL_PATTERN, REDACTIONS.email)
+  .replace(CARD_PATTERN, match => (passesLuhn(match.replace(/\D/g, '')) ? REDACTIONS.card : match))
+  .replace(PHONE_PATTERN, (match) => {
+    const digits = match.replace(/\D/g, '');
+    if (ISO_DATE_PATTERN.test(match) || digits.length < 7 || digits.length > 15) return match;
+    return REDACTIONS.phone;
+  });
+
+module.exports = { normalizeText, detectInjection, redactPII };
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { handleListGuardrailEvents } = require('./guardrails.controller');
+const authMiddleware = require('../../../middleware/auth');
+const requireRole = require('../../../middleware/role');
+
+// Turnos bloqueados de los clientes del comercio (merchandId del token).
+router.get('/events', authMiddleware, requireRole('merchant'), handleListGuardrailEvents);
+
+module.exports = router;
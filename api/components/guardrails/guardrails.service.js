@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Guardarraíles de cada turno del chat.
+ *
+ * - Entrada: detección de inyección de instrucciones y moderación con un proveedor intercambiable
+ *   ('local' por defecto, 'openai' o 'none').
+ * - Salida: respuestas que filtran el prompt del sistema o citan precios que no están en el catálogo,
+ *   el carrito ni la información del negocio (p. ej. el costo de envío).
+ * - Datos personales: correos, teléfonos y tarjetas se redactan antes de guardar la conversación.
+ *
+ * Los turnos bloqueados se registran en `GuardrailEvent` para que el comercio los revise. Cada
+ * inquilino los ajusta con `config.guardrails`: `{ enabled, moderation, blockedTerms, checkPrices }`.
+ */
+
+const { detectInjection, normalizeText, redactPII } = require('./guardrails.patterns');
+const { createLocalModerationProvider } = require('./providers/local.provider');
+const { createOpenAIModerationProvider } = require('./providers/openai.provider');
+const { createGuardrailEvent, findGuardrailEvents, countGuardrailEvents } = require('./guardrails.dao');
+const { getBusinessInfo } = require('../prompt-templates/template.defaults');
+
+/**
+ * @typedef {Object} ModerationProvider
+ * @property {string} name
+ * @property {function(string): Promise<{flagged: boolean, categories: Array<string>}>} moderate
+ */
+
+/**
+ * @typedef {Object} GuardrailResult
+ * @property {boolean} blocked
+ * @property {string} [reason] - 'injection' | 'moderation' | 'prompt_leak' | 'unknown_price'.
+ * @property {string} [detail] - Regla, categorías o precios que motivaron el bloqueo.
+ */
+
+const MODERATION_FACTORIES = {
+  local: ({ blockedTerms }) => createLocalModerationProvider({ blockedTerms }),
+  openai: ({ apiKey }) => createOpenAIModerationProvider({ apiKey }),
+  none: () => null,
+};
+
+const PROVIDER_CACHE = new Map(); // Instancias reutilizables por combinación de ajustes.
+
+const LEAK_MARKERS = ['###', '{{', 'regla de oro', 'audio_description', 'formato de respuesta', 'businessinfo'];
+const LEAK_SHINGLE_WORDS = 10; // Palabras seguidas del prompt que delatan una copia literal.
+const JSON_KEY_PATTERN = /"[^"\n]{1,40}"\s*:/g;
+const MAX_QUANTITY_MULTIPLE = 10; // Se aceptan totales de hasta 10 unidades de un producto.
+const PRICE_TOLERANCE = 0.01;
+const NUMBER_PATTERN = /\d(?:[\d.,]*\d)?/g;
+const CURRENCY_SYMBOLS = ['s/.', 's/', 'us$', '$', '€', 'usd', 'pen'];
+const CURRENCY_WORDS = ['soles', 'sol', 'dolares', 'euros'];
+const DISCOUNT_PATTERNS = [
+  /(\d{1,3})\s?%\s?(?:de\s)?(?:descuento|dscto|dcto|off|rebaja)/g,
+  /(?:descuento|dscto|dcto|rebaja)\s(?:de(?:l)?\s)?(\d{1,3})\s?%/g,
+];
+const MAX_EXCERPT_LENGTH = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Ajustes de guardarraíles de un inquilino sobre los valores por defecto.
+ * @param {Object} [config] - Configuración de negocio del inquilino.
+ * @returns {{enabled: boolean, moderation: string, blockedTerms: Array<string>, checkPrices: boolean}}
+ */
+const getGuardrailSettings = (config) => {
+  const settings = config?.guardrails || {};
+  return {
+    enabled: settings.enabled ?? process.env.GUARDRAILS_ENABLED !== 'false',
+    moderation: settings.moderation || process.env.MODERATION_PROVIDER || 'local',
+    blockedTerms: Array.isArray(settings.blockedTerms) ? settings.blockedTerms.filter(term => typeof term === 'string') : [],
+    checkPrices: settings.checkPrices !== false,
+  };
+};
+
+/**
+ * Proveedor de moderación de un inquilino.
+ * @param {Object} [params]
+ * @param {Object} [params.config]
+ * @param {string} [params.apiKey] - API key de OpenAI para el proveedor 'openai'.
+ * @returns {ModerationProvider|null} `null` si la moderación está desactivada.
+ */
+const getModerationProvider = ({ config, apiKey } = {}) => {
+  const { moderation, blockedTerms } = getGuardrailSettings(config);
+  const factory = MODERATION_FACTORIES[moderation];
+  if (!factory) throw new Error(`Proveedor de moderación desconocido: ${moderation}`);
+
+  const cacheKey = JSON.stringify([moderation, blockedTerms, moderation === 'openai' ? apiKey : null]);
+  if (!PROVIDER_CACHE.has(cacheKey)) {
+    PROVIDER_CACHE.set(cacheKey, factory({ apiKey, blockedTerms }));
+  }
+  return PROVIDER_CACHE.get(cacheKey);
+};
+
+/**
+ * Revisa el mensaje del cliente antes de enviarlo al modelo. Si el proveedor de moderación
+ * falla, el mensaje pasa (solo con la detección de inyección).
+ * @param {string} userMessage
+ * @param {Object} [params]
+ * @param {Object} [params.config]
+ * @param {string} [params.apiKey]
+ * @returns {Promise<GuardrailResult>}
+ */
+const checkUserMessage = async (userMessage, { config, apiKey } = {}) => {
+  if (!getGuardrailSettings(config).enabled) return { blocked: false };
+
+  const injection = detectInjection(userMessage);
+  if (injection) return { blocked: true, reason: 'injection', detail: injection };
+
+  try {
+    const provider = getModerationProvider({ config, apiKey });
+    const result = provider ? await provider.moderate(userMessage) : null;
+    if (result?.flagged) return { blocked: true, reason: 'moderation', detail: result.categories.join(', ') };
+  } catch (err) {
+    console.error('Error en la moderación del mensaje:', err?.response?.data || err.message);
+  }
+
+  return { blocked: false };
+};
+
+/**
+ * Busca en una respuesta restos del prompt del sistema: marcadores de sus secciones, fragmentos
+ * literales de sus reglas o la configuración del negocio volcada como JSON.
+ * @param {string} text
+ * @param {Object} template - Plantilla efectiva del inquilino.
+ * @returns {string|null} Lo que delata la filtración, o `null`.
+ */
+const detectPromptLeak = (text, template) => {
+  const normalized = normalizeText(text);
+  const marker = LEAK_MARKERS.find(candidate => normalized.includes(candidate));
+  if (marker) return `marcador "${marker}"`;
+
+  if ((String(text).match(JSON_KEY_PATTERN) || []).length >= 2) return 'configuración en JSON';
+
+  // Solo el texto fijo de las reglas: las variables (saludo, frases, datos del negocio) sí se pueden decir.
+  const toWords = value => normalizeText(value).split(/[^a-z0-9ñ]+/).filter(Boolean);
+  const ruleWords = toWords(String(template.systemPrompt).replace(/\{\{\s*\w+\s*\}\}/g, ' | '));
+  const shingles = new Set();
+  for (let i = 0; i + LEAK_SHINGLE_WORDS <= ruleWords.length; i += 1) {
+    shingles.add(ruleWords.slice(i, i + LEAK_SHINGLE_WORDS).join(' '));
+  }
+
+  const words = toWords(text);
+  for (let i = 0; i + LEAK_SHINGLE_WORDS <= words.length; i += 1) {
+    const shingle = words.slice(i, i + LEAK_SHINGLE_WORDS).join(' ');
+    if (shingles.has(shingle)) return `fragmento del prompt: "${shingle}"`;
+  }
+  return null;
+};
+
+/**
+ * Convierte un importe escrito ("1,299.90", "1.299,90", "150") en número.
+ * @param {string} value
+ * @returns {number}
+ */
+const parseAmount = (value) => {
+  const lastDot = value.lastIndexOf('.');
+  const lastComma = value.lastIndexOf(',');
+
+  if (lastDot >= 0 && lastComma >= 0) {
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const thousands = decimal === '.' ? ',' : '.';
+    return Number(value.split(thousands).join('').replace(decimal, '.'));
+  }
+
+  const separator = lastDot >= 0 ? '.' : (lastComma >= 0 ? ',' : null);
+  if (!separator) return Number(value);
+
+  const parts = value.split(separator);
+  // Un solo separador seguido de tres dígitos es de miles ("1,299"); si no, decimal ("149.90").
+  if (parts.length > 2 || parts[1].length === 3) return Number(parts.join(''));
+  return Number(parts.join('.'));
+};
+
+/**
+ * Importes con moneda que aparecen en un texto.
+ * @param {string} text
+ * @param {string} [currency] - Símbolo de moneda de la plantilla del inquilino.
+ * @returns {Array<{raw: string, value: number}>}
+ */
+const extractPrices = (text, currency) => {
+  const normalized = normalizeText(text);
+  const symbols = [...new Set([normalizeText(currency || '').trim(), ...CURRENCY_SYMBOLS].filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  const amount = '(\\d(?:[\\d.,]*\\d)?)';
+  const patterns = [
+    new RegExp(`(?:${symbols.join('|')})\\s?${amount}`, 'g'),
+    new RegExp(`${amount}\\s?(?:${CURRENCY_WORDS.join('|')})\\b`, 'g'),
+  ];
+
+  return patterns.flatMap(pattern => [...normalized.matchAll(pattern)]
+    .map(match => ({ raw: match[0].trim(), value: parseAmount(match[1]) }))
+    .filter(({ value }) => Number.isFinite(value)));
+};
+
+/**
+ * Números de la información del negocio o del prompt (costo de envío, mínimo para el envío
+ * gratis...): sus valores numéricos y los números escritos en sus textos.
+ * @param {*} value
+ * @returns {Array<number>}
+ */
+const collectBusinessAmounts = (value) => {
+  if (typeof value === 'number') return [value];
+  if (typeof value === 'string') return [...value.matchAll(NUMBER_PATTERN)].map(([raw]) => parseAmount(raw));
+  if (value && typeof value === 'object') return Object.values(value).flatMap(collectBusinessAmounts);
+  return [];
+};
+
+/**
+ * Precios y porcentajes de descuento que una respuesta puede citar: los del catálogo (con sus
+ * variaciones, el ahorro y múltiplos de unidades), los del carrito, antes y después de la acción,
+ * y los importes que da el comercio en su información del negocio o en su prompt.
+ * @param {Object} params
+ * @param {Array<Object>} params.products - Catálogo del inquilino.
+ * @param {Object} [params.cart] - Carrito del cliente al empezar el turno.
+ * @param {Object} [params.action] - Acción validada de la respuesta.
+ * @param {*} [params.business] - Información del negocio y textos del prompt del inquilino.
+ * @returns {{prices: Array<number>, percentages: Set<number>}}
+ */
+const collectKnownPrices = ({ products, cart, action, business }) => {
+  const prices = [];
+  const percentages = new Set();
+
+  const addPricePair = ({ regular, sale } = {}) => {
+    for (const price of [regular, sale]) {
+      if (typeof price !== 'number') continue;
+      for (let units = 1; units <= MAX_QUANTITY_MULTIPLE; units += 1) prices.push(price * units);
+    }
+    if (typeof regular === 'number' && typeof sale === 'number' && regular > sale) {
+      prices.push(regular - sale);
+      const discount = (1 - sale / regular) * 100;
+      [Math.floor(discount), Math.round(discount), Math.ceil(discount)].forEach(value => percentages.add(value));
+    }
+  };
+
+  for (const product of products || []) {
+    addPricePair(product.price);
+    (product.variations || []).forEach(variation => addPricePair(variation.price));
+  }
+
+  if (cart) {
+    prices.push(cart.subtotal, ...cart.items.flatMap(item => [item.lineTotal, item.price_sale, item.price_regular]));
+    const unit = action?.price_sale ?? action?.price_regular;
+    if (typeof unit === 'number' && ['add_to_cart', 'remove_from_cart'].includes(action.type)) {
+      for (let units = 1; units <= MAX_QUANTITY_MULTIPLE; units += 1) {
+        prices.push(cart.subtotal + unit * units, cart.subtotal - unit * units);
+      }
+    }
+  }
+
+  prices.push(...collectBusinessAmounts(business));
+
+  return { prices: prices.filter(price => typeof price === 'number'), percentages };
+};
+
+/**
+ * Precios y descuentos de un texto que no corresponden al catálogo ni al carrito.
+ * @param {string} text
+ * @param {Object} params - Ver `collectKnownPrices`, más `currency`.
+ * @returns {Array<string>}
+ */
+const findUnknownPrices = (text, { currency, ...known }) => {
+  const { prices, percentages } = collectKnownPrices(known);
+  const unknownPrices = extractPrices(text, currency)
+    .filter(({ value }) => !prices.some(price => Math.abs(price - value) < PRICE_TOLERANCE))
+    .map(({ raw }) => raw);
+
+  const normalized = normalizeText(text);
+  const unknownDiscounts = DISCOUNT_PATTERNS
+    .flatMap(pattern => [...normalized.matchAll(pattern)])
+    .filter(match => !percentages.has(Number(match[1])))
+    .map(match => match[0]);
+
+  return [...new Set([...unknownPrices, ...unknownDiscounts])];
+};
+
+/**
+ * Revisa la respuesta ya validada del modelo antes de entregarla.
+ * @param {{message: string, audio_description: string, action: Object}} reply
+ * @param {Object} params
+ * @param {Object} [params.config]
+ * @param {Object} params.template - Plantilla efectiva del inquilino.
+ * @param {Array<Object>} params.products - Catálogo del inquilino.
+ * @param {Object} [params.cart] - Carrito del cliente al empezar el turno.
+ * @returns {GuardrailResult}
+ */
+const checkAssistantReply = (reply, { config, template, products, cart }) => {
+  const settings = getGuardrailSettings(config);
+  if (!settings.enabled) return { blocked: false };
+
+  const text = `${reply.message || ''}\n${reply.audio_description || ''}`;
+
+  const leak = detectPromptLeak(text, template);
+  if (leak) return { blocked: true, reason: 'prompt_leak', detail: leak };
+
+  if (settings.checkPrices) {
+    const business = [getBusinessInfo(config), template.systemPrompt];
+    const unknown = findUnknownPrices(text, { currency: template.currency, products, cart, action: reply.action, business });
+    if (unknown.length) return { blocked: true, reason: 'unknown_price', detail: unknown.join(', ') };
+  }
+
+  return { blocked: false };
+};
+
+/**
+ * Copia de una respuesta del asistente con los datos personales redactados.
+ * @param {Object} reply
+ * @returns {Object}
+ */
+const redactReply = reply => ({
+  ...reply,
+  message: redactPII(reply.message),
+  audio_description: redactPII(reply.audio_description),
+});
+
+/**
+ * Registra un turno bloqueado para el comercio. Los errores se registran sin interrumpir el turno.
+ * @param {Object} event
+ * @param {string} event.domain
+ * @param {string} [event.merchandId]
+ * @param {string} [event.userId]
+ * @param {string} [event.sessionId]
+ * @param {'input'|'output'} event.stage
+ * @param {string} event.reason
+ * @param {string} [event.detail]
+ * @param {string} [event.text] - Mensaje bloqueado; se guarda redactado y recortado.
+ * @returns {Promise<void>}
+ */
+const recordGuardrailEvent = async ({ text, ...event }) => {
+  console.warn(`Turno bloqueado en ${event.domain} (${event.stage}: ${event.reason}):`, event.detail);
+  try {
+    await createGuardrailEvent({ ...event, excerpt: redactPII(text).slice(0, MAX_EXCERPT_LENGTH) });
+  } catch (err) {
+    console.error('Error registrando el turno bloqueado:', err.message);
+  }
+};
+
+/**
+ * Lista los turnos bloqueados de los clientes de un comercio, del más reciente al más antiguo.
+ * @param {string} merchandId
+ * @param {Object} [options]
+ * @param {string} [options.domain]
+ * @param {string} [options.stage]
+ * @param {string} [options.reason]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+ */
+const listGuardrailEvents = async (merchandId, { page = 1, limit = DEFAULT_PAGE_SIZE, domain, stage, reason, from, to } = {}) => {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const currentPage = Math.max(page, 1);
+  const filter = {
+    merchandId,
+    ...(domain && { domain }),
+    ...(stage && { stage }),
+    ...(reason && { reason }),
+    ...((from || to) && { createdAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) } }),
+  };
+
+  const [events, total] = await Promise.all([
+    findGuardrailEvents(filter, { skip: (currentPage - 1) * pageSize, limit: pageSize }),
+    countGuardrailEvents(filter),
+  ]);
+
+  return {
+    data: events.map(({ _id, domain: eventDomain, userId, sessionId, stage: eventStage, reason: eventReason, detail, excerpt, createdAt }) => ({
+      id: _id, domain: eventDomain, userId, sessionId, stage: eventStage, reason: eventReason, detail, excerpt, createdAt,
+    })),
+    pagination: {
+      page: currentPage,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+module.exports = {
+  getModerationProvider,
+  checkUserMessage,
+  checkAssistantReply,
+  redactReply,
+  recordGuardrailEvent,
+  listGuardrailEvents,
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Moderación local y determinista, sin red: busca frases de una lista por
+ * categoría más los términos propios del inquilino (`config.guardrails.blockedTerms`).
+ *
+ * Es deliberadamente conservadora (frases completas, no palabras sueltas) para no bloquear
+ * consultas normales de una tienda; para una moderación completa usa el proveedor 'openai'.
+ */
+
+const { normalizeText } = require('../guardrails.patterns');
+
+const DEFAULT_BLOCKED_TERMS = {
+  violence: ['te voy a matar', 'voy a matarte', 'los voy a matar', 'i will kill you', 'i am going to kill'],
+  harassment: ['hijo de puta', 'hija de puta', 'malparido', 'fuck you'],
+  self_harm: ['quiero suicidarme', 'voy a suicidarme', 'quitarme la vida', 'kill myself'],
+  sexual_minors: ['pornografia infantil', 'child porn', 'sexo con menores'],
+};
+
+/**
+ * Indica si el texto contiene la frase como palabras completas.
+ * @param {string} text - Texto normalizado.
+ * @param {string} term
+ * @returns {boolean}
+ */
+const containsTerm = (text, term) => {
+  const escaped = normalizeText(term).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}($|\\W)`).test(text);
+};
+
+/**
+ * Crea el proveedor de moderación local.
+ * @param {Object} [settings]
+ * @param {Array<string>} [settings.blockedTerms] - Términos adicionales (categoría 'custom').
+ * @returns {import('../guardrails.service').ModerationProvider}
+ */
+const createLocalModerationProvider = ({ blockedTerms = [] } = {}) => {
+  const lists = { ...DEFAULT_BLOCKED_TERMS, ...(blockedTerms.length ? { custom: blockedTerms } : {}) };
+
+  return {
+    name: 'local',
+
+    async moderate(text) {
+      const normalized = normalizeText(text);
+      const categories = Object.keys(lists).filter(category => lists[category].some(term => containsTerm(normalized, term)));
+      return { flagged: categories.length > 0, categories };
+    },
+  };
+};
+
+module.exports = { createLocalModerationProvider };
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Moderación con el endpoint `POST /moderations` de OpenAI.
+ */
+
+const axios = require('axios');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODERATION_MODEL = 'omni-moderation-latest';
+
+/**
+ * Crea un proveedor de moderación de OpenAI.
+ * @param {Object} settings
+ * @param {string} settings.apiKey
+ * @param {string} [settings.baseURL] - URL base de la API (sin `/moderations`).
+ * @param {string} [settings.model]
+ * @returns {import('../guardrails.service').ModerationProvider}
+ */
+const createOpenAIModerationProvider = ({
+  apiKey,
+  baseURL = OPENAI_BASE_URL,
+  model = DEFAULT_MODERATION_MODEL,
+}) => {
+  const url = `${baseURL.replace(/\/+$/, '')}/moderations`;
+
+  return {
+    name: 'openai',
+
+    async moderate(text) {
+      const { data } = await axios.post(url, { model, input: text }, {
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      });
+      const [result] = data.results;
+      return {
+        flagged: Boolean(result.flagged),
+        categories: Object.keys(result.categories || {}).filter(category => result.categories[category]),
+      };
+    },
+  };
+};
+
+module.exports = { createOpenAIModerationProvider };
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Resolución de proveedores configurables por inquilino (LLM y voz a texto).
+ *
+ * La configuración de negocio la controla cada inquilino, así que sus ajustes no pueden decidir a
+ * dónde viajan nuestras credenciales:
+ * - La clave de la plataforma (`OPENAI_API_KEY`) solo se entrega al proveedor `openai`, cuya URL
+ *   es fija.
+ * - El proveedor `openai-compatible` usa la URL y la clave del entorno (`<PREFIJO>_BASE_URL`,
+ *   `<PREFIJO>_API_KEY`). La `baseURL` del inquilino, con su propia `apiKey`, solo se usa si un
+ *   administrador la aprobó en `<PREFIJO>_ALLOWED_BASE_URLS` (separadas por comas).
+ * - Un proveedor desconocido o mal configurado en el inquilino se sustituye por el del entorno
+ *   con un aviso, en lugar de romper la petición.
+ */
+
+const { createLRUCache, envNumber } = require('../cache/cache.lru');
+
+const PLATFORM_KEY_PROVIDER = 'openai';
+const COMPATIBLE_PROVIDER = 'openai-compatible';
+
+const normalizeBaseURL = url => String(url).trim().replace(/\/+$/, '');
+
+/**
+ * URLs base aprobadas para los inquilinos.
+ * @param {string} envPrefix
+ * @returns {Array<string>}
+ */
+const getAllowedBaseURLs = envPrefix => (process.env[`${envPrefix}_ALLOWED_BASE_URLS`] || '')
+  .split(',')
+  .map(normalizeBaseURL)
+  .filter(Boolean);
+
+/**
+ * Crea la función que devuelve el proveedor de un inquilino, con una caché LRU de instancias por
+ * combinación de ajustes (hasta `CACHE_MAX_TENANTS`).
+ * @param {Object} options
+ * @param {string} options.label - Nombre del servicio para los mensajes ('LLM', 'voz a texto').
+ * @param {string} options.envPrefix - Prefijo de las variables de entorno ('LLM', 'STT').
+ * @param {Object<string, function(Object): Object>} options.factories - Constructores por nombre.
+ * @param {Array<string>} [options.tenantKeys] - Otros ajustes del inquilino que se pasan al
+ *   constructor (p. ej. modelos).
+ * @returns {function({settings?: Object, apiKey?: string}): Object}
+ */
+const createProviderResolver = ({ label, envPrefix, factories, tenantKeys = [] }) => {
+  const cache = createLRUCache({ max: envNumber('CACHE_MAX_TENANTS', 100) });
+
+  const build = (name, settings) => {
+    const cacheKey = JSON.stringify([name, settings]);
+    if (!cache.has(cacheKey)) cache.set(cacheKey, factories[name](settings));
+    return cache.get(cacheKey);
+  };
+
+  /**
+   * Ajustes que recibe el constructor del proveedor.
+   */
+  const buildSettings = (name, tenantSettings, apiKey) => {
+    const settings = Object.fromEntries(tenantKeys.map(key => [key, tenantSettings[key]]));
+    if (name === PLATFORM_KEY_PROVIDER) return { ...settings, apiKey };
+    if (name !== COMPATIBLE_PROVIDER || !tenantSettings.baseURL) return settings;
+
+    const baseURL = normalizeBaseURL(tenantSettings.baseURL);
+    if (!getAllowedBaseURLs(envPrefix).includes(baseURL)) {
+      console.warn(`URL base de ${label} no aprobada, se usa la del entorno: ${baseURL}`);
+      return settings;
+    }
+    return { ...settings, baseURL, apiKey: tenantSettings.apiKey };
+  };
+
+  return ({ settings, apiKey } = {}) => {
+    const tenantSettings = settings || {};
+    const defaultName = process.env[`${envPrefix}_PROVIDER`] || PLATFORM_KEY_PROVIDER;
+    if (!factories[defaultName]) {
+      throw new Error(`Proveedor de ${label} desconocido: ${defaultName}`);
+    }
+
+    const name = tenantSettings.provider || defaultName;
+    if (name !== defaultName) {
+      if (!factories[name]) {
+        console.warn(`Proveedor de ${label} desconocido: ${name}. Se usa ${defaultName}`);
+      } else {
+        try {
+          return build(name, buildSettings(name, tenantSettings, apiKey));
+        } catch (err) {
+          console.warn(`Proveedor de ${label} ${name} mal configurado (${err.message}). Se usa ${defaultName}`);
+        }
+      }
+      // Los ajustes del proveedor descartado (URL, clave) no se aplican al del entorno.
+      return build(defaultName, buildSettings(defaultName, {}, apiKey));
+    }
+
+    return build(name, buildSettings(name, tenantSettings, apiKey));
+  };
+};
+
+module.exports = { createProviderResolver };
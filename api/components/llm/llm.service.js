@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Capa de proveedores de LLM (chat y embeddings).
+ *
+ * El servicio de chat y la búsqueda vectorial no hablan directamente con OpenAI: piden un
+ * proveedor a `getLLMProvider`, que lo elige según la configuración del inquilino
+ * (`config.llm.provider`) o la variable de entorno `LLM_PROVIDER`. La URL base de un inquilino
+ * solo se usa si está aprobada en `LLM_ALLOWED_BASE_URLS`.
+ *
+ * Proveedores disponibles:
+ * - `openai`: API oficial de OpenAI.
+ * - `openai-compatible`: cualquier servidor con la API de OpenAI (`LLM_BASE_URL`).
+ * - `mock`: respuestas guionizadas y embeddings por hash, sin red.
+ */
+
+const { createOpenAIProvider, createOpenAICompatibleProvider } = require('./providers/openai.provider');
+const { createMockProvider } = require('./providers/mock.provider');
+const { createProviderResolver } = require('./llm.resolver');
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Identificador del proveedor.
+ * @property {string} chatModel - Modelo de chat (determina el tokenizador del historial).
+ * @property {string} embeddingKey - Identifica el espacio de embeddings (proveedor + modelo) para cachés.
+ * @property {function(Array<Object>, ChatOptions): Promise<string>} complete - Devuelve el contenido de la respuesta.
+ * @property {function(Array<Object>, ChatOptions, function(string): void): Promise<string>} completeStream -
+ *   Entrega cada fragmento al callback y resuelve con el contenido completo.
+ * @property {boolean} supportsTools - Indica si el proveedor admite llamadas a herramientas.
+ * @property {function(Array<Object>, ChatOptions): Promise<ToolCompletion>} completeWithTools -
+ *   Como `complete`, pero el modelo puede pedir herramientas en lugar de responder.
+ * @property {function(Array<Object>, ChatOptions, function(string): void): Promise<ToolCompletion>} completeStreamWithTools -
+ *   Como `completeStream`, pero el modelo puede pedir herramientas en lugar de responder.
+ * @property {function(): {embedDocuments: Function, embedQuery: Function}} getEmbeddings - Embeddings compatibles con LangChain.
+ */
+
+/**
+ * @typedef {Object} ToolCompletion
+ * @property {string|null} content - Respuesta final del modelo (vacía si pidió herramientas).
+ * @property {Array<{id: string, name: string, arguments: string}>} toolCalls - Herramientas solicitadas;
+ *   `arguments` es el JSON crudo generado por el modelo.
+ */
+
+/**
+ * @typedef {Object} ChatOptions
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {boolean} [json] - Solicita una respuesta en JSON cuando el proveedor lo soporta.
+ * @property {Array<Object>} [tools] - Definiciones de herramientas en formato OpenAI.
+ * @property {'auto'|'none'} [toolChoice] - Si el modelo puede pedir herramientas (`auto`) o debe responder ya (`none`).
+ * @property {function({prompt_tokens: number, completion_tokens: number, total_tokens: number}): void} [onUsage] -
+ *   Recibe los tokens consumidos por la llamada, si el proveedor los informa.
+ */
+
+const PROVIDER_FACTORIES = {
+  openai: ({ apiKey, chatModel, embeddingModel }) => createOpenAIProvider({ apiKey, chatModel, embeddingModel }),
+  'openai-compatible': overrides => createOpenAICompatibleProvider(overrides),
+  mock: () => createMockProvider(),
+};
+
+const resolveLLMProvider = createProviderResolver({
+  label: 'LLM',
+  envPrefix: 'LLM',
+  factories: PROVIDER_FACTORIES,
+  tenantKeys: ['chatModel', 'embeddingModel'],
+});
+
+/**
+ * Devuelve el proveedor de LLM para una petición (ver `llm.resolver` para las reglas de la
+ * configuración del inquilino).
+ * @param {Object} [params]
+ * @param {Object} [params.config] - Configuración de negocio del inquilino; puede incluir
+ *   `llm: { provider, baseURL, apiKey, chatModel, embeddingModel }`.
+ * @param {string} [params.apiKey] - Clave de la plataforma, solo para el proveedor `openai`.
+ * @returns {LLMProvider}
+ */
+const getLLMProvider = ({ config, apiKey } = {}) => resolveLLMProvider({ settings: config?.llm, apiKey });
+
+module.exports = { getLLMProvider };
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Proveedor de LLM local y determinista, sin red.
+ *
+ * Pensado para CI y desarrollo: responde con JSON guionizado según el último mensaje del
+ * usuario y genera embeddings a partir de hashes de las palabras, de modo que textos con
+ * palabras en común quedan cerca y todo el flujo (búsqueda vectorial incluida) funciona offline.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const EMBEDDING_DIMENSIONS = 256;
+const STREAM_CHUNK_SIZE = 8;
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Respuesta por defecto cuando ninguna regla del guion coincide.
+ * @param {string} userMessage
+ * @returns {Object}
+ */
+const defaultReply = (userMessage) => ({
+  message: `Respuesta simulada para: "${userMessage}"`,
+  audio_description: 'Respuesta simulada.',
+  action: { type: 'none' },
+});
+
+/**
+ * Carga el guion desde el archivo JSON indicado en `MOCK_LLM_SCRIPT`, si existe.
+ * @returns {Array<Object>}
+ */
+const loadScriptFromEnv = () => {
+  const path = process.env.MOCK_LLM_SCRIPT;
+  if (!path) return [];
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+};
+
+/**
+ * Convierte un texto en un vector normalizado sumando un hash por palabra.
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+const hashEmbedding = (text) => {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  const words = (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  for (const word of words) {
+    const digest = crypto.createHash('sha1').update(word).digest();
+    const index = digest.readUInt32BE(0) % EMBEDDING_DIMENSIONS;
+    vector[index] += digest[4] & 1 ? 1 : -1;
+  }
+
+  // Evita vectores nulos, cuya similitud coseno no está definida.
+  vector[0] += 1e-6;
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return vector.map(value => value / norm);
+};
+
+/**
+ * Consumo aproximado de una llamada (unos 4 caracteres por token), para probar las cuotas sin red.
+ * @param {Array<Object>} messages
+ * @param {string} content - Respuesta generada.
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}}
+ */
+const estimateUsage = (messages, content) => {
+  const promptTokens = Math.ceil(messages.reduce((sum, m) => sum + String(m.content || '').length, 0) / CHARS_PER_TOKEN);
+  const completionTokens = Math.ceil(content.length / CHARS_PER_TOKEN);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+};
+
+/**
+ * Crea el proveedor simulado.
+ * @param {Object} [settings]
+ * @param {Array<{match?: string, reply?: Object|string, toolCalls?: Array<{name: string, arguments?: Object}>}>} [settings.script] -
+ *   Reglas evaluadas en orden contra el último mensaje del usuario; `match` es una expresión regular
+ *   (sin distinguir mayúsculas) y una regla sin `match` coincide siempre. Una regla con `toolCalls`
+ *   pide esas herramientas y responde con `reply` cuando ya recibió sus resultados.
+ *   Por defecto se lee de `MOCK_LLM_SCRIPT`.
+ * @returns {import('../llm.service').LLMProvider}
+ */
+const createMockProvider = ({ script = loadScriptFromEnv() } = {}) => {
+  const rules = script.map(rule => ({
+    pattern: rule.match ? new RegExp(rule.match, 'i') : null,
+    reply: rule.reply,
+    toolCalls: rule.toolCalls || [],
+  }));
+
+  const embeddings = {
+    async embedDocuments(documents) {
+      return documents.map(hashEmbedding);
+    },
+    async embedQuery(document) {
+      return hashEmbedding(document);
+    },
+  };
+
+  const findRule = (messages) => {
+    const userMessage = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    return { userMessage, rule: rules.find(({ pattern }) => !pattern || pattern.test(userMessage)) };
+  };
+
+  const reply = (messages) => {
+    const { userMessage, rule } = findRule(messages);
+    const content = rule?.reply !== undefined ? rule.reply : defaultReply(userMessage);
+    return typeof content === 'string' ? content : JSON.stringify(content);
+  };
+
+  // Herramientas que pide la regla, salvo que sus resultados ya estén después del último mensaje del usuario.
+  const scriptedToolCalls = (messages) => {
+    const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+    if (messages.slice(lastUserIndex + 1).some(m => m.role === 'tool')) return [];
+
+    const { rule } = findRule(messages);
+    return (rule?.toolCalls || []).map((call, index) => ({
+      id: `call_${index}`,
+      name: call.name,
+      arguments: JSON.stringify(call.arguments || {}),
+    }));
+  };
+
+  return {
+    name: 'mock',
+    chatModel: 'mock',
+    embeddingKey: `mock:${EMBEDDING_DIMENSIONS}`,
+    supportsTools: true,
+
+    async complete(messages, options = {}) {
+      const content = reply(messages);
+      if (options.onUsage) options.onUsage(estimateUsage(messages, content));
+      return content;
+    },
+
+    async completeStream(messages, options = {}, onDelta) {
+      const content = reply(messages);
+      for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+        onDelta(content.slice(i, i + STREAM_CHUNK_SIZE));
+      }
+      if (options.onUsage) options.onUsage(estimateUsage(messages, content));
+      return content;
+    },
+
+    // Delegan en `complete`/`completeStream` para que los tests puedan simularlas con un solo spy.
+    async completeWithTools(messages, options = {}) {
+      const toolCalls = options.toolChoice === 'none' ? [] : scriptedToolCalls(messages);
+      if (toolCalls.length) return { content: null, toolCalls };
+      return { content: await this.complete(messages, options), toolCalls: [] };
+    },
+
+    async completeStreamWithTools(messages, options = {}, onDelta) {
+      const toolCalls = options.toolChoice === 'none' ? [] : scriptedToolCalls(messages);
+      if (toolCalls.length) return { content: null, toolCalls };
+      return { content: await this.completeStream(messages, options, onDelta), toolCalls: [] };
+    },
+
+    getEmbeddings() {
+      return embeddings;
+    },
+  };
+};
+
+module.exports = { createMockProvider, hashEmbedding };
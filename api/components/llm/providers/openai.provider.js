@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Proveedor de LLM para la API de OpenAI y servidores compatibles.
+ *
+ * Cualquier servidor que implemente `POST {baseURL}/chat/completions` y `/embeddings`
+ * con el formato de OpenAI (vLLM, LM Studio, Ollama, Azure con proxy, etc.) puede usarse
+ * con `createOpenAICompatibleProvider` indicando su URL base.
+ */
+
+const axios = require('axios');
+const { OpenAIEmbeddings } = require('@langchain/openai');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_CHAT_MODEL = 'gpt-4o';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+/**
+ * Lee un stream SSE de `chat/completions` y produce cada `delta` (contenido y llamadas a herramientas).
+ * @param {AsyncIterable<Buffer|string>} stream - Cuerpo de la respuesta (axios con `responseType: 'stream'`).
+ * @param {Object} [options]
+ * @param {function(Object): void} [options.onUsage] - Recibe el `usage` del último fragmento
+ *   (solo llega si se pidió con `stream_options.include_usage`).
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readCompletionDeltas(stream, { onUsage } = {}) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // La última línea puede estar incompleta.
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice('data:'.length).trim();
+      if (payload === '[DONE]') return;
+
+      const data = JSON.parse(payload);
+      if (data.usage && onUsage) onUsage(data.usage);
+
+      const delta = data.choices?.[0]?.delta;
+      if (delta) yield delta;
+    }
+  }
+}
+
+/**
+ * Lee un stream SSE de `chat/completions` y produce el texto de cada `delta.content`.
+ * @param {AsyncIterable<Buffer|string>} stream - Cuerpo de la respuesta (axios con `responseType: 'stream'`).
+ * @param {Object} [options] - Ver `readCompletionDeltas`.
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readCompletionStream(stream, options) {
+  for await (const delta of readCompletionDeltas(stream, options)) {
+    if (delta.content) yield delta.content;
+  }
+}
+
+/**
+ * Convierte las `tool_calls` de OpenAI al formato `{ id, name, arguments }` del proveedor.
+ * @param {Array<Object>} [toolCalls]
+ * @returns {Array<{id: string, name: string, arguments: string}>}
+ */
+const toToolCalls = (toolCalls = []) => toolCalls.map(call => ({
+  id: call.id,
+  name: call.function.name,
+  arguments: call.function.arguments || '{}',
+}));
+
+/**
+ * Crea un proveedor que habla el protocolo de OpenAI.
+ * @param {Object} settings
+ * @param {string} settings.apiKey
+ * @param {string} [settings.baseURL] - URL base de la API (sin `/chat/completions`).
+ * @param {string} [settings.chatModel]
+ * @param {string} [settings.embeddingModel]
+ * @param {boolean} [settings.jsonMode=true] - Envía `response_format: json_object` (no todos los servidores lo soportan).
+ * @param {boolean} [settings.toolsMode=true] - Permite llamadas a herramientas (no todos los servidores las soportan).
+ * @param {boolean} [settings.streamUsage=true] - Pide el consumo de tokens al final de los streams
+ *   (`stream_options.include_usage`; no todos los servidores lo soportan).
+ * @param {string} [settings.name='openai']
+ * @returns {import('../llm.service').LLMProvider}
+ */
+const createOpenAIProvider = ({
+  apiKey,
+  baseURL = OPENAI_BASE_URL,
+  chatModel = DEFAULT_CHAT_MODEL,
+  embeddingModel = DEFAULT_EMBEDDING_MODEL,
+  jsonMode = true,
+  toolsMode = true,
+  streamUsage = true,
+  name = 'openai',
+}) => {
+  const url = `${baseURL.replace(/\/+$/, '')}/chat/completions`;
+  const headers = {
+    Authorization: `Bearer ${apiKey}`,
+    'Content-Type': 'application/json',
+  };
+
+  const buildBody = (messages, { temperature, maxTokens, json, tools, toolChoice }) => ({
+    model: chatModel,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    ...(json && jsonMode ? { response_format: { type: "json_object" } } : {}),
+    ...(tools?.length ? { tools, tool_choice: toolChoice || 'auto' } : {}),
+  });
+
+  const buildStreamBody = (messages, options) => ({
+    ...buildBody(messages, options),
+    stream: true,
+    ...(streamUsage ? { stream_options: { include_usage: true } } : {}),
+  });
+
+  // `onUsage` recibe el `usage` de OpenAI ({ prompt_tokens, completion_tokens, total_tokens }).
+  const reportUsage = (options, usage) => {
+    if (usage && options.onUsage) options.onUsage(usage);
+  };
+
+  let embeddings = null;
+
+  return {
+    name,
+    chatModel,
+    embeddingKey: `${name}:${baseURL}:${embeddingModel}`,
+    supportsTools: toolsMode,
+
+    async complete(messages, options = {}) {
+      const { data } = await axios.post(url, buildBody(messages, options), { headers });
+      reportUsage(options, data.usage);
+      return data.choices[0].message.content;
+    },
+
+    async completeStream(messages, options = {}, onDelta) {
+      const { data: stream } = await axios.post(
+        url,
+        buildStreamBody(messages, options),
+        { headers, responseType: 'stream' }
+      );
+
+      let content = '';
+      for await (const delta of readCompletionStream(stream, { onUsage: usage => reportUsage(options, usage) })) {
+        content += delta;
+        onDelta(delta);
+      }
+      return content;
+    },
+
+    async completeWithTools(messages, options = {}) {
+      const { data } = await axios.post(url, buildBody(messages, options), { headers });
+      reportUsage(options, data.usage);
+      const { content, tool_calls: toolCalls } = data.choices[0].message;
+      return { content, toolCalls: toToolCalls(toolCalls) };
+    },
+
+    async completeStreamWithTools(messages, options = {}, onDelta) {
+      const { data: stream } = await axios.post(
+        url,
+        buildStreamBody(messages, options),
+        { headers, responseType: 'stream' }
+      );
+
+      let content = '';
+      const toolCalls = []; // Las llamadas llegan troceadas: se acumulan por su `index`.
+      for await (const delta of readCompletionDeltas(stream, { onUsage: usage => reportUsage(options, usage) })) {
+        if (delta.content) {
+          content += delta.content;
+          onDelta(delta.content);
+        }
+        for (const part of delta.tool_calls || []) {
+          const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', name: '', arguments: '' });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.arguments += part.function.arguments;
+        }
+      }
+      return { content, toolCalls: toolCalls.filter(Boolean) };
+    },
+
+    getEmbeddings() {
+      if (!embeddings) {
+        embeddings = new OpenAIEmbeddings({
+          apiKey,
+          model: embeddingModel,
+          configuration: { baseURL },
+        });
+      }
+      return embeddings;
+    },
+  };
+};
+
+/**
+ * Proveedor genérico para servidores compatibles con OpenAI, configurado con
+ * `LLM_BASE_URL`, `LLM_API_KEY`, `LLM_CHAT_MODEL`, `LLM_EMBEDDING_MODEL`, `LLM_JSON_MODE`, `LLM_TOOLS`
+ * y `LLM_STREAM_USAGE` (desactivado por defecto).
+ * @param {Object} [overrides] - Valores que sustituyen a las variables de entorno.
+ * @returns {import('../llm.service').LLMProvider}
+ */
+const createOpenAICompatibleProvider = (overrides = {}) => {
+  const baseURL = overrides.baseURL || process.env.LLM_BASE_URL;
+  if (!baseURL) {
+    throw new Error('LLM_BASE_URL es obligatorio para el proveedor openai-compatible');
+  }
+
+  return createOpenAIProvider({
+    name: 'openai-compatible',
+    apiKey: overrides.apiKey || process.env.LLM_API_KEY || 'not-needed',
+    baseURL,
+    chatModel: overrides.chatModel || process.env.LLM_CHAT_MODEL || DEFAULT_CHAT_MODEL,
+    embeddingModel: overrides.embeddingModel || process.env.LLM_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+    jsonMode: overrides.jsonMode ?? process.env.LLM_JSON_MODE !== 'false',
+    toolsMode: overrides.toolsMode ?? process.env.LLM_TOOLS !== 'false',
+    streamUsage: overrides.streamUsage ?? process.env.LLM_STREAM_USAGE === 'true',
+  });
+};
+
+module.exports = { createOpenAIProvider, createOpenAICompatibleProvider, readCompletionStream, readCompletionDeltas };
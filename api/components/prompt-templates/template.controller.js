@@ -0,0 +1,108 @@
+const {
+  validateTemplate,
+  getTenantTemplate,
+  canManageTemplates,
+  listTemplateVersions,
+  saveTemplateVersion,
+  activateVersion,
+} = require('./template.service');
+const { fetchConfig, previewSystemPrompt } = require('../chatgtp/chatgtp.service');
+
+/**
+ * Lee un número de versión (entero positivo) de la ruta o la query string.
+ * @param {string} [value]
+ * @returns {number|null}
+ */
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+/**
+ * Responde 403 si el usuario no puede gestionar las plantillas del dominio.
+ * @returns {Promise<Object|null>} La configuración de negocio del dominio si puede continuar.
+ */
+const ensureCanManage = async (req, res) => {
+  const config = await fetchConfig(req.params.domain);
+  if (canManageTemplates(config, req.user)) return config;
+  res.status(403).json({ error: 'No puedes gestionar las plantillas de este dominio' });
+  return null;
+};
+
+const handleGetTemplates = async (req, res) => {
+  const { domain } = req.params;
+
+  try {
+    const config = await ensureCanManage(req, res);
+    if (!config) return;
+    const [template, versions] = await Promise.all([
+      getTenantTemplate(domain, config),
+      listTemplateVersions(domain),
+    ]);
+    res.json({ template, versions });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error obteniendo las plantillas.' });
+  }
+};
+
+const handleSaveTemplate = async (req, res) => {
+  const { domain } = req.params;
+  const { template: input, activate, note } = req.body || {};
+
+  const { template, errors } = validateTemplate(input);
+  if (errors) return res.status(400).json({ error: `Plantilla inválida: ${errors.join('; ')}` });
+  if (note !== undefined && typeof note !== 'string') {
+    return res.status(400).json({ error: 'note debe ser un texto' });
+  }
+
+  try {
+    const config = await ensureCanManage(req, res);
+    if (!config) return;
+    const saved = await saveTemplateVersion(domain, req.user, template, { config, activate: activate !== false, note });
+    if (!saved) return res.status(409).json({ error: 'Otra versión de la plantilla se guardó a la vez. Inténtalo de nuevo.' });
+    res.status(201).json({ version: saved.version, active: saved.active, template: saved.template });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error guardando la plantilla.' });
+  }
+};
+
+const handleActivateVersion = async (req, res) => {
+  const { domain } = req.params;
+  const version = parseVersion(req.params.version);
+  if (!version) return res.status(400).json({ error: 'Versión inválida' });
+
+  try {
+    if (!await ensureCanManage(req, res)) return;
+    const activated = await activateVersion(domain, version);
+    if (!activated) return res.status(404).json({ error: 'Versión no encontrada' });
+    res.json({ version: activated.version, active: activated.active });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error activando la versión.' });
+  }
+};
+
+const handlePreviewTemplate = async (req, res) => {
+  const { domain } = req.params;
+  const version = req.query.version === undefined ? undefined : parseVersion(req.query.version);
+  if (version === null) return res.status(400).json({ error: 'Versión inválida' });
+
+  try {
+    if (!await ensureCanManage(req, res)) return;
+    const preview = await previewSystemPrompt(domain, { version });
+    if (!preview) return res.status(404).json({ error: 'Versión no encontrada' });
+    res.json(preview);
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error generando la vista previa.' });
+  }
+};
+
+module.exports = {
+  handleGetTemplates,
+  handleSaveTemplate,
+  handleActivateVersion,
+  handlePreviewTemplate,
+};
@@ -0,0 +1,51 @@
+const { PromptTemplate } = require('../../../config/database');
+
+const findActiveTemplate = async (domain) => {
+  return await PromptTemplate.findOne({ domain, active: true }).lean();
+};
+
+const findTemplateVersions = async (domain) => {
+  return await PromptTemplate.find({ domain }).sort({ version: -1 }).lean();
+};
+
+const findTemplateVersion = async (domain, version) => {
+  return await PromptTemplate.findOne({ domain, version }).lean();
+};
+
+const findLatestVersionNumber = async (domain) => {
+  const latest = await PromptTemplate.findOne({ domain }, { version: 1 }).sort({ version: -1 }).lean();
+  return latest?.version ?? 0;
+};
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Crea una versión de la plantilla.
+ * @returns {Promise<Object|null>} La versión creada, o `null` si otra petición ya creó ese número de versión.
+ */
+const createTemplateVersion = async (data) => {
+  try {
+    const template = await PromptTemplate.create(data);
+    return template.toObject();
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY) return null;
+    throw err;
+  }
+};
+
+/**
+ * Deja activa solo la versión indicada del dominio.
+ */
+const activateTemplateVersion = async (domain, version) => {
+  await PromptTemplate.updateMany({ domain, version: { $ne: version } }, { active: false });
+  return await PromptTemplate.findOneAndUpdate({ domain, version }, { active: true }, { new: true }).lean();
+};
+
+module.exports = {
+  findActiveTemplate,
+  findTemplateVersions,
+  findTemplateVersion,
+  findLatestVersionNumber,
+  createTemplateVersion,
+  activateTemplateVersion,
+};
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  handleGetTemplates,
+  handleSaveTemplate,
+  handleActivateVersion,
+  handlePreviewTemplate,
+} = require('./template.controller');
+const authMiddleware = require('../../../middleware/auth');
+const requireRole = require('../../../middleware/role');
+
+// Plantillas del asistente por dominio: solo las gestiona el comercio dueño según la configuración de negocio.
+router.get('/:domain', authMiddleware, requireRole('merchant', 'admin'), handleGetTemplates);
+router.post('/:domain', authMiddleware, requireRole('merchant', 'admin'), handleSaveTemplate);
+router.get('/:domain/preview', authMiddleware, requireRole('merchant', 'admin'), handlePreviewTemplate);
+router.post('/:domain/versions/:version/activate', authMiddleware, requireRole('merchant', 'admin'), handleActivateVersion);
+
+module.exports = router;
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Plantillas del asistente por inquilino.
+ *
+ * La plantilla efectiva de un dominio se compone por capas, de menor a mayor prioridad:
+ * 1. `DEFAULT_TEMPLATE` (persona y reglas originales del bot).
+ * 2. `config.assistant` de la configuración de negocio (la que devuelve `fetchConfig`).
+ * 3. La versión activa guardada por el comercio en la colección `PromptTemplate`.
+ *
+ * Cada cambio del comercio crea una versión nueva, así se puede volver a una anterior.
+ */
+
+const { createLRUCache, envNumber } = require('../cache/cache.lru');
+const { ACTION_TYPES } = require('../chatgtp/chatgtp.validator');
+const { TEMPLATE_VARIABLES, DEFAULT_TEMPLATE } = require('./template.defaults');
+const {
+  findActiveTemplate,
+  findTemplateVersions,
+  findTemplateVersion,
+  findLatestVersionNumber,
+  createTemplateVersion,
+  activateTemplateVersion,
+} = require('./template.dao');
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_PROMPT_LENGTH = 20000;
+const MAX_SAVE_ATTEMPTS = 5; // Reintentos si otro guardado toma el mismo número de versión.
+const TEXT_FIELDS = ['tone', 'language', 'currency', 'greeting'];
+const PROMPT_FIELDS = ['systemPrompt', 'catalogPrompt'];
+const REPLY_GROUPS = { phrases: ['notFound', 'catalogOverview'], fallbackReplies: ['emptyCatalog', 'error', 'blocked', 'unverified', 'handoff', 'cartFull'] };
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Versión activa de cada dominio (`null` si usa la plantilla por defecto).
+const TEMPLATE_CACHE = createLRUCache({
+  max: envNumber('CACHE_MAX_TENANTS', 100),
+  ttlMs: envNumber('CONFIG_CACHE_TTL_MS', 10 * 60 * 1000),
+});
+
+/**
+ * Sustituye las variables `{{nombre}}` de un texto. Las desconocidas se dejan tal cual.
+ * @param {string} text
+ * @param {Object<string, string>} variables
+ * @returns {string}
+ */
+const renderTemplate = (text, variables) => String(text || '')
+  .replace(VARIABLE_PATTERN, (match, name) => (variables[name] ?? match));
+
+/**
+ * Valida los campos de plantilla enviados por un comercio.
+ * @param {Object} input
+ * @returns {{template?: Object, errors?: Array<string>}} Solo los campos indicados, o los errores encontrados.
+ */
+const validateTemplate = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['La plantilla debe ser un objeto'] };
+  }
+
+  const errors = [];
+  const template = {};
+  const isText = (value, max) => typeof value === 'string' && value.trim() !== '' && value.length <= max;
+
+  for (const [key, value] of Object.entries(input)) {
+    if (TEXT_FIELDS.includes(key)) {
+      if (!isText(value, MAX_TEXT_LENGTH)) errors.push(`${key} debe ser un texto de hasta ${MAX_TEXT_LENGTH} caracteres`);
+      else template[key] = value;
+    } else if (PROMPT_FIELDS.includes(key)) {
+      const unknown = [...String(value).matchAll(VARIABLE_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !TEMPLATE_VARIABLES.includes(name));
+      if (!isText(value, MAX_PROMPT_LENGTH)) errors.push(`${key} debe ser un texto de hasta ${MAX_PROMPT_LENGTH} caracteres`);
+      else if (unknown.length) errors.push(`${key} usa variables desconocidas: ${[...new Set(unknown)].join(', ')}`);
+      else if (key === 'catalogPrompt' && !/\{\{\s*catalog\s*\}\}/.test(value)) errors.push('catalogPrompt debe incluir {{catalog}}');
+      else template[key] = value;
+    } else if (key === 'allowedActions') {
+      const valid = Array.isArray(value) && value.length > 0 && value.every(type => ACTION_TYPES.includes(type));
+      if (!valid) errors.push(`allowedActions debe ser una lista con valores de: ${ACTION_TYPES.join(', ')}`);
+      else template.allowedActions = [...new Set([...value, 'none'])];
+    } else if (REPLY_GROUPS[key]) {
+      const group = value && typeof value === 'object' ? value : null;
+      const entries = group ? Object.entries(group) : [];
+      const invalid = !group || entries.some(([name, reply]) => !REPLY_GROUPS[key].includes(name)
+        || !isText(reply?.message, MAX_TEXT_LENGTH) || typeof reply.audio_description !== 'string');
+      if (invalid) errors.push(`${key} solo admite ${REPLY_GROUPS[key].join(', ')} con message y audio_description`);
+      else template[key] = Object.fromEntries(entries.map(([name, { message, audio_description }]) => [name, { message, audio_description }]));
+    } else {
+      errors.push(`Campo desconocido: ${key}`);
+    }
+  }
+
+  return errors.length ? { errors } : { template };
+};
+
+/**
+ * Combina capas de plantilla sobre la plantilla por defecto (los grupos de respuestas se combinan por clave).
+ * @param {...Object} layers - De menor a mayor prioridad; se ignoran las vacías.
+ * @returns {Object}
+ */
+const mergeTemplates = (...layers) => layers.filter(Boolean).reduce((merged, layer) => ({
+  ...merged,
+  ...layer,
+  phrases: { ...merged.phrases, ...layer.phrases },
+  fallbackReplies: { ...merged.fallbackReplies, ...layer.fallbackReplies },
+}), DEFAULT_TEMPLATE);
+
+/**
+ * Campos válidos de `config.assistant`; si la configuración trae algo inválido se ignora con un aviso.
+ * @param {string} domain
+ * @param {Object} [config]
+ * @returns {Object|null}
+ */
+const getConfigLayer = (domain, config) => {
+  if (!config?.assistant) return null;
+
+  const { template, errors } = validateTemplate(config.assistant);
+  if (errors) {
+    console.warn(`Plantilla inválida en la configuración de ${domain}:`, errors.join('; '));
+    return null;
+  }
+  return template;
+};
+
+/**
+ * Versión activa guardada de un dominio, usando la caché.
+ * @param {string} domain
+ * @returns {Promise<Object|null>}
+ */
+const loadActiveTemplate = async (domain) => {
+  if (TEMPLATE_CACHE.has(domain)) {
+    return TEMPLATE_CACHE.get(domain);
+  }
+
+  const active = await findActiveTemplate(domain);
+  TEMPLATE_CACHE.set(domain, active);
+  return active;
+};
+
+/**
+ * Plantilla efectiva de un dominio.
+ * @param {string} domain
+ * @param {Object} [config] - Configuración de negocio del inquilino.
+ * @param {Object} [options]
+ * @param {number} [options.version] - Usa esta versión guardada en lugar de la activa (vista previa).
+ * @returns {Promise<Object|null>} La plantilla con su `version` (0 = por defecto), o `null` si la versión pedida no existe.
+ */
+const getTenantTemplate = async (domain, config, { version } = {}) => {
+  const stored = version ? await findTemplateVersion(domain, version) : await loadActiveTemplate(domain);
+  if (version && !stored) return null;
+
+  return {
+    ...mergeTemplates(getConfigLayer(domain, config), stored?.template),
+    version: stored?.version ?? 0,
+  };
+};
+
+/**
+ * Descarta la versión activa cacheada de un dominio.
+ * @param {string} domain
+ */
+const invalidateTemplateCache = (domain) => {
+  TEMPLATE_CACHE.delete(domain);
+};
+
+/**
+ * Comercio dueño de un dominio según su configuración de negocio (`config.merchandId`).
+ * @param {Object} [config] - Configuración de negocio del inquilino.
+ * @returns {string|null}
+ */
+const getDomainOwner = config => config?.merchandId || null;
+
+/**
+ * Indica si un usuario puede gestionar las plantillas de un dominio: los administradores siempre,
+ * los comercios solo si la configuración de negocio del dominio los indica como dueños.
+ * @param {Object} config - Configuración de negocio del dominio.
+ * @param {{role?: string, merchandId?: string}} user
+ * @returns {boolean}
+ */
+const canManageTemplates = (config, user) => {
+  if (user.role === 'admin') return true;
+
+  const owner = getDomainOwner(config);
+  return Boolean(owner) && owner === user.merchandId;
+};
+
+/**
+ * Lista las versiones de plantilla de un dominio, de la más reciente a la más antigua.
+ * @param {string} domain
+ * @returns {Promise<Array<Object>>}
+ */
+const listTemplateVersions = async (domain) => {
+  const versions = await findTemplateVersions(domain);
+  return versions.map(({ version, active, template, note, createdBy, createdAt }) => ({
+    version, active, template, note, createdBy, createdAt,
+  }));
+};
+
+/**
+ * Guarda una versión nueva de la plantilla de un dominio.
+ * @param {string} domain
+ * @param {{id: string}} user
+ * @param {Object} template - Campos ya validados con `validateTemplate`.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuración de negocio del dominio (indica su dueño).
+ * @param {boolean} [options.activate=true] - Deja la versión nueva como activa.
+ * @param {string} [options.note] - Descripción del cambio.
+ * @returns {Promise<Object|null>} La versión guardada, o `null` si otros guardados simultáneos
+ *   tomaron todos los números de versión que se intentaron.
+ */
+const saveTemplateVersion = async (domain, user, template, { config, activate = true, note } = {}) => {
+  let created = null;
+  for (let attempt = 0; !created && attempt < MAX_SAVE_ATTEMPTS; attempt += 1) {
+    created = await createTemplateVersion({
+      domain,
+      merchandId: getDomainOwner(config) || undefined,
+      version: (await findLatestVersionNumber(domain)) + 1,
+      template,
+      note,
+      createdBy: user.id,
+    });
+  }
+
+  if (!created || !activate) return created;
+
+  invalidateTemplateCache(domain);
+  return await activateTemplateVersion(domain, created.version);
+};
+
+/**
+ * Activa una versión existente (por ejemplo, para volver atrás).
+ * @param {string} domain
+ * @param {number} version
+ * @returns {Promise<Object|null>} La versión activada o `null` si no existe.
+ */
+const activateVersion = async (domain, version) => {
+  const existing = await findTemplateVersion(domain, version);
+  if (!existing) return null;
+
+  invalidateTemplateCache(domain);
+  return await activateTemplateVersion(domain, version);
+};
+
+module.exports = {
+  renderTemplate,
+  validateTemplate,
+  mergeTemplates,
+  getTenantTemplate,
+  invalidateTemplateCache,
+  getDomainOwner,
+  canManageTemplates,
+  listTemplateVersions,
+  saveTemplateVersion,
+  activateVersion,
+};
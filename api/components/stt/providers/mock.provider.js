@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Proveedor de voz a texto local y determinista, sin red.
+ *
+ * Pensado para CI y desarrollo: devuelve `MOCK_STT_TRANSCRIPT` si está definido o, si no, el
+ * contenido subido leído como texto UTF-8 (así un test puede "grabar" la frase que quiera).
+ */
+
+/**
+ * Crea el proveedor simulado.
+ * @param {Object} [settings]
+ * @param {string} [settings.transcript] - Transcripción fija; por defecto `MOCK_STT_TRANSCRIPT`.
+ * @returns {import('../stt.service').STTProvider}
+ */
+const createMockSTTProvider = ({ transcript = process.env.MOCK_STT_TRANSCRIPT } = {}) => ({
+  name: 'mock',
+
+  async transcribe(audio) {
+    return transcript ?? audio.toString('utf8');
+  },
+});
+
+module.exports = { createMockSTTProvider };
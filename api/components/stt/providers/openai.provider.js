@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Proveedor de voz a texto para la API de OpenAI (Whisper) y servidores compatibles.
+ *
+ * Cualquier servidor que implemente `POST {baseURL}/audio/transcriptions` con el formato de
+ * OpenAI (faster-whisper-server, LocalAI, etc.) puede usarse indicando su URL base.
+ */
+
+const axios = require('axios');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_STT_MODEL = 'whisper-1';
+
+/**
+ * Crea un proveedor de transcripción que habla el protocolo de OpenAI.
+ * @param {Object} settings
+ * @param {string} settings.apiKey
+ * @param {string} [settings.baseURL] - URL base de la API (sin `/audio/transcriptions`).
+ * @param {string} [settings.model]
+ * @param {string} [settings.name='openai']
+ * @returns {import('../stt.service').STTProvider}
+ */
+const createOpenAISTTProvider = ({
+  apiKey,
+  baseURL = OPENAI_BASE_URL,
+  model = DEFAULT_STT_MODEL,
+  name = 'openai',
+}) => {
+  const url = `${baseURL.replace(/\/+$/, '')}/audio/transcriptions`;
+
+  return {
+    name,
+
+    async transcribe(audio, { mimeType, extension, language }) {
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: mimeType }), `audio.${extension}`);
+      form.append('model', model);
+      if (language) form.append('language', language);
+
+      const { data } = await axios.post(url, form, { headers: { Authorization: `Bearer ${apiKey}` } });
+      return data.text || '';
+    },
+  };
+};
+
+/**
+ * Proveedor para servidores compatibles con OpenAI configurados por entorno
+ * (`STT_BASE_URL`, `STT_API_KEY`, `STT_MODEL`).
+ * @param {Object} [overrides] - Ajustes del inquilino ya filtrados por `llm.resolver` (URL aprobada
+ *   y su clave); tienen prioridad sobre el entorno.
+ * @returns {import('../stt.service').STTProvider}
+ */
+const createOpenAICompatibleSTTProvider = (overrides = {}) => {
+  const baseURL = overrides.baseURL || process.env.STT_BASE_URL;
+  if (!baseURL) {
+    throw new Error('STT_BASE_URL es obligatorio para el proveedor openai-compatible');
+  }
+
+  return createOpenAISTTProvider({
+    name: 'openai-compatible',
+    apiKey: overrides.apiKey || process.env.STT_API_KEY || 'not-needed',
+    baseURL,
+    model: overrides.model || process.env.STT_MODEL || DEFAULT_STT_MODEL,
+  });
+};
+
+module.exports = { createOpenAISTTProvider, createOpenAICompatibleSTTProvider };
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Voz a texto: selección del proveedor de transcripción.
+ *
+ * El proveedor se elige con `config.stt.provider` del inquilino o `STT_PROVIDER`
+ * ('openai' por defecto, 'openai-compatible' o 'mock' para pruebas locales). La URL base de un
+ * inquilino solo se usa si está aprobada en `STT_ALLOWED_BASE_URLS`. Los bytes de cada audio
+ * transcrito se imputan a la cuota `stt_bytes` del comercio.
+ */
+
+const { createOpenAISTTProvider, createOpenAICompatibleSTTProvider } = require('./providers/openai.provider');
+const { createMockSTTProvider } = require('./providers/mock.provider');
+const { createProviderResolver } = require('../llm/llm.resolver');
+const { recordUsage } = require('../usage/usage.service');
+
+/**
+ * @typedef {Object} STTProvider
+ * @property {string} name
+ * @property {function(Buffer, {mimeType: string, extension: string, language?: string}): Promise<string>} transcribe
+ */
+
+// Tipos de audio aceptados (sin parámetros como `;codecs=opus`) y su extensión.
+const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+};
+
+const DEFAULT_STT_LANGUAGE = 'es';
+
+const PROVIDER_FACTORIES = {
+  openai: ({ apiKey, model }) => createOpenAISTTProvider({ apiKey, model }),
+  'openai-compatible': overrides => createOpenAICompatibleSTTProvider(overrides),
+  mock: () => createMockSTTProvider(),
+};
+
+const resolveSTTProvider = createProviderResolver({
+  label: 'voz a texto',
+  envPrefix: 'STT',
+  factories: PROVIDER_FACTORIES,
+  tenantKeys: ['model'],
+});
+
+/**
+ * Devuelve el proveedor de transcripción para un inquilino (mismas reglas que el LLM: ver
+ * `llm.resolver`).
+ * @param {Object} [params]
+ * @param {Object} [params.config] - Configuración de negocio del inquilino (`config.stt`).
+ * @param {string} [params.apiKey] - Clave de la plataforma, solo para el proveedor `openai`.
+ * @returns {STTProvider}
+ */
+const getSTTProvider = ({ config, apiKey } = {}) => resolveSTTProvider({ settings: config?.stt, apiKey });
+
+/**
+ * Extensión de un tipo de audio aceptado.
+ * @param {string} [contentType] - Cabecera `Content-Type`, con o sin parámetros.
+ * @returns {string|null} `null` si el tipo no está soportado.
+ */
+const getAudioExtension = contentType => AUDIO_TYPES[String(contentType).split(';')[0].trim().toLowerCase()] || null;
+
+/**
+ * Idioma de la transcripción: `config.stt.language`, el de la voz del inquilino o español.
+ * @param {Object} [config]
+ * @returns {string} Código ISO-639-1.
+ */
+const getSTTLanguage = config => config?.stt?.language
+  || config?.voice?.language?.split('-')[0]
+  || DEFAULT_STT_LANGUAGE;
+
+/**
+ * Transcribe un audio grabado por el cliente.
+ * @param {Buffer} audio
+ * @param {string} contentType - Tipo del audio (ver `getAudioExtension`).
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuración de negocio del inquilino.
+ * @param {string} [options.apiKey]
+ * @param {string|null} [options.tenant] - Comercio al que se imputa el audio (ver `getTenantKey`).
+ * @returns {Promise<string>} La transcripción sin espacios sobrantes.
+ */
+const transcribeAudio = async (audio, contentType, { config, apiKey, tenant } = {}) => {
+  const provider = getSTTProvider({ config, apiKey });
+  const transcript = await provider.transcribe(audio, {
+    mimeType: contentType.split(';')[0].trim(),
+    extension: getAudioExtension(contentType),
+    language: getSTTLanguage(config),
+  });
+  // El audio se cobra aunque no se entienda nada.
+  await recordUsage(tenant, 'stt_bytes', audio.length);
+  return String(transcript || '').trim();
+};
+
+module.exports = { AUDIO_TYPES, getSTTProvider, getAudioExtension, transcribeAudio };
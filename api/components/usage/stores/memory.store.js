@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Contadores en memoria del proceso. Se pierden al reiniciar y no se comparten
+ * entre réplicas: útil en desarrollo y con una sola instancia.
+ */
+
+const { createLRUCache } = require('../../cache/cache.lru');
+
+/**
+ * Crea un almacén de contadores en memoria.
+ * @param {Object} [options]
+ * @param {number} [options.maxKeys=10000] - Contadores máximos; al superarlo se descarta el menos usado.
+ * @returns {import('../usage.service').CounterStore}
+ */
+const createMemoryStore = ({ maxKeys = 10000 } = {}) => {
+  const counters = createLRUCache({ max: maxKeys });
+
+  return {
+    name: 'memory',
+    localKeys: true,
+
+    async increment(key, amount, resetAt) {
+      const current = counters.get(key) || { count: 0, resetAt };
+      const next = { count: current.count + amount, resetAt: current.resetAt };
+      counters.set(key, next, { ttlMs: Math.max(next.resetAt.getTime() - Date.now(), 1) });
+      return next;
+    },
+
+    async get(key) {
+      return counters.get(key) || null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Contadores en MongoDB (colección `UsageCounter` de la base de clientes),
+ * compartidos entre réplicas. Cada incremento es una única actualización atómica.
+ */
+
+/**
+ * Crea un almacén de contadores en MongoDB.
+ * @param {Object} options
+ * @param {import('mongoose').Model} options.model - Modelo `UsageCounter`.
+ * @returns {import('../usage.service').CounterStore}
+ */
+const createMongoStore = ({ model }) => ({
+  name: 'mongo',
+  localKeys: false,
+
+  async increment(key, amount, resetAt) {
+    // Si la ventana anterior ya terminó, el contador empieza de nuevo con la nueva fecha de reinicio.
+    const active = { $gt: ['$resetAt', '$$NOW'] };
+    // Se usa el driver directamente: Mongoose intentaría convertir las expresiones del pipeline al esquema.
+    const counter = await model.collection.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [active, { $add: ['$count', amount] }, amount] },
+          resetAt: { $cond: [active, '$resetAt', resetAt] },
+        },
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+    return { count: counter.count, resetAt: counter.resetAt };
+  },
+
+  async get(key) {
+    const counter = await model.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+    return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+  },
+
+  async reset(key) {
+    await model.deleteOne({ key });
+  },
+});
+
+module.exports = { createMongoStore };
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Contadores en Redis o un servidor compatible (Valkey, KeyDB, Dragonfly) en `REDIS_URL`.
+ *
+ * Usa el paquete `ioredis`, que solo hace falta instalar si se elige este almacén.
+ */
+
+// Incrementa y fija la caducidad solo al crear el contador; devuelve el valor y los ms restantes.
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCRBY', KEYS[1], ARGV[1])
+if redis.call('PTTL', KEYS[1]) < 0 then
+  redis.call('PEXPIREAT', KEYS[1], ARGV[2])
+end
+return { count, redis.call('PTTL', KEYS[1]) }`;
+
+/**
+ * Crea un almacén de contadores en Redis.
+ * @param {Object} options
+ * @param {string} options.url - URL de conexión (`redis://...`).
+ * @param {string} [options.keyPrefix='chatopenia:']
+ * @returns {import('../usage.service').CounterStore}
+ */
+const createRedisStore = ({ url, keyPrefix = 'chatopenia:' }) => {
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (err) {
+    throw new Error('El almacén redis requiere el paquete ioredis (npm install ioredis)');
+  }
+  const client = new Redis(url, { keyPrefix });
+
+  return {
+    name: 'redis',
+    localKeys: false,
+
+    async increment(key, amount, resetAt) {
+      const [count, ttlMs] = await client.eval(INCREMENT_SCRIPT, 1, key, amount, resetAt.getTime());
+      return { count: Number(count), resetAt: new Date(Date.now() + Number(ttlMs)) };
+    },
+
+    async get(key) {
+      const [[, count], [, ttlMs]] = await client.multi().get(key).pttl(key).exec();
+      if (count === null || ttlMs < 0) return null;
+      return { count: Number(count), resetAt: new Date(Date.now() + Number(ttlMs)) };
+    },
+
+    async reset(key) {
+      await client.del(key);
+    },
+  };
+};
+
+module.exports = { createRedisStore };
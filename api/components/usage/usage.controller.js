@@ -0,0 +1,26 @@
+const { getTenantKey, getUsageSummary } = require('./usage.service');
+const { fetchConfig } = require('../chatgtp/chatgtp.service');
+
+/**
+ * Uso del mes en curso de un comercio. Los comercios ven el suyo; los administradores pueden
+ * consultar cualquiera con `merchandId`. `domain` indica qué configuración aporta los límites
+ * propios del inquilino.
+ */
+const handleGetUsage = async (req, res) => {
+  const { domain } = req.query;
+  const { role, merchandId } = req.user;
+  const tenant = role === 'admin'
+    ? getTenantKey({ merchandId: req.query.merchandId })
+    : getTenantKey({ merchandId });
+  if (!tenant) return res.status(400).json({ error: 'Falta merchandId' });
+
+  try {
+    const config = domain ? await fetchConfig(domain).catch(() => null) : null;
+    res.json({ tenant, quotas: await getUsageSummary(tenant, config) });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error obteniendo el uso.' });
+  }
+};
+
+module.exports = { handleGetUsage };
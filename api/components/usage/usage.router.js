@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { handleGetUsage } = require('./usage.controller');
+const authMiddleware = require('../../../middleware/auth');
+const requireRole = require('../../../middleware/role');
+
+router.get('/', authMiddleware, requireRole('merchant', 'admin'), handleGetUsage);
+
+module.exports = router;
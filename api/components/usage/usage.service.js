@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Contadores de uso compartidos: límites de peticiones y cuotas mensuales.
+ *
+ * Los contadores viven en un almacén intercambiable elegido con `USAGE_STORE`: 'memory'
+ * (por defecto, local al proceso), 'mongo' (colección `UsageCounter`) o 'redis' (`REDIS_URL`).
+ *
+ * Las cuotas son mensuales (mes UTC) por comercio: tokens de OpenAI, tomados del `usage` que
+ * devuelve la API, caracteres de Polly, tomados de `RequestCharacters`, y bytes de audio enviados
+ * a transcribir. Los límites se leen de `config.quotas` del inquilino o de
+ * `QUOTA_OPENAI_TOKENS_MONTHLY` / `QUOTA_POLLY_CHARACTERS_MONTHLY` / `QUOTA_STT_BYTES_MONTHLY`
+ * (0 o sin definir = sin límite).
+ */
+
+const { envNumber } = require('../cache/cache.lru');
+const { createMemoryStore } = require('./stores/memory.store');
+const { createMongoStore } = require('./stores/mongo.store');
+const { createRedisStore } = require('./stores/redis.store');
+
+/**
+ * @typedef {Object} CounterStore
+ * @property {string} name
+ * @property {boolean} localKeys - Si los contadores solo existen en este proceso.
+ * @property {function(string, number, Date): Promise<{count: number, resetAt: Date}>} increment -
+ *   Suma `amount` a la clave; si no existe o caducó, empieza una ventana que termina en `resetAt`.
+ * @property {function(string): Promise<{count: number, resetAt: Date}|null>} get
+ * @property {function(string): Promise<void>} reset
+ */
+
+const STORE_FACTORIES = {
+  memory: () => createMemoryStore({ maxKeys: envNumber('USAGE_MEMORY_MAX_KEYS', 10000) }),
+  mongo: () => createMongoStore({ model: require('../../../config/database').UsageCounter }),
+  redis: () => createRedisStore({ url: process.env.REDIS_URL }),
+};
+
+const QUOTA_METRICS = {
+  openai_tokens: { configKey: 'openaiTokens', envName: 'QUOTA_OPENAI_TOKENS_MONTHLY' },
+  polly_characters: { configKey: 'pollyCharacters', envName: 'QUOTA_POLLY_CHARACTERS_MONTHLY' },
+  stt_bytes: { configKey: 'sttBytes', envName: 'QUOTA_STT_BYTES_MONTHLY' },
+};
+
+let counterStore;
+
+/**
+ * Almacén de contadores configurado (se crea en el primer uso).
+ * @returns {CounterStore}
+ */
+const getCounterStore = () => {
+  if (!counterStore) {
+    const name = process.env.USAGE_STORE || 'memory';
+    const factory = STORE_FACTORIES[name];
+    if (!factory) throw new Error(`Almacén de uso desconocido: ${name}`);
+    counterStore = factory();
+  }
+  return counterStore;
+};
+
+/**
+ * Identificador del comercio al que se imputa el uso: el `merchandId` del token. El dominio lo
+ * indica el cliente, así que nunca sirve para imputar uso: sin comercio no hay inquilino.
+ * @param {{merchandId?: string}} owner
+ * @returns {string|null}
+ */
+const getTenantKey = ({ merchandId } = {}) => merchandId || null;
+
+/**
+ * Mes UTC en curso y fecha en que empieza el siguiente.
+ * @param {Date} [now]
+ * @returns {{period: string, resetAt: Date}}
+ */
+const getMonthWindow = (now = new Date()) => ({
+  period: now.toISOString().slice(0, 7),
+  resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+});
+
+const quotaKey = (metric, tenant, period) => `quota:${metric}:${tenant}:${period}`;
+
+/**
+ * Límite mensual de una métrica para un inquilino.
+ * @param {string} metric - Clave de `QUOTA_METRICS`.
+ * @param {Object} [config] - Configuración de negocio del inquilino.
+ * @returns {number} 0 si no hay límite.
+ */
+const getQuotaLimit = (metric, config) => {
+  const { configKey, envName } = QUOTA_METRICS[metric];
+  const limit = config?.quotas?.[configKey] ?? envNumber(envName, 0);
+  return Number(limit) > 0 ? Number(limit) : 0;
+};
+
+/**
+ * Suma uso a la cuota mensual de un comercio. Los errores del almacén se registran sin
+ * interrumpir la petición que consumió el recurso.
+ * @param {string|null} tenant - Ver `getTenantKey`.
+ * @param {string} metric - Clave de `QUOTA_METRICS`.
+ * @param {number} amount
+ * @returns {Promise<void>}
+ */
+const recordUsage = async (tenant, metric, amount) => {
+  if (!tenant || !(amount > 0)) return;
+
+  const { period, resetAt } = getMonthWindow();
+  try {
+    await getCounterStore().increment(quotaKey(metric, tenant, period), amount, resetAt);
+  } catch (err) {
+    console.error(`Error registrando el uso de ${metric}:`, err.message);
+  }
+};
+
+/**
+ * Estado de la cuota mensual de un comercio. Los límites de `config` solo cuentan si la
+ * configuración es de ese comercio: el dominio lo elige la petición, y con el de otro inquilino
+ * se podría saltar la cuota propia. Si no, se aplican los límites del entorno.
+ * @param {string} tenant - Ver `getTenantKey`.
+ * @param {string} metric - Clave de `QUOTA_METRICS`.
+ * @param {Object} [config] - Configuración de negocio del dominio de la petición.
+ * @returns {Promise<{metric: string, limit: number|null, used: number, remaining: number|null, resetAt: Date, exceeded: boolean}>}
+ */
+const getQuotaStatus = async (tenant, metric, config) => {
+  const limit = getQuotaLimit(metric, config?.merchandId === tenant ? config : null);
+  const { period, resetAt } = getMonthWindow();
+  const counter = await getCounterStore().get(quotaKey(metric, tenant, period));
+  const used = counter?.count || 0;
+
+  return {
+    metric,
+    limit: limit || null,
+    used,
+    remaining: limit ? Math.max(limit - used, 0) : null,
+    resetAt,
+    exceeded: limit > 0 && used >= limit,
+  };
+};
+
+/**
+ * Estado de todas las cuotas de un comercio.
+ * @param {string} tenant
+ * @param {Object} [config]
+ * @returns {Promise<Array<Object>>}
+ */
+const getUsageSummary = (tenant, config) => Promise.all(
+  Object.keys(QUOTA_METRICS).map(metric => getQuotaStatus(tenant, metric, config))
+);
+
+/**
+ * Envuelve un proveedor de LLM para recibir los tokens que informa cada llamada. El resto del
+ * proveedor (modelo, embeddings...) se hereda sin cambios.
+ * @param {import('../llm/llm.service').LLMProvider} provider
+ * @param {function({prompt_tokens: number, completion_tokens: number, total_tokens: number}): void} onUsage
+ * @returns {import('../llm/llm.service').LLMProvider}
+ */
+const observeProviderUsage = (provider, onUsage) => {
+  const withUsage = (options = {}) => ({
+    ...options,
+    onUsage: (usage) => {
+      if (options.onUsage) options.onUsage(usage);
+      onUsage(usage);
+    },
+  });
+
+  const observed = Object.create(provider);
+  observed.complete = (messages, options) => provider.complete(messages, withUsage(options));
+  observed.completeStream = (messages, options, onDelta) => provider.completeStream(messages, withUsage(options), onDelta);
+  observed.completeWithTools = (messages, options) => provider.completeWithTools(messages, withUsage(options));
+  observed.completeStreamWithTools = (messages, options, onDelta) => provider.completeStreamWithTools(messages, withUsage(options), onDelta);
+  return observed;
+};
+
+/**
+ * Envuelve un proveedor de LLM para imputar al comercio los tokens de cada llamada.
+ * @param {import('../llm/llm.service').LLMProvider} provider
+ * @param {string|null} tenant - Ver `getTenantKey`.
+ * @returns {import('../llm/llm.service').LLMProvider}
+ */
+const trackProviderUsage = (provider, tenant) => {
+  if (!tenant) return provider;
+  return observeProviderUsage(provider, usage => recordUsage(tenant, 'openai_tokens', usage?.total_tokens));
+};
+
+module.exports = {
+  QUOTA_METRICS,
+  getCounterStore,
+  getTenantKey,
+  recordUsage,
+  getQuotaStatus,
+  getUsageSummary,
+  observeProviderUsage,
+  trackProviderUsage,
+};
@@ -0,0 +1,89 @@
+const { Product, ProductEmbedding } = require('../../../config/database');
+
+const TEXT_INDEX_NOT_FOUND = 27; // Código de MongoDB cuando falta el índice de texto.
+
+const findEmbeddingHashes = async (domain, embeddingKey) => {
+  return await ProductEmbedding.find({ domain, embeddingKey }, { productId: 1, contentHash: 1 }).lean();
+};
+
+const findEmbeddings = async (domain, embeddingKey) => {
+  return await ProductEmbedding.find({ domain, embeddingKey }, { productId: 1, embedding: 1 }).lean();
+};
+
+/**
+ * Inserta o actualiza embeddings `{ productId, contentHash, embedding }` de un dominio.
+ */
+const upsertEmbeddings = async (domain, embeddingKey, records) => {
+  if (!records.length) return;
+
+  await ProductEmbedding.bulkWrite(records.map(({ productId, contentHash, embedding }) => ({
+    updateOne: {
+      filter: { productId, embeddingKey },
+      update: { $set: { domain, contentHash, embedding } },
+      upsert: true,
+    },
+  })));
+};
+
+const deleteEmbeddings = async (domain, embeddingKey, productIds) => {
+  if (!productIds.length) return;
+  await ProductEmbedding.deleteMany({ domain, embeddingKey, productId: { $in: productIds } });
+};
+
+const deleteDomainEmbeddings = async (domain) => {
+  return await ProductEmbedding.deleteMany({ domain });
+};
+
+/**
+ * Búsqueda por similitud con `$vectorSearch` de MongoDB Atlas. El índice debe declarar
+ * `embedding` como campo vectorial y `domain` y `embeddingKey` como filtros.
+ */
+const vectorSearchEmbeddings = async ({ domain, embeddingKey, queryVector, k, index }) => {
+  return await ProductEmbedding.aggregate([
+    {
+      $vectorSearch: {
+        index,
+        path: 'embedding',
+        queryVector,
+        numCandidates: k * 20,
+        limit: k,
+        filter: { domain, embeddingKey },
+      },
+    },
+    { $project: { _id: 0, productId: 1 } },
+  ]);
+};
+
+const findProductIdsByFilter = async (filter) => {
+  const products = await Product.find(filter, { _id: 1 }).lean();
+  return products.map(p => p._id.toString());
+};
+
+/**
+ * Búsqueda por palabras clave sobre el índice de texto de productos, ordenada por relevancia.
+ * Si el índice aún no existe se devuelve una lista vacía y la búsqueda sigue siendo solo semántica.
+ */
+const findProductIdsByText = async (filter, text, limit) => {
+  try {
+    const products = await Product.find({ ...filter, $text: { $search: text } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+    return products.map(p => p._id.toString());
+  } catch (err) {
+    if (err.code !== TEXT_INDEX_NOT_FOUND) throw err;
+    console.warn('Índice de texto de productos no disponible, se omite la búsqueda por palabras clave.');
+    return [];
+  }
+};
+
+module.exports = {
+  findProductIdsByFilter,
+  findProductIdsByText,
+  findEmbeddingHashes,
+  findEmbeddings,
+  upsertEmbeddings,
+  deleteEmbeddings,
+  deleteDomainEmbeddings,
+  vectorSearchEmbeddings,
+};
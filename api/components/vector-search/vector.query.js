@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Comprensión de la consulta para la búsqueda híbrida.
+ *
+ * Extrae del mensaje del cliente los filtros estructurados (rango de precio, categorías,
+ * intención de ofertas y de disponibilidad) y las palabras clave, y los traduce al filtro de
+ * MongoDB que restringe los candidatos. También decide cuántos productos conviene mostrar:
+ * más para consultas amplias ("¿qué ofertas tienen?") y menos para las muy concretas.
+ */
+
+const DEFAULT_K = 5;
+const MIN_K = 3;
+const MAX_K = 8;
+
+const AMOUNT = '(?:s\\/\\.?|\\$|usd|pen)?\\s*(\\d+(?:[.,]\\d+)?)';
+const BETWEEN_PATTERNS = [
+  new RegExp(`\\bentre\\s+${AMOUNT}\\s+y\\s+${AMOUNT}`),
+  new RegExp(`\\bde\\s+${AMOUNT}\\s+a\\s+${AMOUNT}\\s*(?:soles|dolares)\\b`),
+  new RegExp(`\\bbetween\\s+${AMOUNT}\\s+and\\s+${AMOUNT}`),
+];
+const MAX_PRICE_PATTERN = new RegExp(`\\b(?:menos de|menor(?:es)? (?:a|de|que)|hasta|maximo|no mas de|por debajo de|mas barat[oa]s? (?:que|de)|under|below|less than|up to|cheaper than)\\s+${AMOUNT}`);
+const MIN_PRICE_PATTERN = new RegExp(`\\b(?:mas de|mayor(?:es)? (?:a|de|que)|desde|minimo|por encima de|over|above|more than|at least)\\s+${AMOUNT}`);
+const ON_SALE_PATTERN = /\b(?:ofertas?|descuentos?|rebajas?|rebajad[oa]s?|promocion(?:es)?|liquidacion|on sale|discounts?|deals?)\b/;
+const AVAILABLE_PATTERN = /\b(?:disponibles?|en stock|con stock|in stock|available)\b/;
+const BROWSE_PATTERN = /\b(?:que tienen|que hay|todos|todas|catalogo|opciones|muestrame|ensename|show me|what do you have)\b/;
+
+const STOPWORDS = new Set([
+  'que', 'los', 'las', 'una', 'unos', 'unas', 'del', 'con', 'para', 'por', 'sus', 'hay', 'tienen',
+  'tienes', 'quiero', 'busco', 'necesito', 'algo', 'algun', 'alguna', 'mas', 'menos', 'entre', 'hasta',
+  'desde', 'soles', 'sol', 'dolares', 'precio', 'precios', 'cuesta', 'cuestan', 'como', 'cual', 'cuales',
+  'muestrame', 'ensename', 'favor', 'hola', 'gracias', 'esta', 'estan', 'este', 'estos', 'oferta', 'ofertas',
+  'descuento', 'descuentos', 'disponible', 'disponibles', 'stock', 'the', 'and', 'for', 'with', 'what',
+  'have', 'you', 'show', 'under', 'over', 'below', 'above', 'sale', 'less', 'than', 'more', 'between',
+]);
+
+/**
+ * Pasa a minúsculas y elimina tildes para comparar sin depender de la escritura del cliente.
+ * @param {string} value
+ * @returns {string}
+ */
+const normalize = value => String(value ?? '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const toAmount = value => Number.parseFloat(value.replace(',', '.'));
+
+// Compara dos palabras admitiendo singular y plural ("zapatilla" / "zapatillas").
+const sameWord = (a, b) => a === b || `${a}s` === b || `${b}s` === a || `${a}es` === b || `${b}es` === a;
+
+/**
+ * Extrae el rango de precio del mensaje.
+ * @param {string} text - Mensaje normalizado.
+ * @returns {{minPrice: number|null, maxPrice: number|null}}
+ */
+const parsePriceRange = (text) => {
+  for (const pattern of BETWEEN_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const [low, high] = [toAmount(match[1]), toAmount(match[2])].sort((a, b) => a - b);
+      return { minPrice: low, maxPrice: high };
+    }
+  }
+
+  const maxMatch = text.match(MAX_PRICE_PATTERN);
+  // "no más de 100" también contiene "más de 100": se descarta antes de buscar el mínimo.
+  const rest = maxMatch ? text.replace(maxMatch[0], ' ') : text;
+  const minMatch = rest.match(MIN_PRICE_PATTERN);
+
+  return {
+    minPrice: minMatch ? toAmount(minMatch[1]) : null,
+    maxPrice: maxMatch ? toAmount(maxMatch[1]) : null,
+  };
+};
+
+/**
+ * Devuelve los slugs de categoría mencionados en el mensaje.
+ * @param {Array<string>} words - Palabras del mensaje normalizado.
+ * @param {Array<string>} categories - Slugs de categoría del catálogo.
+ * @returns {Array<string>}
+ */
+const matchCategories = (words, categories) => categories.filter((slug) => {
+  const parts = normalize(slug).split('-').filter(Boolean);
+  return parts.length > 0 && parts.every(part => words.some(word => sameWord(word, part)));
+});
+
+/**
+ * Reúne los slugs de categoría distintos de una lista de productos.
+ * @param {Array<Object>} products
+ * @returns {Array<string>}
+ */
+const collectCategories = products => [...new Set(products
+  .flatMap(p => p.category || [])
+  .map(c => c.slug)
+  .filter(Boolean))];
+
+/**
+ * Analiza el mensaje del cliente.
+ * @param {string} message - Mensaje del cliente.
+ * @param {{categories?: Array<string>}} [options] - Slugs de categoría conocidos del catálogo.
+ * @returns {{minPrice: number|null, maxPrice: number|null, categories: Array<string>, onSale: boolean,
+ *   available: boolean, keywords: Array<string>, k: number}}
+ */
+const parseSearchQuery = (message, { categories = [] } = {}) => {
+  const text = normalize(message);
+  const words = text.match(/[a-z0-9]+/g) || [];
+
+  const { minPrice, maxPrice } = parsePriceRange(text);
+  const matchedCategories = matchCategories(words, categories);
+  const onSale = ON_SALE_PATTERN.test(text);
+  const available = AVAILABLE_PATTERN.test(text);
+  const keywords = [...new Set(words.filter(word => word.length > 2 && !/^\d/.test(word) && !STOPWORDS.has(word)))];
+
+  const hasFilters = minPrice !== null || maxPrice !== null || matchedCategories.length > 0 || onSale;
+  let k = DEFAULT_K;
+  if (BROWSE_PATTERN.test(text) || (hasFilters && keywords.length <= 2)) {
+    k = MAX_K; // Consulta amplia: el cliente quiere ver opciones.
+  } else if (!hasFilters && keywords.length >= 3) {
+    k = MIN_K; // Consulta muy concreta: sobran los productos poco parecidos.
+  }
+
+  return { minPrice, maxPrice, categories: matchedCategories, onSale, available, keywords, k };
+};
+
+/**
+ * Indica si la consulta tiene filtros estructurados.
+ * @param {Object} query - Resultado de `parseSearchQuery`.
+ * @returns {boolean}
+ */
+const hasStructuredFilters = query => query.minPrice !== null || query.maxPrice !== null
+  || query.categories.length > 0 || query.onSale || query.available;
+
+/**
+ * Traduce la consulta a un filtro de MongoDB sobre la colección de productos.
+ * El precio efectivo es el de oferta si existe y, si no, el regular.
+ * @param {string} domain
+ * @param {Object} query - Resultado de `parseSearchQuery`.
+ * @returns {Object}
+ */
+const buildProductFilter = (domain, query) => {
+  const filter = { domain, 'is_trash.status': { $ne: true } };
+
+  if (query.categories.length) {
+    filter['category.slug'] = { $in: query.categories };
+  }
+
+  if (query.available) {
+    filter.is_available = { $ne: false };
+    filter.stock = { $not: { $lte: 0 } }; // Sin stock definido se considera disponible.
+  }
+
+  if (query.onSale) {
+    filter['price.sale'] = { $gt: 0 };
+    filter.$expr = { $lt: ['$price.sale', '$price.regular'] };
+  }
+
+  if (query.minPrice !== null || query.maxPrice !== null) {
+    const range = {
+      ...(query.minPrice !== null && { $gte: query.minPrice }),
+      ...(query.maxPrice !== null && { $lte: query.maxPrice }),
+    };
+    filter.$or = [
+      { 'price.sale': { $gt: 0, ...range } },
+      { 'price.sale': { $not: { $gt: 0 } }, 'price.regular': range },
+    ];
+  }
+
+  return filter;
+};
+
+module.exports = {
+  DEFAULT_K,
+  MIN_K,
+  MAX_K,
+  parseSearchQuery,
+  collectCategories,
+  hasStructuredFilters,
+  buildProductFilter,
+};
@@ -1,53 +1,180 @@
 /**
- * @fileoverview Servicio de búsqueda vectorial utilizando LangChain.js.
+ * @fileoverview Servicio de búsqueda vectorial sobre un índice persistido en MongoDB.
  *
- * Esta implementación reemplaza HNSWLib-node con herramientas de LangChain,
- * eliminando la necesidad de dependencias nativas y asegurando la compatibilidad
- * con entornos de producción sin herramientas de compilación.
+ * Los embeddings de cada producto se guardan en la colección `ProductEmbedding`, junto al
+ * catálogo, con un hash del texto embebido. Así ninguna réplica vuelve a embeber productos
+ * que no cambiaron y los arranques en frío no recalculan el catálogo completo.
  *
  * Funcionalidades clave:
- * - Uso de OpenAIEmbeddings para crear vectores de texto.
- * - Creación de un MemoryVectorStore para almacenar y buscar productos en memoria.
- * - Búsqueda de productos por similitud semántica.
- * - Cacheo de los VectorStores para optimizar el rendimiento.
+ * - Uso de los embeddings del proveedor de LLM activo (OpenAI, compatible o simulado).
+ * - Sincronización incremental: solo se embeben los productos nuevos o modificados y se
+ *   eliminan los embeddings de productos que ya no existen.
+ * - Búsqueda por similitud coseno sobre los vectores persistidos (cacheados por inquilino
+ *   en una LRU) o con `$vectorSearch` de Atlas si se define `ATLAS_VECTOR_INDEX`.
+ * - Búsqueda híbrida: filtros estructurados de MongoDB (precio, categoría, ofertas,
+ *   disponibilidad) y palabras clave sobre el índice de texto, combinados con la similitud
+ *   vectorial mediante Reciprocal Rank Fusion.
+ * - `backfillDomain` para embeber un dominio completo por adelantado.
  */
 
-const { OpenAIEmbeddings } = require('@langchain/openai');
-const { MemoryVectorStore } = require('langchain/vectorstores/memory');
+const crypto = require('crypto');
+const { createLRUCache, envNumber } = require('../cache/cache.lru');
+const { describeAttributes } = require('../chatgtp/chatgtp.variations');
+const {
+  findEmbeddingHashes,
+  findEmbeddings,
+  upsertEmbeddings,
+  deleteEmbeddings,
+  deleteDomainEmbeddings,
+  vectorSearchEmbeddings,
+  findProductIdsByFilter,
+  findProductIdsByText,
+} = require('./vector.dao');
+const {
+  parseSearchQuery,
+  collectCategories,
+  hasStructuredFilters,
+  buildProductFilter,
+} = require('./vector.query');
 require('dotenv').config();
 
-const VECTOR_STORE_CACHE = new Map(); // Caché para los MemoryVectorStore por dominio.
+const EMBEDDING_BATCH_SIZE = 100; // Productos embebidos y guardados por lote.
+const RRF_K = 60; // Constante de Reciprocal Rank Fusion: suaviza el peso de las primeras posiciones.
+const MIN_CANDIDATES = 50; // Candidatos mínimos de cada ranking antes de fusionarlos.
+
+// Vectores ya cargados desde MongoDB, por dominio y espacio de embeddings.
+const VECTOR_INDEX_CACHE = createLRUCache({
+  max: envNumber('CACHE_MAX_TENANTS', 100),
+  ttlMs: envNumber('VECTOR_STORE_TTL_MS', 0),
+});
 
 /**
- * Construye o recupera desde el caché un MemoryVectorStore para un dominio.
- * @param {string} domain - El dominio para el que se construirá el vector store.
- * @param {Array<Object>} products - La lista de productos para indexar.
- * @param {string} apiKey - La clave de la API de OpenAI.
- * @returns {Promise<MemoryVectorStore>} El vector store inicializado.
+ * Convierte un producto en el documento que se embebe.
+ * @param {Object} product
+ * @returns {{pageContent: string, metadata: Object}}
  */
-const buildVectorStore = async (domain, products, apiKey) => {
-  if (VECTOR_STORE_CACHE.has(domain)) {
-    return VECTOR_STORE_CACHE.get(domain);
-  }
-
-  const embeddings = new OpenAIEmbeddings({
-    apiKey: apiKey,
-    model: 'text-embedding-3-small',
-  });
-
-  // Prepara los documentos en el formato que LangChain espera.
-  const documents = products.map(product => ({
-    pageContent: `Nombre: ${product.title}, Descripción: ${product.description_short}`,
+const toDocument = (product) => {
+  const attributes = describeAttributes(product);
+  return {
+    pageContent: `Nombre: ${product.title}, Descripción: ${product.description_short}`
+      + (attributes ? `, Atributos: ${attributes}` : ''),
     metadata: {
       productId: product._id.toString(),
       // Puedes añadir más metadatos aquí si es necesario en el futuro.
     },
-  }));
+  };
+};
 
-  const vectorStore = await MemoryVectorStore.fromDocuments(documents, embeddings);
-  VECTOR_STORE_CACHE.set(domain, vectorStore);
+const hashContent = content => crypto.createHash('sha256').update(content).digest('hex');
 
-  return vectorStore;
+/**
+ * Similitud coseno entre dos vectores.
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Sincroniza el índice persistido de un dominio con la lista actual de productos: embebe
+ * los productos nuevos o cuyo texto cambió y elimina los que ya no existen.
+ * @param {string} domain
+ * @param {Array<Object>} products
+ * @param {import('../llm/llm.service').LLMProvider} provider
+ * @returns {Promise<{embedded: number, removed: number}>}
+ */
+const syncDomainEmbeddings = async (domain, products, provider) => {
+  const { embeddingKey } = provider;
+  const stored = new Map((await findEmbeddingHashes(domain, embeddingKey)).map(e => [e.productId, e.contentHash]));
+
+  const documents = products.map(toDocument);
+  const currentIds = new Set(documents.map(doc => doc.metadata.productId));
+  const changed = documents
+    .map(doc => ({ doc, contentHash: hashContent(doc.pageContent) }))
+    .filter(({ doc, contentHash }) => stored.get(doc.metadata.productId) !== contentHash);
+  const removed = [...stored.keys()].filter(productId => !currentIds.has(productId));
+
+  for (let i = 0; i < changed.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = changed.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const vectors = await provider.getEmbeddings().embedDocuments(batch.map(({ doc }) => doc.pageContent));
+    await upsertEmbeddings(domain, embeddingKey, batch.map(({ doc, contentHash }, index) => ({
+      productId: doc.metadata.productId,
+      contentHash,
+      embedding: vectors[index],
+    })));
+  }
+  await deleteEmbeddings(domain, embeddingKey, removed);
+
+  return { embedded: changed.length, removed: removed.length };
+};
+
+/**
+ * Devuelve el índice en memoria de un dominio. Cuando la lista de productos cambió desde la
+ * última llamada (la caché de productos se refrescó) se sincroniza con MongoDB y se recargan
+ * los vectores persistidos.
+ * @param {string} domain
+ * @param {Array<Object>} products
+ * @param {import('../llm/llm.service').LLMProvider} provider
+ * @returns {Promise<{vectors: Array<{productId: string, embedding: Array<number>}>}>}
+ */
+const loadVectorIndex = async (domain, products, provider) => {
+  const cacheKey = `${provider.embeddingKey}|${domain}`;
+  const entry = VECTOR_INDEX_CACHE.get(cacheKey);
+  if (entry && entry.products === products) {
+    return entry;
+  }
+
+  const { embedded, removed } = await syncDomainEmbeddings(domain, products, provider);
+  if (embedded || removed) {
+    console.log(`Índice vectorial de ${domain}: ${embedded} productos embebidos, ${removed} eliminados.`);
+  }
+
+  const vectors = process.env.ATLAS_VECTOR_INDEX ? [] : await findEmbeddings(domain, provider.embeddingKey);
+  const loaded = { vectors, products };
+  VECTOR_INDEX_CACHE.set(cacheKey, loaded);
+  return loaded;
+};
+
+/**
+ * Descarta el índice en memoria de un dominio y, con `purge`, también sus embeddings persistidos
+ * para que el catálogo completo se vuelva a embeber.
+ * @param {string} domain
+ * @param {{purge?: boolean}} [options]
+ * @returns {Promise<number>} Número de índices en memoria descartados.
+ */
+const invalidateVectorStores = async (domain, { purge = false } = {}) => {
+  const keys = VECTOR_INDEX_CACHE.entries()
+    .map(([key]) => key)
+    .filter(key => key.endsWith(`|${domain}`));
+  keys.forEach(key => VECTOR_INDEX_CACHE.delete(key));
+
+  if (purge) {
+    await deleteDomainEmbeddings(domain);
+  }
+  return keys.length;
+};
+
+/**
+ * Embebe por adelantado todo el catálogo de un dominio.
+ * @param {string} domain
+ * @param {Array<Object>} products
+ * @param {import('../llm/llm.service').LLMProvider} provider
+ * @returns {Promise<{embedded: number, removed: number}>}
+ */
+const backfillDomain = async (domain, products, provider) => {
+  const result = await syncDomainEmbeddings(domain, products, provider);
+  await invalidateVectorStores(domain);
+  return result;
 };
 
 /**
@@ -55,24 +182,101 @@ const buildVectorStore = async (domain, products, apiKey) => {
  * @param {string} domain - El dominio en el que buscar.
  * @param {Array<Object>} products - La lista completa de productos del dominio.
  * @param {string} query - La consulta del usuario.
- * @param {string} apiKey - La clave de la API de OpenAI.
+ * @param {import('../llm/llm.service').LLMProvider} provider - El proveedor que genera los embeddings.
  * @param {number} [k=5] - El número de resultados a devolver.
  * @returns {Promise<Array<string>>} Una lista de los IDs de los productos más relevantes.
  */
-const searchProducts = async (domain, products, query, apiKey, k = 5) => {
+const searchProducts = async (domain, products, query, provider, k = 5) => {
   if (!products || products.length === 0) {
     return [];
   }
 
-  const vectorStore = await buildVectorStore(domain, products, apiKey);
+  const { vectors } = await loadVectorIndex(domain, products, provider);
+  const queryVector = await provider.getEmbeddings().embedQuery(query);
+
+  if (process.env.ATLAS_VECTOR_INDEX) {
+    const results = await vectorSearchEmbeddings({
+      domain,
+      embeddingKey: provider.embeddingKey,
+      queryVector,
+      k,
+      index: process.env.ATLAS_VECTOR_INDEX,
+    });
+    return results.map(result => result.productId);
+  }
+
+  return vectors
+    .map(({ productId, embedding }) => ({ productId, score: cosineSimilarity(queryVector, embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(result => result.productId);
+};
+
+/**
+ * Combina varios rankings de IDs con Reciprocal Rank Fusion.
+ * @param {Array<Array<string>>} rankings - Listas de IDs ordenadas de más a menos relevante.
+ * @returns {Array<string>}
+ */
+const fuseRankings = (rankings) => {
+  const scores = new Map();
+  rankings.forEach(ranking => ranking.forEach((id, index) => {
+    scores.set(id, (scores.get(id) || 0) + 1 / (RRF_K + index + 1));
+  }));
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([id]) => id);
+};
+
+/**
+ * Búsqueda híbrida: entiende la consulta, restringe los candidatos con los filtros
+ * estructurados y fusiona el ranking vectorial con el de palabras clave. Si los filtros
+ * no dejan ningún producto se ignoran, para que el asistente pueda ofrecer lo más cercano.
+ * @param {string} domain
+ * @param {Array<Object>} products - La lista completa de productos del dominio.
+ * @param {string} message - El mensaje del cliente.
+ * @param {import('../llm/llm.service').LLMProvider} provider
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - Valores que sustituyen a los extraídos del mensaje
+ *   (`minPrice`, `maxPrice`, `categories`, `onSale`, `available`, `k`), p. ej. los argumentos de una herramienta.
+ * @returns {Promise<{productIds: Array<string>, query: Object, filtered: boolean}>} Hasta `2 * query.k`
+ *   IDs ordenados (el margen compensa los productos que el llamador descarte), la consulta
+ *   interpretada y si se aplicaron los filtros.
+ */
+const hybridSearchProducts = async (domain, products, message, provider, { filters = {} } = {}) => {
+  const overrides = Object.entries(filters).filter(([, value]) => value !== undefined && value !== null);
+  const query = {
+    ...parseSearchQuery(message, { categories: collectCategories(products || []) }),
+    ...Object.fromEntries(overrides),
+  };
+  if (!products || products.length === 0) {
+    return { productIds: [], query, filtered: false };
+  }
+
+  const limit = query.k * 2;
+  const candidates = Math.min(products.length, Math.max(MIN_CANDIDATES, limit * 5));
+
+  let filter = { domain, 'is_trash.status': { $ne: true } };
+  let allowed = null;
+  if (hasStructuredFilters(query)) {
+    const structuredFilter = buildProductFilter(domain, query);
+    const matching = await findProductIdsByFilter(structuredFilter);
+    if (matching.length) {
+      filter = structuredFilter;
+      allowed = new Set(matching);
+    }
+  }
 
-  // similaritySearch retorna una lista de documentos con su metadata.
-  const searchResults = await vectorStore.similaritySearch(query, k);
+  const [vectorRanking, keywordRanking] = await Promise.all([
+    searchProducts(domain, products, message, provider, candidates),
+    query.keywords.length ? findProductIdsByText(filter, query.keywords.join(' '), candidates) : [],
+  ]);
 
-  // Extraemos los IDs de los productos desde la metadata de los resultados.
-  const relevantProductIds = searchResults.map(result => result.metadata.productId);
+  const isAllowed = id => !allowed || allowed.has(id);
+  const fused = fuseRankings([vectorRanking.filter(isAllowed), keywordRanking.filter(isAllowed)]);
+  // Con filtros, los productos que los cumplen pero no salieron en ningún ranking quedan al final.
+  const ranked = allowed ? [...new Set([...fused, ...allowed])] : fused;
 
-  return relevantProductIds;
+  return { productIds: ranked.slice(0, limit), query, filtered: !!allowed };
 };
 
-module.exports = { searchProducts };
+module.exports = { searchProducts, hybridSearchProducts, invalidateVectorStores, backfillDomain };
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  registerWebhook,
+  listWebhooks,
+  updateWebhook,
+  removeWebhook,
+  listDeliveries,
+  replayDelivery,
+} = require('./webhooks.service');
+
+const handleListWebhooks = async (req, res) => {
+  try {
+    res.json({ webhooks: await listWebhooks(req.user.merchandId), events: WEBHOOK_EVENTS });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error listando los webhooks.' });
+  }
+};
+
+const handleCreateWebhook = async (req, res) => {
+  try {
+    const { webhook, error } = await registerWebhook(req.user.merchandId, req.body);
+    if (error) return res.status(400).json({ error });
+    res.status(201).json({ webhook });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error creando el webhook.' });
+  }
+};
+
+const handleUpdateWebhook = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'ID de webhook inválido' });
+
+  try {
+    const { webhook, error } = await updateWebhook(req.user.merchandId, id, req.body);
+    if (error) return res.status(400).json({ error });
+    if (!webhook) return res.status(404).json({ error: 'Webhook no encontrado' });
+    res.json({ webhook });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error actualizando el webhook.' });
+  }
+};
+
+const handleDeleteWebhook = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'ID de webhook inválido' });
+
+  try {
+    const deleted = await removeWebhook(req.user.merchandId, id);
+    if (!deleted) return res.status(404).json({ error: 'Webhook no encontrado' });
+    res.json({ deleted });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error eliminando el webhook.' });
+  }
+};
+
+const handleListDeliveries = async (req, res) => {
+  const { webhookId, event, status } = req.query;
+  if (webhookId && !mongoose.isValidObjectId(webhookId)) return res.status(400).json({ error: 'ID de webhook inválido' });
+  if (event && !WEBHOOK_EVENTS.includes(event)) return res.status(400).json({ error: `event debe ser uno de: ${WEBHOOK_EVENTS.join(', ')}` });
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status debe ser uno de: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+
+  const page = Number.parseInt(req.query.page, 10) || 1;
+  const limit = Number.parseInt(req.query.limit, 10) || undefined;
+
+  try {
+    res.json(await listDeliveries(req.user.merchandId, { webhookId, event, status, page, limit }));
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error listando los envíos.' });
+  }
+};
+
+const handleReplayDelivery = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'ID de envío inválido' });
+
+  try {
+    const { delivery, error } = await replayDelivery(req.user.merchandId, id);
+    if (error) return res.status(409).json({ error });
+    if (!delivery) return res.status(404).json({ error: 'Envío no encontrado' });
+    res.status(202).json({ delivery });
+  } catch (err) {
+    console.error('Error:', err.message);
+    res.status(500).json({ error: 'Error reenviando el evento.' });
+  }
+};
+
+module.exports = {
+  handleListWebhooks,
+  handleCreateWebhook,
+  handleUpdateWebhook,
+  handleDeleteWebhook,
+  handleListDeliveries,
+  handleReplayDelivery,
+};
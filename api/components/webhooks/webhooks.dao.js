@@ -0,0 +1,85 @@
+const { Webhook, WebhookDelivery } = require('../../../config/database');
+
+const findWebhooks = async (filter) => {
+  return await Webhook.find(filter).sort({ _id: 1 }).lean();
+};
+
+const findMerchantWebhookById = async (merchandId, id) => {
+  return await Webhook.findOne({ _id: id, merchandId }).lean();
+};
+
+const findWebhookById = async (id) => {
+  return await Webhook.findById(id).lean();
+};
+
+const createWebhook = async (webhook) => {
+  return (await Webhook.create(webhook)).toObject();
+};
+
+const updateMerchantWebhook = async (merchandId, id, changes) => {
+  return await Webhook.findOneAndUpdate({ _id: id, merchandId }, { $set: changes }, { new: true, runValidators: true }).lean();
+};
+
+const deleteMerchantWebhook = async (merchandId, id) => {
+  return await Webhook.deleteOne({ _id: id, merchandId });
+};
+
+const createDeliveries = async (deliveries) => {
+  return (await WebhookDelivery.insertMany(deliveries)).map(delivery => delivery.toObject());
+};
+
+const findDeliveryById = async (id) => {
+  return await WebhookDelivery.findById(id).lean();
+};
+
+const findMerchantDeliveryById = async (merchandId, id) => {
+  return await WebhookDelivery.findOne({ _id: id, merchandId }).lean();
+};
+
+/**
+ * Reserva un envío pendiente cuyo intento ya venció moviendo `nextAttemptAt` al fin de la
+ * reserva, así ningún otro temporizador ni réplica lo envía a la vez. Devuelve `null` si no se pudo.
+ */
+const claimDelivery = async (id, now, leaseUntil) => {
+  return await WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: leaseUntil } },
+    { new: true }
+  ).lean();
+};
+
+const updateDelivery = async (id, changes) => {
+  return await WebhookDelivery.findByIdAndUpdate(id, { $set: changes }, { new: true }).lean();
+};
+
+const findDeliveries = async (filter, { skip = 0, limit = 0 } = {}) => {
+  return await WebhookDelivery.find(filter).sort({ _id: -1 }).skip(skip).limit(limit).lean();
+};
+
+const countDeliveries = async (filter) => {
+  return await WebhookDelivery.countDocuments(filter);
+};
+
+/**
+ * Envíos pendientes, primero los que debían intentarse antes.
+ */
+const findPendingDeliveries = async (limit) => {
+  return await WebhookDelivery.find({ status: 'pending' }).sort({ nextAttemptAt: 1 }).limit(limit).lean();
+};
+
+module.exports = {
+  findWebhooks,
+  findMerchantWebhookById,
+  findWebhookById,
+  createWebhook,
+  updateMerchantWebhook,
+  deleteMerchantWebhook,
+  createDeliveries,
+  findDeliveryById,
+  findMerchantDeliveryById,
+  claimDelivery,
+  updateDelivery,
+  findDeliveries,
+  countDeliveries,
+  findPendingDeliveries,
+};
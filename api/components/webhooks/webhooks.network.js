@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Protección de los webhooks salientes frente a SSRF.
+ *
+ * Las URLs las escribe el comercio, así que antes de llamarlas se comprueba que:
+ * - usen https (http solo con `NODE_ENV` 'development' o 'test');
+ * - su host resuelva únicamente a direcciones públicas: nada de loopback, redes privadas,
+ *   link-local (incluido el servicio de metadatos 169.254.169.254) ni multicast.
+ *
+ * La comprobación se hace al registrar el webhook y otra vez en cada envío, y los agentes HTTP de
+ * `webhookAgents` validan la dirección con la que realmente se conectan, así un DNS que cambia
+ * de respuesta entre la comprobación y la conexión (DNS rebinding) tampoco sirve.
+ * `WEBHOOK_ALLOW_PRIVATE_NETWORKS=true` desactiva el filtro de direcciones (solo para pruebas locales).
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Rangos no enrutables o reservados (RFC 6890). Las IPv4 mapeadas en IPv6 se comprueban como IPv4.
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const BLOCK_LIST = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => BLOCK_LIST.addSubnet(address, prefix, type));
+
+const allowsPrivateNetworks = () => process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+/**
+ * Protocolos admitidos en las URLs de webhook.
+ * @returns {Array<string>}
+ */
+const getAllowedProtocols = () => (['development', 'test'].includes(process.env.NODE_ENV)
+  ? ['https:', 'http:']
+  : ['https:']);
+
+/**
+ * Indica si una dirección IP no es pública.
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  return BLOCK_LIST.check(address, type);
+};
+
+/**
+ * Comprueba que una URL de webhook se pueda llamar: protocolo admitido y un host que resuelve
+ * solo a direcciones públicas.
+ * @param {string} url
+ * @returns {Promise<string|null>} El motivo del rechazo, o `null` si se puede llamar.
+ * @throws {Error} Si el host no se puede resolver (puede ser un fallo pasajero del DNS).
+ */
+const checkWebhookUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (!getAllowedProtocols().includes(protocol)) return 'la URL debe usar https';
+  if (allowsPrivateNetworks()) return null;
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true, verbatim: true })).map(({ address }) => address);
+
+  const blocked = addresses.find(isPrivateAddress);
+  return blocked ? `la URL apunta a una dirección no pública (${blocked})` : null;
+};
+
+/**
+ * `lookup` de los agentes HTTP: resuelve como siempre pero falla si alguna dirección no es pública.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = allowsPrivateNetworks() ? null : addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(new Error(`El webhook resolvió a una dirección no pública (${blocked.address})`));
+
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Agentes para `axios` que solo se conectan a direcciones públicas.
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+module.exports = { isPrivateAddress, checkWebhookUrl, webhookAgents };
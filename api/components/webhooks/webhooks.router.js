@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  handleListWebhooks,
+  handleCreateWebhook,
+  handleUpdateWebhook,
+  handleDeleteWebhook,
+  handleListDeliveries,
+  handleReplayDelivery,
+} = require('./webhooks.controller');
+const authMiddleware = require('../../../middleware/auth');
+const requireRole = require('../../../middleware/role');
+
+// Webhooks del comercio (merchandId del token) y su registro de envíos.
+router.get('/', authMiddleware, requireRole('merchant'), handleListWebhooks);
+router.post('/', authMiddleware, requireRole('merchant'), handleCreateWebhook);
+router.get('/deliveries', authMiddleware, requireRole('merchant'), handleListDeliveries);
+router.post('/deliveries/:id/replay', authMiddleware, requireRole('merchant'), handleReplayDelivery);
+router.patch('/:id', authMiddleware, requireRole('merchant'), handleUpdateWebhook);
+router.delete('/:id', authMiddleware, requireRole('merchant'), handleDeleteWebhook);
+
+module.exports = router;
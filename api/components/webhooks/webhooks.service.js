@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Webhooks salientes: cada comercio registra URLs que reciben los eventos del chat.
+ *
+ * `emitWebhookEvent` no bloquea el turno: guarda un envío por cada webhook suscrito y lo entrega
+ * en segundo plano, firmado con el secreto del webhook (ver `webhooks.signature`). Los fallos
+ * (error de red o respuesta que no es 2xx) se reintentan con espera exponencial hasta
+ * `WEBHOOK_MAX_ATTEMPTS`. Todos los envíos quedan en `WebhookDelivery`, desde donde se pueden
+ * consultar y reenviar. Cada intento reserva antes el envío (`claimDelivery`), así varias réplicas
+ * o temporizadores no lo entregan dos veces. Las URLs se comprueban contra SSRF al registrarlas y
+ * en cada intento (ver `webhooks.network`).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { envNumber } = require('../cache/cache.lru');
+const { signPayload } = require('./webhooks.signature');
+const { checkWebhookUrl, webhookAgents } = require('./webhooks.network');
+const {
+  findWebhooks,
+  findMerchantWebhookById,
+  findWebhookById,
+  createWebhook,
+  updateMerchantWebhook,
+  deleteMerchantWebhook,
+  createDeliveries,
+  findDeliveryById,
+  findMerchantDeliveryById,
+  claimDelivery,
+  updateDelivery,
+  findDeliveries,
+  countDeliveries,
+  findPendingDeliveries,
+} = require('./webhooks.dao');
+
+const WEBHOOK_EVENTS = ['conversation.started', 'cart.item_added', 'product.not_found', 'handoff.requested', 'chat.error'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const MAX_ATTEMPTS = envNumber('WEBHOOK_MAX_ATTEMPTS', 5);
+const RETRY_BASE_MS = envNumber('WEBHOOK_RETRY_BASE_MS', 30 * 1000); // 30 s, 1 min, 2 min, 4 min...
+const REQUEST_TIMEOUT_MS = envNumber('WEBHOOK_TIMEOUT_MS', 5000);
+const DELIVERY_LEASE_MS = REQUEST_TIMEOUT_MS + 30 * 1000; // Reserva de un intento: el envío y su registro.
+const CLAIM_EARLY_MS = 1000; // Margen para temporizadores que vencen unos milisegundos antes.
+const MAX_WEBHOOKS_PER_MERCHANT = 10;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_ERROR_LENGTH = 500;
+const RESUME_BATCH_SIZE = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Espera antes del siguiente intento de un envío.
+ * @param {number} attempts - Intentos ya hechos (al menos 1).
+ * @returns {number} Milisegundos.
+ */
+const getRetryDelay = attempts => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+/**
+ * Forma pública de un webhook. El secreto solo se muestra al crearlo.
+ * @param {Object} webhook
+ * @param {{includeSecret?: boolean}} [options]
+ * @returns {Object}
+ */
+const serializeWebhook = ({ _id, domain, url, events, description, active, secret, createdAt, updatedAt }, { includeSecret = false } = {}) => ({
+  id: _id.toString(),
+  domain: domain ?? null,
+  url,
+  events,
+  description: description ?? null,
+  active,
+  ...(includeSecret ? { secret } : {}),
+  createdAt,
+  updatedAt,
+});
+
+/**
+ * Forma pública de un envío del registro.
+ * @param {Object} delivery
+ * @returns {Object}
+ */
+const serializeDelivery = ({ _id, webhookId, domain, event, payload, status, attempts, lastStatusCode, lastError, nextAttemptAt, deliveredAt, replayOf, createdAt }) => ({
+  id: _id.toString(),
+  webhookId: webhookId.toString(),
+  domain: domain ?? null,
+  event,
+  status,
+  attempts,
+  lastStatusCode: lastStatusCode ?? null,
+  lastError: lastError ?? null,
+  nextAttemptAt: nextAttemptAt ?? null,
+  deliveredAt: deliveredAt ?? null,
+  replayOf: replayOf ? replayOf.toString() : null,
+  payload,
+  createdAt,
+});
+
+/**
+ * Valida los campos de un webhook. Con `partial` solo se validan los presentes (edición).
+ * @param {Object} input
+ * @param {{partial?: boolean}} [options]
+ * @returns {{webhook?: Object, errors?: Array<string>}}
+ */
+const validateWebhookInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const webhook = {};
+  const has = key => input?.[key] !== undefined;
+
+  if (has('url') || !partial) {
+    let url = null;
+    try {
+      url = new URL(input?.url);
+    } catch (err) {
+      // Se informa abajo.
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url debe ser una URL http o https');
+    else webhook.url = url.toString();
+  }
+
+  if (has('events') || !partial) {
+    const { events } = input || {};
+    if (!Array.isArray(events) || !events.length || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`events debe ser una lista con: ${WEBHOOK_EVENTS.join(', ')}`);
+    } else {
+      webhook.events = [...new Set(events)];
+    }
+  }
+
+  if (has('domain')) {
+    if (input.domain !== null && (typeof input.domain !== 'string' || !input.domain.trim())) errors.push('domain debe ser un texto o null');
+    else webhook.domain = input.domain ? input.domain.trim() : null;
+  }
+
+  if (has('description')) {
+    if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`description admite como máximo ${MAX_DESCRIPTION_LENGTH} caracteres`);
+    } else {
+      webhook.description = input.description;
+    }
+  }
+
+  if (has('active')) {
+    if (typeof input.active !== 'boolean') errors.push('active debe ser true o false');
+    else webhook.active = input.active;
+  }
+
+  return errors.length ? { errors } : { webhook };
+};
+
+/**
+ * Comprueba contra SSRF la URL de un webhook que se quiere guardar.
+ * @param {string} url
+ * @returns {Promise<string|null>} El error para el comercio, o `null` si la URL es válida.
+ */
+const verifyWebhookUrl = async (url) => {
+  try {
+    const reason = await checkWebhookUrl(url);
+    return reason ? `Webhook inválido: ${reason}` : null;
+  } catch (err) {
+    return 'Webhook inválido: no se pudo resolver el host de la URL';
+  }
+};
+
+/**
+ * Programa el siguiente intento de un envío en este proceso.
+ * @param {string} deliveryId
+ * @param {number} delayMs
+ */
+const scheduleDelivery = (deliveryId, delayMs) => {
+  const timer = setTimeout(() => {
+    deliverWebhook(deliveryId).catch(err => console.error(`Error entregando el webhook ${deliveryId}:`, err.message));
+  }, Math.max(delayMs, 0));
+  timer.unref?.(); // Los reintentos pendientes no impiden que el proceso termine.
+};
+
+/**
+ * Hace un intento de entrega de un envío pendiente y, si falla, programa el siguiente o lo da
+ * por fallido al agotar los intentos. Si el envío no está pendiente, aún no toca o ya lo reservó
+ * otro proceso, no hace nada.
+ * @param {string} deliveryId
+ * @returns {Promise<Object|null>} El envío actualizado.
+ */
+const deliverWebhook = async (deliveryId) => {
+  const delivery = await claimDelivery(
+    deliveryId,
+    new Date(Date.now() + CLAIM_EARLY_MS),
+    new Date(Date.now() + DELIVERY_LEASE_MS)
+  );
+  if (!delivery) return await findDeliveryById(deliveryId);
+
+  const webhook = await findWebhookById(delivery.webhookId);
+  if (!webhook?.active) {
+    const lastError = webhook ? 'El webhook está desactivado' : 'El webhook ya no existe';
+    return await updateDelivery(deliveryId, { status: 'failed', lastError, nextAttemptAt: null });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  let failure;
+
+  try {
+    // La URL se vuelve a comprobar: el DNS del comercio puede haber cambiado desde el registro.
+    const rejected = await checkWebhookUrl(webhook.url);
+    if (rejected) {
+      console.warn(`Webhook ${delivery.event} a ${webhook.url} rechazado:`, rejected);
+      return await updateDelivery(deliveryId, {
+        status: 'failed', attempts, lastStatusCode: null, lastError: `URL rechazada: ${rejected}`, nextAttemptAt: null,
+      });
+    }
+
+    const response = await axios.post(webhook.url, body, {
+      ...webhookAgents,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'chatopenia-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      return await updateDelivery(deliveryId, {
+        status: 'delivered', attempts, lastStatusCode: response.status, lastError: null, nextAttemptAt: null, deliveredAt: new Date(),
+      });
+    }
+    failure = { lastStatusCode: response.status, lastError: `Respuesta HTTP ${response.status}` };
+  } catch (err) {
+    failure = { lastStatusCode: null, lastError: String(err.message).slice(0, MAX_ERROR_LENGTH) };
+  }
+
+  if (attempts >= MAX_ATTEMPTS) {
+    console.warn(`Webhook ${delivery.event} a ${webhook.url} fallido tras ${attempts} intentos:`, failure.lastError);
+    return await updateDelivery(deliveryId, { ...failure, status: 'failed', attempts, nextAttemptAt: null });
+  }
+
+  const delay = getRetryDelay(attempts);
+  const updated = await updateDelivery(deliveryId, { ...failure, attempts, nextAttemptAt: new Date(Date.now() + delay) });
+  scheduleDelivery(deliveryId, delay);
+  return updated;
+};
+
+/**
+ * Envía un evento del chat a los webhooks del comercio suscritos a él. Nunca lanza: los errores
+ * se registran y el turno sigue.
+ * @param {string} event - Uno de `WEBHOOK_EVENTS`.
+ * @param {{domain: string, merchandId: string}} tenant
+ * @param {Object} [data] - Datos propios del evento.
+ * @returns {Promise<Array<Object>>} Los envíos creados.
+ */
+const emitWebhookEvent = async (event, { domain, merchandId }, data = {}) => {
+  if (!merchandId) return [];
+
+  try {
+    const webhooks = (await findWebhooks({ merchandId, active: true, events: event }))
+      .filter(webhook => !webhook.domain || webhook.domain === domain);
+    if (!webhooks.length) return [];
+
+    const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), domain, merchandId, data };
+    const deliveries = await createDeliveries(webhooks.map(webhook => ({
+      webhookId: webhook._id, merchandId, domain, event, payload, nextAttemptAt: new Date(),
+    })));
+    deliveries.forEach(delivery => scheduleDelivery(delivery._id.toString(), 0));
+    return deliveries;
+  } catch (err) {
+    console.error(`Error emitiendo el evento ${event}:`, err.message);
+    return [];
+  }
+};
+
+/**
+ * Retoma los envíos pendientes tras un reinicio: los vencidos se intentan ya y el resto a su hora.
+ * @returns {Promise<number>} Envíos programados.
+ */
+const resumePendingDeliveries = async () => {
+  const pending = await findPendingDeliveries(RESUME_BATCH_SIZE);
+  pending.forEach(delivery => scheduleDelivery(delivery._id.toString(), (delivery.nextAttemptAt?.getTime() ?? 0) - Date.now()));
+  return pending.length;
+};
+
+/**
+ * Registra un webhook de un comercio con un secreto nuevo.
+ * @param {string} merchandId
+ * @param {Object} input - `{ url, events, domain?, description?, active? }`.
+ * @returns {Promise<{webhook?: Object, error?: string}>} El webhook con su secreto.
+ */
+const registerWebhook = async (merchandId, input) => {
+  const { webhook, errors } = validateWebhookInput(input);
+  if (errors) return { error: `Webhook inválido: ${errors.join('; ')}` };
+
+  const urlError = await verifyWebhookUrl(webhook.url);
+  if (urlError) return { error: urlError };
+
+  if ((await findWebhooks({ merchandId })).length >= MAX_WEBHOOKS_PER_MERCHANT) {
+    return { error: `Se admiten como máximo ${MAX_WEBHOOKS_PER_MERCHANT} webhooks por comercio` };
+  }
+
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  const created = await createWebhook({ ...webhook, merchandId, secret });
+  return { webhook: serializeWebhook(created, { includeSecret: true }) };
+};
+
+const listWebhooks = async (merchandId) => {
+  const webhooks = await findWebhooks({ merchandId });
+  return webhooks.map(webhook => serializeWebhook(webhook));
+};
+
+/**
+ * Cambia los campos indicados de un webhook (el secreto no se puede cambiar).
+ * @returns {Promise<{webhook?: Object|null, error?: string}>} `webhook` es `null` si no existe.
+ */
+const updateWebhook = async (merchandId, id, input) => {
+  const { webhook, errors } = validateWebhookInput(input, { partial: true });
+  if (errors) return { error: `Webhook inválido: ${errors.join('; ')}` };
+
+  const urlError = webhook.url ? await verifyWebhookUrl(webhook.url) : null;
+  if (urlError) return { error: urlError };
+
+  const updated = await updateMerchantWebhook(merchandId, id, webhook);
+  return { webhook: updated ? serializeWebhook(updated) : null };
+};
+
+const removeWebhook = async (merchandId, id) => {
+  const { deletedCount } = await deleteMerchantWebhook(merchandId, id);
+  return deletedCount > 0;
+};
+
+/**
+ * Lista paginada del registro de envíos de un comercio, del más reciente al más antiguo.
+ * @param {string} merchandId
+ * @param {{webhookId?: string, event?: string, status?: string, page?: number, limit?: number}} [options]
+ * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+ */
+const listDeliveries = async (merchandId, { webhookId, event, status, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const currentPage = Math.max(page, 1);
+  const filter = {
+    merchandId,
+    ...(webhookId && { webhookId }),
+    ...(event && { event }),
+    ...(status && { status }),
+  };
+
+  const [deliveries, total] = await Promise.all([
+    findDeliveries(filter, { skip: (currentPage - 1) * pageSize, limit: pageSize }),
+    countDeliveries(filter),
+  ]);
+
+  return {
+    data: deliveries.map(serializeDelivery),
+    pagination: {
+      page: currentPage,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+/**
+ * Reenvía un evento ya registrado como un envío nuevo (con el mismo `id` de evento, para que el
+ * receptor pueda reconocer duplicados) al webhook original.
+ * @param {string} merchandId
+ * @param {string} id - Envío a reenviar.
+ * @returns {Promise<{delivery?: Object|null, error?: string}>} `delivery` es `null` si el envío no existe.
+ */
+const replayDelivery = async (merchandId, id) => {
+  const original = await findMerchantDeliveryById(merchandId, id);
+  if (!original) return { delivery: null };
+  if (!(await findMerchantWebhookById(merchandId, original.webhookId))) {
+    return { error: 'El webhook de este envío ya no existe' };
+  }
+
+  const { webhookId, domain, event, payload } = original;
+  const [delivery] = await createDeliveries([{
+    webhookId, merchandId, domain, event, payload, nextAttemptAt: new Date(), replayOf: original._id,
+  }]);
+  scheduleDelivery(delivery._id.toString(), 0);
+  return { delivery: serializeDelivery(delivery) };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  emitWebhookEvent,
+  deliverWebhook,
+  resumePendingDeliveries,
+  registerWebhook,
+  listWebhooks,
+  updateWebhook,
+  removeWebhook,
+  listDeliveries,
+  replayDelivery,
+};
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Firma de los webhooks salientes.
+ *
+ * Cada envío lleva `X-Webhook-Timestamp` (segundos Unix) y `X-Webhook-Signature`:
+ * `sha256=<hex>`, el HMAC-SHA256 con el secreto del webhook de `<timestamp>.<cuerpo>`. El
+ * receptor recalcula la firma sobre el cuerpo crudo y rechaza los envíos demasiado antiguos.
+ * No depende de la base de datos para que el receptor de pruebas pueda usarlo tal cual.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Firma un cuerpo de webhook.
+ * @param {string} secret
+ * @param {number} timestamp - Segundos Unix del envío.
+ * @param {string} body - Cuerpo JSON tal como se envía.
+ * @returns {string} Valor de `X-Webhook-Signature`.
+ */
+const signPayload = (secret, timestamp, body) => SIGNATURE_PREFIX + crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Comprueba la firma de un webhook recibido.
+ * @param {string} secret
+ * @param {Object} params
+ * @param {string} params.signature - Cabecera `X-Webhook-Signature`.
+ * @param {string|number} params.timestamp - Cabecera `X-Webhook-Timestamp`.
+ * @param {string} params.body - Cuerpo crudo recibido.
+ * @param {number} [params.toleranceSeconds=300] - Antigüedad máxima aceptada.
+ * @returns {boolean}
+ */
+const verifySignature = (secret, { signature, timestamp, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) => {
+  const sentAt = Number(timestamp);
+  if (!signature || !Number.isFinite(sentAt)) return false;
+  if (Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, sentAt, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = { signPayload, verifySignature };
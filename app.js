@@ -4,19 +4,27 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 require('./config/database');
 
-const rateLimit = require('express-rate-limit');
-
-const chatLimiter = rateLimit({
-  windowMs: 10 * 1000,
-  max: 5, 
-  message: {
-    success: false,
-    error: "Demasiadas solicitudes, espera un momento antes de intentarlo nuevamente."
-  }
+const { createChatLimiters } = require('./middleware/rateLimit');
+
+// Límites por usuario y por comercio con contadores compartidos (ver `USAGE_STORE`).
+const chatLimiters = createChatLimiters({
+  // Descargar el clip de una respuesta de voz no cuenta como otra petición.
+  skip: req => req.method === 'GET' && req.path.startsWith('/clips/'),
 });
 
 const chatRouter = require('./api/components/chatgtp/chatgtp.router');
 const ttsRouter = require('./api/components/convertTextToVoice/awsdolly.router');
+const conversationRouter = require('./api/components/conversations/conversation.router');
+const cacheRouter = require('./api/components/cache/cache.router');
+const templateRouter = require('./api/components/prompt-templates/template.router');
+const usageRouter = require('./api/components/usage/usage.router');
+const cartRouter = require('./api/components/cart/cart.router');
+const guardrailsRouter = require('./api/components/guardrails/guardrails.router');
+const webhooksRouter = require('./api/components/webhooks/webhooks.router');
+const analyticsRouter = require('./api/components/analytics/analytics.router');
+const { watchCatalogChanges } = require('./api/components/cache/cache.service');
+const { prewarmSpeechCache } = require('./api/components/convertTextToVoice/awsdolly.service');
+const { resumePendingDeliveries } = require('./api/components/webhooks/webhooks.service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,9 +37,37 @@ app.use(cors({
 }));
 app.use(bodyParser.json());
 
-app.use('/chatbot', chatLimiter, chatRouter);
-app.use('/textvoice', chatLimiter,  ttsRouter);
+app.use('/chatbot', chatLimiters, chatRouter);
+app.use('/textvoice', chatLimiters, ttsRouter);
+app.use('/conversations', conversationRouter);
+app.use('/admin/cache', cacheRouter);
+app.use('/prompt-templates', templateRouter);
+app.use('/usage', usageRouter);
+app.use('/cart', cartRouter);
+app.use('/guardrails', guardrailsRouter);
+app.use('/webhooks', webhooksRouter);
+app.use('/analytics', analyticsRouter);
 
-app.listen(PORT, () => {
-  console.log(`Servidor en http://localhost:${PORT}`);
-});
+// Solo escucha cuando se ejecuta directamente; los tests importan la app sin abrir el puerto.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Servidor en http://localhost:${PORT}`);
+  });
+
+  // Invalidación automática de cachés al modificar el catálogo (requiere replica set).
+  if (process.env.CATALOG_CHANGE_STREAM === 'true') {
+    watchCatalogChanges();
+  }
+
+  // Audio de las respuestas fijas del bot listo antes de la primera petición.
+  if (process.env.TTS_PREWARM !== 'false' && process.env.TTS_CACHE_STORE !== 'none') {
+    prewarmSpeechCache().then(count => console.log(`Audio precalentado: ${count} frases`));
+  }
+
+  // Reintentos de webhooks que quedaron pendientes al detenerse el servidor.
+  resumePendingDeliveries()
+    .then(count => console.log(`Webhooks pendientes reprogramados: ${count}`))
+    .catch(err => console.error('Error reprogramando webhooks pendientes:', err.message));
+}
+
+module.exports = app;
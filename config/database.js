@@ -22,12 +22,40 @@ const clientsConnection = createConnection(process.env.MONGO_URI_CLIENTS);
 const catalogConnection = createConnection(process.env.MONGO_URI);
 
 const ConversationSchema = require('../models/Conversation');
+const ConversationArchiveSchema = require('../models/ConversationArchive');
+const PromptTemplateSchema = require('../models/PromptTemplate');
+const UsageCounterSchema = require('../models/UsageCounter');
+const CartSchema = require('../models/Cart');
+const GuardrailEventSchema = require('../models/GuardrailEvent');
+const WebhookSchema = require('../models/Webhook');
+const WebhookDeliverySchema = require('../models/WebhookDelivery');
+const ChatEventSchema = require('../models/ChatEvent');
 const ProductSchema = require('../models/Product');
+const ProductEmbeddingSchema = require('../models/ProductEmbedding');
 
 const Conversation = clientsConnection.model('Conversation', ConversationSchema);
+const ConversationArchive = clientsConnection.model('ConversationArchive', ConversationArchiveSchema);
+const PromptTemplate = clientsConnection.model('PromptTemplate', PromptTemplateSchema);
+const UsageCounter = clientsConnection.model('UsageCounter', UsageCounterSchema);
+const Cart = clientsConnection.model('Cart', CartSchema);
+const GuardrailEvent = clientsConnection.model('GuardrailEvent', GuardrailEventSchema);
+const Webhook = clientsConnection.model('Webhook', WebhookSchema);
+const WebhookDelivery = clientsConnection.model('WebhookDelivery', WebhookDeliverySchema);
+const ChatEvent = clientsConnection.model('ChatEvent', ChatEventSchema);
 const Product = catalogConnection.model('Product', ProductSchema);
+const ProductEmbedding = catalogConnection.model('ProductEmbedding', ProductEmbeddingSchema);
 
 module.exports = {
+  clientsConnection,
   Conversation,
+  ConversationArchive,
+  PromptTemplate,
+  UsageCounter,
+  Cart,
+  GuardrailEvent,
+  Webhook,
+  WebhookDelivery,
+  ChatEvent,
   Product,
+  ProductEmbedding,
 };
@@ -0,0 +1,53 @@
+const { StatusCodes } = require('http-status-codes');
+const { fetchConfig } = require('../api/components/chatgtp/chatgtp.service');
+const { getTenantKey, getQuotaStatus } = require('../api/components/usage/usage.service');
+const { readTokenClaims, readDomain } = require('./rateLimit');
+
+/**
+ * Rechaza con 429 las peticiones de un comercio que ya agotó su cuota mensual de la métrica
+ * indicada ('openai_tokens', 'polly_characters' o 'stt_bytes'). Si la cuota no se puede comprobar, la
+ * petición sigue adelante: un fallo del almacén no debe dejar sin servicio al chat.
+ * Los límites de la configuración del `domain` solo se aplican si ese dominio es del comercio del
+ * token (ver `getQuotaStatus`); si no, rigen los del entorno.
+ * Las peticiones sin comercio en el token no tienen cuota que comprobar: cada ruta decide qué
+ * pueden hacer (p. ej. `/textvoice/speak` solo les sirve audio ya cacheado).
+ * @param {string} metric - Clave de `QUOTA_METRICS`.
+ */
+const requireQuota = metric => async (req, res, next) => {
+    const domain = readDomain(req);
+    const merchandId = (req.user || readTokenClaims(req))?.merchandId;
+    const tenant = getTenantKey({ merchandId });
+    if (!tenant) return next();
+
+    try {
+        let config = null;
+        if (domain) {
+            try {
+                config = await fetchConfig(domain);
+            } catch (err) {
+                // Sin configuración se aplican los límites de las variables de entorno.
+            }
+        }
+
+        const quota = await getQuotaStatus(tenant, metric, config);
+        if (!quota.exceeded) return next();
+
+        const retryAfter = Math.max(Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000), 1);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(StatusCodes.TOO_MANY_REQUESTS).json({
+            success: false,
+            error: 'Se alcanzó el límite de uso mensual de tu plan.',
+            code: 'QUOTA_EXCEEDED',
+            quota: metric,
+            limit: quota.limit,
+            used: quota.used,
+            resetAt: quota.resetAt,
+            retryAfter,
+        });
+    } catch (err) {
+        console.error('Error comprobando la cuota:', err.message);
+        next();
+    }
+};
+
+module.exports = requireQuota;
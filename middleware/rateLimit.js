@@ -0,0 +1,136 @@
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { StatusCodes } = require('http-status-codes');
+const { getCounterStore } = require('../api/components/usage/usage.service');
+
+/**
+ * Datos del token de la petición, si trae uno válido. Los límites se aplican antes que
+ * `authMiddleware`, así que aquí un token ausente o inválido no es un error.
+ * @param {import('express').Request} req
+ * @returns {Object|null}
+ */
+const readTokenClaims = (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+
+    try {
+        return jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Dominio de la petición: en el cuerpo JSON o, para los audios binarios, en la query string.
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+const readDomain = req => req.body?.domain || req.query.domain;
+
+/**
+ * Adapta el almacén de contadores compartido a la interfaz `Store` de express-rate-limit.
+ * @param {string} prefix - Separa las claves de cada limitador dentro del almacén.
+ * @returns {Object}
+ */
+const createLimiterStore = (prefix) => {
+    let windowMs;
+    const resetAt = () => new Date(Date.now() + windowMs);
+    const storeKey = key => `${prefix}:${key}`;
+
+    return {
+        prefix,
+
+        get localKeys() {
+            return getCounterStore().localKeys;
+        },
+
+        init(options) {
+            windowMs = options.windowMs;
+        },
+
+        async get(key) {
+            const counter = await getCounterStore().get(storeKey(key));
+            return counter ? { totalHits: counter.count, resetTime: counter.resetAt } : undefined;
+        },
+
+        async increment(key) {
+            const { count, resetAt: resetTime } = await getCounterStore().increment(storeKey(key), 1, resetAt());
+            return { totalHits: count, resetTime };
+        },
+
+        async decrement(key) {
+            await getCounterStore().increment(storeKey(key), -1, resetAt());
+        },
+
+        async resetKey(key) {
+            await getCounterStore().reset(storeKey(key));
+        },
+    };
+};
+
+/**
+ * Respuesta 429 con el ámbito del límite superado y cuándo se puede volver a intentar.
+ * @param {'user'|'tenant'} scope
+ */
+const rateLimitHandler = scope => (req, res) => {
+    const { limit, resetTime } = req.rateLimit;
+    const retryAfter = resetTime ? Math.max(Math.ceil((resetTime.getTime() - Date.now()) / 1000), 1) : null;
+
+    res.status(StatusCodes.TOO_MANY_REQUESTS).json({
+        success: false,
+        error: 'Demasiadas solicitudes, espera un momento antes de intentarlo nuevamente.',
+        code: 'RATE_LIMITED',
+        scope,
+        limit,
+        remaining: 0,
+        resetAt: resetTime || null,
+        retryAfter,
+    });
+};
+
+/**
+ * Límites de peticiones al chat en ventanas de `CHAT_RATE_LIMIT_WINDOW_MS` (10 s por defecto):
+ * - por usuario (`id` del token, o la IP si no hay token): `CHAT_RATE_LIMIT_MAX` (5 por defecto).
+ * - por comercio (`merchandId` del token, o el dominio): `CHAT_TENANT_RATE_LIMIT_MAX` (10 veces el anterior por defecto).
+ * Los contadores viven en el almacén de `USAGE_STORE`, compartido entre réplicas si no es 'memory'.
+ * @param {Object} [options]
+ * @param {function(import('express').Request): boolean} [options.skip] - Peticiones que no cuentan.
+ * @returns {Array<Function>} Los dos middlewares, para usarlos juntos en `app.use`.
+ */
+const createChatLimiters = ({ skip = () => false } = {}) => {
+    const windowMs = Number(process.env.CHAT_RATE_LIMIT_WINDOW_MS) || 10 * 1000;
+    const userMax = Number(process.env.CHAT_RATE_LIMIT_MAX) || 5;
+    const tenantMax = Number(process.env.CHAT_TENANT_RATE_LIMIT_MAX) || userMax * 10;
+
+    const tenantKey = (req) => {
+        const merchandId = readTokenClaims(req)?.merchandId;
+        if (merchandId) return `tenant:${merchandId}`;
+        const domain = readDomain(req);
+        return domain ? `domain:${domain}` : null;
+    };
+
+    const userLimiter = rateLimit({
+        windowMs,
+        limit: userMax,
+        skip,
+        store: createLimiterStore('rl:user'),
+        keyGenerator: (req) => {
+            const userId = readTokenClaims(req)?.id;
+            return userId ? `user:${userId}` : `ip:${rateLimit.ipKeyGenerator(req.ip)}`;
+        },
+        handler: rateLimitHandler('user'),
+    });
+
+    const tenantLimiter = rateLimit({
+        windowMs,
+        limit: tenantMax,
+        skip: req => skip(req) || !tenantKey(req),
+        store: createLimiterStore('rl:tenant'),
+        keyGenerator: tenantKey,
+        handler: rateLimitHandler('tenant'),
+    });
+
+    return [userLimiter, tenantLimiter];
+};
+
+module.exports = { createChatLimiters, readTokenClaims, readDomain };
@@ -0,0 +1,19 @@
+const { StatusCodes } = require('http-status-codes');
+
+/**
+ * Restringe una ruta a los usuarios cuyo token incluya uno de los roles indicados.
+ * Debe usarse después de `authMiddleware`, que es quien rellena `req.user`.
+ * @param {...string} roles - Roles permitidos (por ejemplo 'merchant', 'admin').
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(StatusCodes.FORBIDDEN).json({
+            status: StatusCodes.FORBIDDEN,
+            message: 'Insufficient permissions for this resource',
+        });
+    }
+
+    next();
+};
+
+module.exports = requireRole;
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Separa el mensaje del sistema guardado en cada conversación.
+ *
+ * Antes el catálogo de productos de la primera pregunta se guardaba dentro del mensaje
+ * del sistema. Ahora solo se persiste la parte estática (persona y reglas) y el catálogo
+ * se construye en cada turno. Esta migración elimina el bloque del catálogo de los
+ * documentos existentes. Es idempotente.
+ */
+
+const { Conversation } = require('../config/database');
+const { CATALOG_SECTION_HEADER } = require('../api/components/chatgtp/chatgtp.service');
+
+/**
+ * Quita el bloque del catálogo de un mensaje del sistema heredado.
+ * @param {string} content
+ * @returns {string}
+ */
+const stripCatalogSection = (content) => {
+  const index = content.indexOf(CATALOG_SECTION_HEADER);
+  if (index === -1) return content;
+  // Elimina también el separador "---" que precedía al bloque del catálogo.
+  return content.slice(0, index).replace(/\s*---\s*$/, '').trim();
+};
+
+const up = async () => {
+  // Se usa la colección directamente: los documentos previos a la migración 002 no tienen
+  // `sessionId` y no pasarían la validación del esquema actual.
+  const cursor = Conversation.collection.find({
+    messages: { $elemMatch: { role: 'system', content: { $regex: CATALOG_SECTION_HEADER } } },
+  });
+
+  let updated = 0;
+  for await (const conversation of cursor) {
+    const messages = conversation.messages.map(message => (message.role === 'system'
+      ? { ...message, content: stripCatalogSection(message.content) }
+      : message));
+    await Conversation.collection.updateOne({ _id: conversation._id }, { $set: { messages } });
+    updated += 1;
+  }
+
+  return `${updated} conversaciones actualizadas`;
+};
+
+module.exports = { up };
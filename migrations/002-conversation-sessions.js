@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Introduce varias sesiones de conversación por usuario y dominio.
+ *
+ * - Asigna un `sessionId` a las conversaciones existentes que no lo tienen.
+ * - Rellena `createdAt`/`updatedAt` a partir de las fechas de los mensajes.
+ * - Sustituye el índice único `{ domain, userId }` por `{ domain, userId, sessionId }`.
+ *
+ * Es idempotente.
+ */
+
+const crypto = require('crypto');
+const { Conversation } = require('../config/database');
+
+const LEGACY_INDEX = 'domain_1_userId_1';
+
+const up = async () => {
+  const cursor = Conversation.collection.find({ sessionId: { $exists: false } });
+
+  let updated = 0;
+  for await (const conversation of cursor) {
+    const timestamps = (conversation.messages || []).map(m => m.timestamp).filter(Boolean);
+    const now = new Date();
+
+    // Se usa la colección directamente para que Mongoose no sobrescriba `updatedAt` con la fecha actual.
+    await Conversation.collection.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          sessionId: crypto.randomUUID(),
+          createdAt: conversation.createdAt || timestamps[0] || now,
+          updatedAt: conversation.updatedAt || timestamps[timestamps.length - 1] || now,
+        },
+      }
+    );
+    updated += 1;
+  }
+
+  if (await Conversation.collection.indexExists(LEGACY_INDEX)) {
+    await Conversation.collection.dropIndex(LEGACY_INDEX);
+  }
+  await Conversation.createIndexes();
+
+  return `${updated} conversaciones con sessionId asignado`;
+};
+
+module.exports = { up };
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Crea el índice de texto de productos que usa la búsqueda híbrida del asistente.
+ *
+ * El catálogo es compartido con otros servicios, así que el índice se define aquí y no en el
+ * esquema de `Product` (que no debe crear índices al arrancar). El título pesa más que las
+ * descripciones.
+ *
+ * Es idempotente: `createIndex` no hace nada si el índice ya existe con la misma definición.
+ */
+
+const { Product } = require('../config/database');
+
+const up = async () => {
+  await Product.collection.createIndex(
+    { title: 'text', description_short: 'text', description_long: 'text' },
+    {
+      name: 'product_text',
+      default_language: 'spanish',
+      weights: { title: 5, description_short: 2, description_long: 1 },
+    }
+  );
+  return 'índice product_text creado';
+};
+
+module.exports = { up };
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Ejecuta en orden todas las migraciones de datos de esta carpeta.
+ *
+ * Uso: `npm run migrate`. Cada migración exporta `up()` y debe ser idempotente,
+ * de modo que volver a ejecutar el comando no altere documentos ya migrados.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Conversation, Product } = require('../config/database');
+
+const run = async () => {
+  const files = fs.readdirSync(__dirname)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    const { up } = require(path.join(__dirname, file));
+    console.log(`Ejecutando migración ${file}...`);
+    const result = await up();
+    console.log(`Migración ${file} completada${result ? `: ${result}` : ''}.`);
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error('Error ejecutando migraciones:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await Promise.all([Conversation.db.close(), Product.db.close()]);
+  });
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Carrito de un usuario en un dominio. Cada línea guarda los datos del producto (y de la
+ * variación elegida) tal como estaban en el catálogo al agregarlo. `revision` aumenta con cada
+ * cambio: las líneas solo se guardan si nadie las cambió desde que se leyeron.
+ */
+const cartSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  merchandId: {
+    type: String,
+    index: true,
+  },
+  revision: {
+    type: Number,
+    default: 0,
+  },
+  items: [{
+    _id: false,
+    productId: {
+      type: String,
+      required: true,
+    },
+    variationId: {
+      type: String,
+      default: null,
+    },
+    title: String,
+    slug: String,
+    image: String,
+    attributes: mongoose.Schema.Types.Mixed,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    price_sale: Number,
+    price_regular: Number,
+  }],
+}, { timestamps: true });
+
+cartSchema.index({ domain: 1, userId: 1 }, { unique: true });
+
+module.exports = cartSchema;
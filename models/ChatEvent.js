@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Registro analítico de cada turno respondido por el bot: qué productos recuperó la búsqueda,
+ * qué acción devolvió, cuánto tardó y cuántos tokens consumió. Los mensajes que esperan a un
+ * agente no se registran. `query` guarda la pregunta del cliente ya redactada.
+ */
+const chatEventSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  merchandId: String,
+  userId: String,
+  sessionId: String,
+  query: String,
+  // Productos que se pasaron al modelo en el prompt, por relevancia. Sin definir si el turno no llegó a buscar.
+  productIds: {
+    type: [String],
+    default: undefined,
+  },
+  actionType: {
+    type: String,
+    required: true,
+  },
+  actionProductId: String,
+  // 'not_found': el modelo indicó que no tiene lo que se pidió (`outcome` de su respuesta);
+  // 'fallback': respuesta fija.
+  outcome: {
+    type: String,
+    required: true,
+    enum: ['answered', 'not_found', 'fallback'],
+  },
+  fallback: String, // Clave de `fallbackReplies` cuando `outcome` es 'fallback'.
+  latencyMs: Number,
+  tokens: {
+    prompt: { type: Number, default: 0 },
+    completion: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  voiceInput: Boolean,
+}, { timestamps: true });
+
+chatEventSchema.index({ merchandId: 1, createdAt: -1 });
+chatEventSchema.index({ merchandId: 1, domain: 1, createdAt: -1 });
+
+module.exports = chatEventSchema;
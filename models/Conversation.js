@@ -16,6 +16,11 @@ const conversationSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  sessionId: {
+    type: String,
+    required: true,
+    index: true,
+  },
   userEmail: {
     type: String,
     required: true,
@@ -30,13 +35,40 @@ const conversationSchema = new mongoose.Schema({
       type: String,
       required: true,
     },
+    // 'summary' marca el mensaje de sistema con el resumen de los mensajes ya podados.
+    kind: {
+      type: String,
+      enum: ['summary'],
+    },
+    // Marca los mensajes del usuario que llegaron como audio (transcritos con voz a texto).
+    voiceInput: Boolean,
+    // Respuestas escritas por un agente del comercio en lugar del bot.
+    agentId: String,
     timestamp: {
       type: Date,
       default: Date.now,
     },
   }],
-});
+  // Quién atiende la conversación: el bot, nadie aún (el cliente espera a una persona) o un agente.
+  handoff: {
+    state: {
+      type: String,
+      enum: ['bot', 'pending_human', 'human'],
+      default: 'bot',
+    },
+    // 'action': lo pidió el modelo; 'keyword': una palabra clave del cliente; 'agent': un agente tomó la conversación.
+    reason: {
+      type: String,
+      enum: ['action', 'keyword', 'agent'],
+    },
+    requestedAt: Date,
+    agentId: String,
+  },
+}, { timestamps: true });
 
-conversationSchema.index({ domain: 1, userId: 1 }, { unique: true });
+// Un usuario puede tener varias sesiones por dominio; la más reciente se obtiene por `updatedAt`.
+conversationSchema.index({ domain: 1, userId: 1, sessionId: 1 }, { unique: true });
+conversationSchema.index({ domain: 1, userId: 1, updatedAt: -1 });
+conversationSchema.index({ merchandId: 1, 'handoff.state': 1, 'handoff.requestedAt': 1 });
 
 module.exports = conversationSchema;
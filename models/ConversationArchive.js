@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Transcripción completa de las sesiones de conversación, sin podar ni resumir, para auditoría.
+ * Cada mensaje es un documento, así una sesión larga no crece hasta el límite de tamaño de un
+ * documento. Solo se escribe si el archivo está activado (`ARCHIVE_CONVERSATIONS` o
+ * `config.history.archive`) y se conserva aunque la conversación se elimine.
+ */
+const conversationArchiveSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  merchandId: {
+    type: String,
+    index: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  sessionId: {
+    type: String,
+    required: true,
+  },
+  userEmail: String,
+  role: {
+    type: String,
+    required: true,
+    enum: ['user', 'assistant'],
+  },
+  content: {
+    type: String,
+    required: true,
+  },
+  // Marca los mensajes del usuario que llegaron como audio (transcritos con voz a texto).
+  voiceInput: Boolean,
+  // Respuestas escritas por un agente del comercio en lugar del bot.
+  agentId: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+}, { timestamps: true });
+
+conversationArchiveSchema.index({ domain: 1, userId: 1, sessionId: 1, timestamp: 1 });
+
+module.exports = conversationArchiveSchema;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Turno del chat bloqueado por los guardarraíles, para que el comercio revise los intentos de
+ * abuso y las respuestas descartadas. `excerpt` guarda el texto bloqueado ya redactado.
+ */
+const guardrailEventSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  merchandId: String,
+  userId: String,
+  sessionId: String,
+  stage: {
+    type: String,
+    required: true,
+    enum: ['input', 'output'],
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['injection', 'moderation', 'prompt_leak', 'unknown_price'],
+  },
+  detail: String,
+  excerpt: String,
+}, { timestamps: true });
+
+guardrailEventSchema.index({ merchandId: 1, createdAt: -1 });
+
+module.exports = guardrailEventSchema;
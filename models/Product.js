@@ -50,4 +50,6 @@ const ProductSchema = new mongoose.Schema({
     description_short: String,
 });
 
+// El catálogo es compartido: este servicio no declara índices en el esquema. El índice de texto de
+// la búsqueda por palabras clave lo crea la migración 003.
 module.exports = ProductSchema;
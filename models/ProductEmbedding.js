@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Embedding persistido de un producto. Se guarda junto al catálogo y se identifica por
+ * producto + espacio de embeddings (proveedor y modelo), con un hash del texto embebido
+ * para no volver a embeber productos que no cambiaron.
+ */
+const productEmbeddingSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  productId: {
+    type: String,
+    required: true,
+  },
+  embeddingKey: {
+    type: String,
+    required: true,
+  },
+  contentHash: {
+    type: String,
+    required: true,
+  },
+  embedding: {
+    type: [Number],
+    required: true,
+  },
+}, { timestamps: true });
+
+productEmbeddingSchema.index({ productId: 1, embeddingKey: 1 }, { unique: true });
+productEmbeddingSchema.index({ domain: 1, embeddingKey: 1 });
+
+module.exports = productEmbeddingSchema;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Versión de la plantilla del asistente de un dominio. Cada cambio crea una versión nueva y
+ * solo una está activa; `template` guarda únicamente los campos que sobrescriben la plantilla
+ * por defecto, para que las mejoras de los valores por defecto lleguen a todos los inquilinos.
+ */
+const promptTemplateSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+  },
+  // Comercio dueño del dominio según su configuración de negocio al guardar la versión.
+  merchandId: {
+    type: String,
+    index: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: false,
+  },
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  note: String,
+  createdBy: String,
+}, { timestamps: true, minimize: false });
+
+promptTemplateSchema.index({ domain: 1, version: 1 }, { unique: true });
+promptTemplateSchema.index({ domain: 1, active: 1 });
+
+module.exports = promptTemplateSchema;
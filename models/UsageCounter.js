@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contador de uso con ventana fija (límites de peticiones y cuotas mensuales). MongoDB borra
+ * los contadores caducados mediante el índice TTL sobre `resetAt`.
+ */
+const usageCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+usageCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = usageCounterSchema;
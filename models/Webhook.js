@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook de un comercio: URL a la que se envían los eventos del chat a los que se suscribe,
+ * firmados con `secret` (HMAC-SHA256). Sin `domain` recibe los eventos de todos sus dominios.
+ */
+const webhookSchema = new mongoose.Schema({
+  merchandId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  domain: String,
+  url: {
+    type: String,
+    required: true,
+  },
+  secret: {
+    type: String,
+    required: true,
+  },
+  events: {
+    type: [String],
+    required: true,
+  },
+  description: String,
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+module.exports = webhookSchema;
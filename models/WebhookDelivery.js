@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Registro de cada envío de un evento a un webhook, con sus intentos. Los envíos 'pending'
+ * se reintentan en `nextAttemptAt`; también al arrancar el servidor, si se reinició entre medias.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  merchandId: {
+    type: String,
+    required: true,
+  },
+  domain: String,
+  event: {
+    type: String,
+    required: true,
+  },
+  // Cuerpo JSON enviado, con el `id` del evento (se repite en los reintentos y reenvíos).
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastStatusCode: Number,
+  lastError: String,
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+  // Envío original cuando este es un reenvío manual.
+  replayOf: mongoose.Schema.Types.ObjectId,
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ merchandId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = webhookDeliverySchema;
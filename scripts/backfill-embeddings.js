@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Embebe por adelantado el catálogo de uno o varios dominios en el índice
+ * vectorial persistido, para que la primera búsqueda tras un despliegue no pague el coste.
+ *
+ * Uso: `npm run embeddings:backfill -- <dominio> [<dominio> ...]`. Es idempotente: los
+ * productos cuyo texto no cambió no se vuelven a embeber.
+ */
+
+const { Conversation, Product } = require('../config/database');
+const { getProductsByDomain } = require('../api/components/chatgtp/chatgtp.dao');
+const { fetchConfig } = require('../api/components/chatgtp/chatgtp.service');
+const { getLLMProvider } = require('../api/components/llm/llm.service');
+const { backfillDomain } = require('../api/components/vector-search/vector.service');
+
+const run = async (domains) => {
+  if (domains.length === 0) {
+    throw new Error('Indica al menos un dominio: npm run embeddings:backfill -- <dominio>');
+  }
+
+  for (const domain of domains) {
+    const products = await getProductsByDomain(domain);
+    const config = await fetchConfig(domain);
+    const provider = getLLMProvider({ config, apiKey: process.env.OPENAI_API_KEY });
+
+    const { embedded, removed } = await backfillDomain(domain, products, provider);
+    console.log(`${domain}: ${products.length} productos, ${embedded} embebidos, ${removed} eliminados.`);
+  }
+};
+
+run(process.argv.slice(2))
+  .catch((err) => {
+    console.error('Error generando embeddings:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await Promise.all([Conversation.db.close(), Product.db.close()]);
+  });
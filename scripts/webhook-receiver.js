@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Receptor de webhooks para desarrollo: comprueba la firma de cada envío y lo
+ * muestra por consola.
+ *
+ * Uso: `WEBHOOK_SECRET=whsec_... npm run webhooks:receiver` (puerto `WEBHOOK_RECEIVER_PORT`,
+ * 4000 por defecto) y registra `http://localhost:4000/webhooks` como URL del webhook. Con
+ * `WEBHOOK_RECEIVER_FAIL=true` responde 500 para probar los reintentos.
+ */
+
+const express = require('express');
+const { verifySignature } = require('../api/components/webhooks/webhooks.signature');
+
+/**
+ * Crea la app del receptor.
+ * @param {Object} options
+ * @param {string} options.secret - Secreto del webhook registrado.
+ * @param {function(Object, Object): void} [options.onEvent] - Recibe cada evento válido y sus cabeceras.
+ * @param {function(): number} [options.status] - Estado HTTP con el que responder (200 por defecto).
+ * @returns {import('express').Express}
+ */
+const createWebhookReceiver = ({ secret, onEvent = () => {}, status = () => 200 }) => {
+  const app = express();
+
+  app.post('/webhooks', express.text({ type: 'application/json' }), (req, res) => {
+    const valid = verifySignature(secret, {
+      signature: req.get('X-Webhook-Signature'),
+      timestamp: req.get('X-Webhook-Timestamp'),
+      body: req.body,
+    });
+    if (!valid) return res.status(401).json({ error: 'Firma inválida' });
+
+    onEvent(JSON.parse(req.body), req.headers);
+    res.status(status()).json({ received: true });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const secret = process.env.WEBHOOK_SECRET;
+  const port = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+  if (!secret) {
+    console.error('Indica el secreto del webhook: WEBHOOK_SECRET=whsec_... npm run webhooks:receiver');
+    process.exit(1);
+  }
+
+  const fail = process.env.WEBHOOK_RECEIVER_FAIL === 'true';
+  createWebhookReceiver({
+    secret,
+    status: () => (fail ? 500 : 200),
+    onEvent: (event, headers) => {
+      console.log(`[${event.createdAt}] ${event.event} (envío ${headers['x-webhook-delivery']})`);
+      console.log(JSON.stringify(event.data, null, 2));
+    },
+  }).listen(port, () => {
+    console.log(`Receptor de webhooks en http://localhost:${port}/webhooks`);
+  });
+}
+
+module.exports = { createWebhookReceiver };
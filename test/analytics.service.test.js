@@ -0,0 +1,102 @@
+jest.mock('../api/components/analytics/analytics.dao', () => ({
+  createChatEvent: jest.fn(),
+  aggregateChatEvents: jest.fn(),
+}));
+jest.mock('../api/components/chatgtp/chatgtp.dao', () => ({
+  getProductsByIds: jest.fn(),
+}));
+
+const { createChatEvent, aggregateChatEvents } = require('../api/components/analytics/analytics.dao');
+const { getProductsByIds } = require('../api/components/chatgtp/chatgtp.dao');
+const {
+  recordChatEvent,
+  getTopProducts,
+  getUnmetSearches,
+  getActionFunnel,
+  getDailyVolume,
+} = require('../api/components/analytics/analytics.service');
+
+describe('analítica', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('recordChatEvent', () => {
+    it('guarda la pregunta sin datos personales', async () => {
+      await recordChatEvent({ domain: 'tienda.test', query: '  escríbeme a ana@correo.com ', actionType: 'none', outcome: 'answered' });
+
+      expect(createChatEvent).toHaveBeenCalledWith(expect.objectContaining({ domain: 'tienda.test', actionType: 'none' }));
+      expect(createChatEvent.mock.calls[0][0].query).not.toContain('ana@correo.com');
+    });
+
+    it('no lanza si falla la base de datos', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      createChatEvent.mockRejectedValue(new Error('sin conexión'));
+
+      await expect(recordChatEvent({ domain: 'tienda.test', actionType: 'none', outcome: 'answered' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('informes', () => {
+    const from = new Date('2026-10-01T00:00:00Z');
+
+    it('filtra por comercio, dominio y fechas y completa los nombres de los productos', async () => {
+      aggregateChatEvents.mockResolvedValue([{ _id: 'p1', requests: 4, addedToCart: 1 }, { _id: 'p9', requests: 2, addedToCart: 0 }]);
+      getProductsByIds.mockResolvedValue([{ _id: { toString: () => 'p1' }, title: 'Zapatillas Runner', slug: 'zapatillas-runner' }]);
+
+      const { data } = await getTopProducts('merchant-1', { domain: 'tienda.test', from, limit: 500 });
+
+      const pipeline = aggregateChatEvents.mock.calls[0][0];
+      expect(pipeline[0].$match).toEqual({ merchandId: 'merchant-1', domain: 'tienda.test', createdAt: { $gte: from } });
+      expect(pipeline.at(-1)).toEqual({ $limit: 100 });
+      expect(data).toEqual([
+        { productId: 'p1', title: 'Zapatillas Runner', slug: 'zapatillas-runner', requests: 4, addedToCart: 1 },
+        { productId: 'p9', title: null, slug: null, requests: 2, addedToCart: 0 },
+      ]);
+    });
+
+    it('busca las preguntas a las que el bot respondió que no tiene el producto', async () => {
+      const lastAskedAt = new Date();
+      aggregateChatEvents.mockResolvedValue([{ _id: 'medias de lana', query: 'Medias de lana', count: 3, lastAskedAt }]);
+
+      const { data } = await getUnmetSearches('merchant-1');
+
+      const [{ $match }] = aggregateChatEvents.mock.calls[0][0];
+      expect($match).toMatchObject({ merchandId: 'merchant-1', outcome: 'not_found' });
+      expect($match).not.toHaveProperty('$or');
+      expect(data).toEqual([{ query: 'Medias de lana', count: 3, lastAskedAt }]);
+    });
+
+    it('calcula la conversión del embudo y devuelve ceros sin eventos', async () => {
+      aggregateChatEvents.mockResolvedValueOnce([{
+        sessions: [{ sessions: 8, productsShown: 6, addedToCart: 2, viewedCart: 1, handedOff: 1 }],
+        actions: [{ _id: 'none', count: 12 }, { _id: 'add_to_cart', count: 3 }],
+      }]);
+      expect(await getActionFunnel('merchant-1')).toEqual({
+        sessions: 8, productsShown: 6, addedToCart: 2, viewedCart: 1, handedOff: 1, conversionRate: 0.25, actions: { none: 12, add_to_cart: 3 },
+      });
+      // Cuenta las sesiones en las que se mostró un producto, no las que solo recuperaron candidatos.
+      const [{ $facet: { sessions: [{ $group: { productsShown } }] } }] = aggregateChatEvents.mock.calls[0][0].slice(1);
+      expect(JSON.stringify(productsShown)).toContain('show_product');
+      expect(JSON.stringify(productsShown)).not.toContain('productIds');
+
+      aggregateChatEvents.mockResolvedValueOnce([{ sessions: [], actions: [] }]);
+      expect(await getActionFunnel('merchant-1')).toMatchObject({ sessions: 0, conversionRate: 0, actions: {} });
+    });
+
+    it('agrupa el volumen por día en la zona horaria indicada', async () => {
+      aggregateChatEvents.mockResolvedValue([{
+        _id: '2026-10-18', turns: 5, sessions: ['s1', 's2'], notFound: 1, fallbacks: 0, addedToCart: 1, avgLatencyMs: 812.4, tokens: 1500,
+      }]);
+
+      const result = await getDailyVolume('merchant-1', { timezone: 'America/Lima' });
+
+      expect(aggregateChatEvents.mock.calls[0][0][1].$group._id.$dateToString.timezone).toBe('America/Lima');
+      expect(result).toEqual({
+        timezone: 'America/Lima',
+        data: [{ date: '2026-10-18', turns: 5, sessions: 2, notFound: 1, fallbacks: 0, addedToCart: 1, avgLatencyMs: 812, tokens: 1500 }],
+      });
+    });
+  });
+});
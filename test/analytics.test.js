@@ -0,0 +1,99 @@
+const request = require('supertest');
+const axios = require('axios');
+const { TEST_DOMAIN, startTestApp, stopTestApp, signToken, buildProduct } = require('./helpers/testApp');
+const { DEFAULT_TEMPLATE } = require('../api/components/prompt-templates/template.defaults');
+
+describe('analítica de conversaciones', () => {
+  let app;
+  let provider;
+  let product;
+  let ChatEvent;
+
+  const merchant = (overrides = {}) => ({ Authorization: `Bearer ${signToken({ role: 'merchant', ...overrides })}` });
+  const ask = (userMessage, user = {}) => request(app)
+    .post('/chatbot/question')
+    .set('Authorization', `Bearer ${signToken(user)}`)
+    .send({ domain: TEST_DOMAIN, userMessage });
+  const replyWith = (message, action = { type: 'none' }, outcome = 'answered') => jest.spyOn(provider, 'complete')
+    .mockResolvedValueOnce(JSON.stringify({ message, audio_description: message, action, outcome }));
+
+  beforeAll(async () => {
+    let Product;
+    ({ app, Product } = await startTestApp());
+    ({ ChatEvent } = require('../config/database'));
+    const { getLLMProvider } = require('../api/components/llm/llm.service');
+    provider = getLLMProvider({});
+    product = await Product.create(buildProduct());
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test' }] });
+    await ChatEvent.deleteMany({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  it('registra cada turno con productos, acción, latencia y tokens', async () => {
+    await ask('¿Tienen zapatillas para correr?');
+
+    const [event] = await ChatEvent.find({}).lean();
+    expect(event).toMatchObject({
+      domain: TEST_DOMAIN,
+      merchandId: 'merchant-1',
+      query: '¿Tienen zapatillas para correr?',
+      actionType: 'none',
+      outcome: 'answered',
+    });
+    expect(event.productIds).toContain(product._id.toString());
+    expect(event.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(event.tokens.total).toBeGreaterThan(0);
+  });
+
+  it('informa los productos más pedidos y el embudo hasta add_to_cart', async () => {
+    await ask('¿Tienen zapatillas?', { id: 'user-a' });
+    replyWith('Listo, lo agregué.', { type: 'add_to_cart', productId: product._id.toString(), quantity: 1 });
+    await ask('Agrégalas al carrito', { id: 'user-a' });
+    await ask('Hola, ¿qué venden?', { id: 'user-b' });
+    replyWith('Mira estas zapatillas.', { type: 'show_product', productId: product._id.toString() });
+    await ask('Muéstrame las zapatillas', { id: 'user-c' });
+
+    const top = await request(app).get('/analytics/products/top').set(merchant());
+    expect(top.status).toBe(200);
+    expect(top.body.data[0]).toMatchObject({ productId: product._id.toString(), title: 'Zapatillas Runner', addedToCart: 1 });
+
+    const funnel = await request(app).get('/analytics/funnel').set(merchant()).query({ domain: TEST_DOMAIN });
+    expect(funnel.body).toMatchObject({
+      sessions: 3, productsShown: 1, addedToCart: 1, conversionRate: 0.3333, actions: { none: 2, add_to_cart: 1, show_product: 1 },
+    });
+
+    const other = await request(app).get('/analytics/funnel').set(merchant({ merchandId: 'otro' }));
+    expect(other.body.sessions).toBe(0);
+  });
+
+  it('lista las búsquedas sin resultado y el volumen diario', async () => {
+    const { notFound } = DEFAULT_TEMPLATE.phrases;
+    replyWith(notFound.message, undefined, 'not_found');
+    await ask('Medias de lana');
+    replyWith('Por ahora no tenemos medias de lana. ¿Te muestro otra cosa?', undefined, 'not_found');
+    await ask('medias de lana ');
+    replyWith('Estas zapatillas son ideales para correr.');
+    await ask('Zapatillas para correr');
+
+    const unmet = await request(app).get('/analytics/searches/unmet').set(merchant());
+    expect(unmet.body.data).toEqual([expect.objectContaining({ query: 'medias de lana', count: 2 })]);
+
+    const volume = await request(app).get('/analytics/volume/daily').set(merchant()).query({ timezone: 'America/Lima' });
+    expect(volume.status).toBe(200);
+    expect(volume.body.data).toHaveLength(1);
+    expect(volume.body.data[0]).toMatchObject({ turns: 3, notFound: 2, sessions: 1 });
+
+    const invalid = await request(app).get('/analytics/volume/daily').set(merchant()).query({ timezone: 'Marte/Olympus' });
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const axios = require('axios');
+const {
+  TEST_DOMAIN,
+  startTestApp,
+  stopTestApp,
+  signToken,
+  buildProduct,
+} = require('./helpers/testApp');
+
+describe('POST /chatbot/question/audio', () => {
+  let app;
+  let Conversation;
+  let Product;
+
+  const sendAudio = (audio, contentType = 'audio/webm;codecs=opus') => request(app)
+    .post('/chatbot/question/audio')
+    .query({ domain: TEST_DOMAIN })
+    .set('Authorization', `Bearer ${signToken()}`)
+    .set('Content-Type', contentType)
+    .send(Buffer.from(audio));
+
+  beforeAll(async () => {
+    process.env.STT_PROVIDER = 'mock';
+    ({ app, Conversation, Product } = await startTestApp());
+    await Product.create(buildProduct());
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test' }] });
+    await Conversation.deleteMany({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+    delete process.env.STT_PROVIDER;
+  });
+
+  it('exige autenticación', async () => {
+    const res = await request(app)
+      .post('/chatbot/question/audio')
+      .query({ domain: TEST_DOMAIN })
+      .set('Content-Type', 'audio/webm')
+      .send(Buffer.from('hola'));
+
+    expect(res.status).toBe(401);
+  });
+
+  it('transcribe el audio, responde y guarda el mensaje marcado como voz', async () => {
+    const res = await sendAudio('busco zapatillas para correr');
+
+    expect(res.status).toBe(200);
+    expect(res.body.transcript).toBe('busco zapatillas para correr');
+    expect(res.body.assistantMessage.message).toBe('Respuesta simulada para: "busco zapatillas para correr"');
+
+    const conversation = await Conversation.findOne({ domain: TEST_DOMAIN, sessionId: res.body.sessionId });
+    const userMessage = conversation.messages.find(m => m.role === 'user');
+    expect(userMessage).toMatchObject({ content: 'busco zapatillas para correr', voiceInput: true });
+    expect(conversation.messages.find(m => m.role === 'assistant').voiceInput).toBeUndefined();
+  });
+
+  it('rechaza formatos no soportados y audios vacíos', async () => {
+    const unsupported = await sendAudio('hola', 'audio/mpeg');
+    expect(unsupported.status).toBe(415);
+
+    const silent = await sendAudio('   ');
+    expect(silent.status).toBe(422);
+    expect(silent.body.error).toBe('No se pudo entender el audio');
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDiskStore } = require('../api/components/convertTextToVoice/stores/disk.store');
+const { normalizeSpeechText, buildSpeechCacheKey } = require('../api/components/convertTextToVoice/awsdolly.cache');
+const { DEFAULT_VOICE_SETTINGS } = require('../api/components/convertTextToVoice/awsdolly.voices');
+
+const key = n => String(n).repeat(64);
+
+describe('clave de caché de audio', () => {
+  it('ignora diferencias de espacios pero no de ajustes de voz', () => {
+    const text = normalizeSpeechText('  Lo siento,   ocurrió un error.  ');
+
+    expect(text).toBe('Lo siento, ocurrió un error.');
+    expect(normalizeSpeechText('Hola \n\n  mundo')).toBe('Hola\nmundo');
+    expect(buildSpeechCacheKey(text, DEFAULT_VOICE_SETTINGS)).toBe(buildSpeechCacheKey('Lo siento, ocurrió un error.', { ...DEFAULT_VOICE_SETTINGS }));
+    expect(buildSpeechCacheKey(text, DEFAULT_VOICE_SETTINGS)).not.toBe(buildSpeechCacheKey(text, { ...DEFAULT_VOICE_SETTINGS, format: 'ogg_vorbis' }));
+  });
+});
+
+describe('createDiskStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('guarda y recupera clips', async () => {
+    const store = createDiskStore({ dir, maxBytes: 100 });
+
+    expect(await store.get(key(1))).toBeNull();
+    await store.set(key(1), Buffer.from('audio-1'));
+    expect((await store.get(key(1))).toString()).toBe('audio-1');
+  });
+
+  it('al superar el tamaño máximo descarta el clip menos usado', async () => {
+    const store = createDiskStore({ dir, maxBytes: 20 });
+    await store.set(key(1), Buffer.alloc(8));
+    await store.set(key(2), Buffer.alloc(8));
+    await store.get(key(1));
+    await store.set(key(3), Buffer.alloc(8));
+
+    expect(await store.get(key(1))).not.toBeNull();
+    expect(await store.get(key(2))).toBeNull();
+    expect(await store.get(key(3))).not.toBeNull();
+    expect(fs.readdirSync(dir).sort()).toEqual([`${key(1)}.bin`, `${key(3)}.bin`]);
+  });
+
+  it('recupera el índice desde el disco al reiniciar', async () => {
+    await createDiskStore({ dir, maxBytes: 100 }).set(key(4), Buffer.from('persistido'));
+
+    const restarted = createDiskStore({ dir, maxBytes: 100 });
+    expect((await restarted.get(key(4))).toString()).toBe('persistido');
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  DEFAULT_VOICE_SETTINGS,
+  resolveVoiceSettings,
+  buildSsml,
+  listVoices,
+} = require('../api/components/convertTextToVoice/awsdolly.voices');
+
+describe('resolveVoiceSettings', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('usa los valores por defecto sin opciones', () => {
+    expect(resolveVoiceSettings()).toEqual({ settings: DEFAULT_VOICE_SETTINGS });
+  });
+
+  it('aplica los valores del inquilino y encima los de la petición', () => {
+    const { settings } = resolveVoiceSettings({ voice: 'Lucia', format: 'ogg_vorbis' }, { rate: 120 });
+
+    expect(settings).toEqual({ voice: 'Lucia', language: 'es-ES', engine: 'neural', format: 'ogg_vorbis', rate: '120%', ssml: false });
+  });
+
+  it('elige una voz del idioma pedido y el motor que admite la voz', () => {
+    expect(resolveVoiceSettings(null, { language: 'en-US' }).settings).toMatchObject({ voice: 'Joanna', language: 'en-US' });
+    expect(resolveVoiceSettings(null, { voice: 'penelope' }).settings).toMatchObject({ voice: 'Penelope', engine: 'standard' });
+  });
+
+  it('rechaza opciones fuera de la lista blanca o incoherentes', () => {
+    expect(resolveVoiceSettings(null, { voice: 'Hal' }).error).toBe('Voz no soportada: Hal');
+    expect(resolveVoiceSettings(null, { format: 'wav' }).error).toMatch(/^Formato no soportado/);
+    expect(resolveVoiceSettings(null, { rate: '500%' }).error).toMatch(/^Velocidad inválida/);
+    expect(resolveVoiceSettings(null, { voice: 'Mia', language: 'es-ES' }).error).toBe('La voz Mia no habla es-ES');
+    expect(resolveVoiceSettings(null, { voice: 'Andres', engine: 'standard' }).error).toBe('La voz Andres no admite el motor standard');
+  });
+
+  it('ignora los ajustes inválidos del inquilino', () => {
+    expect(resolveVoiceSettings({ voice: 'Hal' }, { format: 'pcm' }).settings).toEqual({ ...DEFAULT_VOICE_SETTINGS, format: 'pcm' });
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('buildSsml', () => {
+  it('escapa el texto y añade pausas entre párrafos', () => {
+    expect(buildSsml('Precio <b>S/ 10</b> & envío\n\n¿Lo "quieres"?'))
+      .toBe('<speak>Precio &lt;b&gt;S/ 10&lt;/b&gt; &amp; envío <break time="500ms"/> ¿Lo &quot;quieres&quot;?</speak>');
+  });
+
+  it('aplica la velocidad con prosody', () => {
+    expect(buildSsml('Hola', { rate: 'slow' })).toBe('<speak><prosody rate="slow">Hola</prosody></speak>');
+  });
+});
+
+describe('listVoices', () => {
+  it('filtra por idioma y motor', () => {
+    expect(listVoices({ language: 'es-MX', engine: 'standard' }).map(v => v.id)).toEqual(['Mia']);
+  });
+});
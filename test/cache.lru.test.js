@@ -0,0 +1,34 @@
+const { createLRUCache } = require('../api/components/cache/cache.lru');
+
+describe('createLRUCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('descarta la entrada menos usada al superar el máximo', () => {
+    const onEvict = jest.fn();
+    const cache = createLRUCache({ max: 2, onEvict });
+
+    cache.set('a', 1).set('b', 2);
+    cache.get('a'); // 'b' pasa a ser la menos usada.
+    cache.set('c', 3);
+
+    expect(cache.has('b')).toBe(false);
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+    expect(onEvict).toHaveBeenCalledWith('b', 2);
+  });
+
+  it('caduca las entradas según su TTL', () => {
+    jest.useFakeTimers();
+    const cache = createLRUCache({ ttlMs: 1000 });
+
+    cache.set('a', 1);
+    cache.set('b', 2, { ttlMs: 5000 });
+    jest.advanceTimersByTime(1500);
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('b')).toBe(2);
+    expect(cache.entries()).toEqual([['b', 2]]);
+  });
+});
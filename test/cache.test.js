@@ -0,0 +1,71 @@
+const request = require('supertest');
+const axios = require('axios');
+const {
+  TEST_DOMAIN,
+  startTestApp,
+  stopTestApp,
+  signToken,
+  buildProduct,
+} = require('./helpers/testApp');
+
+describe('DELETE /admin/cache/:domain', () => {
+  let app;
+  let Product;
+
+  const ask = userMessage => request(app)
+    .post('/chatbot/question')
+    .set('Authorization', `Bearer ${signToken()}`)
+    .send({ domain: TEST_DOMAIN, userMessage });
+
+  beforeAll(async () => {
+    ({ app, Product } = await startTestApp());
+  });
+
+  beforeEach(() => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test' }] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  it('exige el rol admin', async () => {
+    const res = await request(app)
+      .delete(`/admin/cache/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${signToken({ role: 'merchant' })}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('hace que el bot vea los cambios del catálogo sin reiniciar', async () => {
+    // La primera petición llena la caché con un catálogo vacío.
+    const before = await ask('hola');
+    expect(before.body.assistantMessage.message).toBe('No hay productos disponibles para esta tienda en este momento.');
+
+    await Product.create(buildProduct());
+    const cached = await ask('hola');
+    expect(cached.body.assistantMessage.message).toBe('No hay productos disponibles para esta tienda en este momento.');
+
+    const res = await request(app)
+      .delete(`/admin/cache/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${signToken({ role: 'admin' })}`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ invalidated: true, domain: TEST_DOMAIN });
+
+    const after = await ask('hola');
+    expect(after.body.assistantMessage.message).not.toBe('No hay productos disponibles para esta tienda en este momento.');
+  });
+});
+
+describe('handleCatalogChange', () => {
+  it('usa el dominio del documento modificado', () => {
+    const { handleCatalogChange } = require('../api/components/cache/cache.service');
+
+    expect(handleCatalogChange({ operationType: 'update', fullDocument: { domain: 'otra.test' } })).toBe('otra.test');
+    expect(handleCatalogChange({ operationType: 'delete', documentKey: { _id: 'desconocido' } })).toBeNull();
+  });
+});
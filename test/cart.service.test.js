@@ -0,0 +1,129 @@
+jest.mock('../api/components/cart/cart.dao', () => ({
+  findCart: jest.fn(),
+  saveCartItems: jest.fn(),
+  deleteCart: jest.fn(),
+}));
+jest.mock('../api/components/chatgtp/chatgtp.dao', () => ({
+  getProductsByIds: jest.fn(),
+}));
+
+const { findCart, saveCartItems } = require('../api/components/cart/cart.dao');
+const { getProductsByIds } = require('../api/components/chatgtp/chatgtp.dao');
+const {
+  addToCart,
+  removeFromCart,
+  resolveCartItem,
+  describeCart,
+  summarizeCart,
+} = require('../api/components/cart/cart.service');
+
+const RUNNER_ID = '64b000000000000000000001';
+
+const runner = (quantity, extra = {}) => ({
+  productId: RUNNER_ID,
+  variationId: null,
+  title: 'Zapatillas Runner',
+  quantity,
+  price_sale: 150,
+  price_regular: 200,
+  ...extra,
+});
+
+describe('carrito', () => {
+  beforeEach(() => {
+    saveCartItems.mockImplementation(async (domain, userId, items) => ({ items }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('suma unidades a la línea del mismo producto y variación', async () => {
+    findCart.mockResolvedValue({ items: [runner(1)] });
+
+    const { cart } = await addToCart('tienda.test', 'u1', runner(2));
+
+    expect(cart.items).toHaveLength(1);
+    expect(cart).toMatchObject({ totalItems: 3, subtotal: 450 });
+    expect(cart.items[0]).toMatchObject({ quantity: 3, lineTotal: 450 });
+  });
+
+  it('guarda otra variación del mismo producto en una línea aparte', async () => {
+    findCart.mockResolvedValue({ items: [runner(1, { variationId: 'v1' })] });
+
+    const { cart } = await addToCart('tienda.test', 'u1', runner(1, { variationId: 'v2' }), { merchandId: 'm1' });
+
+    expect(cart.items.map(item => item.variationId)).toEqual(['v1', 'v2']);
+    expect(saveCartItems).toHaveBeenCalledWith('tienda.test', 'u1', expect.any(Array), expect.objectContaining({ merchandId: 'm1' }));
+  });
+
+  it('quita unidades o la línea completa', async () => {
+    findCart.mockResolvedValue({ items: [runner(3)] });
+    expect((await removeFromCart('tienda.test', 'u1', { productId: RUNNER_ID, quantity: 1 })).cart.totalItems).toBe(2);
+
+    const { cart, removed } = await removeFromCart('tienda.test', 'u1', { productId: RUNNER_ID });
+    expect(removed).toBe(true);
+    expect(cart.items).toEqual([]);
+  });
+
+  it('vuelve a leer y aplicar el cambio si otra petición modificó el carrito a la vez', async () => {
+    findCart
+      .mockResolvedValueOnce({ revision: 1, items: [runner(1)] })
+      .mockResolvedValueOnce({ revision: 2, items: [runner(1), runner(1, { variationId: 'v2' })] });
+    saveCartItems.mockResolvedValueOnce(null);
+
+    const { cart } = await addToCart('tienda.test', 'u1', runner(2));
+
+    expect(saveCartItems).toHaveBeenCalledTimes(2);
+    expect(saveCartItems.mock.calls.map(([, , , options]) => options.revision)).toEqual([1, 2]);
+    expect(cart.items.map(item => [item.variationId, item.quantity])).toEqual([[null, 3], ['v2', 1]]);
+  });
+
+  it('no agrega productos nuevos si el carrito está lleno', async () => {
+    findCart.mockResolvedValue({ items: Array.from({ length: 50 }, (_, i) => runner(1, { variationId: `v${i}` })) });
+
+    const { cart, error } = await addToCart('tienda.test', 'u1', runner(1, { variationId: 'nueva' }));
+
+    expect(cart).toBeUndefined();
+    expect(error).toBe('El carrito admite como máximo 50 productos distintos');
+    expect(saveCartItems).not.toHaveBeenCalled();
+  });
+
+  it('no guarda nada si el producto no estaba en el carrito', async () => {
+    findCart.mockResolvedValue(null);
+
+    const { removed } = await removeFromCart('tienda.test', 'u1', { productId: RUNNER_ID });
+
+    expect(removed).toBe(false);
+    expect(saveCartItems).not.toHaveBeenCalled();
+  });
+
+  it('valida el producto con el catálogo antes de agregarlo desde la API', async () => {
+    const product = {
+      _id: { toString: () => RUNNER_ID },
+      title: 'Zapatillas Runner',
+      slug: 'zapatillas-runner',
+      price: { regular: 200, sale: 150 },
+      stock: 0,
+    };
+    getProductsByIds.mockResolvedValue([product]);
+    expect(await resolveCartItem('tienda.test', { productId: RUNNER_ID })).toMatchObject({ code: 'OUT_OF_STOCK' });
+
+    getProductsByIds.mockResolvedValue([{ ...product, stock: 5 }]);
+    const { item } = await resolveCartItem('tienda.test', { productId: RUNNER_ID, quantity: 2 });
+    expect(item).toMatchObject({ productId: RUNNER_ID, quantity: 2, price_sale: 150, title: 'Zapatillas Runner' });
+
+    getProductsByIds.mockResolvedValue([]);
+    expect(await resolveCartItem('tienda.test', { productId: RUNNER_ID })).toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('describe el carrito para el modelo', () => {
+    expect(describeCart(summarizeCart([]))).toBe('El carrito está vacío.');
+
+    const text = describeCart(summarizeCart([runner(2, { variationId: 'v1', attributes: { Talla: '42' } })]), { currency: '$' });
+    expect(text).toBe([
+      `- 2 x "Zapatillas Runner" (Talla: 42) [ID: ${RUNNER_ID}, variationId: v1] a $150 c/u`,
+      'Total: 2 unidades, $300',
+    ].join('\n'));
+  });
+});
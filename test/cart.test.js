@@ -0,0 +1,159 @@
+const request = require('supertest');
+const axios = require('axios');
+const { TEST_DOMAIN, startTestApp, stopTestApp, signToken, buildProduct } = require('./helpers/testApp');
+const { DEFAULT_TEMPLATE } = require('../api/components/prompt-templates/template.defaults');
+
+describe('carrito', () => {
+  let app;
+  let provider;
+  let product;
+  let Cart;
+
+  const auth = () => ({ Authorization: `Bearer ${signToken()}` });
+  const ask = userMessage => request(app).post('/chatbot/question').set(auth()).send({ domain: TEST_DOMAIN, userMessage });
+
+  beforeAll(async () => {
+    let Product;
+    ({ app, Product } = await startTestApp());
+    ({ Cart } = require('../config/database'));
+    const { getLLMProvider } = require('../api/components/llm/llm.service');
+    provider = getLLMProvider({});
+    product = await Product.create(buildProduct());
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test' }] });
+    await Cart.deleteMany({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  describe('API REST', () => {
+    it('agrega, cambia, quita y vacía productos', async () => {
+      const productId = product._id.toString();
+
+      const added = await request(app).post('/cart/items').set(auth()).send({ domain: TEST_DOMAIN, productId, quantity: 2 });
+      expect(added.status).toBe(201);
+      expect(added.body.cart).toMatchObject({ totalItems: 2, subtotal: 300 });
+      expect(added.body.cart.items[0]).toMatchObject({ productId, title: 'Zapatillas Runner', price_sale: 150 });
+
+      const updated = await request(app).patch(`/cart/items/${productId}`).set(auth()).send({ domain: TEST_DOMAIN, quantity: 5 });
+      expect(updated.body.cart.totalItems).toBe(5);
+
+      const fetched = await request(app).get('/cart').set(auth()).query({ domain: TEST_DOMAIN });
+      expect(fetched.body.cart.subtotal).toBe(750);
+
+      const removed = await request(app).delete(`/cart/items/${productId}`).set(auth()).query({ domain: TEST_DOMAIN });
+      expect(removed.body.cart.items).toEqual([]);
+
+      await request(app).post('/cart/items').set(auth()).send({ domain: TEST_DOMAIN, productId });
+      const cleared = await request(app).delete('/cart').set(auth()).query({ domain: TEST_DOMAIN });
+      expect(cleared.body.cleared).toBe(true);
+    });
+
+    it('rechaza productos inexistentes y cantidades inválidas', async () => {
+      const missing = await request(app).post('/cart/items').set(auth())
+        .send({ domain: TEST_DOMAIN, productId: '64b000000000000000000099' });
+      expect(missing.status).toBe(404);
+
+      const invalid = await request(app).post('/cart/items').set(auth())
+        .send({ domain: TEST_DOMAIN, productId: product._id.toString(), quantity: 0 });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('no pierde unidades cuando llegan varios agregados a la vez', async () => {
+      const productId = product._id.toString();
+
+      const responses = await Promise.all(Array.from({ length: 4 }, () => request(app)
+        .post('/cart/items').set(auth()).send({ domain: TEST_DOMAIN, productId })));
+
+      expect(responses.every(res => res.status === 201)).toBe(true);
+      const cart = await Cart.findOne({ domain: TEST_DOMAIN, userId: 'user-1' }).lean();
+      expect(cart.items[0].quantity).toBe(4);
+    });
+
+    it('cada usuario tiene su propio carrito', async () => {
+      await request(app).post('/cart/items').set(auth()).send({ domain: TEST_DOMAIN, productId: product._id.toString() });
+
+      const other = await request(app).get('/cart')
+        .set('Authorization', `Bearer ${signToken({ id: 'user-2' })}`)
+        .query({ domain: TEST_DOMAIN });
+
+      expect(other.body.cart.items).toEqual([]);
+    });
+  });
+
+  describe('asistente', () => {
+    it('guarda el add_to_cart validado y devuelve el carrito', async () => {
+      jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+        message: 'Listo, lo agregué.',
+        audio_description: 'Agregado.',
+        action: { type: 'add_to_cart', productId: product._id.toString(), quantity: 2, price_sale: 1 },
+      }));
+
+      const res = await ask('Sí, agrégalo');
+
+      expect(res.body.assistantMessage.cart).toMatchObject({ totalItems: 2, subtotal: 300 });
+      const cart = await Cart.findOne({ domain: TEST_DOMAIN, userId: 'user-1' }).lean();
+      expect(cart.items[0]).toMatchObject({ productId: product._id.toString(), quantity: 2, price_sale: 150 });
+    });
+
+    it('no anuncia el producto como agregado si el carrito está lleno', async () => {
+      await Cart.create({
+        domain: TEST_DOMAIN,
+        userId: 'user-1',
+        items: Array.from({ length: 50 }, (_, i) => ({ productId: `64b0000000000000000001${String(i).padStart(2, '0')}`, quantity: 1 })),
+      });
+      jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+        message: 'Listo, lo agregué.',
+        audio_description: 'Agregado.',
+        action: { type: 'add_to_cart', productId: product._id.toString(), quantity: 1 },
+      }));
+
+      const res = await ask('Sí, agrégalo');
+
+      expect(res.body.assistantMessage).toMatchObject({
+        message: DEFAULT_TEMPLATE.fallbackReplies.cartFull.message,
+        action: { type: 'none' },
+      });
+      expect(res.body.assistantMessage.cart.items).toHaveLength(50);
+    });
+
+    it('envía el carrito actual al modelo y aplica remove_from_cart', async () => {
+      await request(app).post('/cart/items').set(auth()).send({ domain: TEST_DOMAIN, productId: product._id.toString(), quantity: 3 });
+      const complete = jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+        message: 'Quité las zapatillas.',
+        audio_description: 'Listo.',
+        action: { type: 'remove_from_cart', productId: product._id.toString(), quantity: null },
+      }));
+
+      const res = await ask('Quita las zapatillas');
+
+      const cartMessage = complete.mock.calls[0][0].find(m => m.content.startsWith('### CARRITO ACTUAL'));
+      expect(cartMessage.content).toContain('- 3 x "Zapatillas Runner"');
+      expect(cartMessage.content).toContain('Total: 3 unidades, S/450');
+      expect(res.body.assistantMessage.action.type).toBe('remove_from_cart');
+      expect(res.body.assistantMessage.cart.items).toEqual([]);
+    });
+
+    it('view_cart devuelve el carrito sin modificarlo', async () => {
+      await request(app).post('/cart/items').set(auth()).send({ domain: TEST_DOMAIN, productId: product._id.toString() });
+      jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+        message: 'Tienes unas zapatillas.',
+        audio_description: 'Tienes unas zapatillas.',
+        action: { type: 'view_cart' },
+      }));
+
+      const res = await ask('¿Qué tengo en el carrito?');
+
+      expect(res.body.assistantMessage.action.type).toBe('view_cart');
+      expect(res.body.assistantMessage.cart).toMatchObject({ totalItems: 1, subtotal: 150 });
+    });
+  });
+});
@@ -0,0 +1,300 @@
+const request = require('supertest');
+const axios = require('axios');
+const {
+  TEST_DOMAIN,
+  TEST_USER,
+  startTestApp,
+  stopTestApp,
+  signToken,
+  buildProduct,
+} = require('./helpers/testApp');
+const { EMPTY_ACTION } = require('../api/components/chatgtp/chatgtp.actions');
+
+describe('POST /chatbot/question', () => {
+  let app;
+  let Conversation;
+  let Product;
+  let provider;
+  let product;
+  let invalidateDomain;
+  let waitForHistorySummary;
+
+  const ask = (userMessage, { token = signToken(), domain = TEST_DOMAIN, sessionId } = {}) => request(app)
+    .post('/chatbot/question')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ domain, userMessage, sessionId });
+
+  beforeAll(async () => {
+    ({ app, Conversation, Product } = await startTestApp());
+    const { getLLMProvider } = require('../api/components/llm/llm.service');
+    provider = getLLMProvider({});
+    ({ invalidateDomain } = require('../api/components/cache/cache.service'));
+    ({ waitForHistorySummary } = require('../api/components/chatgtp/chatgtp.service'));
+
+    product = await Product.create(buildProduct());
+    await Product.create(buildProduct({ title: 'Reloj Smart', slug: 'reloj-smart', price: { regular: 300, sale: 250 } }));
+  });
+
+  beforeEach(async () => {
+    // API de configuración del negocio.
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test' }] });
+    await Conversation.deleteMany({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  describe('autenticación', () => {
+    it('rechaza peticiones sin token', async () => {
+      const res = await request(app).post('/chatbot/question').send({ domain: TEST_DOMAIN, userMessage: 'hola' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Authorization token missing or invalid');
+    });
+
+    it('rechaza tokens firmados con otro secreto', async () => {
+      const token = require('jsonwebtoken').sign(TEST_USER, 'otro-secreto');
+      const res = await ask('hola', { token });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid or expired token');
+    });
+
+    it('rechaza tokens sin datos del usuario', async () => {
+      const res = await ask('hola', { token: signToken({ merchandId: undefined }) });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Falta información del usuario en el token');
+    });
+
+    it('rechaza sessionId que no son cadenas cortas', async () => {
+      for (const sessionId of [{ $ne: null }, ['a'], 'x'.repeat(65), 'con espacios']) {
+        const res = await ask('hola', { sessionId });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('sessionId inválido');
+      }
+      expect(await Conversation.countDocuments({})).toBe(0);
+    });
+  });
+
+  it('responde y guarda el turno en el historial', async () => {
+    const res = await ask('¿Tienen zapatillas?');
+
+    expect(res.status).toBe(200);
+    expect(res.body.assistantMessage.message).toContain('¿Tienen zapatillas?');
+    expect(res.body.assistantMessage.action.type).toBe('none');
+    expect(res.body.sessionId).toEqual(expect.any(String));
+
+    const conversation = await Conversation.findOne({ domain: TEST_DOMAIN, userId: TEST_USER.id });
+    expect(conversation.messages.map(m => m.role)).toEqual(['system', 'user', 'assistant']);
+    expect(conversation.messages[0].content).not.toContain('### CATÁLOGO DISPONIBLE');
+  });
+
+  it('devuelve un aviso cuando el catálogo está vacío', async () => {
+    const res = await ask('hola', { domain: 'vacia.test' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.assistantMessage).toEqual({
+      message: 'No hay productos disponibles para esta tienda en este momento.',
+      audio_description: 'El catálogo de esta tienda está vacío.',
+      action: { type: 'none' },
+    });
+  });
+
+  it('completa add_to_cart con los datos reales del catálogo', async () => {
+    jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+      message: 'Listo, lo agregué.',
+      audio_description: 'Agregado.',
+      action: { type: 'add_to_cart', productId: product._id.toString(), quantity: 2, price_sale: 1, image: 'https://falsa.test/x.jpg' },
+    }));
+
+    const res = await ask('Sí, agrégalo');
+
+    expect(res.body.assistantMessage.action).toMatchObject({
+      type: 'add_to_cart',
+      productId: product._id.toString(),
+      quantity: 2,
+      url: '/product/zapatillas-runner',
+      price_sale: 150,
+      price_regular: 200,
+      title: 'Zapatillas Runner',
+      image: 'https://cdn.test/zapatillas.jpg',
+      slug: 'zapatillas-runner',
+    });
+  });
+
+  it('cambia add_to_cart de un producto agotado por una sugerencia de alternativas', async () => {
+    const soldOut = await Product.create(buildProduct({ title: 'Zapatillas Runner Edición Limitada', slug: 'runner-limitada', stock: 0 }));
+    await invalidateDomain(TEST_DOMAIN);
+    jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+      message: 'Listo, lo agregué.',
+      audio_description: 'Agregado.',
+      action: { type: 'add_to_cart', productId: soldOut._id.toString(), quantity: 1 },
+    }));
+
+    const res = await ask('Agrega las de edición limitada');
+
+    expect(res.body.assistantMessage.action).toEqual(EMPTY_ACTION);
+    expect(res.body.assistantMessage.message).toContain('está agotado');
+    expect(res.body.assistantMessage.message).toContain('"Zapatillas Runner"');
+
+    await soldOut.deleteOne();
+    await invalidateDomain(TEST_DOMAIN);
+  });
+
+  it('no ofrece productos que están en la papelera', async () => {
+    const trashed = await Product.create(buildProduct({ title: 'Mochila Retirada', slug: 'mochila', is_trash: { status: true } }));
+    await invalidateDomain(TEST_DOMAIN);
+    const complete = jest.spyOn(provider, 'complete');
+
+    await ask('¿Tienen mochilas?');
+
+    const catalogMessage = complete.mock.calls[0][0][1].content;
+    expect(catalogMessage).toContain('Zapatillas Runner');
+    expect(catalogMessage).not.toContain('Mochila Retirada');
+
+    await trashed.deleteOne();
+    await invalidateDomain(TEST_DOMAIN);
+  });
+
+  it('descarta acciones sobre productos que no existen', async () => {
+    jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+      message: 'Aquí está.',
+      audio_description: 'Aquí está.',
+      action: { type: 'show_product', productId: '000000000000000000000000' },
+    }));
+
+    const res = await ask('Muéstrame ese');
+
+    expect(res.body.assistantMessage.action.type).toBe('none');
+  });
+
+  it('deja al modelo consultar el catálogo con herramientas antes de responder', async () => {
+    const completeWithTools = jest.spyOn(provider, 'completeWithTools')
+      .mockResolvedValueOnce({
+        content: null,
+        toolCalls: [{ id: 'call_1', name: 'get_product', arguments: JSON.stringify({ productId: product._id.toString() }) }],
+      })
+      .mockResolvedValueOnce({
+        content: JSON.stringify({ message: 'Son ideales para correr.', audio_description: 'Sirven para correr.', action: { type: 'none' } }),
+        toolCalls: [],
+      });
+
+    const res = await ask('Cuéntame más de las Zapatillas Runner');
+
+    expect(res.body.assistantMessage.message).toBe('Son ideales para correr.');
+    const [messages, options] = completeWithTools.mock.calls[1];
+    expect(options.tools.map(t => t.function.name)).toContain('get_product');
+    expect(messages.at(-2).tool_calls[0].function.name).toBe('get_product');
+    expect(JSON.parse(messages.at(-1).content).product.title).toBe('Zapatillas Runner');
+  });
+
+  it('limita las rondas de herramientas por turno', async () => {
+    const completeWithTools = jest.spyOn(provider, 'completeWithTools').mockImplementation(async (messages, { toolChoice }) => (
+      toolChoice === 'none'
+        ? { content: JSON.stringify({ message: 'Listo.', audio_description: '', action: { type: 'none' } }), toolCalls: [] }
+        : { content: null, toolCalls: [{ id: 'call_x', name: 'list_categories', arguments: '{}' }] }
+    ));
+
+    const res = await ask('¿Qué categorías tienen?');
+
+    expect(res.body.assistantMessage.message).toBe('Listo.');
+    expect(completeWithTools).toHaveBeenCalledTimes(4);
+    expect(completeWithTools.mock.calls[3][1].toolChoice).toBe('none');
+  });
+
+  it('repara una respuesta con JSON inválido reintentando una vez', async () => {
+    jest.spyOn(provider, 'complete')
+      .mockResolvedValueOnce('esto no es JSON')
+      .mockResolvedValueOnce(JSON.stringify({ message: 'Corregido', audio_description: 'Ok', action: { type: 'none' } }));
+
+    const res = await ask('hola');
+
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+    expect(res.body.assistantMessage.message).toBe('Corregido');
+  });
+
+  it('devuelve el mensaje de error si el JSON sigue siendo inválido', async () => {
+    jest.spyOn(provider, 'complete').mockResolvedValue('esto no es JSON');
+
+    const res = await ask('hola');
+
+    expect(res.status).toBe(200);
+    expect(res.body.assistantMessage).toEqual({
+      message: 'Hubo un problema al procesar tu solicitud. Por favor, intenta de nuevo.',
+      audio_description: 'Lo siento, ocurrió un error.',
+      action: { type: 'none' },
+    });
+
+    const conversation = await Conversation.findOne({ domain: TEST_DOMAIN, userId: TEST_USER.id });
+    expect(conversation.messages.map(m => m.role)).toEqual(['system']);
+  });
+
+  describe('presupuesto del historial', () => {
+    const createLongConversation = (sessionId) => Conversation.create({
+      domain: TEST_DOMAIN,
+      userId: TEST_USER.id,
+      userEmail: TEST_USER.email,
+      merchandId: TEST_USER.merchandId,
+      sessionId,
+      messages: [
+        { role: 'system', content: 'prompt' },
+        ...Array.from({ length: 9 }, (_, i) => ({
+          role: i % 2 === 0 ? 'user' : 'assistant',
+          content: `mensaje ${i} ${'con bastante texto '.repeat(10)}`,
+        })),
+      ],
+    });
+
+    afterEach(() => {
+      delete process.env.HISTORY_TOKEN_BUDGET;
+      delete process.env.ARCHIVE_CONVERSATIONS;
+    });
+
+    it('poda por tokens y condensa lo descartado en un resumen', async () => {
+      process.env.HISTORY_TOKEN_BUDGET = '300';
+      await createLongConversation('sesion-larga');
+      const complete = jest.spyOn(provider, 'complete').mockImplementation(async (messages, options) => (options.json
+        ? JSON.stringify({ message: 'Claro.', audio_description: '', action: { type: 'none' } })
+        : '- El cliente preguntó por zapatillas.'));
+
+      const response = await ask('último mensaje');
+      // El resumen se calcula después de responder.
+      expect(response.status).toBe(200);
+      await waitForHistorySummary(TEST_DOMAIN, TEST_USER.id, 'sesion-larga');
+
+      const { messages } = await Conversation.findOne({ sessionId: 'sesion-larga' });
+      expect(messages[0]).toMatchObject({ role: 'system', content: 'prompt' });
+      expect(messages[1]).toMatchObject({ role: 'system', kind: 'summary', content: '- El cliente preguntó por zapatillas.' });
+      expect(messages[2].role).toBe('user');
+      expect(messages.at(-2).content).toBe('último mensaje');
+      expect(messages.length).toBeLessThan(12);
+
+      // El resumen se envía al LLM en el turno siguiente.
+      complete.mockClear();
+      await ask('¿y en azul?', { sessionId: 'sesion-larga' });
+      const sent = complete.mock.calls.find(([, options]) => options.json)[0];
+      expect(sent.some(m => m.role === 'system' && m.content.includes('- El cliente preguntó por zapatillas.'))).toBe(true);
+    });
+
+    it('archiva la transcripción completa si está activado', async () => {
+      process.env.HISTORY_TOKEN_BUDGET = '300';
+      process.env.ARCHIVE_CONVERSATIONS = 'true';
+      const { ConversationArchive } = require('../config/database');
+      await createLongConversation('sesion-archivada');
+
+      await ask('primero', { sessionId: 'sesion-archivada' });
+      await ask('segundo', { sessionId: 'sesion-archivada' });
+
+      const archive = await ConversationArchive.find({ sessionId: 'sesion-archivada' }).sort({ timestamp: 1, _id: 1 });
+      expect(archive.every(message => message.merchandId === TEST_USER.merchandId)).toBe(true);
+      expect(archive.map(m => m.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+      expect(archive[2].content).toBe('segundo');
+    });
+  });
+});
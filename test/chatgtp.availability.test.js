@@ -0,0 +1,36 @@
+const {
+  isProductPurchasable,
+  getUnavailableMode,
+  buildOutOfStockReply,
+} = require('../api/components/chatgtp/chatgtp.availability');
+const { EMPTY_ACTION } = require('../api/components/chatgtp/chatgtp.actions');
+
+describe('disponibilidad de productos', () => {
+  afterEach(() => {
+    delete process.env.UNAVAILABLE_PRODUCTS_MODE;
+  });
+
+  it('considera comprables los productos disponibles con stock o sin control de stock', () => {
+    expect(isProductPurchasable({ is_available: true, stock: 3 })).toBe(true);
+    expect(isProductPurchasable({ is_available: true })).toBe(true);
+    expect(isProductPurchasable({ is_available: true, stock: 0 })).toBe(false);
+    expect(isProductPurchasable({ is_available: false, stock: 10 })).toBe(false);
+  });
+
+  it('usa el ajuste del inquilino, luego el del entorno y por último "mark"', () => {
+    process.env.UNAVAILABLE_PRODUCTS_MODE = 'exclude';
+
+    expect(getUnavailableMode({ unavailableProducts: 'mark' })).toBe('mark');
+    expect(getUnavailableMode({})).toBe('exclude');
+
+    delete process.env.UNAVAILABLE_PRODUCTS_MODE;
+    expect(getUnavailableMode({ unavailableProducts: 'otro' })).toBe('mark');
+  });
+
+  it('sugiere alternativas cuando el producto está agotado', () => {
+    const reply = buildOutOfStockReply({ title: 'Reloj' }, [{ title: 'Reloj Pro' }, { title: 'Reloj Mini' }]);
+
+    expect(reply.action).toEqual(EMPTY_ACTION);
+    expect(reply.message).toContain('"Reloj Pro", "Reloj Mini"');
+  });
+});
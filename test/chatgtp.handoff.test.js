@@ -0,0 +1,32 @@
+const { getHandoffSettings, matchHandoffKeyword, isHeldForHuman } = require('../api/components/chatgtp/chatgtp.handoff');
+
+describe('traspaso a una persona', () => {
+  const enabled = { handoff: { enabled: true } };
+
+  it('reconoce las palabras clave sin importar mayúsculas ni tildes', () => {
+    expect(matchHandoffKeyword('Quiero HABLAR con una persona, por favor', enabled)).toBe('hablar con una persona');
+    expect(matchHandoffKeyword('¿Dónde está el Libro de Reclamaciones?', enabled)).toBe('libro de reclamaciones');
+    expect(matchHandoffKeyword('¿Tienen zapatillas talla 42?', enabled)).toBeNull();
+  });
+
+  it('suma las palabras clave del inquilino a las de por defecto', () => {
+    const config = { handoff: { enabled: true, keywords: ['Garantía', 7] } };
+
+    expect(getHandoffSettings(config).keywords).toEqual(expect.arrayContaining(['garantia', 'hablar con un humano']));
+    expect(matchHandoffKeyword('Mi reloj tiene garantia?', config)).toBe('garantia');
+  });
+
+  it('no traspasa nada si el inquilino no lo activa', () => {
+    for (const config of [undefined, {}, { handoff: { keywords: ['garantia'] } }, { handoff: { enabled: 'true' } }, { handoff: { enabled: false } }]) {
+      expect(getHandoffSettings(config).enabled).toBe(false);
+      expect(matchHandoffKeyword('Quiero hablar con un humano', config)).toBeNull();
+    }
+  });
+
+  it('solo el estado "bot" deja contestar al asistente', () => {
+    expect(isHeldForHuman('bot')).toBe(false);
+    expect(isHeldForHuman(undefined)).toBe(false);
+    expect(isHeldForHuman('pending_human')).toBe(true);
+    expect(isHeldForHuman('human')).toBe(true);
+  });
+});
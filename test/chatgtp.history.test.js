@@ -0,0 +1,96 @@
+const {
+  SUMMARY_HEADER,
+  getHistoryTokenBudget,
+  splitByTokenBudget,
+  summarizeMessages,
+  buildSummaryPromptMessage,
+} = require('../api/components/chatgtp/chatgtp.history');
+const { countTokens, countMessageTokens } = require('../api/components/chatgtp/chatgtp.tokens');
+
+const turn = (i, words = 10) => [
+  { role: 'user', content: `pregunta ${i} ${'palabra '.repeat(words)}` },
+  { role: 'assistant', content: JSON.stringify({ message: `respuesta ${i} ${'texto '.repeat(words)}`, action: { type: 'none' } }) },
+];
+
+describe('conteo de tokens', () => {
+  it('usa el tokenizador del modelo y uno de respaldo para modelos desconocidos', () => {
+    expect(countTokens('hola mundo', 'gpt-4o')).toBeGreaterThan(0);
+    expect(countTokens('hola mundo', 'llama-3-local')).toBe(countTokens('hola mundo', 'gpt-4'));
+    expect(countMessageTokens({ content: 'hola' }, 'gpt-4o')).toBe(4 + countTokens('hola', 'gpt-4o'));
+  });
+});
+
+describe('splitByTokenBudget', () => {
+  it('no descarta nada mientras el historial cabe en el presupuesto', () => {
+    const messages = [...turn(1), ...turn(2)];
+
+    expect(splitByTokenBudget(messages, 10000, 'gpt-4o')).toEqual({ kept: messages, dropped: [] });
+  });
+
+  it('al superar el presupuesto recorta hasta el margen y empieza por un mensaje del usuario', () => {
+    const messages = [...turn(1), ...turn(2), ...turn(3), ...turn(4)];
+    const perTurn = turn(1).reduce((sum, m) => sum + countMessageTokens(m, 'gpt-4o'), 0);
+
+    const { kept, dropped } = splitByTokenBudget(messages, perTurn * 3, 'gpt-4o');
+
+    expect(kept[0].role).toBe('user');
+    expect(kept.length + dropped.length).toBe(messages.length);
+    expect(kept.at(-1)).toBe(messages.at(-1));
+    expect(kept.reduce((sum, m) => sum + countMessageTokens(m, 'gpt-4o'), 0)).toBeLessThanOrEqual(perTurn * 3 * 0.6);
+  });
+
+  it('conserva siempre el último intercambio aunque exceda el presupuesto', () => {
+    const messages = [...turn(1), ...turn(2, 500)];
+
+    const { kept, dropped } = splitByTokenBudget(messages, 50, 'gpt-4o');
+
+    expect(kept).toEqual(turn(2, 500));
+    expect(dropped).toEqual(turn(1));
+  });
+});
+
+describe('summarizeMessages', () => {
+  it('pide al LLM un resumen que integre el anterior y las acciones sobre productos', async () => {
+    const provider = { complete: jest.fn().mockResolvedValue('  - Busca zapatillas talla 42.  ') };
+    const dropped = [
+      { role: 'user', content: 'Quiero zapatillas talla 42' },
+      { role: 'assistant', content: JSON.stringify({ message: 'Te muestro estas', action: { type: 'show_product', title: 'Zapatillas Runner' } }) },
+    ];
+
+    const summary = await summarizeMessages(provider, '- Presupuesto de 200 soles.', dropped);
+
+    expect(summary).toBe('- Busca zapatillas talla 42.');
+    const [messages, options] = provider.complete.mock.calls[0];
+    expect(options.json).toBe(false);
+    expect(messages[1].content).toContain('- Presupuesto de 200 soles.');
+    expect(messages[1].content).toContain('Cliente: Quiero zapatillas talla 42');
+    expect(messages[1].content).toContain('[acción show_product: Zapatillas Runner]');
+  });
+
+  it('usa un resumen extractivo si el LLM falla', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const provider = { complete: jest.fn().mockRejectedValue(new Error('timeout')) };
+
+    const summary = await summarizeMessages(provider, '- Resumen previo.', [{ role: 'user', content: 'Prefiero color azul' }]);
+
+    expect(summary).toBe('- Resumen previo.\n- Cliente: Prefiero color azul');
+    jest.restoreAllMocks();
+  });
+});
+
+describe('configuración', () => {
+  afterEach(() => {
+    delete process.env.HISTORY_TOKEN_BUDGET;
+  });
+
+  it('toma el presupuesto del inquilino o de HISTORY_TOKEN_BUDGET', () => {
+    expect(getHistoryTokenBudget({})).toBe(2000);
+    process.env.HISTORY_TOKEN_BUDGET = '500';
+    expect(getHistoryTokenBudget({})).toBe(500);
+    expect(getHistoryTokenBudget({ history: { tokenBudget: 800 } })).toBe(800);
+  });
+
+  it('envía el resumen como mensaje de sistema con su encabezado', () => {
+    expect(buildSummaryPromptMessage({ content: '- Talla 42.' })).toEqual({ role: 'system', content: `${SUMMARY_HEADER}\n- Talla 42.` });
+  });
+});
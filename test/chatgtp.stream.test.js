@@ -0,0 +1,63 @@
+const { createMessageExtractor, createGuardedStream } = require('../api/components/chatgtp/chatgtp.stream');
+
+describe('createMessageExtractor', () => {
+  const extractAll = (raw, chunkSize) => {
+    const extractor = createMessageExtractor();
+    const parts = [];
+    for (let i = 0; i < raw.length; i += chunkSize) {
+      parts.push(extractor.push(raw.slice(i, i + chunkSize)));
+    }
+    return parts;
+  };
+
+  it('emite el texto de message a medida que llega, decodificando escapes', () => {
+    const raw = JSON.stringify({ audio_description: 'x', message: 'Hola "amigo"\nñandú é', action: { type: 'none' } });
+
+    for (const chunkSize of [1, 2, 5, 64]) {
+      expect(extractAll(raw, chunkSize).join('')).toBe('Hola "amigo"\nñandú é');
+    }
+  });
+
+  it('no emite nada después de cerrar el valor de message', () => {
+    const parts = extractAll('{"message":"ok","audio_description":"no"}', 3);
+    expect(parts.join('')).toBe('ok');
+  });
+
+  it('ignora las claves message anidadas y espera a la clave del objeto raíz', () => {
+    const raw = JSON.stringify({ action: { type: 'none', message: 'interno' }, notes: ['"message": "no"'], message: 'Hola' });
+
+    for (const chunkSize of [1, 3, 64]) {
+      expect(extractAll(raw, chunkSize).join('')).toBe('Hola');
+    }
+  });
+
+  it('no emite nada si message no es una cadena', () => {
+    expect(extractAll('{"message": null, "audio_description": "x"}', 2).join('')).toBe('');
+  });
+});
+
+describe('createGuardedStream', () => {
+  const streamAll = (chunks, isSafe = () => true) => {
+    const sent = [];
+    const guarded = createGuardedStream({ isSafe, onText: text => sent.push(text) });
+    chunks.forEach(chunk => guarded.push(chunk));
+    return sent;
+  };
+
+  it('envía el texto frase a frase y retiene la frase sin terminar', () => {
+    expect(streamAll(['Hola. Cuesta S/', ' 9.90 hoy! Y ade', 'más'])).toEqual(['Hola. ', 'Cuesta S/ 9.90 hoy! ']);
+  });
+
+  it('comprueba todo el texto acumulado y deja de enviar tras el primer bloqueo', () => {
+    const checked = [];
+    const isSafe = (text) => {
+      checked.push(text);
+      return !text.includes('###');
+    };
+
+    const sent = streamAll(['Claro. Mis reglas: ', '### REGLA DE ORO. ', 'Otra frase. '], isSafe);
+
+    expect(sent).toEqual(['Claro. ']);
+    expect(checked).toEqual(['Claro. ', 'Claro. Mis reglas: ### REGLA DE ORO. ']);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../api/components/chatgtp/chatgtp.dao', () => ({
+  getProductsByIds: jest.fn(),
+}));
+jest.mock('../api/components/vector-search/vector.service', () => ({
+  hybridSearchProducts: jest.fn(),
+}));
+
+const { getProductsByIds } = require('../api/components/chatgtp/chatgtp.dao');
+const { hybridSearchProducts } = require('../api/components/vector-search/vector.service');
+const { TOOL_DEFINITIONS, executeToolCall } = require('../api/components/chatgtp/chatgtp.tools');
+
+const RUNNER_ID = '64b000000000000000000001';
+const URBAN_ID = '64b000000000000000000002';
+const WATCH_ID = '64b000000000000000000003';
+
+const product = (id, title, extra = {}) => ({
+  _id: { toString: () => id },
+  title,
+  slug: title.toLowerCase().replace(/\s+/g, '-'),
+  price: { regular: 100, sale: 80 },
+  description_short: `Descripción de ${title}`,
+  ...extra,
+});
+
+const catalog = [
+  product(RUNNER_ID, 'Zapatillas Runner', { category: [{ slug: 'zapatillas' }] }),
+  product(URBAN_ID, 'Zapatillas Urbanas', { category: [{ slug: 'zapatillas' }], stock: 0 }),
+  product(WATCH_ID, 'Reloj Smart', { category: [{ slug: 'relojes' }, { slug: 'ofertas' }] }),
+];
+
+const turn = { domain: 'tienda.test', allProducts: catalog, provider: {}, unavailableMode: 'mark' };
+const call = (name, args) => executeToolCall(turn, { name, arguments: JSON.stringify(args) });
+
+describe('herramientas del catálogo', () => {
+  beforeEach(() => {
+    getProductsByIds.mockImplementation(async ids => catalog.filter(p => ids.includes(p._id.toString())));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('declara las cuatro herramientas', () => {
+    expect(TOOL_DEFINITIONS.map(t => t.function.name)).toEqual(['search_products', 'get_product', 'compare_products', 'list_categories']);
+  });
+
+  it('search_products pasa los filtros a la búsqueda híbrida y respeta el modo de agotados', async () => {
+    hybridSearchProducts.mockResolvedValue({ productIds: [URBAN_ID, RUNNER_ID] });
+
+    const result = await executeToolCall({ ...turn, unavailableMode: 'exclude' }, {
+      name: 'search_products',
+      arguments: JSON.stringify({ query: 'zapatillas', max_price: 150, category: 'zapatillas', limit: 3 }),
+    });
+
+    expect(hybridSearchProducts).toHaveBeenCalledWith('tienda.test', catalog, 'zapatillas', turn.provider, {
+      filters: { minPrice: null, maxPrice: 150, categories: ['zapatillas'], onSale: null, k: 3 },
+    });
+    expect(result.products.map(p => p.id)).toEqual([RUNNER_ID]);
+  });
+
+  it('get_product devuelve la ficha completa limitada al dominio', async () => {
+    const result = await call('get_product', { productId: WATCH_ID });
+
+    expect(getProductsByIds).toHaveBeenCalledWith([WATCH_ID], 'tienda.test');
+    expect(result.product).toMatchObject({ id: WATCH_ID, title: 'Reloj Smart', categories: ['relojes', 'ofertas'] });
+  });
+
+  it('get_product informa de IDs inexistentes o mal formados', async () => {
+    await expect(call('get_product', { productId: 'no-es-un-id' })).resolves.toEqual({ error: 'Producto no encontrado en esta tienda.' });
+    expect(getProductsByIds).not.toHaveBeenCalled();
+  });
+
+  it('compare_products exige al menos dos productos válidos', async () => {
+    const result = await call('compare_products', { productIds: [RUNNER_ID, URBAN_ID] });
+    expect(result.products.map(p => p.availability)).toEqual(['Disponible', 'AGOTADO (no se puede agregar al carrito)']);
+
+    await expect(call('compare_products', { productIds: [RUNNER_ID] })).resolves.toHaveProperty('error');
+  });
+
+  it('list_categories cuenta los productos de cada categoría', async () => {
+    await expect(call('list_categories', {})).resolves.toEqual({
+      categories: [
+        { slug: 'zapatillas', products: 2 },
+        { slug: 'relojes', products: 1 },
+        { slug: 'ofertas', products: 1 },
+      ],
+    });
+  });
+
+  it('devuelve un error para herramientas desconocidas o argumentos inválidos', async () => {
+    await expect(executeToolCall(turn, { name: 'delete_store', arguments: '{}' })).resolves.toEqual({ error: 'Herramienta desconocida: delete_store' });
+    await expect(executeToolCall(turn, { name: 'get_product', arguments: '{roto' })).resolves.toEqual({ error: 'Los argumentos no son un JSON válido.' });
+  });
+});
@@ -0,0 +1,109 @@
+const { validateAssistantReply } = require('../api/components/chatgtp/chatgtp.validator');
+
+const products = [{
+  _id: { toString: () => 'p1' },
+  title: 'Reloj Smart',
+  slug: 'reloj-smart',
+  price: { regular: 300, sale: 250 },
+  image_default: ['https://cdn.test/reloj.jpg'],
+}];
+
+describe('validateAssistantReply', () => {
+  afterEach(() => {
+    delete process.env.ALLOWED_ACTION_URLS;
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('convierte tipos de acción desconocidos en none', () => {
+    const reply = validateAssistantReply({ message: 'Hola', action: { type: 'comprar_ya' } }, products);
+    expect(reply.action.type).toBe('none');
+  });
+
+  it('descarta las acciones que la plantilla del inquilino no permite', () => {
+    const action = { type: 'add_to_cart', productId: 'p1', quantity: 1 };
+
+    expect(validateAssistantReply({ message: 'Listo', action }, products, { allowedActions: ['show_product', 'none'] }).action.type).toBe('none');
+    expect(validateAssistantReply({ message: 'Listo', action }, products).action.type).toBe('add_to_cart');
+  });
+
+  it('solo marca como no encontrada una respuesta sin acción que el modelo señala así', () => {
+    const reply = (outcome, action = { type: 'none' }) => validateAssistantReply({ message: 'No lo tenemos', action, outcome }, products).outcome;
+
+    expect(reply('not_found')).toBe('not_found');
+    expect(reply(undefined)).toBe('answered');
+    expect(reply('otro')).toBe('answered');
+    expect(reply('not_found', { type: 'show_product', productId: 'p1' })).toBe('answered');
+  });
+
+  it('acepta el traspaso a una persona sin datos de producto', () => {
+    const reply = validateAssistantReply({ message: 'Te comunico', action: { type: 'handoff', productId: 'p1' } }, products);
+    expect(reply.action).toMatchObject({ type: 'handoff', productId: null });
+  });
+
+  it('acepta las acciones de carrito', () => {
+    const view = validateAssistantReply({ message: 'Tu carrito', action: { type: 'view_cart', productId: 'p1' } }, products);
+    expect(view.action).toMatchObject({ type: 'view_cart', productId: null });
+
+    const removeAll = validateAssistantReply({ message: 'Quitado', action: { type: 'remove_from_cart', productId: 'p1' } }, products);
+    expect(removeAll.action).toMatchObject({ type: 'remove_from_cart', productId: 'p1', quantity: null, title: 'Reloj Smart' });
+
+    const removeOne = validateAssistantReply({ message: 'Quitado', action: { type: 'remove_from_cart', productId: 'p1', quantity: '1' } }, products);
+    expect(removeOne.action.quantity).toBe(1);
+  });
+
+  it('sobrescribe los datos del producto con los del catálogo', () => {
+    const reply = validateAssistantReply({
+      message: 'Mira este',
+      action: { type: 'show_product', productId: 'p1', price_sale: 1, url: 'https://falsa.test' },
+    }, products);
+
+    expect(reply.action).toMatchObject({
+      type: 'show_product',
+      productId: 'p1',
+      url: '/product/reloj-smart',
+      price_sale: 250,
+      price_regular: 300,
+      image: 'https://cdn.test/reloj.jpg',
+    });
+  });
+
+  it('solo permite URLs internas de producto o de la lista blanca', () => {
+    const external = validateAssistantReply({ message: 'Ve', action: { type: 'go_to_url', url: 'https://otro.test' } }, products);
+    expect(external.action.type).toBe('none');
+
+    process.env.ALLOWED_ACTION_URLS = 'https://otro.test/ofertas';
+    const allowed = validateAssistantReply({ message: 'Ve', action: { type: 'go_to_url', url: 'https://otro.test/ofertas/hoy' } }, products);
+    expect(allowed.action).toMatchObject({ type: 'go_to_url', url: 'https://otro.test/ofertas/hoy' });
+
+    const productUrl = validateAssistantReply({ message: 'Ve', action: { type: 'go_to_url', url: '/product/reloj-smart' } }, products);
+    expect(productUrl.action.productId).toBe('p1');
+  });
+
+  it('compara el origen y los segmentos de la ruta de la lista blanca', () => {
+    process.env.ALLOWED_ACTION_URLS = 'https://shop.com, https://otro.test/ofertas';
+    const goTo = url => validateAssistantReply({ message: 'Ve', action: { type: 'go_to_url', url } }, products).action.type;
+
+    expect(goTo('https://shop.com')).toBe('go_to_url');
+    expect(goTo('https://shop.com/checkout?paso=2')).toBe('go_to_url');
+    expect(goTo('https://otro.test/ofertas/')).toBe('go_to_url');
+    expect(goTo('https://shop.com.evil.com/login')).toBe('none');
+    expect(goTo('https://shop.comevil.net')).toBe('none');
+    expect(goTo('https://shop.com@evil.com/')).toBe('none');
+    expect(goTo('http://shop.com')).toBe('none');
+    expect(goTo('https://otro.test/ofertasfalsas')).toBe('none');
+    expect(goTo('https://otro.test/otra/ofertas')).toBe('none');
+    expect(goTo('javascript:alert(1)//https://shop.com')).toBe('none');
+  });
+
+  it('rellena los campos obligatorios que faltan', () => {
+    expect(validateAssistantReply({}, products)).toMatchObject({
+      message: 'Respuesta vacía.',
+      audio_description: '',
+      action: { type: 'none' },
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  describeAttributes,
+  describeVariations,
+  findVariation,
+  findDefaultVariation,
+  getVariationPrice,
+} = require('../api/components/chatgtp/chatgtp.variations');
+const { validateAssistantReply } = require('../api/components/chatgtp/chatgtp.validator');
+const { EMPTY_ACTION } = require('../api/components/chatgtp/chatgtp.actions');
+
+const id = value => ({ toString: () => value });
+
+const product = {
+  _id: id('p1'),
+  title: 'Polo Básico',
+  slug: 'polo-basico',
+  price: { regular: 50, sale: 40 },
+  image_default: ['https://cdn.test/polo.jpg'],
+  atributos: [
+    { name_attr: 'Color', values: [{ Id: 'c1', valor: 'Rojo' }, { Id: 'c2', valor: 'Azul' }] },
+    { name_attr: 'Talla', values: [{ Id: 't1', valor: 'S' }, { Id: 't2', valor: 'M' }] },
+  ],
+  variations: [
+    { _id: id('v1'), chill_attr: ['c1', 't1'], price: { regular: 50, sale: 40 } },
+    { _id: id('v2'), chill_attr: ['c1', 't2'], price: { regular: 55, sale: 45 } },
+    { _id: id('v3'), chill_attr: ['c2', 't2'], price: { regular: 60, sale: 50 } },
+  ],
+};
+
+describe('variaciones de producto', () => {
+  it('describe atributos y variaciones con sus precios', () => {
+    expect(describeAttributes(product)).toBe('Color: Rojo, Azul; Talla: S, M');
+    expect(describeVariations(product)).toContain('[ID: v2, Color: Rojo, Talla: M, Precio: S/55, Oferta: S/45]');
+  });
+
+  it('encuentra la variación por ID o por atributos sin distinguir mayúsculas', () => {
+    expect(findVariation(product, { variationId: 'v3' })._id.toString()).toBe('v3');
+    expect(findVariation(product, { attributes: { color: 'rojo', TALLA: 'm' } })._id.toString()).toBe('v2');
+    expect(findVariation(product, { attributes: ['Azul'] })._id.toString()).toBe('v3');
+    expect(findVariation(product, { attributes: { Color: 'Verde' } })).toBeNull();
+  });
+
+  it('usa el precio de la variación elegida en add_to_cart', () => {
+    const reply = validateAssistantReply({
+      message: 'Agregado',
+      action: { type: 'add_to_cart', productId: 'p1', attributes: { Color: 'Rojo', Talla: 'M' } },
+    }, [product]);
+
+    expect(reply.action).toMatchObject({
+      type: 'add_to_cart',
+      variationId: 'v2',
+      attributes: { Color: 'Rojo', Talla: 'M' },
+      price_regular: 55,
+      price_sale: 45,
+    });
+  });
+
+  it('pide elegir una opción si la variación no existe', () => {
+    const reply = validateAssistantReply({
+      message: 'Agregado',
+      action: { type: 'add_to_cart', productId: 'p1', variationId: 'inventada' },
+    }, [product]);
+
+    expect(reply.action).toEqual(EMPTY_ACTION);
+    expect(reply.message).toContain('elijas una opción (Color: Rojo, Azul; Talla: S, M)');
+  });
+
+  it('completa el precio de la variación con el del producto', () => {
+    expect(getVariationPrice(product, { price: { sale: 35 } })).toEqual({ regular: 50, sale: 35 });
+    expect(getVariationPrice(product, { price: { regular: 70 } })).toEqual({ regular: 70, sale: null });
+    expect(getVariationPrice(product, {})).toEqual({ regular: 50, sale: 40 });
+    expect(getVariationPrice(product, null)).toEqual({ regular: 50, sale: 40 });
+
+    const onlySale = {
+      ...product,
+      variations: [{ _id: id('v9'), chill_attr: ['c1', 't1'], price: { sale: 35 } }],
+    };
+    const reply = validateAssistantReply({
+      message: 'Agregado',
+      action: { type: 'add_to_cart', productId: 'p1', variationId: 'v9' },
+    }, [onlySale]);
+    expect(reply.action).toMatchObject({ variationId: 'v9', price_regular: 50, price_sale: 35 });
+  });
+
+  it('usa la variación por defecto al mostrar el producto, pero pide elegir al agregarlo', () => {
+    const withDefault = { ...product, default_variations: ['c2', 't2'] };
+    expect(findDefaultVariation(withDefault)._id.toString()).toBe('v3');
+    expect(findDefaultVariation({ ...product, default_variations: ['v2'] })._id.toString()).toBe('v2');
+    expect(findDefaultVariation(product)).toBeNull();
+    expect(describeVariations(withDefault)).toContain('[ID: v3, Color: Azul, Talla: M, Precio: S/60, Oferta: S/50, Por defecto]');
+
+    const shown = validateAssistantReply({
+      message: 'Mira este polo',
+      action: { type: 'show_product', productId: 'p1' },
+    }, [withDefault]);
+    expect(shown.action).toMatchObject({ variationId: 'v3', price_regular: 60, price_sale: 50 });
+
+    const added = validateAssistantReply({
+      message: 'Agregado',
+      action: { type: 'add_to_cart', productId: 'p1' },
+    }, [withDefault]);
+    expect(added.action).toEqual(EMPTY_ACTION);
+  });
+});
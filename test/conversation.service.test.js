@@ -0,0 +1,62 @@
+jest.mock('../api/components/conversations/conversation.dao', () => ({
+  streamConversations: jest.fn(),
+}));
+jest.mock('../api/components/chatgtp/chatgtp.service', () => ({ appendAgentReply: jest.fn() }));
+
+const { streamConversations } = require('../api/components/conversations/conversation.dao');
+const { exportMerchantConversations } = require('../api/components/conversations/conversation.service');
+
+const timestamp = new Date('2026-10-18T15:00:00Z');
+const conversation = (id, userMessage) => ({
+  _id: id,
+  sessionId: 's1',
+  domain: 'tienda.test',
+  userId: 'u1',
+  messages: [
+    { role: 'system', content: 'Eres un asistente', timestamp },
+    { role: 'user', content: userMessage, timestamp },
+    { role: 'assistant', content: JSON.stringify({ message: 'Hola, "bienvenido"', action: { type: 'none' } }), timestamp },
+  ],
+});
+
+// Cursor de Mongoose simulado: se recorre con `for await`.
+const cursorOf = async function* (documents) {
+  yield* documents;
+};
+
+const collect = async (chunks) => {
+  let text = '';
+  for await (const chunk of chunks) text += chunk;
+  return text;
+};
+
+describe('exportMerchantConversations', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('exporta en CSV y neutraliza las fórmulas que escriben los clientes', async () => {
+    streamConversations.mockReturnValue(cursorOf([conversation('c1', '=HYPERLINK("http://malo.test")'), conversation('c2', '-5 + 3')]));
+
+    const lines = (await collect(exportMerchantConversations('merchant-1', 'csv', { domain: 'tienda.test' }))).split('\r\n');
+
+    expect(streamConversations).toHaveBeenCalledWith({ merchandId: 'merchant-1', domain: 'tienda.test' });
+    expect(lines[0]).toBe('conversationId,sessionId,domain,userId,userEmail,role,message,actionType,timestamp');
+    expect(lines).toHaveLength(5);
+    expect(lines[1]).toBe(`c1,s1,tienda.test,u1,,user,"'=HYPERLINK(""http://malo.test"")",,${timestamp.toISOString()}`);
+    expect(lines[2]).toContain(',assistant,"Hola, ""bienvenido""",none,');
+    expect(lines[3]).toContain(",user,'-5 + 3,,");
+  });
+
+  it('exporta en JSON por partes', async () => {
+    streamConversations.mockReturnValue(cursorOf([conversation('c1', 'Hola'), conversation('c2', 'Chau')]));
+
+    const { conversations } = JSON.parse(await collect(exportMerchantConversations('merchant-1', 'json')));
+
+    expect(conversations.map(c => c.id)).toEqual(['c1', 'c2']);
+    expect(conversations[0].messages).toHaveLength(2);
+
+    streamConversations.mockReturnValue(cursorOf([]));
+    expect(JSON.parse(await collect(exportMerchantConversations('merchant-1', 'json')))).toEqual({ conversations: [] });
+  });
+});
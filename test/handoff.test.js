@@ -0,0 +1,130 @@
+const request = require('supertest');
+const axios = require('axios');
+const { TEST_DOMAIN, TEST_USER, startTestApp, stopTestApp, signToken, buildProduct } = require('./helpers/testApp');
+const { DEFAULT_TEMPLATE } = require('../api/components/prompt-templates/template.defaults');
+const { EMPTY_ACTION } = require('../api/components/chatgtp/chatgtp.actions');
+
+describe('traspaso a una persona', () => {
+  let app;
+  let provider;
+  let Conversation;
+  let invalidateTenantCache;
+
+  const merchant = () => ({ Authorization: `Bearer ${signToken({ id: 'agent-1', role: 'merchant' })}` });
+  const ask = userMessage => request(app)
+    .post('/chatbot/question')
+    .set('Authorization', `Bearer ${signToken()}`)
+    .send({ domain: TEST_DOMAIN, userMessage });
+  const findConversation = () => Conversation.findOne({ domain: TEST_DOMAIN, userId: TEST_USER.id }).lean();
+
+  beforeAll(async () => {
+    let Product;
+    ({ app, Conversation, Product } = await startTestApp());
+    const { getLLMProvider } = require('../api/components/llm/llm.service');
+    provider = getLLMProvider({});
+    ({ invalidateTenantCache } = require('../api/components/chatgtp/chatgtp.service'));
+    await Product.create(buildProduct());
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test', handoff: { enabled: true } }] });
+    await Conversation.deleteMany({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    invalidateTenantCache(TEST_DOMAIN, { products: false });
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  it('traspasa con una palabra clave sin llamar al modelo', async () => {
+    const complete = jest.spyOn(provider, 'complete');
+
+    const res = await ask('Quiero hacer un reclamo por mi pedido');
+
+    expect(res.body.assistantMessage.message).toBe(DEFAULT_TEMPLATE.fallbackReplies.handoff.message);
+    expect(res.body.assistantMessage.action).toEqual({ ...EMPTY_ACTION, type: 'handoff' });
+    expect(complete).not.toHaveBeenCalled();
+    expect((await findConversation()).handoff).toMatchObject({ state: 'pending_human', reason: 'keyword' });
+  });
+
+  it('sin activarlo, el bot sigue respondiendo aunque el cliente pida una persona', async () => {
+    axios.get.mockResolvedValue({ data: [{ name: 'Tienda Test' }] });
+    const complete = jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+      message: 'Cuéntame qué necesitas y te ayudo.',
+      audio_description: 'Cuéntame qué necesitas.',
+      action: { type: 'handoff' },
+    }));
+
+    const res = await ask('Quiero hablar con una persona');
+
+    expect(complete).toHaveBeenCalled();
+    expect(res.body.assistantMessage).toMatchObject({ message: 'Cuéntame qué necesitas y te ayudo.', action: { type: 'none' } });
+    expect((await findConversation()).handoff?.state || 'bot').toBe('bot');
+  });
+
+  it('traspasa cuando el modelo responde con la acción handoff', async () => {
+    jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+      message: 'Te comunico con alguien del equipo.',
+      audio_description: 'Te comunico con el equipo.',
+      action: { type: 'handoff' },
+    }));
+
+    const res = await ask('Necesito unas zapatillas bordadas con mi nombre');
+
+    expect(res.body.assistantMessage.action.type).toBe('handoff');
+    expect((await findConversation()).handoff).toMatchObject({ state: 'pending_human', reason: 'action' });
+  });
+
+  it('guarda los mensajes sin llamar al modelo mientras atiende una persona', async () => {
+    await ask('Quiero hablar con una persona');
+    const complete = jest.spyOn(provider, 'complete');
+
+    const res = await ask('¿Sigue ahí alguien?');
+
+    expect(res.status).toBe(200);
+    expect(res.body.assistantMessage).toBeNull();
+    expect(complete).not.toHaveBeenCalled();
+    expect((await findConversation()).messages.at(-1)).toMatchObject({ role: 'user', content: '¿Sigue ahí alguien?' });
+  });
+
+  it('el agente lista, responde y devuelve la conversación al bot', async () => {
+    await ask('Quiero hablar con una persona');
+
+    const pending = await request(app).get('/conversations/handoffs').set(merchant());
+    expect(pending.status).toBe(200);
+    expect(pending.body.data).toHaveLength(1);
+    const [{ id, handoff }] = pending.body.data;
+    expect(handoff.state).toBe('pending_human');
+
+    const reply = await request(app).post(`/conversations/${id}/messages`).set(merchant()).send({ message: 'Hola, soy Ana. ¿En qué te ayudo?' });
+    expect(reply.status).toBe(201);
+    expect(reply.body.message).toMatchObject({ role: 'assistant', message: 'Hola, soy Ana. ¿En qué te ayudo?', agentId: 'agent-1' });
+    expect(reply.body.handoff).toMatchObject({ state: 'human', reason: 'keyword', agentId: 'agent-1' });
+
+    const mine = await request(app).get('/conversations/me').set('Authorization', `Bearer ${signToken()}`).query({ domain: TEST_DOMAIN });
+    expect(mine.body.conversation.messages.at(-1)).toMatchObject({ message: 'Hola, soy Ana. ¿En qué te ayudo?', agentId: 'agent-1' });
+
+    const released = await request(app).post(`/conversations/${id}/release`).set(merchant());
+    expect(released.body.handoff.state).toBe('bot');
+
+    const res = await ask('Gracias, ¿tienen zapatillas?');
+    expect(res.body.assistantMessage.message).toContain('Respuesta simulada');
+  });
+
+  it('rechaza respuestas vacías y conversaciones de otro comercio', async () => {
+    await ask('Quiero hablar con una persona');
+    const { _id } = await findConversation();
+
+    const empty = await request(app).post(`/conversations/${_id}/messages`).set(merchant()).send({ message: '  ' });
+    expect(empty.status).toBe(400);
+
+    const other = await request(app).post(`/conversations/${_id}/messages`)
+      .set('Authorization', `Bearer ${signToken({ role: 'merchant', merchandId: 'otro' })}`)
+      .send({ message: 'Hola' });
+    expect(other.status).toBe(404);
+  });
+});
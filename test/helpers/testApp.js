@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Arnés de integración: levanta MongoDB en memoria, configura el entorno
+ * de pruebas y carga la app real de Express con sus modelos.
+ *
+ * `config/database` abre las conexiones al importarse, por eso las variables de entorno
+ * se fijan antes de requerir la app.
+ */
+
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const JWT_SECRET = 'test-secret';
+const TEST_DOMAIN = 'tienda.test';
+const TEST_USER = { id: 'user-1', email: 'cliente@tienda.test', merchandId: 'merchant-1' };
+
+let mongo;
+
+/**
+ * Arranca MongoDB en memoria y devuelve la app junto con los modelos conectados.
+ * @returns {Promise<{app: import('express').Express, Conversation: Object, Product: Object}>}
+ */
+const startTestApp = async () => {
+  mongo = await MongoMemoryServer.create();
+
+  process.env.MONGO_URI = mongo.getUri('catalog');
+  process.env.MONGO_URI_CLIENTS = mongo.getUri('clients');
+  process.env.JWT_SECRET = JWT_SECRET;
+  process.env.API_CONFIGURATION = 'http://config.test';
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.CHAT_RATE_LIMIT_MAX = '1000';
+  delete process.env.OPENAI_API_KEY;
+
+  const app = require('../../app');
+  const { Conversation, Product } = require('../../config/database');
+  await Promise.all([Conversation.db.asPromise(), Product.db.asPromise()]);
+
+  return { app, Conversation, Product };
+};
+
+/**
+ * Cierra las conexiones y detiene MongoDB en memoria.
+ */
+const stopTestApp = async () => {
+  if (!mongo) return; // MongoDB no llegó a arrancar.
+
+  const { Conversation, Product } = require('../../config/database');
+  await Promise.all([Conversation.db.close(), Product.db.close()]);
+  await mongo.stop();
+};
+
+/**
+ * Firma un token válido para `authMiddleware`.
+ * @param {Object} [claims] - Sobrescribe los datos del usuario de prueba.
+ * @returns {string}
+ */
+const signToken = (claims = {}) => jwt.sign({ ...TEST_USER, ...claims }, JWT_SECRET);
+
+/**
+ * Datos mínimos de un producto del catálogo de pruebas.
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+const buildProduct = (overrides = {}) => ({
+  domain: TEST_DOMAIN,
+  title: 'Zapatillas Runner',
+  slug: 'zapatillas-runner',
+  price: { regular: 200, sale: 150 },
+  image_default: ['https://cdn.test/zapatillas.jpg'],
+  description_short: 'Zapatillas para correr livianas',
+  stock: 10,
+  is_available: true,
+  ...overrides,
+});
+
+module.exports = {
+  TEST_DOMAIN,
+  TEST_USER,
+  startTestApp,
+  stopTestApp,
+  signToken,
+  buildProduct,
+};
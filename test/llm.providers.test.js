@@ -0,0 +1,220 @@
+const axios = require('axios');
+const { Readable } = require('stream');
+const { createOpenAIProvider } = require('../api/components/llm/providers/openai.provider');
+const { createMockProvider, hashEmbedding } = require('../api/components/llm/providers/mock.provider');
+
+describe('proveedor openai', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('envía el modelo y el modo JSON a la URL base configurada', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { choices: [{ message: { content: '{"message":"hola"}' } }] } });
+    const provider = createOpenAIProvider({ apiKey: 'sk-test', baseURL: 'http://llm.local/v1/', chatModel: 'modelo-x' });
+
+    const content = await provider.complete([{ role: 'user', content: 'hola' }], { temperature: 0.2, maxTokens: 10, json: true });
+
+    expect(content).toBe('{"message":"hola"}');
+    expect(axios.post).toHaveBeenCalledWith(
+      'http://llm.local/v1/chat/completions',
+      expect.objectContaining({ model: 'modelo-x', max_tokens: 10, response_format: { type: 'json_object' } }),
+      expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer sk-test' }) })
+    );
+  });
+
+  it('lee el stream SSE fragmento a fragmento', async () => {
+    const events = [
+      'data: {"choices":[{"delta":{"content":"{\\"mess"}}]}\n\nda',
+      'ta: {"choices":[{"delta":{"content":"age\\":\\"hola\\"}"}}]}\n\n',
+      'data: [DONE]\n\n',
+    ];
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: Readable.from(events) });
+    const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+    const deltas = [];
+
+    const content = await provider.completeStream([], {}, delta => deltas.push(delta));
+
+    expect(deltas).toEqual(['{"mess', 'age":"hola"}']);
+    expect(content).toBe('{"message":"hola"}');
+  });
+
+  it('informa los tokens consumidos, también al final de un stream', async () => {
+    const usage = { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 };
+    const onUsage = jest.fn();
+    jest.spyOn(axios, 'post')
+      .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'hola' } }], usage } })
+      .mockResolvedValueOnce({
+        data: Readable.from([
+          'data: {"choices":[{"delta":{"content":"hola"}}]}\n\n',
+          `data: {"choices":[],"usage":${JSON.stringify(usage)}}\n\n`,
+          'data: [DONE]\n\n',
+        ]),
+      });
+    const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+
+    await provider.complete([], { onUsage });
+    const content = await provider.completeStream([], { onUsage }, () => {});
+
+    expect(content).toBe('hola');
+    expect(onUsage.mock.calls).toEqual([[usage], [usage]]);
+    expect(axios.post.mock.calls[1][1]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+  });
+
+  it('envía las herramientas y devuelve las llamadas solicitadas', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: {
+        choices: [{
+          message: {
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_product', arguments: '{"productId":"p1"}' } }],
+          },
+        }],
+      },
+    });
+    const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+    const tools = [{ type: 'function', function: { name: 'get_product', parameters: {} } }];
+
+    const result = await provider.completeWithTools([], { tools, toolChoice: 'auto' });
+
+    expect(result).toEqual({ content: null, toolCalls: [{ id: 'call_1', name: 'get_product', arguments: '{"productId":"p1"}' }] });
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ tools, tool_choice: 'auto' });
+  });
+
+  it('reconstruye las llamadas a herramientas de un stream', async () => {
+    const events = [
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_1","function":{"name":"get_","arguments":""}}]}}]}\n\n',
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"name":"product","arguments":"{\\"productId\\":"}}]}}]}\n\n',
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"p1\\"}"}}]}}]}\n\n',
+      'data: [DONE]\n\n',
+    ];
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: Readable.from(events) });
+    const provider = createOpenAIProvider({ apiKey: 'sk-test' });
+    const onDelta = jest.fn();
+
+    const result = await provider.completeStreamWithTools([], { tools: [] }, onDelta);
+
+    expect(onDelta).not.toHaveBeenCalled();
+    expect(result).toEqual({ content: '', toolCalls: [{ id: 'call_1', name: 'get_product', arguments: '{"productId":"p1"}' }] });
+  });
+});
+
+describe('proveedor mock', () => {
+  it('responde según el guion y usa la respuesta por defecto si nada coincide', async () => {
+    const provider = createMockProvider({
+      script: [{ match: 'reloj', reply: { message: 'Tenemos relojes', audio_description: '', action: { type: 'none' } } }],
+    });
+
+    expect(JSON.parse(await provider.complete([{ role: 'user', content: 'Quiero un RELOJ' }])).message).toBe('Tenemos relojes');
+    expect(JSON.parse(await provider.complete([{ role: 'user', content: 'hola' }])).message).toBe('Respuesta simulada para: "hola"');
+  });
+
+  it('pide las herramientas del guion y responde cuando recibe sus resultados', async () => {
+    const provider = createMockProvider({
+      script: [{
+        match: 'compara',
+        toolCalls: [{ name: 'compare_products', arguments: { productIds: ['a', 'b'] } }],
+        reply: { message: 'El primero es más barato', audio_description: '', action: { type: 'none' } },
+      }],
+    });
+    const messages = [{ role: 'user', content: 'compara estos dos' }];
+
+    const first = await provider.completeWithTools(messages);
+    expect(first).toEqual({
+      content: null,
+      toolCalls: [{ id: 'call_0', name: 'compare_products', arguments: '{"productIds":["a","b"]}' }],
+    });
+
+    const second = await provider.completeWithTools([...messages, { role: 'tool', tool_call_id: 'call_0', content: '{}' }]);
+    expect(second.toolCalls).toEqual([]);
+    expect(JSON.parse(second.content).message).toBe('El primero es más barato');
+  });
+
+  it('genera embeddings deterministas y normalizados', () => {
+    const a = hashEmbedding('Zapatillas rojas');
+    const b = hashEmbedding('zapatillas ROJAS');
+    const norm = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0));
+
+    expect(a).toEqual(b);
+    expect(norm).toBeCloseTo(1);
+  });
+});
+
+describe('getLLMProvider', () => {
+  const { getLLMProvider } = require('../api/components/llm/llm.service');
+  const completion = { data: { choices: [{ message: { content: '{}' } }] } };
+  const ENV_KEYS = ['LLM_PROVIDER', 'LLM_BASE_URL', 'LLM_API_KEY', 'LLM_ALLOWED_BASE_URLS'];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  const callWith = async (config) => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue(completion);
+    await getLLMProvider({ config, apiKey: 'sk-plataforma' }).complete([{ role: 'user', content: 'hola' }]);
+    const [url, , { headers }] = post.mock.calls[0];
+    return { url, authorization: headers.Authorization };
+  };
+
+  it('no envía la clave de la plataforma a la URL de un inquilino', async () => {
+    process.env.LLM_BASE_URL = 'http://llm.interno/v1';
+    process.env.LLM_API_KEY = 'clave-compatible';
+
+    const result = await callWith({ llm: { provider: 'openai-compatible', baseURL: 'https://atacante.test/v1' } });
+
+    expect(result).toEqual({ url: 'http://llm.interno/v1/chat/completions', authorization: 'Bearer clave-compatible' });
+  });
+
+  it('usa la URL y la clave del inquilino solo si la URL está aprobada', async () => {
+    process.env.LLM_ALLOWED_BASE_URLS = 'https://llm.tienda.test/v1';
+
+    const result = await callWith({ llm: { provider: 'openai-compatible', baseURL: 'https://llm.tienda.test/v1/', apiKey: 'clave-tienda' } });
+
+    expect(result).toEqual({ url: 'https://llm.tienda.test/v1/chat/completions', authorization: 'Bearer clave-tienda' });
+  });
+
+  it('vuelve al proveedor por defecto si el del inquilino es desconocido o está mal configurado', async () => {
+    expect(await callWith({ llm: { provider: 'otro' } })).toEqual({
+      url: 'https://api.openai.com/v1/chat/completions',
+      authorization: 'Bearer sk-plataforma',
+    });
+    jest.restoreAllMocks();
+
+    // Sin LLM_BASE_URL ni URL aprobada el proveedor compatible no se puede construir (otro modelo
+    // para no reutilizar la instancia en caché de la prueba anterior).
+    const config = { llm: { provider: 'openai-compatible', baseURL: 'https://atacante.test/v1', chatModel: 'modelo-propio' } };
+    expect(await callWith(config)).toEqual({
+      url: 'https://api.openai.com/v1/chat/completions',
+      authorization: 'Bearer sk-plataforma',
+    });
+  });
+});
+
+describe('createProviderResolver', () => {
+  const { createProviderResolver } = require('../api/components/llm/llm.resolver');
+
+  afterEach(() => {
+    delete process.env.CACHE_MAX_TENANTS;
+    delete process.env.PRUEBA_PROVIDER;
+  });
+
+  it('reutiliza las instancias y descarta las menos usadas al superar el límite', () => {
+    process.env.CACHE_MAX_TENANTS = '2';
+    process.env.PRUEBA_PROVIDER = 'fijo';
+    const factory = jest.fn(settings => ({ ...settings }));
+    const resolve = createProviderResolver({ label: 'prueba', envPrefix: 'PRUEBA', factories: { fijo: factory }, tenantKeys: ['model'] });
+
+    const first = resolve({ settings: { model: 'a' } });
+    expect(resolve({ settings: { model: 'a' } })).toBe(first);
+    resolve({ settings: { model: 'b' } });
+    resolve({ settings: { model: 'c' } });
+    expect(factory).toHaveBeenCalledTimes(3);
+
+    expect(resolve({ settings: { model: 'a' } })).not.toBe(first);
+    expect(factory).toHaveBeenCalledTimes(4);
+  });
+});
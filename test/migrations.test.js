@@ -0,0 +1,37 @@
+const { TEST_DOMAIN, TEST_USER, startTestApp, stopTestApp } = require('./helpers/testApp');
+const { CATALOG_SECTION_HEADER } = require('../api/components/chatgtp/chatgtp.service');
+
+describe('migraciones', () => {
+  let Conversation;
+
+  beforeAll(async () => {
+    ({ Conversation } = await startTestApp());
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  it('migra una conversación anterior a las sesiones', async () => {
+    const timestamp = new Date('2024-05-01T10:00:00Z');
+    const { insertedId } = await Conversation.collection.insertOne({
+      domain: TEST_DOMAIN,
+      userId: TEST_USER.id,
+      messages: [
+        { role: 'system', content: `Eres un asistente.\n---\n${CATALOG_SECTION_HEADER}\n- Zapatillas Runner`, timestamp },
+        { role: 'user', content: 'Hola', timestamp },
+      ],
+    });
+
+    expect(await require('../migrations/001-split-system-prompt').up()).toBe('1 conversaciones actualizadas');
+    await require('../migrations/002-conversation-sessions').up();
+
+    const conversation = await Conversation.findById(insertedId).lean();
+    expect(conversation.messages.map(m => m.content)).toEqual(['Eres un asistente.', 'Hola']);
+    expect(conversation.sessionId).toEqual(expect.any(String));
+    expect(conversation.createdAt).toEqual(timestamp);
+
+    // Idempotente.
+    expect(await require('../migrations/001-split-system-prompt').up()).toBe('0 conversaciones actualizadas');
+  });
+});
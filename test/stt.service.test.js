@@ -0,0 +1,75 @@
+const axios = require('axios');
+const { getSTTProvider, getAudioExtension, transcribeAudio } = require('../api/components/stt/stt.service');
+const { getQuotaStatus } = require('../api/components/usage/usage.service');
+
+describe('getAudioExtension', () => {
+  it('acepta webm, ogg y wav con o sin parámetros', () => {
+    expect(getAudioExtension('audio/webm;codecs=opus')).toBe('webm');
+    expect(getAudioExtension('audio/ogg')).toBe('ogg');
+    expect(getAudioExtension('audio/x-wav')).toBe('wav');
+    expect(getAudioExtension('audio/mpeg')).toBeNull();
+    expect(getAudioExtension(undefined)).toBeNull();
+  });
+});
+
+describe('transcribeAudio', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.STT_PROVIDER;
+  });
+
+  it('el proveedor simulado lee el audio como texto', async () => {
+    process.env.STT_PROVIDER = 'mock';
+
+    expect(await transcribeAudio(Buffer.from('  quiero zapatillas  '), 'audio/webm')).toBe('quiero zapatillas');
+  });
+
+  it('imputa los bytes del audio a la cuota del comercio', async () => {
+    process.env.STT_PROVIDER = 'mock';
+    const audio = Buffer.from('quiero unas zapatillas');
+
+    await transcribeAudio(audio, 'audio/webm', { tenant: 'comercio-stt' });
+    await transcribeAudio(audio, 'audio/webm');
+
+    expect((await getQuotaStatus('comercio-stt', 'stt_bytes')).used).toBe(audio.length);
+  });
+
+  it('envía el audio a Whisper con el idioma de la voz del inquilino', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { text: 'hello' } });
+
+    const transcript = await transcribeAudio(Buffer.from('wav'), 'audio/wav', {
+      config: { voice: { language: 'en-US' } },
+      apiKey: 'sk-test',
+    });
+
+    expect(transcript).toBe('hello');
+    const [url, form, { headers }] = post.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/audio/transcriptions');
+    expect(form.get('model')).toBe('whisper-1');
+    expect(form.get('language')).toBe('en');
+    expect(form.get('file').name).toBe('audio.wav');
+    expect(headers.Authorization).toBe('Bearer sk-test');
+  });
+
+  it('usa el proveedor por defecto si el del inquilino es desconocido', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(getSTTProvider({ config: { stt: { provider: 'otro' } } }).name).toBe('openai');
+  });
+
+  it('no envía la clave de la plataforma a una URL del inquilino no aprobada', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { text: 'hola' } });
+    process.env.STT_BASE_URL = 'http://whisper.interno/v1';
+
+    await transcribeAudio(Buffer.from('wav'), 'audio/wav', {
+      config: { stt: { provider: 'openai-compatible', baseURL: 'https://atacante.test/v1' } },
+      apiKey: 'sk-plataforma',
+    });
+    delete process.env.STT_BASE_URL;
+
+    const [url, , { headers }] = post.mock.calls[0];
+    expect(url).toBe('http://whisper.interno/v1/audio/transcriptions');
+    expect(headers.Authorization).not.toContain('sk-plataforma');
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../api/components/prompt-templates/template.dao', () => ({
+  findActiveTemplate: jest.fn(async () => null),
+  findTemplateVersion: jest.fn(async () => null),
+  findLatestVersionNumber: jest.fn(),
+  createTemplateVersion: jest.fn(),
+  activateTemplateVersion: jest.fn(),
+}));
+
+const {
+  renderTemplate,
+  validateTemplate,
+  mergeTemplates,
+  getTenantTemplate,
+  invalidateTemplateCache,
+  canManageTemplates,
+  saveTemplateVersion,
+} = require('../api/components/prompt-templates/template.service');
+const { DEFAULT_TEMPLATE } = require('../api/components/prompt-templates/template.defaults');
+const dao = require('../api/components/prompt-templates/template.dao');
+
+describe('renderTemplate', () => {
+  it('sustituye las variables conocidas y deja intactas las demás', () => {
+    expect(renderTemplate('Hola {{ domain }}, {{otra}}', { domain: 'tienda.test' })).toBe('Hola tienda.test, {{otra}}');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('acepta los campos válidos y agrega siempre la acción none', () => {
+    const { template, errors } = validateTemplate({
+      tone: 'formal',
+      currency: 'US$',
+      allowedActions: ['show_product'],
+      phrases: { notFound: { message: 'No lo tenemos.', audio_description: 'No está.' } },
+    });
+
+    expect(errors).toBeUndefined();
+    expect(template).toEqual({
+      tone: 'formal',
+      currency: 'US$',
+      allowedActions: ['show_product', 'none'],
+      phrases: { notFound: { message: 'No lo tenemos.', audio_description: 'No está.' } },
+    });
+  });
+
+  it('rechaza campos desconocidos, variables inexistentes y acciones no soportadas', () => {
+    const { errors } = validateTemplate({
+      color: 'rojo',
+      systemPrompt: 'Eres {{persona}}',
+      catalogPrompt: 'Sin catálogo',
+      allowedActions: ['borrar_todo'],
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'Campo desconocido: color',
+      'systemPrompt usa variables desconocidas: persona',
+      'catalogPrompt debe incluir {{catalog}}',
+    ]));
+    expect(errors.some(e => e.startsWith('allowedActions'))).toBe(true);
+  });
+});
+
+describe('plantilla efectiva', () => {
+  beforeEach(() => {
+    invalidateTemplateCache('tienda.test');
+  });
+
+  it('combina los grupos de respuestas por clave', () => {
+    const merged = mergeTemplates({ fallbackReplies: { error: { message: 'Ups', audio_description: '' } } });
+
+    expect(merged.fallbackReplies.error.message).toBe('Ups');
+    expect(merged.fallbackReplies.emptyCatalog).toEqual(DEFAULT_TEMPLATE.fallbackReplies.emptyCatalog);
+  });
+
+  it('la versión guardada tiene prioridad sobre config.assistant, que ignora valores inválidos', async () => {
+    dao.findActiveTemplate.mockResolvedValueOnce({ version: 3, template: { tone: 'divertido' } });
+
+    const template = await getTenantTemplate('tienda.test', { assistant: { tone: 'formal', currency: 'US$' } });
+    expect(template).toMatchObject({ version: 3, tone: 'divertido', currency: 'US$' });
+
+    const invalid = await getTenantTemplate('otra.test', { assistant: { currency: 42 } });
+    expect(invalid).toMatchObject({ version: 0, currency: DEFAULT_TEMPLATE.currency });
+  });
+
+  it('devuelve null si la versión pedida no existe', async () => {
+    expect(await getTenantTemplate('tienda.test', {}, { version: 9 })).toBeNull();
+  });
+});
+
+describe('canManageTemplates', () => {
+  it('solo autoriza al comercio dueño según la configuración de negocio, o a un admin', () => {
+    const config = { merchandId: 'merchant-1' };
+
+    expect(canManageTemplates(config, { role: 'merchant', merchandId: 'merchant-1' })).toBe(true);
+    expect(canManageTemplates(config, { role: 'merchant', merchandId: 'merchant-2' })).toBe(false);
+    expect(canManageTemplates({}, { role: 'merchant', merchandId: 'merchant-1' })).toBe(false);
+    expect(canManageTemplates({}, { role: 'merchant' })).toBe(false);
+    expect(canManageTemplates({}, { role: 'admin' })).toBe(true);
+  });
+});
+
+describe('saveTemplateVersion', () => {
+  const user = { id: 'merchant-user' };
+  const config = { merchandId: 'merchant-1' };
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reintenta con el siguiente número si otro guardado tomó la versión', async () => {
+    dao.findLatestVersionNumber.mockResolvedValueOnce(2).mockResolvedValueOnce(3);
+    dao.createTemplateVersion
+      .mockResolvedValueOnce(null)
+      .mockImplementationOnce(async data => ({ ...data, active: false }));
+    dao.activateTemplateVersion.mockImplementation(async (domain, version) => ({ domain, version, active: true }));
+
+    const saved = await saveTemplateVersion('tienda.test', user, { tone: 'cercano' }, { config });
+
+    expect(dao.createTemplateVersion.mock.calls.map(([data]) => data.version)).toEqual([3, 4]);
+    expect(dao.activateTemplateVersion).toHaveBeenCalledWith('tienda.test', 4);
+    expect(saved).toMatchObject({ version: 4, active: true });
+  });
+
+  it('se rinde si los guardados simultáneos no dejan de chocar', async () => {
+    dao.findLatestVersionNumber.mockResolvedValue(1);
+    dao.createTemplateVersion.mockResolvedValue(null);
+
+    expect(await saveTemplateVersion('tienda.test', user, { tone: 'cercano' }, { config })).toBeNull();
+    expect(dao.activateTemplateVersion).not.toHaveBeenCalled();
+  });
+});
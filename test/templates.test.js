@@ -0,0 +1,139 @@
+const request = require('supertest');
+const axios = require('axios');
+const {
+  TEST_DOMAIN,
+  TEST_USER,
+  startTestApp,
+  stopTestApp,
+  signToken,
+  buildProduct,
+} = require('./helpers/testApp');
+
+describe('/prompt-templates', () => {
+  let app;
+  let Product;
+  let provider;
+
+  const merchantToken = (claims = {}) => signToken({ role: 'merchant', ...claims });
+
+  beforeAll(async () => {
+    ({ app, Product } = await startTestApp());
+    const { getLLMProvider } = require('../api/components/llm/llm.service');
+    provider = getLLMProvider({});
+
+    await Product.create(buildProduct());
+  });
+
+  beforeEach(() => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test', merchandId: TEST_USER.merchandId }] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  it('exige el rol merchant o admin', async () => {
+    const res = await request(app)
+      .get(`/prompt-templates/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${signToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('rechaza plantillas inválidas', async () => {
+    const res = await request(app)
+      .post(`/prompt-templates/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${merchantToken()}`)
+      .send({ template: { systemPrompt: 'Eres {{persona}}' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('persona');
+  });
+
+  it('versiona la plantilla, la usa en el chat y permite volver atrás', async () => {
+    const first = await request(app)
+      .post(`/prompt-templates/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${merchantToken()}`)
+      .send({ template: { tone: 'formal y directo', currency: 'US$' }, note: 'Tono formal' });
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ version: 1, active: true });
+
+    const second = await request(app)
+      .post(`/prompt-templates/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${merchantToken()}`)
+      .send({ template: { tone: 'divertido' } });
+    expect(second.body).toMatchObject({ version: 2, active: true });
+
+    const complete = jest.spyOn(provider, 'complete');
+    await request(app)
+      .post('/chatbot/question')
+      .set('Authorization', `Bearer ${signToken()}`)
+      .send({ domain: TEST_DOMAIN, userMessage: 'zapatillas' });
+    const [systemMessage, catalogMessage] = complete.mock.calls[0][0];
+    expect(systemMessage.content).toContain('experto, divertido, para la tienda');
+    expect(catalogMessage.content).toContain('Precio: S/200');
+
+    const activated = await request(app)
+      .post(`/prompt-templates/${TEST_DOMAIN}/versions/1/activate`)
+      .set('Authorization', `Bearer ${merchantToken()}`);
+    expect(activated.body).toMatchObject({ version: 1, active: true });
+
+    const listed = await request(app)
+      .get(`/prompt-templates/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${merchantToken()}`);
+    expect(listed.body.template).toMatchObject({ version: 1, tone: 'formal y directo', currency: 'US$' });
+    expect(listed.body.versions.map(v => [v.version, v.active])).toEqual([[2, false], [1, true]]);
+  });
+
+  it('muestra la vista previa de una versión concreta', async () => {
+    const res = await request(app)
+      .get(`/prompt-templates/${TEST_DOMAIN}/preview?version=2`)
+      .set('Authorization', `Bearer ${merchantToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(2);
+    expect(res.body.systemPrompt).toContain('divertido');
+
+    const missing = await request(app)
+      .get(`/prompt-templates/${TEST_DOMAIN}/preview?version=99`)
+      .set('Authorization', `Bearer ${merchantToken()}`);
+    expect(missing.status).toBe(404);
+  });
+
+  it('solo el comercio dueño o un admin gestionan las plantillas del dominio', async () => {
+    const other = await request(app)
+      .post(`/prompt-templates/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${merchantToken({ merchandId: 'merchant-2' })}`)
+      .send({ template: { tone: 'agresivo' } });
+    expect(other.status).toBe(403);
+
+    const preview = await request(app)
+      .get(`/prompt-templates/${TEST_DOMAIN}/preview`)
+      .set('Authorization', `Bearer ${merchantToken({ merchandId: 'merchant-2' })}`);
+    expect(preview.status).toBe(403);
+
+    const admin = await request(app)
+      .get(`/prompt-templates/${TEST_DOMAIN}`)
+      .set('Authorization', `Bearer ${signToken({ role: 'admin', merchandId: 'merchant-2' })}`);
+    expect(admin.status).toBe(200);
+  });
+
+  it('no deja que un comercio reclame un dominio sin dueño en la configuración', async () => {
+    axios.get.mockResolvedValue({ data: [{ name: 'Otra Tienda' }] });
+
+    const res = await request(app)
+      .post('/prompt-templates/otra-tienda.test')
+      .set('Authorization', `Bearer ${merchantToken()}`)
+      .send({ template: { tone: 'agresivo' } });
+    expect(res.status).toBe(403);
+
+    const preview = await request(app)
+      .get('/prompt-templates/otra-tienda.test/preview')
+      .set('Authorization', `Bearer ${merchantToken()}`);
+    expect(preview.status).toBe(403);
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const axios = require('axios');
+
+const mockSynthesizeSpeech = jest.fn();
+
+jest.mock('aws-sdk', () => ({
+  config: { update: jest.fn() },
+  Polly: jest.fn(() => ({ synthesizeSpeech: mockSynthesizeSpeech })),
+}));
+
+const { TEST_DOMAIN, startTestApp, stopTestApp, signToken } = require('./helpers/testApp');
+
+describe('POST /textvoice/speak', () => {
+  let app;
+  // Sintetizar audio nuevo exige el token de un comercio.
+  const speak = () => request(app).post('/textvoice/speak').set('Authorization', `Bearer ${signToken()}`);
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-test-'));
+
+  beforeAll(async () => {
+    process.env.TTS_CACHE_DIR = cacheDir;
+    ({ app } = await startTestApp());
+  });
+
+  afterEach(() => {
+    mockSynthesizeSpeech.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('exige el texto a sintetizar', async () => {
+    const res = await speak().send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Texto requerido');
+  });
+
+  it('devuelve el audio generado por Polly', async () => {
+    mockSynthesizeSpeech.mockReturnValue({ promise: () => Promise.resolve({ AudioStream: Buffer.from('mp3-data') }) });
+
+    const res = await speak().send({ text: 'Hola' }).responseType('blob');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('audio/mpeg');
+    expect(res.body.toString()).toBe('mp3-data');
+    expect(mockSynthesizeSpeech).toHaveBeenCalledWith(expect.objectContaining({ Text: 'Hola', VoiceId: 'Mia' }));
+  });
+
+  it('acepta voz, formato y velocidad con SSML escapado', async () => {
+    mockSynthesizeSpeech.mockReturnValue({ promise: () => Promise.resolve({ AudioStream: Buffer.from('ogg-data') }) });
+
+    const res = await speak()
+      .send({ text: 'Cuesta <S/ 10> & más', voice: 'Lucia', format: 'ogg_vorbis', rate: 'fast' })
+      .responseType('blob');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('audio/ogg');
+    expect(mockSynthesizeSpeech).toHaveBeenCalledWith(expect.objectContaining({
+      VoiceId: 'Lucia',
+      LanguageCode: 'es-ES',
+      OutputFormat: 'ogg_vorbis',
+      TextType: 'ssml',
+      Text: '<speak><prosody rate="fast">Cuesta &lt;S/ 10&gt; &amp; más</prosody></speak>',
+    }));
+  });
+
+  it('usa los valores por defecto de voz del inquilino', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test', voice: { voice: 'Pedro', format: 'pcm' } }] });
+    mockSynthesizeSpeech.mockReturnValue({ promise: () => Promise.resolve({ AudioStream: Buffer.from('pcm-data') }) });
+
+    const res = await speak().send({ text: 'Hola', domain: TEST_DOMAIN }).responseType('blob');
+
+    expect(res.headers['content-type']).toBe('audio/pcm');
+    expect(mockSynthesizeSpeech).toHaveBeenCalledWith(expect.objectContaining({
+      VoiceId: 'Pedro', LanguageCode: 'es-US', OutputFormat: 'pcm', SampleRate: '16000', TextType: 'text',
+    }));
+  });
+
+  it('rechaza opciones fuera de la lista blanca', async () => {
+    const res = await speak().send({ text: 'Hola', format: 'wav' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Formato no soportado/);
+    expect(mockSynthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('reutiliza el audio cacheado y responde con ETag y Cache-Control', async () => {
+    mockSynthesizeSpeech.mockReturnValue({ promise: () => Promise.resolve({ AudioStream: Buffer.from('error-mp3') }) });
+
+    const first = await speak().send({ text: 'Lo siento, ocurrió un error.' }).responseType('blob');
+    const second = await speak().send({ text: '  Lo siento,  ocurrió un error. ' }).responseType('blob');
+
+    expect(mockSynthesizeSpeech).toHaveBeenCalledTimes(1);
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body.toString()).toBe('error-mp3');
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(second.headers['cache-control']).toBe('public, max-age=86400');
+
+    const revalidated = await request(app)
+      .get('/textvoice/speak')
+      .query({ text: 'Lo siento, ocurrió un error.' })
+      .set('If-None-Match', first.headers.etag);
+    expect(revalidated.status).toBe(304);
+    expect(mockSynthesizeSpeech).toHaveBeenCalledTimes(1);
+  });
+
+  it('sin token solo sirve audio ya cacheado y no imputa nada al dominio indicado', async () => {
+    mockSynthesizeSpeech.mockReturnValue({ promise: () => Promise.resolve({ AudioStream: Buffer.from('mp3-data'), RequestCharacters: 5 }) });
+    await speak().send({ text: 'Audio compartido' });
+
+    const cached = await request(app).post('/textvoice/speak').send({ text: 'Audio compartido' }).responseType('blob');
+    expect(cached.status).toBe(200);
+    expect(cached.headers['x-cache']).toBe('HIT');
+
+    const uncached = await request(app).post('/textvoice/speak').send({ text: 'Audio nuevo', domain: TEST_DOMAIN });
+    expect(uncached.status).toBe(401);
+    expect(uncached.body.error).toBe('Se requiere autenticación para generar audio nuevo');
+    expect(mockSynthesizeSpeech).toHaveBeenCalledTimes(1);
+  });
+
+  it('GET /textvoice/voices lista las voces disponibles con los valores por defecto', async () => {
+    const res = await request(app).get('/textvoice/voices?language=es-MX');
+
+    expect(res.status).toBe(200);
+    expect(res.body.voices.map(v => v.id)).toEqual(['Mia', 'Andres']);
+    expect(res.body.formats).toEqual(['mp3', 'ogg_vorbis', 'pcm']);
+    expect(res.body.defaults).toMatchObject({ voice: 'Mia', format: 'mp3' });
+  });
+
+  it('responde 500 si Polly falla', async () => {
+    mockSynthesizeSpeech.mockReturnValue({ promise: () => Promise.reject(new Error('Polly caído')) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await speak().send({ text: 'Hola de nuevo' });
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Error generando audio');
+  });
+});
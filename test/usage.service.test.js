@@ -0,0 +1,97 @@
+const { createMemoryStore } = require('../api/components/usage/stores/memory.store');
+const {
+  getTenantKey,
+  recordUsage,
+  getQuotaStatus,
+  trackProviderUsage,
+} = require('../api/components/usage/usage.service');
+const { createMockProvider } = require('../api/components/llm/providers/mock.provider');
+
+describe('almacén de contadores en memoria', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('acumula dentro de la ventana y empieza de cero al terminar', async () => {
+    jest.useFakeTimers();
+    const store = createMemoryStore();
+    const resetAt = new Date(Date.now() + 1000);
+
+    await store.increment('k', 2, resetAt);
+    const counter = await store.increment('k', 3, new Date(Date.now() + 5000));
+    expect(counter).toEqual({ count: 5, resetAt });
+
+    jest.advanceTimersByTime(1500);
+    expect(await store.get('k')).toBeNull();
+    expect((await store.increment('k', 1, new Date(Date.now() + 1000))).count).toBe(1);
+  });
+});
+
+describe('cuotas mensuales', () => {
+  afterEach(() => {
+    delete process.env.QUOTA_OPENAI_TOKENS_MONTHLY;
+  });
+
+  it('imputa el uso al comercio del token, nunca al dominio', () => {
+    expect(getTenantKey({ merchandId: 'm1', domain: 'tienda.test' })).toBe('m1');
+    expect(getTenantKey({ domain: 'tienda.test' })).toBeNull();
+    expect(getTenantKey({})).toBeNull();
+  });
+
+  it('sin límite configurado la cuota nunca se supera', async () => {
+    await recordUsage('sin-limite', 'openai_tokens', 1e9);
+
+    const quota = await getQuotaStatus('sin-limite', 'openai_tokens');
+    expect(quota).toMatchObject({ limit: null, used: 1e9, remaining: null, exceeded: false });
+  });
+
+  it('usa el límite del inquilino antes que el de entorno y reinicia el mes siguiente', async () => {
+    process.env.QUOTA_OPENAI_TOKENS_MONTHLY = '1000';
+    await recordUsage('comercio-a', 'openai_tokens', 150);
+
+    expect(await getQuotaStatus('comercio-a', 'openai_tokens')).toMatchObject({ limit: 1000, used: 150, remaining: 850, exceeded: false });
+
+    const quota = await getQuotaStatus('comercio-a', 'openai_tokens', { merchandId: 'comercio-a', quotas: { openaiTokens: 100 } });
+    expect(quota).toMatchObject({ limit: 100, remaining: 0, exceeded: true });
+
+    const now = new Date();
+    expect(quota.resetAt).toEqual(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)));
+  });
+
+  it('ignora los límites de la configuración de otro comercio', async () => {
+    process.env.QUOTA_OPENAI_TOKENS_MONTHLY = '100';
+    await recordUsage('comercio-d', 'openai_tokens', 150);
+
+    for (const config of [{ merchandId: 'otro', quotas: { openaiTokens: 0 } }, { quotas: { openaiTokens: 1e9 } }]) {
+      expect(await getQuotaStatus('comercio-d', 'openai_tokens', config)).toMatchObject({ limit: 100, exceeded: true });
+    }
+  });
+
+  it('las métricas se cuentan por separado', async () => {
+    await recordUsage('comercio-b', 'polly_characters', 40);
+
+    expect((await getQuotaStatus('comercio-b', 'polly_characters')).used).toBe(40);
+    expect((await getQuotaStatus('comercio-b', 'openai_tokens')).used).toBe(0);
+  });
+});
+
+describe('trackProviderUsage', () => {
+  it('imputa los tokens de cada llamada sin perder el resto del proveedor', async () => {
+    const provider = createMockProvider({ script: [{ reply: 'hola' }] });
+    const onUsage = jest.fn();
+    const tracked = trackProviderUsage(provider, 'comercio-c');
+
+    const content = await tracked.complete([{ role: 'user', content: 'ocho car' }], { onUsage });
+    await tracked.completeWithTools([{ role: 'user', content: 'ocho car' }]);
+
+    expect(content).toBe('hola');
+    expect(onUsage).toHaveBeenCalledWith({ prompt_tokens: 2, completion_tokens: 1, total_tokens: 3 });
+    expect(tracked.getEmbeddings()).toBe(provider.getEmbeddings());
+    expect((await getQuotaStatus('comercio-c', 'openai_tokens')).used).toBe(6);
+  });
+
+  it('sin comercio devuelve el proveedor tal cual', () => {
+    const provider = createMockProvider();
+    expect(trackProviderUsage(provider, null)).toBe(provider);
+  });
+});
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const axios = require('axios');
+const { TEST_DOMAIN, startTestApp, stopTestApp, signToken, buildProduct } = require('./helpers/testApp');
+
+describe('límites de peticiones y cuotas', () => {
+  let app;
+
+  const ask = (token, body = { domain: TEST_DOMAIN, userMessage: 'hola' }) => request(app)
+    .post('/chatbot/question')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    process.env.CHAT_TENANT_RATE_LIMIT_MAX = '3';
+    process.env.QUOTA_OPENAI_TOKENS_MONTHLY = '1';
+    let Product;
+    ({ app, Product } = await startTestApp());
+    await Product.create(buildProduct());
+  });
+
+  beforeEach(() => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test' }] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  it('limita las peticiones de un comercio aunque vengan de usuarios distintos', async () => {
+    const body = { domain: TEST_DOMAIN }; // Petición inválida: cuenta igual, sin llamar al LLM.
+    for (const id of ['u1', 'u2', 'u3']) {
+      expect((await ask(signToken({ id, merchandId: 'merchant-rl' }), body)).status).toBe(400);
+    }
+
+    const res = await ask(signToken({ id: 'u4', merchandId: 'merchant-rl' }), body);
+
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ success: false, code: 'RATE_LIMITED', scope: 'tenant', limit: 3, remaining: 0 });
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+    expect(new Date(res.body.resetAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('rechaza con 429 al comercio que agotó su cuota de tokens', async () => {
+    const token = signToken({ merchandId: 'merchant-quota' });
+    expect((await ask(token)).status).toBe(200); // Consume tokens del proveedor simulado.
+
+    const res = await ask(token);
+
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ success: false, code: 'QUOTA_EXCEEDED', quota: 'openai_tokens', limit: 1 });
+    expect(res.body.used).toBeGreaterThan(1);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('muestra el uso del mes al comercio', async () => {
+    const res = await request(app)
+      .get('/usage')
+      .set('Authorization', `Bearer ${signToken({ merchandId: 'merchant-quota', role: 'merchant' })}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.tenant).toBe('merchant-quota');
+    expect(res.body.quotas.find(q => q.metric === 'openai_tokens')).toMatchObject({ limit: 1, exceeded: true });
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  DEFAULT_K,
+  MIN_K,
+  MAX_K,
+  parseSearchQuery,
+  collectCategories,
+  buildProductFilter,
+} = require('../api/components/vector-search/vector.query');
+
+describe('parseSearchQuery', () => {
+  it('extrae el precio máximo y la categoría', () => {
+    const query = parseSearchQuery('zapatillas de menos de 150 soles', { categories: ['zapatillas', 'polos'] });
+
+    expect(query).toMatchObject({ minPrice: null, maxPrice: 150, categories: ['zapatillas'], onSale: false });
+    expect(query.keywords).toEqual(['zapatillas']);
+  });
+
+  it('entiende rangos, singulares y tildes', () => {
+    const query = parseSearchQuery('Busco una zapatilla entre S/ 80 y 120', { categories: ['zapatillas-urbanas', 'zapatillas'] });
+
+    expect(query).toMatchObject({ minPrice: 80, maxPrice: 120, categories: ['zapatillas'] });
+    expect(parseSearchQuery('algo de más de 200').minPrice).toBe(200);
+    expect(parseSearchQuery('no más de 99,90')).toMatchObject({ minPrice: null, maxPrice: 99.9 });
+  });
+
+  it('detecta la intención de ofertas y disponibilidad', () => {
+    expect(parseSearchQuery('¿Qué tienen en oferta?')).toMatchObject({ onSale: true, available: false });
+    expect(parseSearchQuery('relojes disponibles con descuento')).toMatchObject({ onSale: true, available: true });
+    // "¿Cuánto sale?" pregunta el precio, no por ofertas.
+    expect(parseSearchQuery('¿Cuánto sale el reloj?').onSale).toBe(false);
+  });
+
+  it('adapta k a la amplitud de la consulta', () => {
+    expect(parseSearchQuery('reloj').k).toBe(DEFAULT_K);
+    expect(parseSearchQuery('ofertas').k).toBe(MAX_K);
+    expect(parseSearchQuery('muéstrame el catálogo').k).toBe(MAX_K);
+    expect(parseSearchQuery('reloj inteligente acuático gps').k).toBe(MIN_K);
+  });
+});
+
+describe('collectCategories', () => {
+  it('devuelve los slugs distintos del catálogo', () => {
+    const products = [
+      { category: [{ slug: 'polos' }, { slug: 'ofertas' }] },
+      { category: [{ slug: 'polos' }] },
+      {},
+    ];
+
+    expect(collectCategories(products)).toEqual(['polos', 'ofertas']);
+  });
+});
+
+describe('buildProductFilter', () => {
+  it('filtra por precio efectivo, categoría, ofertas y disponibilidad', () => {
+    const filter = buildProductFilter('tienda.test', {
+      minPrice: null,
+      maxPrice: 150,
+      categories: ['zapatillas'],
+      onSale: true,
+      available: true,
+    });
+
+    expect(filter).toEqual({
+      domain: 'tienda.test',
+      'is_trash.status': { $ne: true },
+      'category.slug': { $in: ['zapatillas'] },
+      is_available: { $ne: false },
+      stock: { $not: { $lte: 0 } },
+      'price.sale': { $gt: 0 },
+      $expr: { $lt: ['$price.sale', '$price.regular'] },
+      $or: [
+        { 'price.sale': { $gt: 0, $lte: 150 } },
+        { 'price.sale': { $not: { $gt: 0 } }, 'price.regular': { $lte: 150 } },
+      ],
+    });
+  });
+
+  it('sin filtros solo restringe el dominio y la papelera', () => {
+    const filter = buildProductFilter('tienda.test', parseSearchQuery('hola'));
+
+    expect(filter).toEqual({ domain: 'tienda.test', 'is_trash.status': { $ne: true } });
+  });
+});
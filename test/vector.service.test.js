@@ -0,0 +1,168 @@
+jest.mock('../api/components/vector-search/vector.dao', () => {
+  // Colección de embeddings en memoria: `${domain}|${embeddingKey}|${productId}` → registro.
+  const records = new Map();
+  const inScope = (domain, embeddingKey) => [...records.values()]
+    .filter(r => r.domain === domain && r.embeddingKey === embeddingKey);
+
+  return {
+    records,
+    findEmbeddingHashes: jest.fn(async (domain, embeddingKey) => inScope(domain, embeddingKey)
+      .map(({ productId, contentHash }) => ({ productId, contentHash }))),
+    findEmbeddings: jest.fn(async (domain, embeddingKey) => inScope(domain, embeddingKey)
+      .map(({ productId, embedding }) => ({ productId, embedding }))),
+    upsertEmbeddings: jest.fn(async (domain, embeddingKey, items) => {
+      items.forEach(item => records.set(`${domain}|${embeddingKey}|${item.productId}`, { domain, embeddingKey, ...item }));
+    }),
+    deleteEmbeddings: jest.fn(async (domain, embeddingKey, productIds) => {
+      productIds.forEach(productId => records.delete(`${domain}|${embeddingKey}|${productId}`));
+    }),
+    deleteDomainEmbeddings: jest.fn(async (domain) => {
+      [...records.entries()].filter(([, r]) => r.domain === domain).forEach(([key]) => records.delete(key));
+    }),
+    vectorSearchEmbeddings: jest.fn(),
+    findProductIdsByFilter: jest.fn(async () => []),
+    findProductIdsByText: jest.fn(async () => []),
+  };
+});
+
+const vectorDao = require('../api/components/vector-search/vector.dao');
+const {
+  searchProducts,
+  hybridSearchProducts,
+  invalidateVectorStores,
+  backfillDomain,
+} = require('../api/components/vector-search/vector.service');
+const { createMockProvider } = require('../api/components/llm/providers/mock.provider');
+
+const product = (id, title, description = '', extra = {}) => ({
+  _id: { toString: () => id },
+  title,
+  description_short: description,
+  ...extra,
+});
+
+describe('searchProducts', () => {
+  let provider;
+  let embedDocuments;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    provider = createMockProvider({ script: [] });
+    embedDocuments = jest.spyOn(provider.getEmbeddings(), 'embedDocuments');
+  });
+
+  afterEach(async () => {
+    await invalidateVectorStores('tienda.test', { purge: true });
+    jest.restoreAllMocks();
+  });
+
+  it('encuentra el producto más parecido a la consulta', async () => {
+    const products = [product('1', 'Zapatillas rojas'), product('2', 'Reloj inteligente')];
+
+    await expect(searchProducts('tienda.test', products, 'reloj', provider, 1)).resolves.toEqual(['2']);
+  });
+
+  it('solo re-embebe los productos nuevos o modificados', async () => {
+    const initial = [product('1', 'Zapatillas rojas'), product('2', 'Reloj inteligente')];
+    await searchProducts('tienda.test', initial, 'reloj', provider);
+    expect(embedDocuments).toHaveBeenLastCalledWith([expect.any(String), expect.any(String)]);
+
+    const updated = [product('1', 'Zapatillas rojas'), product('2', 'Reloj inteligente', 'Ahora con GPS'), product('3', 'Mochila')];
+    const results = await searchProducts('tienda.test', updated, 'mochila', provider, 3);
+
+    expect(embedDocuments).toHaveBeenCalledTimes(2);
+    expect(embedDocuments.mock.calls[1][0]).toEqual([
+      'Nombre: Reloj inteligente, Descripción: Ahora con GPS',
+      'Nombre: Mochila, Descripción: ',
+    ]);
+    expect(results).toHaveLength(3);
+    expect(results[0]).toBe('3');
+  });
+
+  it('elimina del índice los productos que ya no existen', async () => {
+    await searchProducts('tienda.test', [product('1', 'Zapatillas rojas'), product('2', 'Reloj')], 'reloj', provider);
+
+    const results = await searchProducts('tienda.test', [product('1', 'Zapatillas rojas')], 'reloj', provider, 5);
+
+    expect(results).toEqual(['1']);
+    expect(vectorDao.records.size).toBe(1);
+  });
+
+  it('reutiliza los embeddings persistidos tras perder la caché en memoria', async () => {
+    const products = [product('1', 'Zapatillas rojas'), product('2', 'Reloj inteligente')];
+    await backfillDomain('tienda.test', products, provider);
+    expect(embedDocuments).toHaveBeenCalledTimes(1);
+
+    // Simula un arranque en frío de otra réplica: nueva lista de productos, misma colección.
+    await invalidateVectorStores('tienda.test');
+    const results = await searchProducts('tienda.test', products.map(p => ({ ...p })), 'reloj', provider, 1);
+
+    expect(embedDocuments).toHaveBeenCalledTimes(1);
+    expect(results).toEqual(['2']);
+  });
+
+  it('vuelve a embeber todo el catálogo tras purgar el dominio', async () => {
+    const products = [product('1', 'Zapatillas rojas')];
+    await searchProducts('tienda.test', products, 'zapatillas', provider);
+
+    await invalidateVectorStores('tienda.test', { purge: true });
+    await searchProducts('tienda.test', products, 'zapatillas', provider);
+
+    expect(embedDocuments).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('hybridSearchProducts', () => {
+  let provider;
+
+  const catalog = [
+    product('1', 'Zapatillas Runner', 'Para correr', { category: [{ slug: 'zapatillas' }], price: { regular: 200 } }),
+    product('2', 'Zapatillas Urbanas', 'Para la ciudad', { category: [{ slug: 'zapatillas' }], price: { regular: 120 } }),
+    product('3', 'Reloj inteligente', 'Con GPS', { category: [{ slug: 'relojes' }], price: { regular: 300 } }),
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    provider = createMockProvider({ script: [] });
+  });
+
+  afterEach(async () => {
+    await invalidateVectorStores('tienda.test', { purge: true });
+    jest.restoreAllMocks();
+  });
+
+  it('restringe los candidatos con los filtros estructurados', async () => {
+    vectorDao.findProductIdsByFilter.mockResolvedValueOnce(['2']);
+
+    const { productIds, query, filtered } = await hybridSearchProducts('tienda.test', catalog, 'zapatillas de menos de 150 soles', provider);
+
+    expect(vectorDao.findProductIdsByFilter).toHaveBeenCalledWith(expect.objectContaining({
+      domain: 'tienda.test',
+      'category.slug': { $in: ['zapatillas'] },
+    }));
+    expect(query).toMatchObject({ maxPrice: 150, categories: ['zapatillas'] });
+    expect(filtered).toBe(true);
+    expect(productIds).toEqual(['2']);
+  });
+
+  it('ignora los filtros si ningún producto los cumple', async () => {
+    const { productIds, filtered } = await hybridSearchProducts('tienda.test', catalog, 'reloj inteligente de menos de 10 soles', provider);
+
+    expect(filtered).toBe(false);
+    expect(productIds[0]).toBe('3');
+  });
+
+  it('fusiona el ranking de palabras clave con el vectorial', async () => {
+    vectorDao.findProductIdsByText.mockResolvedValueOnce(['1']);
+
+    const { productIds } = await hybridSearchProducts('tienda.test', catalog, 'zapatillas para correr', provider);
+
+    expect(vectorDao.findProductIdsByText).toHaveBeenCalledWith(
+      expect.objectContaining({ domain: 'tienda.test' }),
+      'zapatillas correr',
+      expect.any(Number),
+    );
+    expect(productIds[0]).toBe('1');
+    expect(productIds).toHaveLength(3);
+  });
+});
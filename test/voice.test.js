@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const axios = require('axios');
+
+const mockSynthesizeSpeech = jest.fn();
+
+jest.mock('aws-sdk', () => ({
+  config: { update: jest.fn() },
+  Polly: jest.fn(() => ({ synthesizeSpeech: mockSynthesizeSpeech })),
+}));
+
+const {
+  TEST_DOMAIN,
+  startTestApp,
+  stopTestApp,
+  signToken,
+  buildProduct,
+} = require('./helpers/testApp');
+
+describe('POST /chatbot/question/voice', () => {
+  let app;
+  let Conversation;
+  let Product;
+  let provider;
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-test-'));
+
+  const askVoice = body => request(app)
+    .post('/chatbot/question/voice')
+    .set('Authorization', `Bearer ${signToken()}`)
+    .send({ domain: TEST_DOMAIN, userMessage: 'hola', ...body });
+
+  beforeAll(async () => {
+    process.env.TTS_CACHE_DIR = cacheDir;
+    ({ app, Conversation, Product } = await startTestApp());
+    const { getLLMProvider } = require('../api/components/llm/llm.service');
+    provider = getLLMProvider({});
+
+    await Product.create(buildProduct());
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test' }] });
+    mockSynthesizeSpeech.mockReturnValue({ promise: () => Promise.resolve({ AudioStream: Buffer.from('voz-mp3') }) });
+    await Conversation.deleteMany({});
+  });
+
+  afterEach(() => {
+    mockSynthesizeSpeech.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('exige autenticación', async () => {
+    const res = await request(app).post('/chatbot/question/voice').send({ domain: TEST_DOMAIN, userMessage: 'hola' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('devuelve la respuesta y el audio de audio_description en base64', async () => {
+    jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+      message: 'Tenemos zapatillas para correr.',
+      audio_description: 'Tenemos zapatillas.',
+      action: { type: 'none' },
+    }));
+
+    const res = await askVoice({ voice: 'Lupe' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.assistantMessage.message).toBe('Tenemos zapatillas para correr.');
+    expect(res.body.audio).toEqual({ format: 'mp3', contentType: 'audio/mpeg', base64: Buffer.from('voz-mp3').toString('base64') });
+    expect(mockSynthesizeSpeech).toHaveBeenCalledWith(expect.objectContaining({ Text: 'Tenemos zapatillas.', VoiceId: 'Lupe' }));
+  });
+
+  it('puede devolver una URL firmada de corta duración al clip cacheado', async () => {
+    const res = await askVoice({ audioDelivery: 'url' });
+    expect(res.body.audio.url).toMatch(/^\/textvoice\/clips\//);
+
+    const clip = await request(app).get(res.body.audio.url).responseType('blob');
+    expect(clip.status).toBe(200);
+    expect(clip.headers['content-type']).toBe('audio/mpeg');
+    expect(clip.body.toString()).toBe('voz-mp3');
+
+    const tampered = await request(app).get(`${res.body.audio.url.slice(0, -2)}xx`);
+    expect(tampered.status).toBe(404);
+  });
+
+  it('valida las opciones de voz antes de llamar al LLM', async () => {
+    const complete = jest.spyOn(provider, 'complete');
+
+    const res = await askVoice({ voice: 'Hal' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Voz no soportada: Hal');
+    expect(complete).not.toHaveBeenCalled();
+  });
+
+  it('mantiene la respuesta si falla la síntesis', async () => {
+    mockSynthesizeSpeech.mockReturnValue({ promise: () => Promise.reject(new Error('Polly caído')) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await askVoice({ userMessage: 'algo distinto' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.assistantMessage.message).toBeTruthy();
+    expect(res.body.audio).toBeNull();
+  });
+});
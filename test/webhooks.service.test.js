@@ -0,0 +1,199 @@
+jest.mock('../api/components/webhooks/webhooks.dao', () => ({
+  findWebhooks: jest.fn(),
+  findMerchantWebhookById: jest.fn(),
+  findWebhookById: jest.fn(),
+  createWebhook: jest.fn(),
+  updateMerchantWebhook: jest.fn(),
+  deleteMerchantWebhook: jest.fn(),
+  createDeliveries: jest.fn(),
+  findDeliveryById: jest.fn(),
+  findMerchantDeliveryById: jest.fn(),
+  claimDelivery: jest.fn(),
+  updateDelivery: jest.fn(),
+  findDeliveries: jest.fn(),
+  countDeliveries: jest.fn(),
+  findPendingDeliveries: jest.fn(),
+}));
+
+const axios = require('axios');
+const dns = require('dns');
+const dao = require('../api/components/webhooks/webhooks.dao');
+const { signPayload, verifySignature } = require('../api/components/webhooks/webhooks.signature');
+const { emitWebhookEvent, deliverWebhook, registerWebhook } = require('../api/components/webhooks/webhooks.service');
+
+const WEBHOOK = { _id: 'w1', merchandId: 'merchant-1', url: 'https://crm.test/hooks', secret: 'whsec_test', events: ['cart.item_added'], active: true };
+const DELIVERY = {
+  _id: 'd1',
+  webhookId: 'w1',
+  event: 'cart.item_added',
+  payload: { id: 'evt-1', event: 'cart.item_added', data: { quantity: 2 } },
+  status: 'pending',
+  attempts: 0,
+};
+
+describe('webhooks', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['Date'] });
+    dao.updateDelivery.mockImplementation(async (id, changes) => ({ ...DELIVERY, ...changes }));
+    dao.findWebhookById.mockResolvedValue(WEBHOOK);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('firma', () => {
+    it('verifica el cuerpo firmado y rechaza cambios o envíos antiguos', () => {
+      const now = Math.floor(Date.now() / 1000);
+      const body = '{"event":"chat.error"}';
+      const signature = signPayload('secreto', now, body);
+
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(verifySignature('secreto', { signature, timestamp: now, body })).toBe(true);
+      expect(verifySignature('secreto', { signature, timestamp: now, body: '{"event":"otro"}' })).toBe(false);
+      expect(verifySignature('otro', { signature, timestamp: now, body })).toBe(false);
+
+      const old = now - 3600;
+      expect(verifySignature('secreto', { signature: signPayload('secreto', old, body), timestamp: old, body })).toBe(false);
+    });
+  });
+
+  describe('emitWebhookEvent', () => {
+    it('crea un envío por webhook suscrito del dominio', async () => {
+      dao.findWebhooks.mockResolvedValue([WEBHOOK, { ...WEBHOOK, _id: 'w2', domain: 'otra.test' }]);
+      dao.createDeliveries.mockImplementation(async deliveries => deliveries.map((d, i) => ({ ...d, _id: `d${i}` })));
+
+      const deliveries = await emitWebhookEvent('cart.item_added', { domain: 'tienda.test', merchandId: 'merchant-1' }, { quantity: 2 });
+
+      expect(dao.findWebhooks).toHaveBeenCalledWith({ merchandId: 'merchant-1', active: true, events: 'cart.item_added' });
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({ webhookId: 'w1', event: 'cart.item_added' });
+      expect(deliveries[0].payload).toMatchObject({ event: 'cart.item_added', domain: 'tienda.test', data: { quantity: 2 } });
+      expect(jest.getTimerCount()).toBe(1);
+    });
+
+    it('no lanza si falla la base de datos', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      dao.findWebhooks.mockRejectedValue(new Error('sin conexión'));
+
+      await expect(emitWebhookEvent('chat.error', { domain: 'tienda.test', merchandId: 'merchant-1' })).resolves.toEqual([]);
+    });
+  });
+
+  describe('deliverWebhook', () => {
+    it('envía el evento firmado y lo marca como entregado', async () => {
+      dao.claimDelivery.mockResolvedValue(DELIVERY);
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 204 });
+
+      const delivery = await deliverWebhook('d1');
+
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 204 });
+      const [url, body, { headers }] = post.mock.calls[0];
+      expect(url).toBe(WEBHOOK.url);
+      expect(headers['X-Webhook-Event']).toBe('cart.item_added');
+      expect(verifySignature(WEBHOOK.secret, {
+        signature: headers['X-Webhook-Signature'],
+        timestamp: headers['X-Webhook-Timestamp'],
+        body,
+      })).toBe(true);
+    });
+
+    it('reintenta con espera exponencial y se rinde al agotar los intentos', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 500 });
+
+      dao.claimDelivery.mockResolvedValue({ ...DELIVERY, attempts: 1 });
+      const retried = await deliverWebhook('d1');
+      expect(retried).toMatchObject({ status: 'pending', attempts: 2, lastStatusCode: 500 });
+      expect(retried.nextAttemptAt.getTime() - Date.now()).toBeGreaterThan(59 * 1000); // 30 s × 2
+      expect(jest.getTimerCount()).toBe(1);
+
+      dao.claimDelivery.mockResolvedValue({ ...DELIVERY, attempts: 4 });
+      expect(await deliverWebhook('d1')).toMatchObject({ status: 'failed', attempts: 5, nextAttemptAt: null });
+    });
+
+    it('da por fallido el envío si el webhook ya no existe', async () => {
+      dao.claimDelivery.mockResolvedValue(DELIVERY);
+      dao.findWebhookById.mockResolvedValue(null);
+      const post = jest.spyOn(axios, 'post');
+
+      expect(await deliverWebhook('d1')).toMatchObject({ status: 'failed', lastError: 'El webhook ya no existe' });
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    it('no envía si otro proceso ya reservó el envío', async () => {
+      dao.claimDelivery.mockResolvedValue(null);
+      dao.findDeliveryById.mockResolvedValue({ ...DELIVERY, attempts: 1 });
+      const post = jest.spyOn(axios, 'post');
+
+      expect(await deliverWebhook('d1')).toMatchObject({ status: 'pending', attempts: 1 });
+      const [id, now, leaseUntil] = dao.claimDelivery.mock.calls[0];
+      expect(id).toBe('d1');
+      expect(leaseUntil.getTime()).toBeGreaterThan(now.getTime());
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    it('no envía a una URL que ahora resuelve a una dirección interna', async () => {
+      dao.claimDelivery.mockResolvedValue(DELIVERY);
+      dns.promises.lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+      const post = jest.spyOn(axios, 'post');
+
+      expect(await deliverWebhook('d1')).toMatchObject({ status: 'failed', lastError: expect.stringMatching(/169\.254\.169\.254/) });
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    it('reintenta si el host no se puede resolver', async () => {
+      dao.claimDelivery.mockResolvedValue(DELIVERY);
+      dns.promises.lookup.mockRejectedValue(new Error('getaddrinfo EAI_AGAIN crm.test'));
+      const post = jest.spyOn(axios, 'post');
+
+      expect(await deliverWebhook('d1')).toMatchObject({ status: 'pending', attempts: 1 });
+      expect(post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('registerWebhook', () => {
+    it('valida la URL y los eventos y devuelve el secreto', async () => {
+      dao.findWebhooks.mockResolvedValue([]);
+      dao.createWebhook.mockImplementation(async webhook => ({ ...webhook, _id: 'w9' }));
+
+      expect((await registerWebhook('merchant-1', { url: 'ftp://crm.test', events: ['otro'] })).error)
+        .toMatch(/^Webhook inválido: url .*; events/);
+
+      const { webhook } = await registerWebhook('merchant-1', { url: 'https://crm.test/hooks', events: ['chat.error'] });
+      expect(webhook).toMatchObject({ id: 'w9', url: 'https://crm.test/hooks', events: ['chat.error'] });
+      expect(webhook.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    });
+
+    it('rechaza URLs que apuntan a la red interna', async () => {
+      dao.findWebhooks.mockResolvedValue([]);
+      const events = ['chat.error'];
+
+      for (const url of ['http://127.0.0.1:8080/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data', 'http://[::ffff:10.0.0.5]/']) {
+        expect((await registerWebhook('merchant-1', { url, events })).error).toMatch(/dirección no pública/);
+      }
+
+      dns.promises.lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '192.168.1.10', family: 4 }]);
+      expect((await registerWebhook('merchant-1', { url: 'https://crm.test/hooks', events })).error).toMatch(/192\.168\.1\.10/);
+
+      dns.promises.lookup.mockRejectedValue(new Error('getaddrinfo ENOTFOUND nadie.test'));
+      expect((await registerWebhook('merchant-1', { url: 'https://nadie.test/hooks', events })).error).toMatch(/no se pudo resolver/);
+      expect(dao.createWebhook).not.toHaveBeenCalled();
+    });
+
+    it('exige https fuera de desarrollo', async () => {
+      const { NODE_ENV } = process.env;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect((await registerWebhook('merchant-1', { url: 'http://crm.test/hooks', events: ['chat.error'] })).error)
+          .toMatch(/https/);
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+      }
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const request = require('supertest');
+const axios = require('axios');
+const { TEST_DOMAIN, startTestApp, stopTestApp, signToken, buildProduct } = require('./helpers/testApp');
+const { createWebhookReceiver } = require('../scripts/webhook-receiver');
+
+describe('webhooks', () => {
+  let app;
+  let provider;
+  let product;
+  let receiver;
+  let received;
+  let receiverStatus;
+  let Webhook;
+  let WebhookDelivery;
+
+  const merchant = () => ({ Authorization: `Bearer ${signToken({ role: 'merchant' })}` });
+  const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/webhooks`;
+
+  const waitFor = async (check) => {
+    for (let i = 0; i < 100; i += 1) {
+      const value = await check();
+      if (value) return value;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Tiempo de espera agotado');
+  };
+
+  beforeAll(async () => {
+    process.env.WEBHOOK_RETRY_BASE_MS = '20';
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = 'true'; // El receptor escucha en 127.0.0.1.
+    let Product;
+    ({ app, Product } = await startTestApp());
+    ({ Webhook, WebhookDelivery } = require('../config/database'));
+    const { getLLMProvider } = require('../api/components/llm/llm.service');
+    provider = getLLMProvider({});
+    product = await Product.create(buildProduct());
+  });
+
+  beforeEach(async () => {
+    received = [];
+    receiverStatus = 200;
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: [{ name: 'Tienda Test', handoff: { enabled: true } }] });
+    await Promise.all([Webhook.deleteMany({}), WebhookDelivery.deleteMany({})]);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (receiver) await new Promise(resolve => receiver.close(resolve));
+    receiver = null;
+  });
+
+  afterAll(async () => {
+    await stopTestApp();
+  });
+
+  /**
+   * Registra un webhook apuntando a un puerto libre y arranca allí el receptor con el secreto
+   * devuelto (el secreto solo se conoce al registrar el webhook).
+   */
+  const setup = async (events) => {
+    receiver = createWebhookReceiver({ secret: 'pendiente' }).listen(0, '127.0.0.1');
+    await new Promise(resolve => receiver.once('listening', resolve));
+    const url = receiverUrl();
+    await new Promise(resolve => receiver.close(resolve));
+
+    const res = await request(app).post('/webhooks').set(merchant()).send({ url, events });
+    expect(res.status).toBe(201);
+
+    await new Promise((resolve) => {
+      receiver = createWebhookReceiver({
+        secret: res.body.webhook.secret,
+        status: () => receiverStatus,
+        onEvent: event => received.push(event),
+      }).listen(Number(new URL(url).port), '127.0.0.1', resolve);
+    });
+    return res.body.webhook;
+  };
+
+  it('entrega firmados los eventos de inicio de conversación y add_to_cart', async () => {
+    await setup(['conversation.started', 'cart.item_added']);
+    jest.spyOn(provider, 'complete').mockResolvedValueOnce(JSON.stringify({
+      message: 'Listo, lo agregué.',
+      audio_description: 'Agregado.',
+      action: { type: 'add_to_cart', productId: product._id.toString(), quantity: 2 },
+    }));
+
+    await request(app).post('/chatbot/question').set('Authorization', `Bearer ${signToken()}`)
+      .send({ domain: TEST_DOMAIN, userMessage: 'Agrega dos zapatillas' });
+
+    await waitFor(() => received.length === 2);
+    expect(received.map(event => event.event).sort()).toEqual(['cart.item_added', 'conversation.started']);
+    const added = received.find(event => event.event === 'cart.item_added');
+    expect(added).toMatchObject({ domain: TEST_DOMAIN, merchandId: 'merchant-1', data: { item: { quantity: 2 }, cart: { subtotal: 300 } } });
+
+    const log = await request(app).get('/webhooks/deliveries').set(merchant()).query({ status: 'delivered' });
+    expect(log.body.pagination.total).toBe(2);
+  });
+
+  it('reintenta hasta agotar los intentos y permite reenviar el evento', async () => {
+    await setup(['handoff.requested']);
+    receiverStatus = 500;
+
+    await request(app).post('/chatbot/question').set('Authorization', `Bearer ${signToken({ id: 'user-webhooks' })}`)
+      .send({ domain: TEST_DOMAIN, userMessage: 'Quiero hablar con una persona' });
+
+    const failed = await waitFor(() => WebhookDelivery.findOne({ status: 'failed' }).lean());
+    expect(failed).toMatchObject({ attempts: 3, lastStatusCode: 500, event: 'handoff.requested' });
+    expect(received).toHaveLength(3);
+
+    receiverStatus = 200;
+    const replay = await request(app).post(`/webhooks/deliveries/${failed._id}/replay`).set(merchant());
+    expect(replay.status).toBe(202);
+    expect(replay.body.delivery.replayOf).toBe(failed._id.toString());
+
+    await waitFor(() => WebhookDelivery.findOne({ replayOf: failed._id, status: 'delivered' }).lean());
+    expect(received.at(-1).id).toBe(failed.payload.id);
+  });
+
+  it('no muestra el secreto al listar y valida los webhooks', async () => {
+    await request(app).post('/webhooks').set(merchant()).send({ url: 'https://crm.test/hooks', events: ['chat.error'] });
+
+    const list = await request(app).get('/webhooks').set(merchant());
+    expect(list.body.webhooks).toHaveLength(1);
+    expect(list.body.webhooks[0].secret).toBeUndefined();
+
+    const invalid = await request(app).post('/webhooks').set(merchant()).send({ url: 'no-es-url', events: [] });
+    expect(invalid.status).toBe(400);
+  });
+});